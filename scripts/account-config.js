@@ -0,0 +1,116 @@
+/**
+ * AWS Account Configuration
+ *
+ * 複数のAWSアカウント・プロファイルをエイリアスで管理する
+ * 設定ファイル（既定: .github/aws-support/accounts.json）の形式:
+ *
+ * {
+ *   "defaultAccount": "main",
+ *   "accounts": [
+ *     { "alias": "main", "accountId": "123456789012", "profile": "default" },
+ *     { "alias": "prod", "accountId": "210987654321", "profile": "prod", "aliases": ["本番"] }
+ *   ]
+ * }
+ *
+ * 設定ファイルがない場合は AWS_PROFILE（既定: default）の1アカウントとして動作する
+ */
+
+const fs = require('fs');
+const { AWSSupportClient } = require('./aws-support-client');
+const { ValidationError } = require('./support-errors');
+
+const DEFAULT_CONFIG_PATH = '.github/aws-support/accounts.json';
+
+/**
+ * アカウント設定を読み込み
+ * @param {string} [configPath] - 設定ファイルのパス
+ * @param {Object} [options] - { awsProfile: 設定ファイルがない場合に使うプロファイル }
+ * @returns {{defaultAccount: string, accounts: Object[]}}
+ */
+function loadAccountConfig(configPath, options = {}) {
+  const filePath = configPath || process.env.AWS_ACCOUNTS_CONFIG || DEFAULT_CONFIG_PATH;
+
+  if (!fs.existsSync(filePath)) {
+    const profile = options.awsProfile || process.env.AWS_PROFILE || 'default';
+    return {
+      defaultAccount: profile,
+      accounts: [{ alias: profile, profile }]
+    };
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const accounts = config.accounts || [];
+
+  if (accounts.length === 0) {
+    throw new ValidationError(`No accounts configured in ${filePath}`, { field: 'accounts' });
+  }
+  for (const account of accounts) {
+    if (!account.alias) {
+      throw new ValidationError(`Every account in ${filePath} needs an "alias"`, { field: 'alias' });
+    }
+  }
+
+  return {
+    defaultAccount: config.defaultAccount || accounts[0].alias,
+    accounts: accounts.map(account => ({ profile: 'default', ...account }))
+  };
+}
+
+/**
+ * エイリアス・アカウントID・別名からアカウントを選択
+ * @param {Object} config - loadAccountConfig の戻り値
+ * @param {string} [selector] - Issueフォームの値など（未指定なら defaultAccount）
+ * @returns {Object} アカウント設定
+ */
+function resolveAccount(config, selector) {
+  const wanted = String(selector || '').trim();
+  if (!wanted) {
+    return config.accounts.find(a => a.alias === config.defaultAccount) || config.accounts[0];
+  }
+
+  const normalized = wanted.toLowerCase();
+  const account = config.accounts.find(a =>
+    a.alias.toLowerCase() === normalized ||
+    (a.accountId && a.accountId === wanted.replace(/-/g, '')) ||
+    (a.aliases || []).some(alias => alias.toLowerCase() === normalized)
+  );
+
+  if (!account) {
+    throw new ValidationError(
+      `Unknown AWS account: ${wanted}\n` +
+      'Configured accounts: ' + config.accounts
+        .map(a => (a.accountId ? `${a.alias} (${a.accountId})` : a.alias))
+        .join(', '),
+      { field: 'account' }
+    );
+  }
+
+  return account;
+}
+
+/**
+ * アカウント用の AWSSupportClient を作成
+ * @param {Object} account - アカウント設定
+ * @param {Object} [options] - { mockMode, mockBackend, redactionPolicy }
+ *   mockBackend に関数を渡すとアカウントごとに別のモックバックエンドを使える
+ */
+function createClientForAccount(account, options = {}) {
+  const mockBackend = typeof options.mockBackend === 'function'
+    ? options.mockBackend(account)
+    : options.mockBackend;
+
+  return new AWSSupportClient({
+    profile: account.profile,
+    region: account.region,
+    mockMode: options.mockMode,
+    mockBackend,
+    redactionPolicy: options.redactionPolicy
+  });
+}
+
+module.exports = {
+  loadAccountConfig,
+  resolveAccount,
+  createClientForAccount,
+  DEFAULT_CONFIG_PATH
+};
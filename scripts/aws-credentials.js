@@ -0,0 +1,589 @@
+/**
+ * AWS Credential Provider Chain
+ *
+ * AWS CLI と同じ順序で認証情報を探索する
+ * 1. 環境変数（AWS_ACCESS_KEY_ID など）
+ * 2. Web Identity トークン（GitHub OIDC など）
+ * 3. プロファイル（~/.aws/credentials / ~/.aws/config）
+ *    - role_arn + source_profile / credential_source / web_identity_token_file
+ *    - 静的キー
+ *    - credential_process
+ * 4. コンテナ認証情報（ECS / CodeBuild）
+ * 5. EC2 インスタンスメタデータ（IMDSv2）
+ *
+ * 一時認証情報はキャッシュし、有効期限の少し前に自動で再取得する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const { signRequest } = require('./aws-sigv4');
+const { sendRequest } = require('./http-request');
+const { CredentialError, ERROR_CODES } = require('./support-errors');
+
+// 有効期限のこの時間前になったら再取得する
+const DEFAULT_REFRESH_WINDOW_MS = 5 * 60 * 1000;
+const METADATA_TIMEOUT_MS = 1000;
+const CONTAINER_HOST = 'http://169.254.170.2';
+const IMDS_HOST = 'http://169.254.169.254';
+
+/**
+ * INI 形式（~/.aws/credentials, ~/.aws/config）をパース
+ *
+ * - 値に `=` を含む場合も最初の `=` だけで分割する
+ * - `#` / `;` で始まる行と、空白の後に続くインラインコメントは無視する
+ * - インデントされた行は直前のキーのサブセクションとして扱う（例: s3 =\n  max_concurrent_requests = 10）
+ * @param {string} content - ファイル内容
+ * @returns {Object<string, Object>} セクション名 → キー/値
+ */
+function parseIni(content) {
+  const sections = {};
+  let current = null;
+  let parentKey = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const trimmed = rawLine.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';')) {
+      continue;
+    }
+
+    if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+      const name = trimmed.slice(1, -1).trim();
+      current = sections[name] = sections[name] || {};
+      parentKey = null;
+      continue;
+    }
+
+    const separator = trimmed.indexOf('=');
+    if (!current || separator === -1) {
+      continue;
+    }
+
+    const key = trimmed.slice(0, separator).trim();
+    const value = trimmed.slice(separator + 1).replace(/\s[#;].*$/, '').trim();
+    const indented = /^\s/.test(rawLine);
+
+    if (indented && parentKey && typeof current[parentKey] === 'object') {
+      current[parentKey][key] = value;
+      continue;
+    }
+
+    if (value === '') {
+      current[key] = {};
+      parentKey = key;
+    } else {
+      current[key] = value;
+      parentKey = null;
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * INI ファイルを読み込み（存在しない場合は空）
+ */
+function readIniFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return {};
+  }
+  return parseIni(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * ~/.aws/config のセクション名をプロファイル名に変換
+ * [default] / [profile name] のみ対象（[sso-session x] などは除外）
+ */
+function configProfiles(config) {
+  const profiles = {};
+  for (const [section, values] of Object.entries(config)) {
+    if (section === 'default') {
+      profiles.default = values;
+    } else if (section.startsWith('profile ')) {
+      profiles[section.slice('profile '.length).trim()] = values;
+    }
+  }
+  return profiles;
+}
+
+/**
+ * 静的キーから認証情報オブジェクトを作成
+ */
+function toCredentials(values, source) {
+  if (!values.aws_access_key_id || !values.aws_secret_access_key) {
+    return null;
+  }
+  return {
+    accessKeyId: values.aws_access_key_id,
+    secretAccessKey: values.aws_secret_access_key,
+    sessionToken: values.aws_session_token, // オプション
+    source
+  };
+}
+
+/**
+ * STS の XML レスポンスから要素を取り出す
+ */
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1].trim() : undefined;
+}
+
+/**
+ * 認証情報プロバイダーチェーン
+ */
+class CredentialProviderChain {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} [options.profile] - 明示的に指定されたプロファイル（指定時は環境変数のキーを使わない）
+   * @param {string} [options.region] - STS のリージョン
+   * @param {string} [options.credentialsFile] - credentials ファイルのパス
+   * @param {string} [options.configFile] - config ファイルのパス
+   * @param {string} [options.stsEndpoint] - STS エンドポイント（テスト用）
+   * @param {Object} [options.env] - 環境変数（テスト用）
+   * @param {number} [options.refreshWindowMs] - 有効期限の何ミリ秒前に再取得するか
+   */
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.explicitProfile = options.profile;
+    this.profile = options.profile || this.env.AWS_PROFILE || 'default';
+    this.region = options.region || this.env.AWS_REGION || this.env.AWS_DEFAULT_REGION || 'us-east-1';
+    this.credentialsFile = options.credentialsFile ||
+      this.env.AWS_SHARED_CREDENTIALS_FILE ||
+      path.join(os.homedir(), '.aws', 'credentials');
+    this.configFile = options.configFile ||
+      this.env.AWS_CONFIG_FILE ||
+      path.join(os.homedir(), '.aws', 'config');
+    this.stsEndpoint = options.stsEndpoint || this.env.AWS_ENDPOINT_URL_STS;
+    this.refreshWindowMs = options.refreshWindowMs ?? DEFAULT_REFRESH_WINDOW_MS;
+    this.cached = null;
+    this.pending = null;
+  }
+
+  /**
+   * 認証情報を取得（キャッシュが有効ならそれを返す）
+   * @returns {Promise<Object>} { accessKeyId, secretAccessKey, sessionToken, expiration, source }
+   */
+  async resolve() {
+    if (this.cached && !this.isExpiring(this.cached)) {
+      return this.cached;
+    }
+
+    // 同時に複数のリクエストが来ても取得は1回だけ行う
+    if (!this.pending) {
+      this.pending = this.resolveFromChain().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    this.cached = await this.pending;
+    return this.cached;
+  }
+
+  /**
+   * キャッシュを破棄
+   */
+  invalidate() {
+    this.cached = null;
+  }
+
+  /**
+   * 有効期限が近いか
+   */
+  isExpiring(credentials) {
+    if (!credentials.expiration) {
+      return false;
+    }
+    return credentials.expiration.getTime() - Date.now() <= this.refreshWindowMs;
+  }
+
+  /**
+   * 各プロバイダーを順番に試す
+   * 明示的に指定されたプロファイルがない場合は、コンテナ・インスタンスメタデータを試さずに失敗する
+   * （別の認証情報で別のアカウントに送らないように。メタデータのタイムアウトも待たない）
+   */
+  async resolveFromChain() {
+    if (this.explicitProfile) {
+      const profiles = this.getAvailableProfiles();
+      if (!profiles.includes(this.profile)) {
+        throw new CredentialError(
+          `Profile '${this.profile}' not found in ${this.credentialsFile} or ${this.configFile}\n` +
+          'Available profiles: ' + (profiles.length ? profiles.join(', ') : '(none)'),
+          { profile: this.profile }
+        );
+      }
+    }
+
+    const providers = [
+      ['environment', () => this.fromEnvironment()],
+      ['web-identity', () => this.fromWebIdentityEnvironment()],
+      ['profile', () => this.fromProfile(this.profile)],
+      ['container', () => this.fromContainer()],
+      ['instance-metadata', () => this.fromInstanceMetadata()]
+    ];
+
+    const tried = [];
+    for (const [name, provider] of providers) {
+      tried.push(name);
+      const credentials = await provider();
+      if (credentials) {
+        return credentials;
+      }
+    }
+
+    throw new CredentialError(
+      `AWS credentials not found (tried: ${tried.join(', ')})\n` +
+      'Please configure AWS CLI with: aws configure'
+    );
+  }
+
+  /**
+   * 環境変数から取得
+   * プロファイルが明示的に指定されている場合は AWS CLI と同様にスキップ
+   * @param {Object} [options] - { force: credential_source = Environment から呼ばれた場合 true }
+   */
+  fromEnvironment(options = {}) {
+    if (this.explicitProfile && !options.force) {
+      return null;
+    }
+
+    const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY } = this.env;
+    if (!AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY) {
+      return null;
+    }
+
+    return {
+      accessKeyId: AWS_ACCESS_KEY_ID,
+      secretAccessKey: AWS_SECRET_ACCESS_KEY,
+      sessionToken: this.env.AWS_SESSION_TOKEN,
+      expiration: this.env.AWS_CREDENTIAL_EXPIRATION
+        ? new Date(this.env.AWS_CREDENTIAL_EXPIRATION)
+        : undefined,
+      source: 'environment'
+    };
+  }
+
+  /**
+   * AWS_WEB_IDENTITY_TOKEN_FILE + AWS_ROLE_ARN から取得（GitHub OIDC など）
+   */
+  async fromWebIdentityEnvironment() {
+    if (this.explicitProfile) {
+      return null;
+    }
+
+    const tokenFile = this.env.AWS_WEB_IDENTITY_TOKEN_FILE;
+    const roleArn = this.env.AWS_ROLE_ARN;
+    if (!tokenFile || !roleArn) {
+      return null;
+    }
+
+    return this.assumeRoleWithWebIdentity({
+      roleArn,
+      tokenFile,
+      sessionName: this.env.AWS_ROLE_SESSION_NAME,
+      source: 'web-identity'
+    });
+  }
+
+  /**
+   * プロファイルから取得
+   * @param {string} profile - プロファイル名
+   * @param {Set<string>} [visited] - source_profile の循環検出用
+   */
+  async fromProfile(profile, visited = new Set()) {
+    if (visited.has(profile)) {
+      throw new CredentialError(
+        `Circular source_profile reference detected: ${[...visited, profile].join(' → ')}`,
+        { code: ERROR_CODES.CREDENTIALS_INVALID }
+      );
+    }
+    visited.add(profile);
+
+    const credentialsValues = readIniFile(this.credentialsFile)[profile];
+    const configValues = configProfiles(readIniFile(this.configFile))[profile];
+    if (!credentialsValues && !configValues) {
+      return null;
+    }
+
+    // credentials ファイルの値が config より優先
+    const values = { ...(configValues || {}), ...(credentialsValues || {}) };
+
+    if (values.role_arn) {
+      return this.fromAssumeRoleProfile(profile, values, visited);
+    }
+
+    const fromFile = toCredentials(values, `shared-credentials-file:${profile}`);
+    if (fromFile) {
+      return fromFile;
+    }
+
+    if (values.credential_process) {
+      return this.fromCredentialProcess(profile, values.credential_process);
+    }
+
+    return null;
+  }
+
+  /**
+   * role_arn を持つプロファイルから AssumeRole で取得
+   */
+  async fromAssumeRoleProfile(profile, values, visited) {
+    const sessionName = values.role_session_name || `aws-support-${Date.now()}`;
+
+    if (values.web_identity_token_file) {
+      return this.assumeRoleWithWebIdentity({
+        roleArn: values.role_arn,
+        tokenFile: values.web_identity_token_file,
+        sessionName,
+        source: `web-identity:${profile}`
+      });
+    }
+
+    let sourceCredentials;
+    if (values.source_profile) {
+      // source_profile が自分自身の場合は静的キーを使う（AWS CLI と同じ挙動）
+      sourceCredentials = values.source_profile === profile
+        ? toCredentials(values, `shared-credentials-file:${profile}`)
+        : await this.fromProfile(values.source_profile, visited);
+    } else if (values.credential_source) {
+      sourceCredentials = await this.fromCredentialSource(values.credential_source);
+    } else {
+      throw new CredentialError(
+        `Profile '${profile}' has role_arn but no source_profile or credential_source`,
+        { code: ERROR_CODES.CREDENTIALS_INVALID }
+      );
+    }
+
+    if (!sourceCredentials) {
+      throw new CredentialError(
+        `Source credentials for profile '${profile}' could not be resolved`,
+        { code: ERROR_CODES.CREDENTIALS_INVALID }
+      );
+    }
+
+    const params = {
+      Action: 'AssumeRole',
+      Version: '2011-06-15',
+      RoleArn: values.role_arn,
+      RoleSessionName: sessionName
+    };
+    if (values.external_id) {
+      params.ExternalId = values.external_id;
+    }
+    if (values.duration_seconds) {
+      params.DurationSeconds = values.duration_seconds;
+    }
+
+    const result = await this.callSts(params, sourceCredentials);
+    return { ...result, source: `assume-role:${profile}` };
+  }
+
+  /**
+   * credential_source（Environment / EcsContainer / Ec2InstanceMetadata）から取得
+   */
+  async fromCredentialSource(credentialSource) {
+    switch (credentialSource) {
+      case 'Environment':
+        return this.fromEnvironment({ force: true });
+      case 'EcsContainer':
+        return this.fromContainer();
+      case 'Ec2InstanceMetadata':
+        return this.fromInstanceMetadata();
+      default:
+        throw new CredentialError(
+          `Unsupported credential_source: ${credentialSource}`,
+          { code: ERROR_CODES.CREDENTIALS_INVALID }
+        );
+    }
+  }
+
+  /**
+   * credential_process を実行して取得
+   */
+  fromCredentialProcess(profile, command) {
+    const result = spawnSync(command, {
+      shell: true,
+      encoding: 'utf8',
+      env: this.env,
+      timeout: 60 * 1000
+    });
+
+    if (result.error || result.status !== 0) {
+      const reason = result.error ? result.error.message : (result.stderr || '').trim();
+      throw new CredentialError(
+        `credential_process for profile '${profile}' failed: ${reason}`,
+        { code: ERROR_CODES.CREDENTIALS_INVALID }
+      );
+    }
+
+    let output;
+    try {
+      output = JSON.parse(result.stdout);
+    } catch (error) {
+      throw new CredentialError(
+        `credential_process for profile '${profile}' returned invalid JSON`,
+        { code: ERROR_CODES.CREDENTIALS_INVALID }
+      );
+    }
+
+    if (output.Version !== 1 || !output.AccessKeyId || !output.SecretAccessKey) {
+      throw new CredentialError(
+        `credential_process for profile '${profile}' returned an unsupported payload`,
+        { code: ERROR_CODES.CREDENTIALS_INVALID }
+      );
+    }
+
+    return {
+      accessKeyId: output.AccessKeyId,
+      secretAccessKey: output.SecretAccessKey,
+      sessionToken: output.SessionToken,
+      expiration: output.Expiration ? new Date(output.Expiration) : undefined,
+      source: `credential-process:${profile}`
+    };
+  }
+
+  /**
+   * Web Identity トークンで AssumeRoleWithWebIdentity を呼び出す（署名不要）
+   */
+  async assumeRoleWithWebIdentity({ roleArn, tokenFile, sessionName, source }) {
+    if (!fs.existsSync(tokenFile)) {
+      throw new CredentialError(`Web identity token file not found: ${tokenFile}`);
+    }
+
+    const result = await this.callSts({
+      Action: 'AssumeRoleWithWebIdentity',
+      Version: '2011-06-15',
+      RoleArn: roleArn,
+      RoleSessionName: sessionName || `aws-support-${Date.now()}`,
+      WebIdentityToken: fs.readFileSync(tokenFile, 'utf8').trim()
+    });
+
+    return { ...result, source };
+  }
+
+  /**
+   * STS（Query API）を呼び出して一時認証情報を取得
+   * @param {Object} params - クエリパラメータ
+   * @param {Object} [signingCredentials] - 署名に使う認証情報（AssumeRoleWithWebIdentity では不要）
+   */
+  async callSts(params, signingCredentials) {
+    const endpoint = this.stsEndpoint || 'https://sts.amazonaws.com/';
+    const body = new URLSearchParams(params).toString();
+    let headers = { 'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8' };
+
+    if (signingCredentials) {
+      headers = signRequest(
+        { method: 'POST', url: endpoint, headers, body },
+        { credentials: signingCredentials, region: this.region, service: 'sts' }
+      );
+    }
+
+    const response = await sendRequest(endpoint, { method: 'POST', headers, body });
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      const code = xmlValue(response.body, 'Code') || `HTTP ${response.statusCode}`;
+      const message = xmlValue(response.body, 'Message') || response.body;
+      throw new CredentialError(
+        `STS ${params.Action} failed: ${code}: ${message}`,
+        { code: ERROR_CODES.CREDENTIALS_INVALID, awsCode: code }
+      );
+    }
+
+    const expiration = xmlValue(response.body, 'Expiration');
+    return {
+      accessKeyId: xmlValue(response.body, 'AccessKeyId'),
+      secretAccessKey: xmlValue(response.body, 'SecretAccessKey'),
+      sessionToken: xmlValue(response.body, 'SessionToken'),
+      expiration: expiration ? new Date(expiration) : undefined
+    };
+  }
+
+  /**
+   * コンテナ認証情報エンドポイントから取得（ECS / CodeBuild）
+   */
+  async fromContainer() {
+    const relativeUri = this.env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI;
+    const fullUri = this.env.AWS_CONTAINER_CREDENTIALS_FULL_URI;
+    if (!relativeUri && !fullUri) {
+      return null;
+    }
+
+    const headers = {};
+    if (this.env.AWS_CONTAINER_AUTHORIZATION_TOKEN_FILE) {
+      headers.Authorization = fs.readFileSync(this.env.AWS_CONTAINER_AUTHORIZATION_TOKEN_FILE, 'utf8').trim();
+    } else if (this.env.AWS_CONTAINER_AUTHORIZATION_TOKEN) {
+      headers.Authorization = this.env.AWS_CONTAINER_AUTHORIZATION_TOKEN;
+    }
+
+    const response = await sendRequest(relativeUri ? `${CONTAINER_HOST}${relativeUri}` : fullUri, {
+      headers,
+      timeout: METADATA_TIMEOUT_MS
+    });
+    if (response.statusCode !== 200) {
+      throw new CredentialError(
+        `Container credentials endpoint returned ${response.statusCode}`,
+        { code: ERROR_CODES.CREDENTIALS_INVALID }
+      );
+    }
+
+    return this.fromMetadataDocument(JSON.parse(response.body), 'container');
+  }
+
+  /**
+   * EC2 インスタンスメタデータ（IMDSv2）から取得
+   */
+  async fromInstanceMetadata() {
+    if (this.env.AWS_EC2_METADATA_DISABLED === 'true') {
+      return null;
+    }
+
+    try {
+      const tokenResponse = await sendRequest(`${IMDS_HOST}/latest/api/token`, {
+        method: 'PUT',
+        headers: { 'X-aws-ec2-metadata-token-ttl-seconds': '21600' },
+        timeout: METADATA_TIMEOUT_MS
+      });
+      const headers = { 'X-aws-ec2-metadata-token': tokenResponse.body };
+      const basePath = `${IMDS_HOST}/latest/meta-data/iam/security-credentials/`;
+
+      const roleResponse = await sendRequest(basePath, { headers, timeout: METADATA_TIMEOUT_MS });
+      const roleName = roleResponse.statusCode === 200 ? roleResponse.body.split('\n')[0].trim() : '';
+      if (!roleName) {
+        return null;
+      }
+
+      const credentialsResponse = await sendRequest(`${basePath}${roleName}`, {
+        headers,
+        timeout: METADATA_TIMEOUT_MS
+      });
+      return this.fromMetadataDocument(JSON.parse(credentialsResponse.body), 'instance-metadata');
+    } catch (error) {
+      // EC2 以外の環境では到達できないため、次のプロバイダーへ
+      return null;
+    }
+  }
+
+  fromMetadataDocument(document, source) {
+    return {
+      accessKeyId: document.AccessKeyId,
+      secretAccessKey: document.SecretAccessKey,
+      sessionToken: document.Token,
+      expiration: document.Expiration ? new Date(document.Expiration) : undefined,
+      source
+    };
+  }
+
+  /**
+   * 利用可能なプロファイル一覧を取得
+   */
+  getAvailableProfiles() {
+    const names = new Set([
+      ...Object.keys(readIniFile(this.credentialsFile)),
+      ...Object.keys(configProfiles(readIniFile(this.configFile)))
+    ]);
+    return [...names];
+  }
+}
+
+module.exports = { CredentialProviderChain, parseIni };
@@ -0,0 +1,137 @@
+/**
+ * AWS Signature Version 4
+ *
+ * AWS API リクエストに SigV4 署名を付与する
+ * https://docs.aws.amazon.com/IAM/latest/UserGuide/create-signed-request.html
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+}
+
+/**
+ * RFC 3986 に従って URI エンコード（AWS の要件に合わせて `~` 以外の記号もエンコード）
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c =>
+    `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * Date を `YYYYMMDDTHHMMSSZ` 形式に変換
+ */
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * 正規化リクエストを作成
+ */
+function buildCanonicalRequest(method, url, headers, body) {
+  const canonicalUri = url.pathname
+    .split('/')
+    .map(segment => uriEncode(decodeURIComponent(segment)))
+    .join('/') || '/';
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(headers)) {
+    normalized[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  }
+  const signedHeaderNames = Object.keys(normalized).sort();
+  const canonicalHeaders = signedHeaderNames
+    .map(name => `${name}:${normalized[name]}\n`)
+    .join('');
+  const signedHeaders = signedHeaderNames.join(';');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    sha256Hex(body || '')
+  ].join('\n');
+
+  return { canonicalRequest, signedHeaders };
+}
+
+/**
+ * 署名キーを導出
+ */
+function deriveSigningKey(secretAccessKey, dateStamp, region, service) {
+  const kDate = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const kRegion = hmac(kDate, region);
+  const kService = hmac(kRegion, service);
+  return hmac(kService, 'aws4_request');
+}
+
+/**
+ * リクエストに SigV4 署名を付与
+ * @param {Object} request - 署名対象リクエスト
+ * @param {string} request.method - HTTPメソッド
+ * @param {string} request.url - リクエストURL
+ * @param {Object} [request.headers] - 署名に含めるヘッダー
+ * @param {string} [request.body] - リクエストボディ
+ * @param {Object} params - 署名パラメータ
+ * @param {Object} params.credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {string} params.region - リージョン
+ * @param {string} params.service - サービス名（例: 'support'）
+ * @param {Date} [params.date] - 署名日時（テスト用）
+ * @returns {Object} 署名済みヘッダー（Authorization / X-Amz-Date / X-Amz-Security-Token を含む）
+ */
+function signRequest(request, params) {
+  const { credentials, region, service } = params;
+  const url = new URL(request.url);
+  const amzDate = toAmzDate(params.date || new Date());
+  const dateStamp = amzDate.slice(0, 8);
+
+  const headers = {
+    ...(request.headers || {}),
+    Host: url.host,
+    'X-Amz-Date': amzDate
+  };
+  if (credentials.sessionToken) {
+    headers['X-Amz-Security-Token'] = credentials.sessionToken;
+  }
+
+  const { canonicalRequest, signedHeaders } = buildCanonicalRequest(
+    request.method,
+    url,
+    headers,
+    request.body
+  );
+
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    ALGORITHM,
+    amzDate,
+    credentialScope,
+    sha256Hex(canonicalRequest)
+  ].join('\n');
+
+  const signingKey = deriveSigningKey(credentials.secretAccessKey, dateStamp, region, service);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+  headers.Authorization =
+    `${ALGORITHM} Credential=${credentials.accessKeyId}/${credentialScope}, ` +
+    `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+  return headers;
+}
+
+module.exports = { signRequest };
@@ -4,12 +4,54 @@
  * AWS Support API Client
  *
  * AWS Support Center API とのやり取りを管理するクライアント
- * 認証情報はローカル ~/.aws/credentials から読み込み
+ * 認証情報は環境変数・~/.aws/credentials・~/.aws/config などから AWS CLI と同じ順序で取得
+ * リクエストは SigV4 署名付きで Support エンドポイントに直接送信
  */
 
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
+const { CredentialProviderChain, parseIni } = require('./aws-credentials');
+const { signRequest } = require('./aws-sigv4');
+const { requestWithRetry } = require('./resilient-request');
+const { createAwsError, ValidationError, ERROR_CODES } = require('./support-errors');
+const { loadRedactionPolicy, redactText, mergeRedactions } = require('./redaction');
+
+// AWS Support API (JSON 1.1 プロトコル) の定数
+const TARGET_PREFIX = 'AWSSupport_20130415';
+// 2回処理されるとケース・メッセージが重複する操作（resilient-request.js の idempotent: false）
+const NON_IDEMPOTENT_OPERATIONS = new Set(['CreateCase', 'AddCommunicationToCase']);
+const SIGNING_SERVICE = 'support';
+const SUBSCRIPTION_REQUIRED_MESSAGE =
+  'AWS Support API は Business/Enterprise プランが必要です。\n' +
+  'モックモードで実行する場合: new AWSSupportClient({ mockMode: true })';
+
+// AWS サポート側のメッセージの送信者（DescribeCommunications の submittedBy）
+const AWS_SUBMITTER = 'Amazon Web Services';
+
+// マスキングの対象にする添付ファイル（テキスト形式のもの）
+const TEXT_ATTACHMENT_PATTERN = /\.(log|txt|json|har|csv|ya?ml|xml|md|out|conf|ini)$/i;
+
+// DescribeCases / DescribeCommunications の制限
+const MAX_CASE_ID_LIST = 100;
+const MIN_MAX_RESULTS = 10;
+const MAX_MAX_RESULTS = 100;
+
+/**
+ * モックモードの既定のバックエンド
+ * mock-support-backend.js はこのモジュールの定数（AWS_SUBMITTER）を使うため、モックモードのときだけ読み込む
+ */
+function createMockBackend() {
+  const { MockSupportBackend } = require('./mock-support-backend');
+  return new MockSupportBackend({ stateFile: process.env.MOCK_STATE_FILE });
+}
+
+/**
+ * maxResults を API が受け付ける範囲（10〜100）に収める
+ */
+function clampMaxResults(maxResults) {
+  if (maxResults === undefined || maxResults === null) {
+    return undefined;
+  }
+  return Math.min(MAX_MAX_RESULTS, Math.max(MIN_MAX_RESULTS, Number(maxResults)));
+}
 
 /**
  * AWS Support Client クラス
@@ -18,71 +60,76 @@ class AWSSupportClient {
   constructor(options = {}) {
     this.profile = options.profile || 'default';
     this.region = options.region || 'us-east-1'; // Support API は us-east-1 のみ
-    this.credentials = null;
+    this.credentials = options.credentials || null;
+    this.staticCredentials = options.credentials || null;
+    // 'default' 以外のプロファイルが指定された場合は AWS CLI の --profile と同様に扱う
+    this.credentialChain = options.credentialChain || new CredentialProviderChain({
+      profile: this.profile !== 'default' ? this.profile : undefined,
+      region: this.region
+    });
     this.mockMode = options.mockMode || false; // テスト用モック
+    // モックモードではケースを保持するモックバックエンドに送信する
+    // MOCK_STATE_FILE を指定すると別プロセスのスクリプト間で状態を共有できる
+    this.mockBackend = this.mockMode ? options.mockBackend || createMockBackend() : null;
+    this.language = options.language || 'ja';
+    // リトライ・タイムアウトの設定（resilient-request.js の policy）
+    this.retryPolicy = options.retryPolicy || {};
+    // ローカルのスタブサーバーなどに向ける場合は endpoint を指定
+    this.endpoint = options.endpoint ||
+      process.env.AWS_SUPPORT_ENDPOINT ||
+      `https://support.${this.region}.amazonaws.com`;
+    // ケースの件名・本文・テキストの添付ファイルは送信前にマスキングする（redaction.js）
+    this.redactionPolicy = options.redactionPolicy || loadRedactionPolicy();
   }
 
   /**
-   * AWS認証情報を ~/.aws/credentials から読み込み
+   * 送信するテキストの秘密情報・個人情報をマスキング
+   * @returns {{text: string, redactions: Object[]}}
    */
-  loadCredentials() {
-    const credentialsPath = path.join(os.homedir(), '.aws', 'credentials');
+  redact(text) {
+    return redactText(text, { policy: this.redactionPolicy, destination: 'aws' });
+  }
 
-    if (!fs.existsSync(credentialsPath)) {
-      throw new Error(
-        `AWS credentials file not found: ${credentialsPath}\n` +
-        'Please configure AWS CLI with: aws configure'
-      );
+  /**
+   * AWS認証情報をプロバイダーチェーンから取得
+   * 一時認証情報は期限切れ前に自動で再取得される
+   * @returns {Promise<Object>} { accessKeyId, secretAccessKey, sessionToken, expiration, source }
+   */
+  async loadCredentials() {
+    if (this.staticCredentials) {
+      return this.staticCredentials;
     }
 
-    const content = fs.readFileSync(credentialsPath, 'utf8');
-    const credentials = this.parseCredentials(content, this.profile);
+    const previousSource = this.credentials && this.credentials.source;
+    this.credentials = await this.credentialChain.resolve();
 
-    if (!credentials) {
-      throw new Error(
-        `Profile '${this.profile}' not found in ${credentialsPath}\n` +
-        'Available profiles: ' + this.getAvailableProfiles(content).join(', ')
-      );
+    if (this.credentials.source !== previousSource) {
+      console.log(`🔑 AWS credentials loaded from: ${this.credentials.source}`);
     }
 
-    this.credentials = credentials;
-    return credentials;
+    return this.credentials;
+  }
+
+  /**
+   * 使用中の認証情報の取得元（例: 'environment', 'assume-role:prod'）
+   */
+  get credentialSource() {
+    return this.credentials ? this.credentials.source : null;
   }
 
   /**
    * AWS credentials ファイルをパース
    */
   parseCredentials(content, profile) {
-    const lines = content.split('\n');
-    let currentProfile = null;
-    const credentials = {};
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-
-      // プロファイル名
-      if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-        currentProfile = trimmed.slice(1, -1);
-        continue;
-      }
-
-      // キー=値 のペア
-      if (currentProfile && trimmed.includes('=')) {
-        const [key, value] = trimmed.split('=').map(s => s.trim());
-        if (currentProfile === profile) {
-          credentials[key] = value;
-        }
-      }
-    }
-
-    if (!credentials.aws_access_key_id || !credentials.aws_secret_access_key) {
+    const values = parseIni(content)[profile];
+    if (!values || !values.aws_access_key_id || !values.aws_secret_access_key) {
       return null;
     }
 
     return {
-      accessKeyId: credentials.aws_access_key_id,
-      secretAccessKey: credentials.aws_secret_access_key,
-      sessionToken: credentials.aws_session_token // オプション
+      accessKeyId: values.aws_access_key_id,
+      secretAccessKey: values.aws_secret_access_key,
+      sessionToken: values.aws_session_token // オプション
     };
   }
 
@@ -90,131 +137,404 @@ class AWSSupportClient {
    * 利用可能なプロファイル一覧を取得
    */
   getAvailableProfiles(content) {
-    const profiles = [];
-    const lines = content.split('\n');
+    return Object.keys(parseIni(content));
+  }
+
+  /**
+   * Support API を呼び出す（SigV4 署名付き JSON 1.1 リクエスト）
+   * @param {string} operation - API 操作名（例: 'CreateCase'）
+   * @param {Object} params - リクエストパラメータ
+   * @returns {Promise<Object>} レスポンス JSON
+   */
+  async send(operation, params = {}) {
+    const { statusCode, data } = this.mockMode
+      ? this.sendToMockBackend(operation, params)
+      : await this.sendToEndpoint(operation, params);
+
+    if (statusCode >= 200 && statusCode < 300) {
+      return data;
+    }
+
+    const error = this.toApiError(operation, statusCode, data);
+    if (error.code === ERROR_CODES.CREDENTIALS_EXPIRED && !this.staticCredentials) {
+      // 次回の呼び出しで認証情報を再取得させる
+      this.credentialChain.invalidate();
+    }
+    throw error;
+  }
+
+  /**
+   * Support エンドポイントに署名付きリクエストを送信
+   */
+  async sendToEndpoint(operation, params) {
+    const credentials = await this.loadCredentials();
+    const body = JSON.stringify(params);
+
+    // リトライ時は X-Amz-Date が古くならないよう試行ごとに署名し直す
+    const response = await requestWithRetry(
+      this.endpoint,
+      () => ({
+        method: 'POST',
+        headers: signRequest(
+          {
+            method: 'POST',
+            url: this.endpoint,
+            headers: {
+              'Content-Type': 'application/x-amz-json-1.1',
+              'X-Amz-Target': `${TARGET_PREFIX}.${operation}`
+            },
+            body
+          },
+          {
+            credentials,
+            region: this.region,
+            service: SIGNING_SERVICE
+          }
+        ),
+        body
+      }),
+      { service: 'aws-support', operation, ...this.retryPolicy, idempotent: !NON_IDEMPOTENT_OPERATIONS.has(operation) }
+    );
 
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
-        profiles.push(trimmed.slice(1, -1));
+    let data = {};
+    if (response.body) {
+      try {
+        data = JSON.parse(response.body);
+      } catch (error) {
+        data = { message: response.body };
       }
     }
 
-    return profiles;
+    return { statusCode: response.statusCode, data };
+  }
+
+  /**
+   * モックバックエンドに送信（JSON を経由させて実際の API と同じ値の受け渡しにする）
+   */
+  sendToMockBackend(operation, params) {
+    console.log(`[MOCK] ${operation}`);
+    const response = this.mockBackend.handle(operation, JSON.parse(JSON.stringify(params)));
+    return { statusCode: response.statusCode, data: JSON.parse(JSON.stringify(response.data)) };
+  }
+
+  /**
+   * エラーレスポンスを種類ごとのエラークラスに変換（support-errors.js）
+   */
+  toApiError(operation, statusCode, data) {
+    // __type は "com.amazonaws.support#CaseIdNotFound" のような形式
+    const awsCode = String(data.__type || 'UnknownError').split('#').pop();
+    const message = awsCode === 'SubscriptionRequiredException'
+      ? SUBSCRIPTION_REQUIRED_MESSAGE
+      : `AWS Support API error (${operation}): ${awsCode}: ${data.message || data.Message || `HTTP ${statusCode}`}`;
+
+    return createAwsError(awsCode, message, { statusCode, operation });
+  }
+
+  /**
+   * CreateCase のリクエストを組み立てる（件名・本文はマスキングする）
+   * ドライランのプレビューにも使い、送信する内容と同じものを表示する
+   * @param {Object} caseData - createCase と同じケース情報
+   * @returns {{params: Object, redactions: Object[]}}
+   */
+  buildCreateCaseRequest(caseData) {
+    const subject = this.redact(caseData.subject);
+    const body = this.redact(caseData.body);
+    const params = {
+      subject: subject.text,
+      communicationBody: body.text,
+      severityCode: caseData.severity || 'low',
+      categoryCode: caseData.category || 'other',
+      serviceCode: caseData.serviceCode || 'general-info',
+      language: caseData.language || this.language
+    };
+    // issueType を省略した場合は AWS 側で technical として扱われる
+    if (caseData.issueType) {
+      params.issueType = caseData.issueType;
+    }
+    if (caseData.ccEmailAddresses && caseData.ccEmailAddresses.length > 0) {
+      params.ccEmailAddresses = caseData.ccEmailAddresses;
+    }
+    if (caseData.attachmentSetId) {
+      params.attachmentSetId = caseData.attachmentSetId;
+    }
+
+    return { params, redactions: mergeRedactions(subject.redactions, body.redactions) };
   }
 
   /**
    * サポートケースを作成
    * @param {Object} caseData - ケース情報
-   * @returns {Promise<Object>} 作成されたケース情報
+   *   { subject, body, severity, category, serviceCode, language, issueType, ccEmailAddresses, attachmentSetId }
+   * @returns {Promise<Object>} 作成されたケース情報 { caseId, displayId, communicationBody, redactions }
+   *   communicationBody: 送信した本文（マスキング後）、redactions: 件名・本文でマスキングした情報（redaction.js）
    */
   async createCase(caseData) {
-    if (this.mockMode) {
-      return this.mockCreateCase(caseData);
-    }
-
-    // 実際のAWS SDK呼び出し（プラン契約後に有効化）
-    // const { SupportClient, CreateCaseCommand } = require('@aws-sdk/client-support');
-    //
-    // if (!this.credentials) {
-    //   this.loadCredentials();
-    // }
-    //
-    // const client = new SupportClient({
-    //   region: this.region,
-    //   credentials: this.credentials
-    // });
-    //
-    // const command = new CreateCaseCommand({
-    //   subject: caseData.subject,
-    //   communicationBody: caseData.body,
-    //   severityCode: caseData.severity || 'low',
-    //   categoryCode: caseData.category || 'other',
-    //   serviceCode: caseData.serviceCode || 'general-info',
-    //   language: 'ja'
-    // });
-    //
-    // const response = await client.send(command);
-    // return response;
-
-    throw new Error(
-      'AWS Support API は Business/Enterprise プランが必要です。\n' +
-      'モックモードで実行する場合: new AWSSupportClient({ mockMode: true })'
-    );
+    const { params, redactions } = this.buildCreateCaseRequest(caseData);
+    const result = await this.send('CreateCase', params);
+    return { ...result, communicationBody: params.communicationBody, redactions };
   }
 
   /**
-   * ケース一覧を取得
+   * ケース一覧を取得（1ページ分）
+   * @param {Object} options - 絞り込み条件
+   * @param {string[]} [options.caseIdList] - Case ID（最大100件）
+   * @param {string} [options.displayId] - Display ID
+   * @param {string} [options.afterTime] - この日時以降に作成されたケース（ISO 8601）
+   * @param {string} [options.beforeTime] - この日時以前に作成されたケース（ISO 8601）
+   * @param {boolean} [options.includeResolvedCases=false] - 解決済みケースを含めるか
+   * @param {boolean} [options.includeCommunications=true] - recentCommunications を含めるか
+   * @param {string} [options.language] - 言語
+   * @param {number} [options.maxResults] - 1ページの件数（10〜100）
+   * @param {string} [options.nextToken] - 次ページのトークン
+   * @returns {Promise<Object>} { cases, nextToken }
    */
   async describeCases(options = {}) {
-    if (this.mockMode) {
-      return this.mockDescribeCases(options);
+    if (options.caseIdList && options.caseIdList.length > MAX_CASE_ID_LIST) {
+      throw new ValidationError(
+        `caseIdList は最大 ${MAX_CASE_ID_LIST} 件までです（指定: ${options.caseIdList.length} 件）`,
+        { field: 'caseIdList' }
+      );
     }
 
-    throw new Error(
-      'AWS Support API は Business/Enterprise プランが必要です。\n' +
-      'モックモードで実行する場合: new AWSSupportClient({ mockMode: true })'
-    );
+    return this.send('DescribeCases', {
+      caseIdList: options.caseIdList,
+      displayId: options.displayId,
+      afterTime: options.afterTime,
+      beforeTime: options.beforeTime,
+      includeResolvedCases: options.includeResolvedCases,
+      includeCommunications: options.includeCommunications,
+      language: options.language,
+      maxResults: clampMaxResults(options.maxResults),
+      nextToken: options.nextToken
+    });
   }
 
   /**
-   * ケースにコミュニケーションを追加（返信）
+   * nextToken をたどってすべてのケースを順に返す
+   * @param {Object} options - describeCases と同じ絞り込み条件
+   * @example
+   * for await (const caseData of client.iterateCases({ includeResolvedCases: true })) { ... }
    */
-  async addCommunicationToCase(caseId, communicationBody) {
-    if (this.mockMode) {
-      return this.mockAddCommunication(caseId, communicationBody);
+  async *iterateCases(options = {}) {
+    let nextToken = options.nextToken;
+    do {
+      const page = await this.describeCases({ ...options, nextToken });
+      yield* page.cases || [];
+      nextToken = page.nextToken;
+    } while (nextToken);
+  }
+
+  /**
+   * すべてのケースを取得（全ページ）
+   * @returns {Promise<Object[]>} ケース一覧
+   */
+  async describeAllCases(options = {}) {
+    const cases = [];
+    for await (const caseData of this.iterateCases(options)) {
+      cases.push(caseData);
     }
+    return cases;
+  }
 
-    throw new Error(
-      'AWS Support API は Business/Enterprise プランが必要です。\n' +
-      'モックモードで実行する場合: new AWSSupportClient({ mockMode: true })'
-    );
+  /**
+   * AddCommunicationToCase のリクエストを組み立てる（本文はマスキングする）
+   * @param {string} caseId - Case ID
+   * @param {string} communicationBody - 本文
+   * @param {Object} [options] - { attachmentSetId, ccEmailAddresses }
+   * @returns {{params: Object, redactions: Object[]}}
+   */
+  buildAddCommunicationRequest(caseId, communicationBody, options = {}) {
+    const body = this.redact(communicationBody);
+    const params = { caseId, communicationBody: body.text };
+    if (options.ccEmailAddresses && options.ccEmailAddresses.length > 0) {
+      params.ccEmailAddresses = options.ccEmailAddresses;
+    }
+    if (options.attachmentSetId) {
+      params.attachmentSetId = options.attachmentSetId;
+    }
+    return { params, redactions: body.redactions };
   }
 
-  // ===== モック実装（テスト用） =====
+  /**
+   * ケースにコミュニケーションを追加（返信）
+   * @param {string} caseId - Case ID
+   * @param {string} communicationBody - 本文
+   * @param {Object} [options] - { attachmentSetId（AddAttachmentsToSet で作成したセット）, ccEmailAddresses（この返信の CC） }
+   * @returns {Promise<Object>} { result, communicationBody（送信した本文。マスキング後）, redactions }
+   */
+  async addCommunicationToCase(caseId, communicationBody, options = {}) {
+    const { params, redactions } = this.buildAddCommunicationRequest(caseId, communicationBody, options);
+    const result = await this.send('AddCommunicationToCase', params);
+    return { ...result, communicationBody: params.communicationBody, redactions };
+  }
 
-  mockCreateCase(caseData) {
-    const caseId = `case-mock-${Date.now()}`;
-    console.log(`[MOCK] Creating case: ${caseData.subject}`);
-    return Promise.resolve({
+  /**
+   * ケースを解決済みにする
+   * @returns {Promise<Object>} { initialCaseStatus, finalCaseStatus }
+   */
+  async resolveCase(caseId) {
+    return this.send('ResolveCase', { caseId });
+  }
+
+  /**
+   * ケースのコミュニケーション履歴を取得（1ページ分）
+   * @param {string} caseId - Case ID
+   * @param {Object} options - { afterTime, beforeTime, maxResults, nextToken }
+   * @returns {Promise<Object>} { communications, nextToken }
+   */
+  async describeCommunications(caseId, options = {}) {
+    return this.send('DescribeCommunications', {
       caseId,
-      displayId: `CASE-${caseId.slice(-8).toUpperCase()}`
+      afterTime: options.afterTime,
+      beforeTime: options.beforeTime,
+      maxResults: clampMaxResults(options.maxResults),
+      nextToken: options.nextToken
     });
   }
 
-  mockDescribeCases(options) {
-    console.log('[MOCK] Describing cases');
-    return Promise.resolve({
-      cases: [
-        {
-          caseId: 'case-mock-12345',
-          displayId: 'CASE-12345',
-          subject: 'Test EC2 Issue',
-          status: 'opened',
-          timeCreated: new Date().toISOString(),
-          recentCommunications: {
-            communications: [
-              {
-                body: 'This is a test case response from AWS Support.',
-                timeCreated: new Date().toISOString(),
-                submittedBy: 'AWS Support'
-              }
-            ]
-          }
-        }
-      ]
-    });
+  /**
+   * nextToken をたどってケースのコミュニケーションをすべて返す（新しい順）
+   * @param {string} caseId - Case ID
+   * @param {Object} options - { afterTime, beforeTime, maxResults }
+   */
+  async *iterateCommunications(caseId, options = {}) {
+    let nextToken = options.nextToken;
+    do {
+      const page = await this.describeCommunications(caseId, { ...options, nextToken });
+      yield* page.communications || [];
+      nextToken = page.nextToken;
+    } while (nextToken);
   }
 
-  mockAddCommunication(caseId, communicationBody) {
-    console.log(`[MOCK] Adding communication to case ${caseId}`);
-    return Promise.resolve({
-      result: true
+  /**
+   * ケースのコミュニケーション履歴をすべて取得（全ページ）
+   * @returns {Promise<Object[]>} コミュニケーション一覧（新しい順）
+   */
+  async describeAllCommunications(caseId, options = {}) {
+    const communications = [];
+    for await (const communication of this.iterateCommunications(caseId, options)) {
+      communications.push(communication);
+    }
+    return communications;
+  }
+
+  /**
+   * 添付ファイルセットにファイルを追加
+   * @param {Array<{fileName: string, data: Buffer|string}>} attachments - 添付ファイル（data は Buffer または base64 文字列）
+   * @param {string} [attachmentSetId] - 既存のセットに追加する場合に指定
+   * @returns {Promise<Object>} { attachmentSetId, expiryTime, redactions }（テキストの添付ファイルはマスキングして送る）
+   */
+  async addAttachmentsToSet(attachments, attachmentSetId) {
+    const redactions = [];
+    const encoded = attachments.map(attachment => {
+      let data = Buffer.isBuffer(attachment.data) ? attachment.data : Buffer.from(attachment.data, 'base64');
+      if (TEXT_ATTACHMENT_PATTERN.test(attachment.fileName)) {
+        const redacted = this.redact(data.toString('utf8'));
+        data = Buffer.from(redacted.text, 'utf8');
+        redactions.push(redacted.redactions);
+      }
+      return { fileName: attachment.fileName, data: data.toString('base64') };
+    });
+
+    const result = await this.send('AddAttachmentsToSet', {
+      attachmentSetId,
+      attachments: encoded
     });
+    return { ...result, redactions: mergeRedactions(...redactions) };
+  }
+
+  /**
+   * 添付ファイルをダウンロード
+   * @returns {Promise<Object>} { attachment: { fileName, data: Buffer } }
+   */
+  async describeAttachment(attachmentId) {
+    const response = await this.send('DescribeAttachment', { attachmentId });
+
+    return {
+      attachment: {
+        fileName: response.attachment.fileName,
+        data: Buffer.from(response.attachment.data || '', 'base64')
+      }
+    };
+  }
+
+  /**
+   * サービスとカテゴリの一覧を取得
+   * @param {string[]} [serviceCodeList] - 絞り込むサービスコード
+   * @returns {Promise<Object>} { services: [{ code, name, categories: [{ code, name }] }] }
+   */
+  async describeServices(serviceCodeList, language = this.language) {
+    return this.send('DescribeServices', { serviceCodeList, language });
+  }
+
+  /**
+   * 指定可能な重要度の一覧を取得（サポートプランによって異なる）
+   * @returns {Promise<Object>} { severityLevels: [{ code, name }] }
+   */
+  async describeSeverityLevels(language = this.language) {
+    return this.send('DescribeSeverityLevels', { language });
+  }
+
+  /**
+   * ケース作成時に選択できる連絡方法・言語の一覧を取得
+   * @param {Object} options - { issueType, serviceCode, categoryCode, language }
+   * @returns {Promise<Object>} { languageAvailability, communicationTypes }
+   */
+  async describeCreateCaseOptions(options = {}) {
+    const params = {
+      issueType: options.issueType || 'technical',
+      serviceCode: options.serviceCode || 'general-info',
+      categoryCode: options.categoryCode || 'other',
+      language: options.language || this.language
+    };
+
+    return this.send('DescribeCreateCaseOptions', params);
+  }
+
+  // ===== Trusted Advisor =====
+
+  /**
+   * Trusted Advisor チェックの一覧を取得
+   * @returns {Promise<Object>} { checks: [{ id, name, description, category, metadata }] }
+   */
+  async describeTrustedAdvisorChecks(language = 'en') {
+    return this.send('DescribeTrustedAdvisorChecks', { language });
+  }
+
+  /**
+   * Trusted Advisor チェックの結果を取得
+   * @returns {Promise<Object>} { result: { checkId, status, resourcesSummary, flaggedResources, ... } }
+   */
+  async describeTrustedAdvisorCheckResult(checkId, language = 'en') {
+    return this.send('DescribeTrustedAdvisorCheckResult', { checkId, language });
+  }
+
+  /**
+   * Trusted Advisor チェックのサマリーを取得
+   * @returns {Promise<Object>} { summaries: [...] }
+   */
+  async describeTrustedAdvisorCheckSummaries(checkIds) {
+    return this.send('DescribeTrustedAdvisorCheckSummaries', { checkIds });
+  }
+
+  /**
+   * Trusted Advisor チェックの更新状況を取得
+   * @returns {Promise<Object>} { statuses: [{ checkId, status, millisUntilNextRefreshable }] }
+   */
+  async describeTrustedAdvisorCheckRefreshStatuses(checkIds) {
+    return this.send('DescribeTrustedAdvisorCheckRefreshStatuses', { checkIds });
+  }
+
+  /**
+   * Trusted Advisor チェックの更新をリクエスト
+   * @returns {Promise<Object>} { status: { checkId, status, millisUntilNextRefreshable } }
+   */
+  async refreshTrustedAdvisorCheck(checkId) {
+    return this.send('RefreshTrustedAdvisorCheck', { checkId });
   }
 }
 
-module.exports = { AWSSupportClient };
+module.exports = { AWSSupportClient, TEXT_ATTACHMENT_PATTERN, AWS_SUBMITTER };
 
 // CLI実行時のテスト
 if (require.main === module) {
@@ -241,6 +561,14 @@ if (require.main === module) {
       const reply = await client.addCommunicationToCase('case-mock-12345', 'Thank you for your response.');
       console.log('✅ Add Communication:', reply);
 
+      // サービス一覧取得テスト
+      const services = await client.describeServices(['amazon-elastic-compute-cloud-linux']);
+      console.log('✅ Describe Services:', services.services.map(s => s.code));
+
+      // ケース解決テスト
+      const resolved = await client.resolveCase('case-mock-12345');
+      console.log('✅ Resolve Case:', resolved);
+
       console.log('\n✅ All tests passed (Mock Mode)');
     } catch (error) {
       console.error('❌ Error:', error.message);
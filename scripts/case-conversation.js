@@ -0,0 +1,298 @@
+/**
+ * Case Conversation
+ *
+ * AWS サポートケースのやり取り（コミュニケーション）を Issue に同期するための処理
+ * 投稿するコメントの本文は monitor-cases.js が作成する
+ *
+ * - ケースごとのカーソル（最後に処理したメッセージの日時と、その日時に処理したメッセージ）を状態に記録し、
+ *   DescribeCommunications の全ページから、カーソルより後のメッセージを古い順に取り出す
+ *   （同じ日時のメッセージは送信者・本文のダイジェストで区別する）
+ * - このリポジトリから送ったメッセージ（ケース作成・/reply など）は、送信時のコメントの隠しマーカー
+ *   （aws-support-sent）で判別して投稿しない
+ * - 投稿したメッセージのコメントにも隠しマーカー（aws-support-communication）を埋め込み、
+ *   状態が失われた場合も同じメッセージを2回投稿しない
+ */
+
+const crypto = require('crypto');
+const { TEXT_ATTACHMENT_PATTERN, AWS_SUBMITTER } = require('./aws-support-client');
+const { formatSize } = require('./issue-attachments');
+const { isBotAuthored } = require('./github-client');
+const { redactText, DEFAULT_REDACTION_POLICY } = require('./redaction');
+
+const SENT_MARKER = 'aws-support-sent';
+const COMMUNICATION_MARKER = 'aws-support-communication';
+
+// 送信した日時（GitHub Actions）と AWS が記録した日時のずれの許容範囲
+const SENT_MATCH_WINDOW_MS = 10 * 60 * 1000;
+
+// afterTime が境界の日時を含まない場合に備えて、カーソルより少し前から取得する
+const FETCH_OVERLAP_MS = 1000;
+
+// コメントに埋め込む添付ファイル（テキスト）の上限（GitHub のコメントは 65,536 文字まで）
+const INLINE_ATTACHMENT_LIMITS = {
+  maxBytesPerFile: 20000,
+  maxBytesPerComment: 40000
+};
+
+/**
+ * 本文を比較用に正規化（改行コード・行末の空白の違いを無視する）
+ */
+function normalizeBody(body) {
+  return String(body || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+function digest(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * メッセージを識別するダイジェスト（送信者・本文）
+ */
+function communicationKey(communication) {
+  return digest(`${communication.submittedBy || ''}\n${normalizeBody(communication.body)}`);
+}
+
+/**
+ * このリポジトリから送ったメッセージを示す隠しマーカー（送信結果のコメントに埋め込む）
+ * @param {string} caseId - Case ID
+ * @param {string} communicationBody - 送信した本文（createCase・addCommunicationToCase の戻り値の communicationBody）
+ */
+function formatSentMarker(caseId, communicationBody) {
+  const marker = { caseId, digest: digest(normalizeBody(communicationBody)), sentAt: new Date().toISOString() };
+  return `<!-- ${SENT_MARKER} ${JSON.stringify(marker)} -->`;
+}
+
+/**
+ * Issue に投稿したメッセージを示す隠しマーカー
+ */
+function formatCommunicationMarker(caseId, communication) {
+  const marker = { caseId, time: communication.timeCreated, key: communicationKey(communication) };
+  return `<!-- ${COMMUNICATION_MARKER} ${JSON.stringify(marker)} -->`;
+}
+
+/**
+ * コメントから指定したケースのマーカーをすべて抽出
+ * @param {Object[]} comments - Issue のコメント（{ body }）
+ * @param {string} name - マーカー名（SENT_MARKER | COMMUNICATION_MARKER）
+ */
+function parseMarkers(comments, name, caseId) {
+  const pattern = new RegExp(`<!-- ${name} (\\{.*?\\}) -->`, 'g');
+  const markers = [];
+  for (const comment of comments) {
+    for (const match of String(comment.body || '').matchAll(pattern)) {
+      try {
+        const marker = JSON.parse(match[1]);
+        if (marker.caseId === caseId) {
+          markers.push(marker);
+        }
+      } catch (error) {
+        // 壊れたマーカーは無視する
+      }
+    }
+  }
+  return markers;
+}
+
+/**
+ * 前回の状態からカーソルを取得
+ * recentCommunications の日時で新着を判定していた以前の状態は、その最新の日時までを処理済みとみなす
+ * @returns {Object|null} { time, processed: [communicationKey] }（状態がない場合は null）
+ */
+function getSyncCursor(previousCase) {
+  if (!previousCase) {
+    return null;
+  }
+  if (previousCase.syncCursor) {
+    return previousCase.syncCursor;
+  }
+
+  let cursor = null;
+  for (const communication of sortByTime((previousCase.recentCommunications || {}).communications || [])) {
+    cursor = advanceCursor(cursor, communication);
+  }
+  return cursor;
+}
+
+/**
+ * カーソルを1件進める
+ */
+function advanceCursor(cursor, communication) {
+  const key = communicationKey(communication);
+  if (cursor && Date.parse(cursor.time) === Date.parse(communication.timeCreated)) {
+    return { time: cursor.time, processed: [...cursor.processed, key] };
+  }
+  return { time: communication.timeCreated, processed: [key] };
+}
+
+/**
+ * メッセージを古い順に並べる（同じ日時は元の順序のまま）
+ */
+function sortByTime(communications) {
+  return [...communications].sort((a, b) => Date.parse(a.timeCreated) - Date.parse(b.timeCreated));
+}
+
+/**
+ * カーソルより後のメッセージを古い順に取得（DescribeCommunications の全ページ）
+ * @param {AWSSupportClient} client
+ * @param {string} caseId - Case ID
+ * @param {Object|null} cursor - getSyncCursor の戻り値（null の場合は全履歴）
+ * @returns {Promise<Object[]>}
+ */
+async function fetchNewCommunications(client, caseId, cursor) {
+  const options = cursor
+    ? { afterTime: new Date(Date.parse(cursor.time) - FETCH_OVERLAP_MS).toISOString() }
+    : {};
+  // DescribeCommunications は新しい順に返す
+  const communications = sortByTime((await client.describeAllCommunications(caseId, options)).reverse());
+  if (!cursor) {
+    return communications;
+  }
+
+  const cursorTime = Date.parse(cursor.time);
+  const processed = [...cursor.processed];
+  return communications.filter(communication => {
+    const time = Date.parse(communication.timeCreated);
+    if (time !== cursorTime) {
+      return time > cursorTime;
+    }
+    const index = processed.indexOf(communicationKey(communication));
+    if (index === -1) {
+      return true;
+    }
+    processed.splice(index, 1);
+    return false;
+  });
+}
+
+/**
+ * Issue のコメントから、投稿しないメッセージ（このリポジトリから送った・投稿済み）を判定する関数を作成
+ * マーカーは1件のメッセージにつき1回だけ使う（同じ本文を2回送った場合は2件とも判定する）
+ * @param {Object[]} comments - Issue のコメント
+ * @param {string} caseId - Case ID
+ * @returns {Function} (communication) => 'sent' | 'posted' | null
+ */
+function createMessageClassifier(comments, caseId, github) {
+  // ユーザーが書いたマーカーでメッセージを隠せないよう、bot のコメントだけを使う
+  const botComments = comments.filter(comment => isBotAuthored(comment, github));
+  const sent = parseMarkers(botComments, SENT_MARKER, caseId);
+  const posted = parseMarkers(botComments, COMMUNICATION_MARKER, caseId);
+
+  const take = (markers, predicate) => {
+    const index = markers.findIndex(predicate);
+    if (index === -1) {
+      return false;
+    }
+    markers.splice(index, 1);
+    return true;
+  };
+
+  return communication => {
+    const key = communicationKey(communication);
+    const time = Date.parse(communication.timeCreated);
+    if (take(posted, marker => marker.key === key && Date.parse(marker.time) === time)) {
+      return 'posted';
+    }
+    const bodyDigest = digest(normalizeBody(communication.body));
+    if (communication.submittedBy !== AWS_SUBMITTER &&
+      take(sent, marker => marker.digest === bodyDigest && Math.abs(Date.parse(marker.sentAt) - time) <= SENT_MATCH_WINDOW_MS)) {
+      return 'sent';
+    }
+    return null;
+  };
+}
+
+/**
+ * メッセージの添付ファイルをダウンロード（失敗したファイルは error に理由を入れる）
+ * @returns {Promise<Object[]>} [{ fileName, data, error }]
+ */
+async function loadCommunicationAttachments(client, communication) {
+  const files = [];
+  for (const attachment of communication.attachmentSet || []) {
+    try {
+      const { attachment: file } = await client.describeAttachment(attachment.attachmentId);
+      files.push({ fileName: file.fileName || attachment.fileName, data: file.data });
+    } catch (error) {
+      console.warn(`⚠️  Failed to download attachment ${attachment.fileName}: ${error.message}`);
+      files.push({ fileName: attachment.fileName, error: error.message });
+    }
+  }
+  return files;
+}
+
+/**
+ * テキストをコードブロックで囲むフェンス
+ * テキスト中のバッククォートの連続より長くし、テキストのコードブロックで囲みが閉じないようにする
+ * @param {string} text - 囲むテキスト
+ * @returns {string} 3個以上のバッククォート
+ */
+function fenceFor(text) {
+  return '`'.repeat(Math.max(3, ...(String(text).match(/`+/g) || []).map(run => run.length + 1)));
+}
+
+/**
+ * 添付ファイルのセクションを作成
+ * テキストのファイルは上限まで本文に埋め込み、それ以外はファイル名とサイズを載せる
+ * （GitHub API ではコメントにファイルを添付できないため）
+ * 埋め込むテキストは redaction.js の github 向けのポリシーでマスキングする
+ * @param {Object[]} files - loadCommunicationAttachments の戻り値
+ * @param {Object} [options]
+ * @param {Object} [options.redactionPolicy] - マスキングのポリシー（既定: DEFAULT_REDACTION_POLICY）
+ */
+function formatCommunicationAttachments(files, options = {}) {
+  if (files.length === 0) {
+    return '';
+  }
+
+  let budget = INLINE_ATTACHMENT_LIMITS.maxBytesPerComment;
+  const lines = ['### 添付ファイル'];
+  for (const file of files) {
+    if (file.error) {
+      lines.push(`- 📎 ${file.fileName}: 取得できませんでした（${file.error}）。AWS Support Center で確認してください`);
+      continue;
+    }
+
+    const size = file.data.length;
+    if (!TEXT_ATTACHMENT_PATTERN.test(file.fileName) || size > INLINE_ATTACHMENT_LIMITS.maxBytesPerFile || size > budget) {
+      lines.push(`- 📎 ${file.fileName}（${formatSize(size)}）: AWS Support Center からダウンロードしてください`);
+      continue;
+    }
+
+    budget -= size;
+    const { text, redactions } = redactText(file.data.toString('utf8'), {
+      policy: options.redactionPolicy || DEFAULT_REDACTION_POLICY,
+      destination: 'github'
+    });
+    const redacted = redactions.reduce((total, entry) => total + entry.count, 0);
+    const fence = fenceFor(text);
+    lines.push(
+      '<details>',
+      `<summary>📎 ${file.fileName}（${formatSize(size)}${redacted > 0 ? `、${redacted}件をマスキング` : ''}）</summary>`,
+      '',
+      fence,
+      text,
+      fence,
+      '</details>'
+    );
+  }
+  return `${lines.join('\n')}\n\n`;
+}
+
+module.exports = {
+  fetchNewCommunications,
+  getSyncCursor,
+  advanceCursor,
+  createMessageClassifier,
+  loadCommunicationAttachments,
+  formatCommunicationAttachments,
+  fenceFor,
+  formatSentMarker,
+  formatCommunicationMarker,
+  communicationKey,
+  SENT_MARKER,
+  COMMUNICATION_MARKER
+};
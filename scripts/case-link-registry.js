@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+/**
+ * Case Link Registry
+ *
+ * GitHub Issue と AWSサポートケースの対応関係を記録するレジストリ
+ * ケース作成時に Issue番号・Case ID・Display ID・アカウント・作成日時を保存し、
+ * Issue → ケース / ケース → Issue の両方向で検索できる
+ *
+ * レジストリはケース監視の状態と同じストア（case-state-store.js。AWS_CASE_STATE_STORE）の別ファイルに保存する
+ * レジストリがない環境（Actions の新しいチェックアウトなど）・記録がない場合は、
+ * ボットが投稿したケース作成コメントの隠しマーカーをスキャンして再構築する
+ * （ボット以外が投稿したマーカーは無視し、同じケースのマーカーが複数ある場合は最初のものを使う）
+ */
+
+const { GitHubClient, isBotAuthored, getCommentIssueNumber } = require('./github-client');
+const { acquireFileLock } = require('./file-lock');
+const { createStateStore } = require('./case-state-store');
+const { LockError } = require('./support-errors');
+
+const DEFAULT_REGISTRY_FILE = '.aws-case-links.json';
+// git-branch・gist のストアに保存するファイル名
+const DEFAULT_REGISTRY_PATH = 'aws-case-links.json';
+const LINK_MARKER = 'aws-support-link';
+const REGISTRY_SCHEMA_VERSION = 1;
+// 他の実行が同時に保存した場合に、読み直して記録し直す回数
+const SAVE_ATTEMPTS = 3;
+
+/**
+ * 保存されていたレジストリを解釈
+ * 壊れている場合は黙って空のレジストリにしない（/link で記録した対応関係はコメントから再構築できないため）
+ * @param {string|null} text - 保存されていた内容（ない場合は null）
+ * @param {string} source - ログに出す保存先
+ * @returns {{links: Object[]}}
+ * @throws {SyntaxError} JSON として読めない場合
+ */
+function parseRegistry(text, source) {
+  if (text === null || text.trim() === '') {
+    return { links: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new SyntaxError(`Failed to parse case link registry (${source}): ${error.message}`);
+  }
+  return { links: Array.isArray(data.links) ? data.links : [] };
+}
+
+/**
+ * case-state-store.js に保存するレジストリのドキュメント
+ */
+const LINK_REGISTRY_DOCUMENT = {
+  label: 'Case link registry',
+  parse: parseRegistry,
+  serialize: links => `${JSON.stringify({
+    version: REGISTRY_SCHEMA_VERSION,
+    updatedAt: new Date().toISOString(),
+    links
+  }, null, 2)}\n`,
+  message: links => `Update AWS support case links (${links.length} links)`
+};
+
+/**
+ * ケース作成コメントに埋め込む隠しマーカーを作成
+ * @param {Object} link - { issueNumber, caseId, displayId, account, createdAt }
+ */
+function formatLinkMarker(link) {
+  const { caseId, displayId, account, createdAt } = link;
+  return `<!-- ${LINK_MARKER} ${JSON.stringify({ caseId, displayId, account, createdAt })} -->`;
+}
+
+/**
+ * コメント本文から対応関係を抽出
+ * マーカーがない古いコメントは「AWSサポートケース作成完了」コメントの Case ID 行から読み取る
+ * @returns {Object|null} { caseId, displayId, account, createdAt }
+ */
+function parseLinkComment(body) {
+  if (!body) {
+    return null;
+  }
+
+  const marker = body.match(new RegExp(`<!-- ${LINK_MARKER} (\\{.*?\\}) -->`));
+  if (marker) {
+    try {
+      const link = JSON.parse(marker[1]);
+      return link.caseId ? link : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!body.includes('AWSサポートケース作成完了')) {
+    return null;
+  }
+  const caseId = body.match(/Case ID\**:\s*`([^`]+)`/);
+  if (!caseId) {
+    return null;
+  }
+  const displayId = body.match(/Display ID\**:\s*`([^`]+)`/);
+  const account = body.match(/Account\**:\s*`([^`]+)`/);
+  const createdAt = body.match(/作成日時\**:\s*(\S+)/);
+
+  return {
+    caseId: caseId[1],
+    displayId: displayId ? displayId[1] : caseId[1],
+    account: account ? account[1] : undefined,
+    createdAt: createdAt ? createdAt[1] : undefined
+  };
+}
+
+/**
+ * Issue ↔ ケースの対応関係レジストリ
+ */
+class CaseLinkRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.file] - file・actions-cache のレジストリファイル（既定: CASE_LINK_REGISTRY または .aws-case-links.json）
+   * @param {Object} [options.github] - git-branch・gist のストアで使う GitHubClient
+   * @param {Object} [options.store] - 保存先のストア（既定: case-state-store.js の createStateStore）
+   */
+  constructor(options = {}) {
+    this.file = options.file || process.env.CASE_LINK_REGISTRY || DEFAULT_REGISTRY_FILE;
+    this.store = options.store || createStateStore({
+      github: options.github,
+      stateFile: this.file,
+      path: DEFAULT_REGISTRY_PATH,
+      document: LINK_REGISTRY_DOCUMENT
+    });
+    this.links = [];
+    this.loaded = false;
+  }
+
+  /**
+   * ストアから読み込み
+   * @returns {Promise<Object[]>} すべての対応関係
+   */
+  async load() {
+    this.links = (await this.store.load()).links;
+    this.loaded = true;
+    return this.links;
+  }
+
+  /**
+   * 読み込んでいなければ読み込む
+   */
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * 最新のレジストリを読み込んで変更し、保存する
+   * 他の実行が先に保存していた場合（LockError）は、読み直して変更し直す
+   * @param {Function} change - 対応関係の配列を受け取り、新しい配列を返す関数
+   */
+  async update(change) {
+    for (let attempt = 1; ; attempt++) {
+      const release = await this.store.lock();
+      try {
+        await this.load();
+        this.links = change(this.links);
+        await this.store.save(this.links);
+        return;
+      } catch (error) {
+        if (!(error instanceof LockError) || attempt >= SAVE_ATTEMPTS) {
+          throw error;
+        }
+        console.warn(`⚠️  ${error.message}, retrying`);
+      } finally {
+        release();
+      }
+    }
+  }
+
+  /**
+   * 対応関係を記録（同じ Case ID の記録は上書き）
+   * @param {Object} link - { issueNumber, caseId, displayId, account, createdAt }
+   * @returns {Promise<Object>} 保存した記録
+   */
+  async link(link) {
+    const record = {
+      issueNumber: Number(link.issueNumber),
+      caseId: link.caseId,
+      displayId: link.displayId || link.caseId,
+      account: link.account,
+      createdAt: link.createdAt || new Date().toISOString()
+    };
+
+    await this.update(links => [...links.filter(l => l.caseId !== record.caseId), record]);
+    return record;
+  }
+
+  /**
+   * Case ID または Display ID から対応関係を検索
+   */
+  async findByCaseId(caseId) {
+    await this.ensureLoaded();
+    return this.links.find(l => l.caseId === caseId || l.displayId === caseId) || null;
+  }
+
+  /**
+   * Issue番号から対応関係を検索（複数ある場合は最新のケース）
+   */
+  async findByIssueNumber(issueNumber) {
+    const links = await this.findAllByIssueNumber(issueNumber);
+    return links.length > 0 ? links[links.length - 1] : null;
+  }
+
+  /**
+   * Issue番号に紐づくすべてのケース（作成日時順）
+   */
+  async findAllByIssueNumber(issueNumber) {
+    await this.ensureLoaded();
+    return this.links
+      .filter(l => l.issueNumber === Number(issueNumber))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  /**
+   * 同じランナー（同じディスク）での Issue のケース作成を排他する
+   * レジストリファイルの隣にロックファイルを作成し、取得できるまで待つ
+   * 異常終了で残ったロックは staleMs を過ぎると無視する
+   * ランナーをまたぐ実行は排他できない。Issue ごとのケース作成を1つずつにするのはワークフローの concurrency
+   * @param {number} issueNumber - Issue番号
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=120000] - ロックを待つ最大時間
+   * @param {number} [options.staleMs=600000] - ロックを無効とみなす時間
+   * @param {number} [options.retryMs=200] - ロックを確認する間隔
+   * @returns {Promise<Function>} ロックを解放する関数
+   */
+  async lockIssue(issueNumber, options = {}) {
+    const release = await acquireFileLock(`${this.file}.issue-${Number(issueNumber)}.lock`, {
+      ...options,
+      message: `Issue #${issueNumber} is locked by another run`
+    });
+
+    // 待っている間に他の実行が記録した対応関係を読み直す
+    await this.load();
+    return release;
+  }
+
+  /**
+   * すべての対応関係
+   */
+  async all() {
+    await this.ensureLoaded();
+    return [...this.links];
+  }
+
+  /**
+   * Issueコメントの一覧から対応関係を再構築
+   * ボットが投稿したコメントのマーカーだけを使い、同じケースのマーカーが複数ある場合は最初のコメントを使う
+   * （後から投稿されたマーカーでケースの Issue を付け替えられないように）。記録の日時はコメントの投稿日時
+   * 見つかった対応関係はレジストリに追加する。記録済みのケース（/link などで記録したもの）はそのまま残す
+   * @param {Object[]} comments - GitHub のコメント（投稿順。issue_url または issueNumber と body・user を持つ）
+   * @param {Object} [github] - コメントを投稿した GitHubClient（github-client.js の isBotAuthored で判別する）
+   * @returns {Promise<number>} 見つかった対応関係の数
+   */
+  async rebuildFromComments(comments, github) {
+    const links = new Map();
+
+    for (const comment of comments) {
+      if (!isBotAuthored(comment, github)) {
+        continue;
+      }
+      const parsed = parseLinkComment(comment.body);
+      if (!parsed || links.has(parsed.caseId)) {
+        continue;
+      }
+      const issueNumber = getCommentIssueNumber(comment);
+      if (!issueNumber) {
+        continue;
+      }
+      links.set(parsed.caseId, {
+        issueNumber,
+        caseId: parsed.caseId,
+        displayId: parsed.displayId || parsed.caseId,
+        account: parsed.account,
+        createdAt: comment.created_at || parsed.createdAt
+      });
+    }
+
+    await this.update(current => {
+      const recorded = new Set(current.map(l => l.caseId));
+      return [...current, ...[...links.values()].filter(l => !recorded.has(l.caseId))];
+    });
+    return links.size;
+  }
+
+  /**
+   * リポジトリのボットが作成した Issue の本文・投稿したコメントをスキャンして再構築
+   * （監視が作成した追跡用の Issue は本文にもマーカーがあるため、連携のコメントを投稿できなかった場合も見つかる）
+   * @param {GitHubClient} github - github-client.js のクライアント
+   * @returns {Promise<number>} 見つかった対応関係の数
+   */
+  async rebuildFromRepository(github) {
+    const issues = await github.listIssues();
+    const comments = await github.listRepositoryComments();
+    const items = [...issues.map(issue => ({ ...issue, issueNumber: issue.number })), ...comments]
+      .sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+    const count = await this.rebuildFromComments(items, github);
+    console.log(`🔗 Rebuilt case link registry from ${issues.length} issues and ${comments.length} comments: ${count} link(s)`);
+    return count;
+  }
+}
+
+/**
+ * メイン処理
+ *
+ * 使い方:
+ *   node scripts/case-link-registry.js rebuild
+ *   node scripts/case-link-registry.js lookup <issueNumber|caseId>
+ */
+async function main() {
+  const [command, key] = process.argv.slice(2);
+
+  try {
+    const github = GitHubClient.fromEnv();
+    const registry = new CaseLinkRegistry({ github });
+    if (command === 'rebuild') {
+      if (!github) {
+        throw new Error('GITHUB_REPOSITORY and GITHUB_TOKEN (or GitHub App credentials) are required');
+      }
+      await registry.rebuildFromRepository(github);
+    } else if (command === 'lookup' && key) {
+      const link = /^\d+$/.test(key) ? await registry.findByIssueNumber(key) : await registry.findByCaseId(key);
+      console.log(JSON.stringify(link, null, 2));
+    } else {
+      console.log('Usage: node scripts/case-link-registry.js rebuild | lookup <issueNumber|caseId>');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Case link registry failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// スクリプト実行
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  CaseLinkRegistry,
+  formatLinkMarker,
+  parseLinkComment,
+  LINK_REGISTRY_DOCUMENT,
+  DEFAULT_REGISTRY_FILE,
+  LINK_MARKER
+};
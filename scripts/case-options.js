@@ -0,0 +1,137 @@
+/**
+ * Case Options
+ *
+ * ケース作成時の CC・言語・問い合わせ種別と、チームの既定値
+ * 既定値の設定ファイル（既定: .github/aws-support/case-defaults.json）の形式:
+ *
+ * {
+ *   "ccEmailAddresses": ["aws-oncall@example.com"],
+ *   "language": "ja",
+ *   "issueType": "technical",
+ *   "accounts": {
+ *     "prod": { "ccEmailAddresses": ["prod-oncall@example.com"] }
+ *   }
+ * }
+ *
+ * 設定ファイルの CC は Issue で指定した CC に追加される（オンコールのアドレスは常に CC に入る）
+ * 言語・問い合わせ種別は Issue での指定 > アカウントごとの既定値 > チームの既定値の順に決まる
+ */
+
+const fs = require('fs');
+
+const DEFAULT_CASE_DEFAULTS_PATH = '.github/aws-support/case-defaults.json';
+
+// AWSサポートが対応しているケースの言語
+const SUPPORTED_LANGUAGES = ['ja', 'en', 'zh', 'ko'];
+// technical: 技術サポート / customer-service: アカウント・請求
+const ISSUE_TYPES = ['technical', 'customer-service'];
+const DEFAULT_ISSUE_TYPE = 'technical';
+// CreateCase の ccEmailAddresses の上限
+const MAX_CC_EMAIL_ADDRESSES = 10;
+
+const LANGUAGE_NAMES = {
+  ja: ['日本語', 'japanese'],
+  en: ['english', '英語'],
+  zh: ['中文', 'chinese', '中国語'],
+  ko: ['한국어', 'korean', '韓国語']
+};
+
+/**
+ * チームの既定値を読み込み（設定ファイルがない場合は空）
+ * @param {string} [configPath] - 設定ファイルのパス（既定: AWS_CASE_DEFAULTS または .github/aws-support/case-defaults.json）
+ */
+function loadCaseDefaults(configPath) {
+  const filePath = configPath || process.env.AWS_CASE_DEFAULTS || DEFAULT_CASE_DEFAULTS_PATH;
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * カンマ・セミコロン・空白・改行区切りのメールアドレスを配列に
+ */
+function parseEmailList(text) {
+  if (Array.isArray(text)) {
+    return text.map(email => String(email).trim()).filter(Boolean);
+  }
+  return String(text || '').split(/[,;、\s]+/).map(email => email.trim()).filter(Boolean);
+}
+
+/**
+ * 言語の選択肢（「日本語（ja）」「English」など）を言語コードに変換
+ * 対応していない値はそのまま返す（case-validator.js で報告する）
+ */
+function parseLanguage(text) {
+  const value = String(text || '').trim();
+  if (!value) {
+    return null;
+  }
+
+  const code = value.match(/[(（]\s*([a-z]{2})\s*[)）]/i) || value.match(/^([a-z]{2})$/i);
+  if (code) {
+    return code[1].toLowerCase();
+  }
+  const lower = value.toLowerCase();
+  const named = Object.entries(LANGUAGE_NAMES).find(([, names]) => names.some(name => lower.includes(name)));
+  return named ? named[0] : value;
+}
+
+/**
+ * 問い合わせ種別の選択肢を issueType に変換
+ * 対応していない値はそのまま返す（case-validator.js で報告する）
+ */
+function parseIssueType(text) {
+  const value = String(text || '').trim();
+  if (!value) {
+    return null;
+  }
+  if (/customer-service|アカウント|請求|account|billing/i.test(value)) {
+    return 'customer-service';
+  }
+  if (/technical|技術/i.test(value)) {
+    return 'technical';
+  }
+  return value;
+}
+
+/**
+ * ケースデータにチーム・アカウントの既定値を適用
+ * @param {Object} caseData - parseIssueBody の戻り値
+ * @param {Object} defaults - loadCaseDefaults の戻り値
+ * @param {Object} [account] - resolveAccount で選択したアカウント
+ * @returns {Object} ccEmailAddresses / language / issueType を決定したケースデータ
+ */
+function applyCaseDefaults(caseData, defaults = {}, account = null) {
+  const accountDefaults = (account && defaults.accounts && defaults.accounts[account.alias]) || {};
+
+  const ccEmailAddresses = [
+    ...parseEmailList(caseData.ccEmailAddresses),
+    ...parseEmailList(defaults.ccEmailAddresses),
+    ...parseEmailList(accountDefaults.ccEmailAddresses)
+  ];
+  const seen = new Set();
+
+  return {
+    ...caseData,
+    // 大文字・小文字違いの重複は1件にまとめる
+    ccEmailAddresses: ccEmailAddresses.filter(email => {
+      const key = email.toLowerCase();
+      return seen.has(key) ? false : seen.add(key);
+    }),
+    language: caseData.language || accountDefaults.language || defaults.language || null,
+    issueType: caseData.issueType || accountDefaults.issueType || defaults.issueType || DEFAULT_ISSUE_TYPE
+  };
+}
+
+module.exports = {
+  loadCaseDefaults,
+  parseEmailList,
+  parseLanguage,
+  parseIssueType,
+  applyCaseDefaults,
+  SUPPORTED_LANGUAGES,
+  ISSUE_TYPES,
+  MAX_CC_EMAIL_ADDRESSES,
+  DEFAULT_CASE_DEFAULTS_PATH
+};
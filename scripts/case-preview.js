@@ -0,0 +1,156 @@
+/**
+ * Case Preview
+ *
+ * ドライランモードで、AWS に送る CreateCase / AddCommunicationToCase のリクエストを Issue にプレビューする
+ * プレビューを確認した人が Issue に `/submit` とコメントすると、同じ内容を送信する（submit-preview.js）
+ *
+ * プレビューのコメントには送信内容のダイジェストを隠しマーカーで記録する
+ * /submit の時点で Issue 本文・/reply コメントが編集されて送信内容が変わっていた場合は、
+ * 送信せずに新しいプレビューを投稿する（確認していない内容は送らない）
+ */
+
+const crypto = require('crypto');
+const { formatRedactionSummary } = require('./redaction');
+const { isBotAuthored } = require('./github-client');
+
+const PREVIEW_MARKER = 'aws-support-preview';
+
+const PREVIEW_KINDS = {
+  create: { operation: 'CreateCase', title: 'AWSサポートケース作成のプレビュー' },
+  reply: { operation: 'AddCommunicationToCase', title: 'AWSサポートへの返信のプレビュー' }
+};
+
+/**
+ * 送信内容のダイジェスト
+ * 添付ファイルはアップロード前のため、ファイル名と内容（URL のものは URL）で比較する
+ * @param {string} kind - 'create' | 'reply'
+ * @param {Object} params - buildCreateCaseRequest / buildAddCommunicationRequest の params
+ * @param {Object[]} [attachments] - extractAttachments の attachments
+ */
+function computePreviewDigest(kind, params, attachments = []) {
+  const files = attachments.map(attachment => (attachment.url
+    ? { fileName: attachment.fileName, url: attachment.url }
+    : { fileName: attachment.fileName, sha256: sha256(attachment.data) }));
+
+  return sha256(JSON.stringify({ kind, params, files })).slice(0, 16);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+/**
+ * プレビューのコメント本文を作成
+ * @param {Object} preview
+ * @param {string} preview.kind - 'create' | 'reply'
+ * @param {Object} preview.params - 送信するリクエスト（マスキング済み）
+ * @param {string} preview.digest - computePreviewDigest の戻り値
+ * @param {Object[]} [preview.attachments] - 送信時にアップロードする添付ファイル
+ * @param {Object[]} [preview.redactions] - 送信前にマスキングした情報
+ * @param {Object} [preview.account] - 送信するアカウント
+ * @param {number} [preview.commentId] - /reply コメントの ID（返信のプレビューのみ）
+ * @param {boolean} [preview.stale=false] - /submit の時点で内容が変わっていたため作り直したプレビューか
+ */
+function formatPreviewComment(preview) {
+  const { kind, params, digest, attachments = [], redactions = [], account, commentId, stale = false } = preview;
+  const { operation, title } = PREVIEW_KINDS[kind];
+  const marker = `<!-- ${PREVIEW_MARKER} ${JSON.stringify({ kind, digest, status: 'pending', commentId })} -->`;
+
+  const staleNote = stale
+    ? `> ⚠️ プレビューの後に${kind === 'create' ? ' Issue 本文' : ' /reply コメント'}が編集され、送信内容が変わったため送信していません。以下の新しい内容を確認してください。\n\n`
+    : '';
+  const accountLine = account
+    ? `\n- **Account**: \`${account.alias}\`${account.accountId ? ` (${account.accountId})` : ''}`
+    : '';
+  const attachmentSection = attachments.length > 0
+    ? `### 送信時にアップロードする添付ファイル\n${attachments.map(a => `- 📎 ${a.fileName || a.url}`).join('\n')}\n\n`
+    : '';
+  const editStep = kind === 'create'
+    ? 'Issue 本文を編集してください。新しいプレビューを投稿します'
+    : '`/reply` をコメントし直してください';
+
+  return `## 👀 ${title}（ドライラン）
+
+${staleNote}ドライランモードのため、AWSにはまだ送信していません。\`/submit\` で以下の内容を送信します。
+
+- **Operation**: \`${operation}\`${accountLine}
+
+<details>
+<summary>${operation} のリクエスト</summary>
+
+\`\`\`json
+${JSON.stringify(params, null, 2)}
+\`\`\`
+
+</details>
+
+${attachmentSection}${formatRedactionSummary(redactions)}### 次のステップ
+- 内容に問題がなければ、このIssueに \`/submit\` とコメントしてください
+- 修正する場合は${editStep}
+
+---
+
+*このコメントは自動生成されました*
+
+${marker}
+`;
+}
+
+/**
+ * コメント本文からプレビューの情報を取得
+ * @returns {Object|null} { kind, digest, status, commentId }（プレビューのコメントではない場合は null）
+ */
+function parsePreviewComment(body) {
+  const match = (body || '').match(new RegExp(`<!-- ${PREVIEW_MARKER} (\\{.*?\\}) -->`));
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Issue の送信待ちのプレビューを取得
+ * 最新のプレビューだけが対象（古いプレビューは新しいプレビューで置き換えられたものとして扱う）
+ * ボットが投稿したプレビューだけを使う（ユーザーが書いたマーカーで送信する内容を選ばせない）
+ * @param {string} [kind] - 'create' | 'reply'（指定した場合はその種類のプレビューだけ）
+ * @returns {Promise<Object|null>} { id, body, kind, digest, status, commentId }
+ */
+async function findPendingPreview(github, issueNumber, kind) {
+  const comments = await github.listComments(issueNumber);
+  for (const comment of comments.reverse()) {
+    const preview = isBotAuthored(comment, github) ? parsePreviewComment(comment.body) : null;
+    if (preview) {
+      return preview.status === 'pending' && (!kind || preview.kind === kind)
+        ? { id: comment.id, body: comment.body, ...preview }
+        : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * プレビューを送信済みにする（同じプレビューを2回送信しないように）
+ * @param {Object} preview - findPendingPreview の戻り値
+ */
+async function markPreviewSubmitted(github, preview) {
+  const { id, body, ...data } = preview;
+  const marker = `<!-- ${PREVIEW_MARKER} ${JSON.stringify({ ...data, status: 'submitted' })} -->`;
+  const updated = body
+    .replace(/^(## .*)$/m, `$1\n\n> ✅ \`/submit\` により送信しました（${new Date().toISOString()}）`)
+    .replace(new RegExp(`<!-- ${PREVIEW_MARKER} \\{.*?\\} -->`), marker);
+
+  return github.updateComment(id, updated);
+}
+
+module.exports = {
+  computePreviewDigest,
+  formatPreviewComment,
+  parsePreviewComment,
+  findPendingPreview,
+  markPreviewSubmitted,
+  PREVIEW_MARKER
+};
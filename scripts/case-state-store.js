@@ -0,0 +1,373 @@
+/**
+ * Case State Store
+ *
+ * ケース監視（monitor-cases.js）が前回の状態（ケースのステータス・やり取りのカーソル）を保存するストア
+ * GitHub ホストランナーの作業ディレクトリは実行ごとに消えるため、実行をまたいで残る場所を選ぶ
+ *
+ * バックエンド（AWS_CASE_STATE_STORE）:
+ *   file          - ローカルファイル（既定。セルフホストランナー・ローカル実行向け）
+ *   actions-cache - ローカルファイル。ワークフローの actions/cache で実行の前に復元し、後に保存する
+ *   git-branch    - リポジトリの専用ブランチのファイル（Contents API。contents: write 権限が必要）
+ *   gist          - Gist のファイル（gist 権限のあるトークンが必要。GITHUB_TOKEN では書き込めない）
+ *
+ * 同時に実行された監視どうしで状態を上書きし合わないよう、file はロックファイルで排他し、
+ * git-branch・gist は読み込んだ時点の版と保存先の版が異なる場合（別の実行が保存した場合）は保存せずに LockError にする
+ *
+ * 壊れた状態（JSON として読めない内容）は黙って空の状態にせず、どのバックエンドでも読み込みを失敗させる
+ *
+ * 状態はスキーマのバージョン付きで保存し、古い形式は読み込み時に移行する
+ *   1: ケースの配列（recentCommunications の日時で新着を判定していた形式）
+ *   2: { version, updatedAt, cases: { [caseId]: ケース } }（ケースごとのカーソル syncCursor を持つ）
+ *
+ * 保存する内容の解釈・書き出しはドキュメント（options.document）で差し替えられる
+ * （case-link-registry.js の Issue ↔ ケースの対応関係も、同じバックエンドの別ファイルに保存する）
+ */
+
+const fs = require('fs');
+const { GitHubClient } = require('./github-client');
+const { acquireFileLock, writeFileAtomic } = require('./file-lock');
+const { getSyncCursor } = require('./case-conversation');
+const { LockError } = require('./support-errors');
+
+const STATE_SCHEMA_VERSION = 2;
+const STATE_STORE_BACKENDS = ['file', 'actions-cache', 'git-branch', 'gist'];
+
+const DEFAULT_STATE_FILE = '.aws-case-state.json';
+const DEFAULT_STATE_BRANCH = 'aws-support-state';
+const DEFAULT_STATE_PATH = 'aws-case-state.json';
+
+// 監視1回分の処理時間より長くする（異常終了した実行のロックだけを無効とみなす）
+const STATE_LOCK_STALE_MS = 30 * 60 * 1000;
+
+/**
+ * 空の状態
+ */
+function createEmptyState() {
+  return { version: STATE_SCHEMA_VERSION, updatedAt: null, cases: {} };
+}
+
+/**
+ * 保存されていた状態を現在のスキーマに移行
+ * このスクリプトより新しいスキーマの状態は、上書きすると情報が失われるためエラーにする
+ * @param {any} data - 保存されていた JSON
+ * @returns {Object} { version, updatedAt, cases }
+ */
+function migrateState(data) {
+  if (Array.isArray(data)) {
+    const cases = {};
+    for (const entry of data) {
+      if (entry && entry.caseId) {
+        const { recentCommunications, ...rest } = entry;
+        cases[entry.caseId] = { ...rest, syncCursor: getSyncCursor(entry) };
+      }
+    }
+    return { version: STATE_SCHEMA_VERSION, updatedAt: null, cases };
+  }
+
+  if (data && typeof data === 'object' && Number.isInteger(data.version)) {
+    if (data.version > STATE_SCHEMA_VERSION) {
+      throw new Error(
+        `Case state schema version ${data.version} is newer than supported (${STATE_SCHEMA_VERSION}). Update the scripts`
+      );
+    }
+    if (data.version === STATE_SCHEMA_VERSION) {
+      return { version: STATE_SCHEMA_VERSION, updatedAt: data.updatedAt || null, cases: data.cases || {} };
+    }
+  }
+
+  throw new Error('Unrecognized case state format');
+}
+
+/**
+ * 保存されていた JSON を解釈して移行
+ * @param {string|null} text - 保存されていた内容（ない場合は null）
+ * @param {string} source - ログに出す保存先
+ * @throws {SyntaxError} JSON として読めない場合
+ */
+function parseState(text, source) {
+  if (text === null || text.trim() === '') {
+    return createEmptyState();
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new SyntaxError(`Failed to parse case state (${source}): ${error.message}`);
+  }
+
+  const state = migrateState(data);
+  if (data.version !== STATE_SCHEMA_VERSION) {
+    console.log(`🔄 Migrated case state (${source}) to schema version ${STATE_SCHEMA_VERSION}`);
+  }
+  return state;
+}
+
+/**
+ * 保存する JSON
+ * @param {Object[]} cases - ケースの状態（caseId を持つ）
+ */
+function serializeState(cases) {
+  const state = {
+    version: STATE_SCHEMA_VERSION,
+    updatedAt: new Date().toISOString(),
+    cases: Object.fromEntries(cases.map(entry => [entry.caseId, entry]))
+  };
+  return `${JSON.stringify(state, null, 2)}\n`;
+}
+
+/**
+ * ケースの状態のドキュメント
+ * label: ログ・エラーに出す名前 / parse: 保存されていた内容の解釈 / serialize: 保存する内容 / message: コミットメッセージ
+ */
+const CASE_STATE_DOCUMENT = {
+  label: 'Case state',
+  parse: parseState,
+  serialize: serializeState,
+  message: cases => `Update AWS support case state (${cases.length} cases)`
+};
+
+/**
+ * ローカルファイルのストア
+ */
+class FileStateStore {
+  /**
+   * @param {Object} [options] - { file（既定: .aws-case-state.json）, lockOptions（file-lock.js の options）, document }
+   */
+  constructor(options = {}) {
+    this.backend = options.backend || 'file';
+    this.file = options.file || DEFAULT_STATE_FILE;
+    this.lockOptions = options.lockOptions || {};
+    this.document = options.document || CASE_STATE_DOCUMENT;
+  }
+
+  get location() {
+    return this.file;
+  }
+
+  /**
+   * 状態ファイルの隣にロックファイルを作成し、取得できるまで待つ
+   * @returns {Promise<Function>} ロックを解放する関数
+   */
+  async lock() {
+    return acquireFileLock(`${this.file}.lock`, {
+      staleMs: STATE_LOCK_STALE_MS,
+      ...this.lockOptions,
+      message: `${this.document.label} is locked by another run`
+    });
+  }
+
+  /**
+   * JSON として読めないファイルは読み込みを失敗させる（ファイルはそのまま残し、直すまで上書きしない）
+   */
+  async load() {
+    const text = fs.existsSync(this.file) ? fs.readFileSync(this.file, 'utf8') : null;
+    return this.document.parse(text, this.file);
+  }
+
+  async save(entries) {
+    writeFileAtomic(this.file, this.document.serialize(entries));
+  }
+}
+
+/**
+ * リポジトリの専用ブランチのファイルに保存するストア
+ * ブランチはデフォルトブランチと履歴を共有しない（状態のファイルだけのブランチ）。初回の保存で作成する
+ */
+class GitBranchStateStore {
+  /**
+   * @param {Object} options - { github（GitHubClient）, branch, path, document }
+   */
+  constructor(options = {}) {
+    if (!options.github) {
+      throw new Error('GitHub client is required for the git-branch case state store');
+    }
+    this.backend = 'git-branch';
+    this.github = options.github;
+    this.branch = options.branch || DEFAULT_STATE_BRANCH;
+    this.path = options.path || DEFAULT_STATE_PATH;
+    this.document = options.document || CASE_STATE_DOCUMENT;
+    this.loaded = false;
+    this.sha = null;
+    this.branchExists = false;
+  }
+
+  get location() {
+    return `${this.github.repository}@${this.branch}:${this.path}`;
+  }
+
+  /**
+   * 保存時に版を確認するため、ロックファイルは使わない
+   */
+  async lock() {
+    return () => {};
+  }
+
+  async load() {
+    const file = await this.github.getRepositoryFile(this.path, this.branch);
+    this.sha = file ? file.sha : null;
+    this.branchExists = file ? true : Boolean(await this.github.getBranch(this.branch));
+    this.loaded = true;
+    return this.document.parse(file ? file.content : null, this.location);
+  }
+
+  async save(entries) {
+    if (!this.loaded) {
+      throw new Error(`${this.document.label} must be loaded before it is saved`);
+    }
+
+    const content = this.document.serialize(entries);
+    const message = this.document.message(entries);
+    try {
+      if (this.branchExists) {
+        const result = await this.github.putRepositoryFile(this.path, {
+          content,
+          message,
+          branch: this.branch,
+          sha: this.sha || undefined
+        });
+        this.sha = result.content.sha;
+      } else {
+        await this.github.createOrphanBranch(this.branch, this.path, content, message);
+        const file = await this.github.getRepositoryFile(this.path, this.branch);
+        this.sha = file ? file.sha : null;
+        this.branchExists = true;
+      }
+    } catch (error) {
+      // 409: 読み込んだ後にファイルが更新された / 422: ブランチ・ファイルが作成された
+      if (error.statusCode === 409 || error.statusCode === 422) {
+        throw new LockError(`${this.document.label} (${this.location}) was updated by another run`, { cause: error });
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Gist のファイルに保存するストア（Gist はあらかじめ作成しておく）
+ * Gist API には条件付きの更新がないため、保存の直前に最新の版を読み込んだ時点の版と比べる
+ */
+class GistStateStore {
+  /**
+   * @param {Object} options - { github（gist 権限のあるトークンの GitHubClient）, gistId, fileName, document }
+   */
+  constructor(options = {}) {
+    if (!options.github) {
+      throw new Error('GitHub client is required for the gist case state store');
+    }
+    if (!options.gistId) {
+      throw new Error('AWS_CASE_STATE_GIST_ID is required for the gist case state store');
+    }
+    this.backend = 'gist';
+    this.github = options.github;
+    this.gistId = options.gistId;
+    this.fileName = options.fileName || DEFAULT_STATE_PATH;
+    this.document = options.document || CASE_STATE_DOCUMENT;
+    this.loaded = false;
+    this.version = null;
+  }
+
+  get location() {
+    return `gist:${this.gistId}/${this.fileName}`;
+  }
+
+  /**
+   * 保存時に版を確認するため、ロックファイルは使わない
+   */
+  async lock() {
+    return () => {};
+  }
+
+  async load() {
+    const gist = await this.github.getGist(this.gistId);
+    const file = (gist.files || {})[this.fileName];
+    if (file && file.truncated) {
+      throw new Error(`${this.document.label} in ${this.location} is too large to read through the Gist API`);
+    }
+    this.version = latestGistVersion(gist);
+    this.loaded = true;
+    return this.document.parse(file ? file.content : null, this.location);
+  }
+
+  async save(entries) {
+    if (!this.loaded) {
+      throw new Error(`${this.document.label} must be loaded before it is saved`);
+    }
+
+    const current = latestGistVersion(await this.github.getGist(this.gistId));
+    if (current !== this.version) {
+      throw new LockError(`${this.document.label} (${this.location}) was updated by another run`);
+    }
+    const gist = await this.github.updateGist(this.gistId, { [this.fileName]: this.document.serialize(entries) });
+    this.version = latestGistVersion(gist);
+  }
+}
+
+function latestGistVersion(gist) {
+  return (gist.history && gist.history[0] && gist.history[0].version) || null;
+}
+
+/**
+ * 設定（引数・環境変数）に応じたストアを作成
+ * @param {Object} [options]
+ * @param {string} [options.backend] - バックエンド（既定: AWS_CASE_STATE_STORE または file）
+ * @param {string} [options.stateFile] - file・actions-cache の状態ファイル（既定: AWS_CASE_STATE_FILE または .aws-case-state.json）
+ * @param {string} [options.path] - git-branch・gist のファイル名（既定: AWS_CASE_STATE_PATH または aws-case-state.json）
+ * @param {Object} [options.github] - git-branch・gist で使う GitHubClient
+ * @param {Object} [options.document] - 保存する内容（既定: ケースの状態）
+ * @param {Object} [env=process.env]
+ */
+function createStateStore(options = {}, env = process.env) {
+  const backend = options.backend || env.AWS_CASE_STATE_STORE || 'file';
+
+  switch (backend) {
+    case 'file':
+    case 'actions-cache':
+      // actions-cache のファイルの復元・保存はワークフローの actions/cache が行う
+      return new FileStateStore({
+        backend,
+        file: options.stateFile || env.AWS_CASE_STATE_FILE || DEFAULT_STATE_FILE,
+        lockOptions: options.lockOptions,
+        document: options.document
+      });
+
+    case 'git-branch':
+      return new GitBranchStateStore({
+        github: options.github,
+        branch: env.AWS_CASE_STATE_BRANCH,
+        path: options.path || env.AWS_CASE_STATE_PATH,
+        document: options.document
+      });
+
+    case 'gist': {
+      // GITHUB_TOKEN は Gist に書き込めないため、専用のトークンがあればそれを使う
+      const github = env.AWS_CASE_STATE_GIST_TOKEN
+        ? new GitHubClient({
+          repository: (options.github && options.github.repository) || env.GITHUB_REPOSITORY,
+          baseUrl: env.GITHUB_API_URL,
+          token: env.AWS_CASE_STATE_GIST_TOKEN
+        })
+        : options.github;
+      return new GistStateStore({
+        github,
+        gistId: env.AWS_CASE_STATE_GIST_ID,
+        fileName: options.path || env.AWS_CASE_STATE_PATH,
+        document: options.document
+      });
+    }
+
+    default:
+      throw new Error(`Unknown case state store: ${backend} (${STATE_STORE_BACKENDS.join(' / ')})`);
+  }
+}
+
+module.exports = {
+  createStateStore,
+  migrateState,
+  FileStateStore,
+  GitBranchStateStore,
+  GistStateStore,
+  STATE_SCHEMA_VERSION,
+  STATE_STORE_BACKENDS,
+  DEFAULT_STATE_FILE
+};
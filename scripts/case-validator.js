@@ -0,0 +1,195 @@
+/**
+ * Case Validator
+ *
+ * AWSサポートケースを作成する前に、ケースデータを AWS の制限と照合する
+ * - 件名・本文の長さ
+ * - Issue フォームの必須項目・選択肢（issue-form-parser.js の検証結果）
+ * - アカウントのサポートプランで指定できる重要度（DescribeSeverityLevels）
+ * - 実在するサービスコード・カテゴリコード（DescribeServices）
+ * - CC のメールアドレス・ケースの言語・問い合わせ種別
+ *
+ * 問題はすべて集めて返し、Issue には項目ごとの一覧を1件のコメントとして投稿する
+ * 問題が解消されるまで CreateCase は送信しない
+ */
+
+const { SUPPORTED_LANGUAGES, ISSUE_TYPES, MAX_CC_EMAIL_ADDRESSES } = require('./case-options');
+
+const VALIDATION_MARKER = 'aws-support-validation';
+
+// ケースデータの制限
+const CASE_LIMITS = {
+  // 件名（切り捨てずに、長すぎる場合は修正を求める）
+  subjectMaxLength: 250,
+  // CreateCase の communicationBody の上限
+  bodyMaxLength: 8000
+};
+
+// Issue フォームに対応する項目がない場合の表示名
+const DEFAULT_LABELS = {
+  subject: '件名',
+  body: 'ケース本文',
+  severity: '重要度',
+  category: 'カテゴリ',
+  serviceCode: 'AWSサービス',
+  ccEmailAddresses: 'CC',
+  language: 'ケースの言語',
+  issueType: '問い合わせ種別'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * ケースデータを検証
+ * @param {Object} caseData - parseIssueBody の戻り値
+ *   errors: Issue フォームの検証エラー、formFields: { subject: { id, label }, ... }（ケースの項目 → フォームの項目）
+ * @param {Object} [options]
+ * @param {AWSSupportClient} [options.client] - 重要度・サービスを照会するクライアント（省略時は AWS への照会を行わない）
+ * @returns {Promise<{valid: boolean, errors: Object[]}>} errors: [{ field, label, message }]
+ */
+async function validateCaseData(caseData, options = {}) {
+  const { client } = options;
+  const errors = [...(caseData.errors || [])];
+  const formFields = caseData.formFields || {};
+
+  // 同じ項目の問題はフォームの検証結果を優先し、1項目につき1件にする
+  const addError = (key, message) => {
+    const field = formFields[key] || { id: key, label: DEFAULT_LABELS[key] };
+    if (!errors.some(error => error.field === field.id)) {
+      errors.push({ field: field.id, label: field.label, message });
+    }
+  };
+
+  const subject = caseData.subject || '';
+  if (!subject.trim()) {
+    addError('subject', '入力必須の項目です');
+  } else if (subject.length > CASE_LIMITS.subjectMaxLength) {
+    addError('subject', `${CASE_LIMITS.subjectMaxLength}文字以内にしてください（現在 ${subject.length}文字）`);
+  }
+
+  const body = caseData.body || '';
+  if (!body.trim()) {
+    addError('body', '詳細説明などケースの本文になる項目を入力してください');
+  } else if (body.length > CASE_LIMITS.bodyMaxLength) {
+    addError('body', `${CASE_LIMITS.bodyMaxLength}文字以内にしてください（現在 ${body.length}文字）。ログは要点のみ記載してください`);
+  }
+
+  const ccEmailAddresses = caseData.ccEmailAddresses || [];
+  const invalidEmails = ccEmailAddresses.filter(email => !EMAIL_PATTERN.test(email));
+  if (invalidEmails.length > 0) {
+    addError('ccEmailAddresses', `メールアドレスの形式ではありません: ${invalidEmails.join(', ')}`);
+  } else if (ccEmailAddresses.length > MAX_CC_EMAIL_ADDRESSES) {
+    addError(
+      'ccEmailAddresses',
+      `${MAX_CC_EMAIL_ADDRESSES}件以内にしてください（チームの既定の CC を含めて ${ccEmailAddresses.length}件）`
+    );
+  }
+
+  if (caseData.language && !SUPPORTED_LANGUAGES.includes(caseData.language)) {
+    addError('language', `\`${caseData.language}\` には対応していません（指定可能: ${SUPPORTED_LANGUAGES.join(', ')}）`);
+  }
+  if (caseData.issueType && !ISSUE_TYPES.includes(caseData.issueType)) {
+    addError('issueType', `\`${caseData.issueType}\` には対応していません（指定可能: ${ISSUE_TYPES.join(', ')}）`);
+  }
+
+  if (client) {
+    const { severityLevels = [] } = await client.describeSeverityLevels();
+    const severityCodes = severityLevels.map(level => level.code);
+    if (severityCodes.length > 0 && !severityCodes.includes(caseData.severity)) {
+      addError(
+        'severity',
+        `重要度 \`${caseData.severity}\` はこのアカウントのサポートプランでは指定できません（指定可能: ${severityCodes.join(', ')}）`
+      );
+    }
+
+    const { services = [] } = await client.describeServices([caseData.serviceCode]);
+    const service = services.find(s => s.code === caseData.serviceCode);
+    if (!service) {
+      addError('serviceCode', `サービスコード \`${caseData.serviceCode}\` は AWS Support に存在しません`);
+    } else if (!(service.categories || []).some(category => category.code === caseData.category)) {
+      addError(
+        'category',
+        `カテゴリ \`${caseData.category}\` は ${service.name} では指定できません` +
+        `（指定可能: ${(service.categories || []).map(category => category.code).join(', ')}）`
+      );
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 検証結果のコメント本文を作成
+ * 隠しマーカーで状態（failed / passed）を記録し、Issue の編集後に再検証する対象を判定できるようにする
+ * @param {{valid: boolean, errors: Object[]}} validation - validateCaseData の戻り値
+ */
+function formatValidationComment(validation) {
+  const marker = `<!-- ${VALIDATION_MARKER} ${JSON.stringify({ status: validation.valid ? 'passed' : 'failed' })} -->`;
+
+  if (validation.valid) {
+    return `## ✅ 入力内容の問題は解消されました
+
+AWSサポートケースの作成に進みます。
+
+---
+
+*このコメントは自動生成されました*
+
+${marker}
+`;
+  }
+
+  const rows = validation.errors
+    .map(error => `| ${escapeCell(error.label || error.field)} | ${escapeCell(error.message)} |`)
+    .join('\n');
+
+  return `## ⚠️ AWSサポートケースの入力内容を確認してください
+
+以下の項目に問題があるため、AWSサポートケースはまだ作成していません。
+
+| 項目 | 問題 |
+|------|------|
+${rows}
+
+### 次のステップ
+1. Issue 本文を編集して上記の項目を修正
+2. 保存すると自動的に再検証され、問題がなければケースが作成されます
+
+---
+
+*このコメントは自動生成されました*
+*検証日時: ${new Date().toISOString()}*
+
+${marker}
+`;
+}
+
+/**
+ * コメント本文から検証結果の状態を取得
+ * @returns {string|null} 'failed' | 'passed' | null（検証コメントではない）
+ */
+function parseValidationComment(body) {
+  const match = (body || '').match(new RegExp(`<!-- ${VALIDATION_MARKER} (\\{.*?\\}) -->`));
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[1]).status || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 表のセルに入れられるようにエスケープ
+ */
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+module.exports = {
+  validateCaseData,
+  formatValidationComment,
+  parseValidationComment,
+  CASE_LIMITS,
+  EMAIL_PATTERN
+};
@@ -0,0 +1,283 @@
+/**
+ * Command Authorization
+ *
+ * Issue コメントのコマンドを実行してよいかを、コマンドの認可ポリシーで判定する
+ * 公開リポジトリでは誰でもコメントできるため、AWS のケースに送信・変更するコマンド（changesCase）は
+ * リポジトリの権限と、ポリシーで許可したユーザー・チームで実行できる人を制限する
+ *
+ * ポリシー（.github/aws-support/command-policy.json）:
+ *   requiredPermission: ケースを変更するコマンドに必要なリポジトリの権限（既定: write）
+ *   users / teams: ケースを変更するコマンドを実行できるユーザー・チーム（'org/team-slug'。省略時は権限だけで判定）
+ *   commands.<コマンド名>: { permission, users, teams } コマンドごとに必要な権限を引き上げ、実行できる人をさらに絞る
+ *
+ * 拒否したコマンドには、監査記録のコメント（aws-support-audit マーカー付き）を残す
+ */
+
+const fs = require('fs');
+const { COMMANDS } = require('./comment-commands');
+
+const DEFAULT_COMMAND_POLICY_PATH = '.github/aws-support/command-policy.json';
+
+// リポジトリの権限（弱い順）。GitHub の role_name と同じ名前
+const PERMISSION_LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+// 監査記録のコメントに埋め込むマーカー
+const AUDIT_MARKER = 'aws-support-audit';
+
+const DEFAULT_COMMAND_POLICY = {
+  requiredPermission: 'write',
+  users: [],
+  teams: [],
+  commands: {}
+};
+
+/**
+ * コマンドの認可ポリシーを読み込み（設定ファイルがない場合は既定のポリシー）
+ * @param {string} [policyPath] - 設定ファイルのパス（既定: AWS_COMMAND_POLICY または .github/aws-support/command-policy.json）
+ * @returns {Object} { source（設定ファイルのパス。既定のポリシーの場合は null）, requiredPermission, users, teams, commands }
+ */
+function loadCommandPolicy(policyPath) {
+  const filePath = policyPath || process.env.AWS_COMMAND_POLICY || DEFAULT_COMMAND_POLICY_PATH;
+  const exists = fs.existsSync(filePath);
+  const config = exists ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+
+  const policy = {
+    source: exists ? filePath : null,
+    requiredPermission: validatePermission(config.requiredPermission || DEFAULT_COMMAND_POLICY.requiredPermission, 'requiredPermission'),
+    ...validateAllowList(config, ''),
+    commands: {}
+  };
+
+  for (const [name, rule] of Object.entries(config.commands || {})) {
+    if (!COMMANDS[name]) {
+      throw new Error(`Unknown command in command policy: ${name} (${Object.keys(COMMANDS).join(' / ')})`);
+    }
+    policy.commands[name] = {
+      permission: rule.permission ? validatePermission(rule.permission, `commands.${name}.permission`) : undefined,
+      ...validateAllowList(rule, `commands.${name}.`)
+    };
+  }
+
+  return policy;
+}
+
+function validatePermission(permission, field) {
+  if (!PERMISSION_LEVELS.includes(permission) || permission === 'none') {
+    throw new Error(`Invalid permission for ${field}: ${permission} (${PERMISSION_LEVELS.slice(1).join(' / ')})`);
+  }
+  return permission;
+}
+
+function validateAllowList(config, prefix) {
+  const users = config.users || [];
+  const teams = config.teams || [];
+  for (const team of teams) {
+    if (!/^[^/\s]+\/[^/\s]+$/.test(team)) {
+      throw new Error(`Invalid team for ${prefix}teams: ${team} (expected 'org/team-slug')`);
+    }
+  }
+  return { users, teams };
+}
+
+// ---- 権限 ----
+
+/**
+ * ユーザーのリポジトリの権限を取得
+ * role_name は triage・maintain も区別する（カスタムロールの場合は permission の基本の権限を使う）
+ * @returns {Promise<string>} PERMISSION_LEVELS のいずれか
+ */
+async function getPermissionLevel(github, username) {
+  if (!username) {
+    return 'none';
+  }
+  const permission = await github.getCollaboratorPermission(username);
+  if (!permission) {
+    return 'none';
+  }
+  if (PERMISSION_LEVELS.includes(permission.role_name)) {
+    return permission.role_name;
+  }
+  return PERMISSION_LEVELS.includes(permission.permission) ? permission.permission : 'none';
+}
+
+/**
+ * 権限が必要な権限以上か
+ */
+function hasPermission(level, required) {
+  return PERMISSION_LEVELS.indexOf(level) >= PERMISSION_LEVELS.indexOf(required || 'write');
+}
+
+/**
+ * コマンドに必要なリポジトリの権限（コマンドの定義・ポリシーのうち最も強いもの）
+ * ポリシーで権限を引き下げることはできない
+ */
+function getRequiredPermission(commandName, policy) {
+  const spec = COMMANDS[commandName];
+  const rule = policy.commands[commandName] || {};
+  const candidates = [spec.permission, rule.permission];
+  if (spec.changesCase) {
+    candidates.push(policy.requiredPermission);
+  }
+  return candidates
+    .filter(Boolean)
+    .reduce((strongest, level) => (hasPermission(level, strongest) ? level : strongest), 'read');
+}
+
+/**
+ * ユーザーが許可リスト（users / teams）に含まれるか（どちらも空の場合は制限しない）
+ * チームの所属は Organization のチームを読める GitHub App・トークンで確認する
+ */
+async function isAllowListed(github, username, { users, teams }) {
+  if (users.length === 0 && teams.length === 0) {
+    return true;
+  }
+  if (!username) {
+    return false;
+  }
+  if (users.some(user => user.toLowerCase() === username.toLowerCase())) {
+    return true;
+  }
+  for (const team of teams) {
+    const [org, teamSlug] = team.split('/');
+    const membership = await github.getTeamMembership(org, teamSlug, username);
+    if (membership && membership.state === 'active') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * コマンドを実行してよいかを判定
+ * @param {Object} github - GitHubClient
+ * @param {string} commandName - コマンド名（COMMANDS のキー）
+ * @param {string} username - コメントした人
+ * @param {Object} [options] - { policy }（既定: loadCommandPolicy()）
+ * @returns {Promise<Object>} { allowed, command, user, permission, requiredPermission, rule, reason, policy }
+ *   rule: 拒否した規則（'permission' | 'allowlist' | 'commands.<コマンド名>'）
+ */
+async function authorizeCommand(github, commandName, username, options = {}) {
+  const policy = options.policy || loadCommandPolicy();
+  const spec = COMMANDS[commandName];
+  const requiredPermission = getRequiredPermission(commandName, policy);
+  const permission = await getPermissionLevel(github, username);
+  const decision = {
+    allowed: false,
+    command: commandName,
+    user: username || null,
+    permission,
+    requiredPermission,
+    rule: null,
+    reason: null,
+    policy: policy.source
+  };
+
+  if (!hasPermission(permission, requiredPermission)) {
+    return {
+      ...decision,
+      rule: 'permission',
+      reason: `リポジトリの権限が足りません（\`${permission}\`。\`${requiredPermission}\` 以上が必要です）`
+    };
+  }
+  if (spec.changesCase && !(await isAllowListed(github, username, policy))) {
+    return {
+      ...decision,
+      rule: 'allowlist',
+      reason: 'AWS のケースを変更するコマンドを実行できるユーザー・チームに含まれていません'
+    };
+  }
+  const rule = policy.commands[commandName];
+  if (rule && !(await isAllowListed(github, username, rule))) {
+    return {
+      ...decision,
+      rule: `commands.${commandName}`,
+      reason: `\`/${commandName}\` を実行できるユーザー・チームに含まれていません`
+    };
+  }
+
+  return { ...decision, allowed: true };
+}
+
+/**
+ * コマンドの認可ポリシーを確認し、拒否した場合は Issue に監査記録をコメントする（issueNumber がある場合）
+ * @param {Object} github - GitHubClient
+ * @param {string} commandName - コマンド名
+ * @param {Object} options - { issueNumber, commentId, author, commandPolicy }
+ * @returns {Promise<Object>} authorizeCommand の戻り値
+ */
+async function enforceCommandPolicy(github, commandName, options = {}) {
+  const { issueNumber, commentId, author } = options;
+  const decision = await authorizeCommand(github, commandName, author, { policy: options.commandPolicy });
+
+  if (decision.allowed) {
+    return decision;
+  }
+
+  console.warn(`⛔ /${commandName} by @${author || '(unknown)'} refused (${decision.rule}): ${decision.reason}`);
+  if (issueNumber) {
+    await github.createComment(issueNumber, formatAuditComment(decision, {
+      issueNumber,
+      commentId,
+      repository: github.repository
+    }));
+  }
+  return decision;
+}
+
+/**
+ * 拒否したコマンドの監査記録のコメント
+ * @param {Object} decision - authorizeCommand の戻り値
+ * @param {Object} [context] - { issueNumber, commentId, repository }
+ */
+function formatAuditComment(decision, context = {}) {
+  const { issueNumber, commentId, repository } = context;
+  const timestamp = new Date().toISOString();
+  const user = decision.user ? `@${decision.user}` : '(unknown)';
+  const commentUrl = repository && issueNumber && commentId
+    ? `https://github.com/${repository}/issues/${issueNumber}#issuecomment-${commentId}`
+    : null;
+  const marker = {
+    decision: 'denied',
+    command: decision.command,
+    user: decision.user,
+    permission: decision.permission,
+    requiredPermission: decision.requiredPermission,
+    rule: decision.rule,
+    commentId,
+    at: timestamp
+  };
+
+  return `## 🚫 \`/${decision.command}\` の実行を拒否しました
+
+${user} さんの \`/${decision.command}\` は、コマンドの認可ポリシーで許可されていないため実行していません（AWS には何も送信していません）。
+実行が必要な場合は、権限のあるメンバーに依頼してください。
+
+### 監査記録
+- **コマンド**: \`/${decision.command}\`
+- **実行した人**: ${user}
+${commentUrl ? `- **コメント**: ${commentUrl}\n` : ''}- **リポジトリの権限**: \`${decision.permission}\`（必要: \`${decision.requiredPermission}\` 以上）
+- **拒否した規則**: \`${decision.rule}\`
+- **理由**: ${decision.reason}
+- **ポリシー**: ${decision.policy ? `\`${decision.policy}\`` : '既定のポリシー（設定ファイルなし）'}
+- **日時**: ${timestamp}
+
+<!-- ${AUDIT_MARKER} ${JSON.stringify(marker)} -->
+
+---
+
+*このコメントは自動生成されました*
+`;
+}
+
+module.exports = {
+  loadCommandPolicy,
+  authorizeCommand,
+  enforceCommandPolicy,
+  getRequiredPermission,
+  getPermissionLevel,
+  hasPermission,
+  formatAuditComment,
+  PERMISSION_LEVELS,
+  AUDIT_MARKER,
+  DEFAULT_COMMAND_POLICY
+};
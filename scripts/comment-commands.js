@@ -0,0 +1,321 @@
+/**
+ * Comment Commands
+ *
+ * Issue コメントに書かれたコマンド（/reply など）を解析する
+ * コマンドの実行は issue-commands.js が行う
+ *
+ * 文法:
+ *   /<コマンド> [--<オプション> <値> | --<オプション>=<値> | <引数> ...] [テキスト]
+ *   [2行目以降の本文（Markdown）]
+ *
+ * - コマンドは行頭に書く。コードブロック内・引用（> で始まる行）内のコマンドは無視する
+ * - コマンド行より前のテキストは本文に含めない。コマンド行の残りと、それ以降のすべての行が本文になる
+ * - 本文中の引用行は除く（AWS の回答を引用して返信する場合など）。コードブロック内の行はそのまま残す
+ * - オプションと引数（/escalate の重要度など）はコマンド名の直後に書く
+ *   （オプションではない語を、定義された引数の数だけ引数として読み、残りは本文）
+ */
+
+const { parseEmailList, MAX_CC_EMAIL_ADDRESSES } = require('./case-options');
+const { EMAIL_PATTERN } = require('./case-validator');
+
+// 指定できる重要度（AWS の severityCode）
+const SEVERITY_CODES = ['low', 'normal', 'high', 'urgent', 'critical'];
+
+// コマンドの定義
+// permission: 実行に必要なリポジトリの権限（read < triage < write < maintain < admin）
+// changesCase: AWS のケースに送信・変更するコマンド（認可ポリシーの対象。command-authorization.js）
+// args: コマンド名の後に順に書く引数（type: 'emails' はカンマ区切りのメールアドレス、choices は選択肢）
+const COMMANDS = {
+  reply: {
+    usage: '/reply [--cc メールアドレス[,メールアドレス...]] メッセージ',
+    description: 'AWSサポートケースに返信します。',
+    permission: 'write',
+    changesCase: true,
+    options: { cc: 'emails' },
+    requiresBody: true,
+    help: [
+      '2行目以降もすべて本文として送信します（Markdown をそのまま送ります）',
+      '`>` で始まる引用行は送信しません',
+      '`--cc` で指定したアドレスは、この返信の CC に追加されます（10件まで）',
+      '添付したファイル・`log` のコードブロックは添付ファイルとして送信します'
+    ],
+    example: '/reply --cc oncall@example.com\n別のAZで試したところ、正常に起動できました。\n\n```log retry.log\n2025-10-24T10:00:00Z INFO started\n```'
+  },
+  submit: {
+    usage: '/submit',
+    description: 'ドライランで投稿したプレビューを AWS に送信します。',
+    permission: 'write',
+    changesCase: true
+  },
+  'force-create': {
+    usage: '/force-create',
+    description: '重複の可能性があるため保留したケースを、重複の確認をせずに作成します。',
+    permission: 'write',
+    changesCase: true
+  },
+  retry: {
+    usage: '/retry',
+    description: 'このIssueで最後に失敗した処理（ケースの作成・返信・問い合わせ文の生成）を再実行します。',
+    permission: 'triage',
+    changesCase: true
+  },
+  regenerate: {
+    usage: '/regenerate',
+    description: 'Issue の内容から AI で問い合わせ文を生成し直します。',
+    permission: 'triage'
+  },
+  status: {
+    usage: '/status',
+    description: 'AWSサポートケースの最新の状態を表示します。',
+    permission: 'read'
+  },
+  resolve: {
+    usage: '/resolve',
+    description: 'AWSサポートケースを解決済みにします。',
+    permission: 'write',
+    changesCase: true
+  },
+  reopen: {
+    usage: '/reopen [メッセージ]',
+    description: '解決済みのAWSサポートケースにメッセージを送って再オープンします。',
+    permission: 'write',
+    changesCase: true,
+    help: ['メッセージを省略した場合は、再オープンを依頼する定型文を送ります']
+  },
+  escalate: {
+    usage: `/escalate <${SEVERITY_CODES.join('|')}> [理由]`,
+    description: 'AWSサポートケースの重要度の引き上げを依頼します。',
+    permission: 'write',
+    changesCase: true,
+    args: [{ name: 'severity', label: '重要度', choices: SEVERITY_CODES }],
+    help: [
+      'AWS Support API では作成後のケースの重要度を変更できないため、引き上げの依頼をケースに送信します',
+      'サポートプランで指定できない重要度・現在より低い重要度は指定できません'
+    ],
+    example: '/escalate urgent\n本番環境の全インスタンスが起動できなくなりました。'
+  },
+  cc: {
+    usage: '/cc add|remove メールアドレス[,メールアドレス...]',
+    description: 'AWSサポートケースの CC にメールアドレスを追加・削除します。',
+    permission: 'write',
+    changesCase: true,
+    args: [
+      { name: 'action', label: '操作', choices: ['add', 'remove'] },
+      { name: 'emails', label: 'メールアドレス', type: 'emails' }
+    ],
+    help: [
+      '`add`: 指定したアドレスを CC に入れて、CC への追加を依頼する連絡をケースに送信します',
+      '`remove`: CC の変更は API でできないため、削除を依頼する連絡をケースに送信します'
+    ]
+  },
+  link: {
+    usage: '/link <Case ID または Display ID> [--account アカウント]',
+    description: '既存のAWSサポートケースをこのIssueに連携します（AWSからの回答がこのIssueに同期されます）。',
+    permission: 'maintain',
+    changesCase: true,
+    options: { account: 'string' },
+    args: [{ name: 'caseId', label: 'Case ID' }],
+    help: ['`--account` を省略した場合は既定のアカウントでケースを検索します']
+  }
+};
+
+const COMMAND_LINE = /^ {0,3}\/([a-z][a-z-]*)(?:[ \t]+(.*))?$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const QUOTE = /^ {0,3}>/;
+const OPTION = /^--([a-z][a-z-]*)(?:=(\S*)|[ \t]+(?!--)([^\s,]+(?:,[ \t]*[^\s,]+)*))?[ \t]*/;
+const ARGUMENT = /^(\S+)[ \t]*/;
+const EMAIL_LIST_ARGUMENT = /^([^\s,]+(?:,[ \t]*[^\s,]+)*)[ \t]*/;
+
+/**
+ * コードブロックの開始・終了を追跡しながら行を走査する
+ * @param {string[]} lines
+ * @param {Function} visit - (line, index, inFence) => 値を返すと走査を終了してその値を返す
+ */
+function scanLines(lines, visit) {
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const marker = lines[i].match(FENCE);
+    const wasInFence = Boolean(fence);
+    if (fence && marker && marker[1][0] === fence[0] && marker[1].length >= fence.length &&
+      !lines[i].slice(marker[0].length).trim()) {
+      fence = null;
+    } else if (!fence && marker) {
+      fence = marker[1];
+    }
+
+    const result = visit(lines[i], i, wasInFence || Boolean(fence));
+    if (result !== undefined) {
+      return result;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * コメントから最初のコマンド行を探す
+ * @param {string} commentBody - コメント本文
+ * @param {string[]} [names] - 対象のコマンド名（既定: COMMANDS のすべて）
+ * @returns {{name: string, argumentText: string, bodyLines: string[]}|null}
+ */
+function findCommand(commentBody, names = Object.keys(COMMANDS)) {
+  const lines = String(commentBody || '').replace(/\r\n/g, '\n').split('\n');
+  const found = scanLines(lines, (line, index, inFence) => {
+    const match = !inFence && !QUOTE.test(line) && line.match(COMMAND_LINE);
+    if (match && names.includes(match[1])) {
+      return { name: match[1], argumentText: (match[2] || '').trim(), bodyLines: lines.slice(index + 1) };
+    }
+    return undefined;
+  });
+  return found || null;
+}
+
+/**
+ * 本文から引用行を除く（コードブロック内の行は残す）
+ */
+function stripQuotes(lines) {
+  const kept = [];
+  scanLines(lines, (line, index, inFence) => {
+    if (inFence || !QUOTE.test(line)) {
+      kept.push(line);
+    }
+  });
+  return kept.join('\n');
+}
+
+/**
+ * カンマ区切りのメールアドレスを解析（形式の誤りは errors に追加）
+ * @param {string} value - 値
+ * @param {string} prefix - エラーメッセージの前置き（例: '`--cc` に'）
+ */
+function parseEmailValue(value, prefix, errors) {
+  const emails = [...new Set(parseEmailList(value))];
+  const invalid = emails.filter(email => !EMAIL_PATTERN.test(email));
+  if (invalid.length > 0) {
+    errors.push(`${prefix}メールアドレスの形式ではない値があります: ${invalid.join(', ')}`);
+  }
+  return emails;
+}
+
+/**
+ * コマンド行のオプション・引数とテキストを解析
+ * @returns {{options: Object, args: Object, text: string, errors: string[]}}
+ */
+function parseArguments(argumentText, spec) {
+  const options = {};
+  const args = {};
+  const errors = [];
+  const argSpecs = (spec.args || []).slice();
+  let rest = argumentText;
+  let match;
+
+  for (;;) {
+    if ((match = rest.match(OPTION))) {
+      rest = rest.slice(match[0].length);
+      const [, name, inlineValue, spacedValue] = match;
+      const value = inlineValue !== undefined ? inlineValue : spacedValue;
+      const type = (spec.options || {})[name];
+
+      if (!type) {
+        errors.push(`不明なオプションです: \`--${name}\``);
+      } else if (!value) {
+        errors.push(`\`--${name}\` に値を指定してください`);
+      } else if (type === 'emails') {
+        options[name] = [...new Set([...(options[name] || []), ...parseEmailValue(value, `\`--${name}\` に`, errors)])];
+      } else {
+        options[name] = value;
+      }
+      continue;
+    }
+
+    const argSpec = argSpecs[0];
+    if (argSpec && (match = rest.match(argSpec.type === 'emails' ? EMAIL_LIST_ARGUMENT : ARGUMENT))) {
+      rest = rest.slice(match[0].length);
+      argSpecs.shift();
+
+      if (argSpec.type === 'emails') {
+        args[argSpec.name] = parseEmailValue(match[1], '', errors);
+      } else if (argSpec.choices && !argSpec.choices.includes(match[1].toLowerCase())) {
+        errors.push(`${argSpec.label}は ${argSpec.choices.map(choice => `\`${choice}\``).join(' / ')} のいずれかを指定してください（指定: ${match[1]}）`);
+      } else {
+        args[argSpec.name] = argSpec.choices ? match[1].toLowerCase() : match[1];
+      }
+      continue;
+    }
+    break;
+  }
+
+  for (const argSpec of argSpecs) {
+    errors.push(`${argSpec.label}を指定してください`);
+  }
+  for (const [name, value] of Object.entries({ ...options, ...args })) {
+    if (Array.isArray(value) && value.length > MAX_CC_EMAIL_ADDRESSES) {
+      const label = name in options ? `\`--${name}\`` : spec.args.find(a => a.name === name).label;
+      errors.push(`${label} は${MAX_CC_EMAIL_ADDRESSES}件以内にしてください（現在 ${value.length}件）`);
+    }
+  }
+
+  return { options, args, text: rest.trim(), errors };
+}
+
+/**
+ * コメントのコマンドを解析
+ * @param {string} commentBody - コメント本文
+ * @param {string[]} [names] - 対象のコマンド名（既定: COMMANDS のすべて）
+ * @returns {Object|null} { name, options, args, body, errors }（コマンドがない場合は null）
+ *   errors が空でない場合は、formatCommandError でコメントして実行しない
+ */
+function parseCommand(commentBody, names) {
+  const found = findCommand(commentBody, names);
+  if (!found) {
+    return null;
+  }
+
+  const spec = COMMANDS[found.name];
+  const { options, args, text, errors } = parseArguments(found.argumentText, spec);
+  const rest = stripQuotes(found.bodyLines);
+  const body = (text ? `${text}\n${rest}` : rest).trim();
+
+  if (spec.requiresBody && !body) {
+    errors.push('本文がありません。コマンドと同じ行か、次の行以降にメッセージを書いてください');
+  }
+
+  return { name: found.name, options, args, body, errors };
+}
+
+/**
+ * コマンドを解釈できなかった場合のコメント本文を作成
+ * @param {Object} command - parseCommand の戻り値
+ */
+function formatCommandError(command) {
+  const spec = COMMANDS[command.name];
+  const help = (spec.help || []).map(line => `- ${line}`).join('\n');
+  const example = spec.example ? `\n\n例:\n\`\`\`\`\n${spec.example}\n\`\`\`\`` : '';
+
+  return `## ⚠️ \`/${command.name}\` コマンドを解釈できませんでした
+
+コマンドは実行していません（AWS には何も送信していません）。修正して、もう一度コメントしてください。
+
+### 問題
+${command.errors.map(error => `- ${error}`).join('\n')}
+
+### 使い方
+\`\`\`
+${spec.usage}
+\`\`\`
+
+${spec.description}
+${help}${example}
+
+---
+
+*このコメントは自動生成されました*
+`;
+}
+
+module.exports = {
+  parseCommand,
+  findCommand,
+  formatCommandError,
+  COMMANDS,
+  SEVERITY_CODES
+};
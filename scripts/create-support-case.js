@@ -6,8 +6,26 @@
  * GitHub IssueからAWSサポートケースを自動起票
  */
 
-const { AWSSupportClient } = require('./aws-support-client');
-const https = require('https');
+const { loadAccountConfig, resolveAccount, createClientForAccount } = require('./account-config');
+const { GitHubClient, resolveGitHubClient, isBotAuthored } = require('./github-client');
+const { formatErrorGuidance, formatFailureMarker, ValidationError } = require('./support-errors');
+const { CaseLinkRegistry, formatLinkMarker, parseLinkComment, LINK_MARKER } = require('./case-link-registry');
+const { loadIssueTemplates, selectTemplate, parseIssueForm } = require('./issue-form-parser');
+const { loadServiceCatalog } = require('./service-catalog');
+const { loadCaseDefaults, applyCaseDefaults, parseEmailList, parseLanguage, parseIssueType } = require('./case-options');
+const { validateCaseData, formatValidationComment, parseValidationComment } = require('./case-validator');
+const { extractAttachments, uploadAttachments, formatAttachmentSummary } = require('./issue-attachments');
+const { mergeRedactions, formatRedactionSummary } = require('./redaction');
+const { findDuplicateCases, formatDuplicateComment } = require('./duplicate-detector');
+const { computePreviewDigest, formatPreviewComment, findPendingPreview } = require('./case-preview');
+const { formatSentMarker } = require('./case-conversation');
+
+// ケース作成を始めたことを Issue に残す隠しマーカー（作成結果のコメントに書き換える）
+const PENDING_MARKER = 'aws-support-pending';
+// ケースの本文の末尾に付ける Issue の参照（作成済みのケースを AWS 側で探すのに使う）
+const ISSUE_REFERENCE_PREFIX = 'GitHub Issue:';
+// 作成中の記録の日時より前に作成されたケースも探す範囲（ランナーと AWS の時計のずれ）
+const PENDING_LOOKBACK_MS = 10 * 60 * 1000;
 
 /**
  * GitHub Issueから
@@ -19,41 +37,182 @@ AWSサポートケースを作成
  */
 async function createSupportCaseFromIssue(issueBody, issueNumber, options = {}) {
   const {
-    githubToken,
-    repository,
     awsProfile = 'default',
-    mockMode = false
+    accountsConfig,
+    caseDefaultsConfig,
+    mockMode = false,
+    mockBackend,
+    revalidateOnly = false,
+    force = false,
+    duplicateCheck = {},
+    dryRun = false,
+    expectedDigest
   } = options;
+  const github = resolveGitHubClient(options);
+  const linkRegistry = options.linkRegistry || new CaseLinkRegistry({ github });
+  let releaseLock = null;
+  let pending = null;
+  let caseRequested = false;
 
   try {
     console.log(`📝 Processing Issue #${issueNumber}`);
     console.log(`🔧 Mock Mode: ${mockMode ? 'ON' : 'OFF'}`);
 
+    // Issue 編集時は、検証エラーで作成を保留している Issue（ドライランではプレビュー中の Issue）だけを再実行する
+    const validationComment = github ? await findValidationComment(github, issueNumber) : null;
+    if (revalidateOnly && !(validationComment && validationComment.status === 'failed') &&
+      !(dryRun && github && await findPendingPreview(github, issueNumber, 'create'))) {
+      console.log('ℹ️  No pending validation errors or previews on this issue, skipping');
+      return null;
+    }
+
+    // 同じ Issue のケース作成は1つずつ実行し、作成済みなら何もしない
+    // （Issue の編集・ラベルの付け直し・ワークフローの再実行で2つ目のケースを作らない）
+    // 実行どうしの排他はワークフローの concurrency（Issue 番号ごとのグループ）が担う
+    // ファイルのロックは同じランナーの実行どうしを排他するだけで、ランナーをまたぐ実行は防げない
+    releaseLock = await linkRegistry.lockIssue(issueNumber, options.lock);
+    const existingLink = await findExistingCase(github, issueNumber, linkRegistry, issueBody);
+    if (existingLink) {
+      console.log(`⏭️  Issue #${issueNumber} already has case ${existingLink.displayId || existingLink.caseId}, skipping`);
+      return null;
+    }
+
     // Issue本文を解析
     const caseData = parseIssueBody(issueBody);
     console.log(`📊 Parsed case data: ${caseData.subject}`);
 
+    // Issueで指定されたアカウント（未指定なら既定のアカウント）を選択
+    const account = resolveAccount(
+      loadAccountConfig(accountsConfig, { awsProfile }),
+      caseData.account
+    );
+    console.log(`🏢 AWS Account: ${account.alias}${account.accountId ? ` (${account.accountId})` : ''}`);
+
+    // CC・言語・問い合わせ種別にチーム・アカウントの既定値を適用
+    const caseRequest = applyCaseDefaults(caseData, loadCaseDefaults(caseDefaultsConfig), account);
+
+    // 添付ファイル・ログのコードブロックを本文から取り出す（ログは添付ファイルとして送る）
+    const { body, attachments } = extractAttachments(caseRequest.body, { serverUrl: github && github.serverUrl });
+    const reference = github ? formatIssueReference(github, issueNumber) : null;
+    caseRequest.body = reference ? `${body}\n\n${reference}` : body;
+
     // AWS Support Client初期化
-    const client = new AWSSupportClient({
-      profile: awsProfile,
-      mockMode
+    const client = createClientForAccount(account, { mockMode, mockBackend });
+
+    // AWS の制限と照合し、問題があればケースを作成せずに Issue へ一覧を投稿
+    console.log('🔍 Validating case data...');
+    const validation = await validateCaseData(caseRequest, { client });
+    if (github) {
+      await postValidationResult(github, issueNumber, validation, validationComment);
+    }
+    if (!validation.valid) {
+      for (const validationError of validation.errors) {
+        console.warn(`⚠️  ${validationError.label}: ${validationError.message}`);
+      }
+      throw new ValidationError(
+        `Case data has ${validation.errors.length} validation error(s)`,
+        { validationErrors: validation.errors }
+      );
+    }
+
+    // 同じ事象のケース・Issue がある場合は作成せずに知らせる（/force-create で作成する）
+    if (!force) {
+      const duplicates = await checkDuplicates(caseRequest, {
+        ...duplicateCheck,
+        issueNumber,
+        github,
+        client,
+        account,
+        linkRegistry
+      });
+      if (duplicates.length > 0) {
+        console.log(`⏸️  Possible duplicate of ${duplicates.map(d => `#${d.issueNumber}`).join(', ')}; not creating a case`);
+        if (github) {
+          await github.createComment(issueNumber, formatDuplicateComment(duplicates));
+        }
+        return null;
+      }
+    }
+
+    // ドライランでは送信内容をプレビューし、/submit で承認されてから送信する
+    // /submit の時点で内容が変わっていた場合も、送信せずにプレビューをやり直す
+    const request = client.buildCreateCaseRequest(caseRequest);
+    const digest = computePreviewDigest('create', request.params, attachments);
+    if (dryRun || (expectedDigest && expectedDigest !== digest)) {
+      console.log(dryRun
+        ? '👀 Dry run: posting a preview instead of creating the case'
+        : '⚠️  Case data changed since the preview, posting a new preview');
+      const redactions = mergeRedactions(
+        request.redactions,
+        ...attachments.filter(a => a.data).map(a => client.redact(a.data).redactions)
+      );
+      if (github) {
+        await github.createComment(issueNumber, formatPreviewComment({
+          kind: 'create',
+          params: request.params,
+          digest,
+          attachments,
+          redactions,
+          account,
+          stale: !dryRun
+        }));
+      }
+      return dryRun ? { dryRun: true, operation: 'CreateCase', params: request.params, digest, redactions } : null;
+    }
+
+    // ケースを作成する前に、作成を始めたことを Issue のコメントに残す
+    // 前回の実行が作成中のまま終わっていた場合（ケース作成後に異常終了した場合など）は、
+    // その実行が作成したケースを AWS から探して連携し、2つ目のケースは作らない
+    if (github) {
+      pending = await findPendingCreation(github, issueNumber);
+      const earlier = pending ? await findCaseForIssue(client, reference, pending.startedAt) : null;
+      if (earlier) {
+        console.log(`♻️  Case ${earlier.displayId || earlier.caseId} was created by an earlier run, linking it to Issue #${issueNumber}`);
+        const link = await linkRegistry.link({
+          issueNumber,
+          caseId: earlier.caseId,
+          displayId: earlier.displayId,
+          account: account.alias,
+          createdAt: earlier.timeCreated
+        });
+        await postCaseIdToIssue(github, issueNumber, link, account, caseRequest, {
+          communicationBody: earlier.communicationBody,
+          commentId: pending.id
+        });
+        return null;
+      }
+      pending = await markPendingCreation(github, issueNumber, pending);
+    }
+
+    // 添付ファイルをアップロード（制限を超えたファイルはスキップして Issue に報告する）
+    const attachmentResult = await uploadAttachments(client, attachments, {
+      download: github ? (url, downloadOptions) => github.downloadAsset(url, downloadOptions) : null
     });
 
     // サポートケースを作成
     console.log('🚀 Creating AWS Support case...');
-    const result = await client.createCase(caseData);
+    caseRequested = true;
+    const result = await client.createCase({ ...caseRequest, attachmentSetId: attachmentResult.attachmentSetId });
+    result.account = account.alias;
 
     console.log(`✅ Case created: ${result.displayId || result.caseId}`);
 
+    // Issue とケースの対応関係を記録（監視・返信で参照する）
+    const link = await linkRegistry.link({
+      issueNumber,
+      caseId: result.caseId,
+      displayId: result.displayId,
+      account: account.alias
+    });
+
     // GitHub IssueにケースIDを保存（コメント）
-    if (githubToken && repository) {
-      await postCaseIdToIssue(
-        repository,
-        issueNumber,
-        result.caseId,
-        result.displayId,
-        githubToken
-      );
+    if (github) {
+      await postCaseIdToIssue(github, issueNumber, link, account, caseRequest, {
+        communicationBody: result.communicationBody,
+        attachments: attachmentResult,
+        redactions: mergeRedactions(result.redactions, attachmentResult.redactions),
+        commentId: pending && pending.id
+      });
     }
 
     return result;
@@ -61,127 +220,173 @@ async function createSupportCaseFromIssue(issueBody, issueNumber, options = {})
   } catch (error) {
     console.error('❌ Error creating support case:', error.message);
 
-    // GitHub Issueにエラー通知
-    if (options.githubToken && options.repository) {
-      await postErrorToIssue(
-        options.repository,
-        issueNumber,
-        error.message,
-        options.githubToken
-      );
+    // GitHub Issueにエラー通知（検証エラーは検証結果のコメントで通知済み）
+    // ケースが作成されていないことが確実なら、作成中のコメントをエラー通知に書き換えて作成中の記録を消す
+    // CreateCase が AWS で処理されたか分からない場合（タイムアウトなど）は残し、再実行で AWS のケースを探す
+    if (github && !error.validationErrors) {
+      const clearPending = pending && !(caseRequested && mayHaveCreatedCase(error));
+      await postErrorToIssue(github, issueNumber, error, { commentId: clearPending ? pending.id : null });
     }
 
     throw error;
+  } finally {
+    if (releaseLock) {
+      releaseLock();
+    }
   }
 }
 
+// Issue フォームの項目 id とケースデータの対応（ラベルを翻訳しても id は共通）
+const FIELD_IDS = {
+  subject: 'issue_summary',
+  description: 'detailed_description',
+  severity: 'severity',
+  category: 'category',
+  service: 'aws_service',
+  account: 'aws_account_id',
+  region: 'region',
+  issueType: 'issue_type',
+  language: 'case_language',
+  ccEmails: 'cc_emails'
+};
+
+// ケースデータの項目 → フォームの項目 id
+const CASE_FORM_FIELDS = {
+  subject: FIELD_IDS.subject,
+  body: FIELD_IDS.description,
+  severity: FIELD_IDS.severity,
+  category: FIELD_IDS.category,
+  serviceCode: FIELD_IDS.service,
+  issueType: FIELD_IDS.issueType,
+  language: FIELD_IDS.language,
+  ccEmailAddresses: FIELD_IDS.ccEmails
+};
+
+// ケースの本文に含めない項目（件名・重要度などケースの属性として送るもの）
+const ATTRIBUTE_FIELDS = new Set([
+  FIELD_IDS.subject,
+  FIELD_IDS.severity,
+  FIELD_IDS.category,
+  FIELD_IDS.service,
+  FIELD_IDS.account,
+  FIELD_IDS.issueType,
+  FIELD_IDS.language,
+  FIELD_IDS.ccEmails
+]);
+
 /**
  * Issue本文を解析してAWSケースデータに変換
+ * 項目は .github/ISSUE_TEMPLATE/ の Issue フォーム定義から読み取る（issue-form-parser.js）
+ * @param {string} issueBody - Issue本文
+ * @param {Object} [options]
+ * @param {Object} [options.template] - loadIssueTemplate の戻り値（省略時は本文に合うテンプレートを自動選択）
+ * @param {ServiceCatalog} [options.catalog] - サービスカタログ（省略時は service-catalog.json）
+ * @returns {Object} { subject, body, severity, category, serviceCode, account, ccEmailAddresses, language, issueType,
+ *   region, fields, template, errors, formFields }
  */
-function parseIssueBody(issueBody) {
-  const lines = issueBody.split('\n');
+function parseIssueBody(issueBody, options = {}) {
+  const template = options.template || selectTemplate(issueBody, loadIssueTemplates());
+  const catalog = options.catalog || loadServiceCatalog();
+  const { values, errors } = parseIssueForm(issueBody, template);
+
   const data = {
     subject: '',
     body: '',
     severity: 'low',
     category: 'other',
-    serviceCode: 'general-info'
+    serviceCode: 'general-info',
+    account: null,
+    ccEmailAddresses: parseEmailList(values[FIELD_IDS.ccEmails]),
+    language: parseLanguage(values[FIELD_IDS.language]),
+    issueType: parseIssueType(values[FIELD_IDS.issueType]),
+    region: values[FIELD_IDS.region] || null,
+    fields: values,
+    template: template.name,
+    errors
   };
 
-  let currentSection = null;
-  const sections = {};
-
-  for (const line of lines) {
-    // Markdown見出しを検出
-    if (line.startsWith('###')) {
-      currentSection = line.replace(/^###\s*/, '').trim();
-      sections[currentSection] = [];
-      continue;
-    }
-
-    if (currentSection && line.trim()) {
-      sections[currentSection].push(line.trim());
+  // ケースの項目に対応するフォームの項目（検証エラーの表示に使う）
+  data.formFields = {};
+  for (const [key, id] of Object.entries(CASE_FORM_FIELDS)) {
+    const field = template.fields.find(f => f.id === id);
+    if (field) {
+      data.formFields[key] = { id, label: field.label };
     }
   }
 
-  // セクションからデータを抽出
-  if (sections['事象の概要']) {
-    data.subject = sections['事象の概要'].join(' ').substring(0, 100);
+  // 長さの制限は case-validator.js で検証する（切り捨てない）
+  if (values[FIELD_IDS.subject]) {
+    data.subject = values[FIELD_IDS.subject].split('\n').map(line => line.trim()).filter(Boolean).join(' ');
   }
 
-  // 本文を構築
-  const bodyParts = [];
-  if (sections['詳細説明']) {
-    bodyParts.push('## 詳細説明');
-    bodyParts.push(sections['詳細説明'].join('\n'));
+  // 属性以外の項目をフォームの順にケース本文へ（項目を追加しても自動で含まれる）
+  data.body = template.fields
+    .filter(field => !ATTRIBUTE_FIELDS.has(field.id) && values[field.id] && values[field.id].length > 0)
+    .map(field => {
+      const value = values[field.id];
+      return `## ${field.label}\n${Array.isArray(value) ? value.map(v => `- ${v}`).join('\n') : value}`;
+    })
+    .join('\n\n');
+
+  if (values[FIELD_IDS.severity]) {
+    data.severity = mapSeverity(values[FIELD_IDS.severity]);
   }
-  if (sections['再現手順']) {
-    bodyParts.push('\n## 再現手順');
-    bodyParts.push(sections['再現手順'].join('\n'));
+  // AWSアカウント（アカウントID またはエイリアス）
+  if (values[FIELD_IDS.account]) {
+    data.account = values[FIELD_IDS.account];
   }
-  if (sections['試した対処方法']) {
-    bodyParts.push('\n## 試した対処方法');
-    bodyParts.push(sections['試した対処方法'].join('\n'));
-  }
-  data.body = bodyParts.join('\n');
-
-  // 重要度をマッピング
-  if (sections['重要度']) {
-    const severityText = sections['重要度'][0] || '';
-    if (severityText.includes('Critical') || severityText.includes('緊急')) {
-      data.severity = 'urgent';
-    } else if (severityText.includes('High') || severityText.includes('高')) {
-      data.severity = 'high';
-    } else if (severityText.includes('Normal') || severityText.includes('通常')) {
-      data.severity = 'normal';
-    } else {
-      data.severity = 'low';
-    }
+  // サービス・カテゴリはカタログであいまい一致させ、サービスで指定できるカテゴリを選ぶ
+  if (values[FIELD_IDS.service]) {
+    data.serviceCode = catalog.resolveServiceCode(values[FIELD_IDS.service]);
   }
-
-  // AWSサービスコードをマッピング
-  if (sections['対象AWSサービス']) {
-    const service = sections['対象AWSサービス'][0] || '';
-    data.serviceCode = mapServiceCode(service);
+  if (values[FIELD_IDS.category]) {
+    data.category = catalog.resolveCategoryCode(data.serviceCode, values[FIELD_IDS.category]);
   }
 
   return data;
 }
 
 /**
- * AWSサービス名をサービスコードにマッピング
+ * 重要度の選択肢を AWS の severityCode にマッピング
  */
-function mapServiceCode(serviceName) {
-  const mapping = {
-    'EC2': 'amazon-elastic-compute-cloud-linux',
-    'RDS': 'amazon-relational-database-service',
-    'S3': 'amazon-simple-storage-service',
-    'Lambda': 'aws-lambda',
-    'ECS': 'amazon-elastic-container-service',
-    'CloudFront': 'amazon-cloudfront',
-    'Route53': 'amazon-route53',
-    'VPC': 'amazon-virtual-private-cloud'
-  };
-
-  return mapping[serviceName] || 'general-info';
+function mapSeverity(severityText) {
+  if (/critical|緊急/i.test(severityText)) {
+    return 'urgent';
+  } else if (/high|高/i.test(severityText)) {
+    return 'high';
+  } else if (/normal|通常/i.test(severityText)) {
+    return 'normal';
+  }
+  return 'low';
 }
 
 /**
  * GitHub IssueにケースIDを投稿
+ * 隠しマーカーを埋め込み、レジストリがない環境でもコメントから対応関係を再構築できるようにする
+ * （ケースの本文は送信のマーカーで記録し、監視でAWSからの回答として投稿しないようにする）
+ * @param {Object} [report] - { communicationBody: 送信した本文, attachments: uploadAttachments の戻り値,
+ *   redactions: 送信前にマスキングした情報 }
  */
-async function postCaseIdToIssue(repository, issueNumber, caseId, displayId, githubToken) {
-  const [owner, repo] = repository.split('/');
+async function postCaseIdToIssue(github, issueNumber, link, account, caseRequest = {}, report = {}) {
+  const accountAlias = account ? account.alias : 'default';
+  const accountId = account && account.accountId ? ` (${account.accountId})` : '';
+  const ccLine = caseRequest.ccEmailAddresses && caseRequest.ccEmailAddresses.length > 0
+    ? `\n- **CC**: ${caseRequest.ccEmailAddresses.join(', ')}`
+    : '';
 
   const commentBody = `## ✅ AWSサポートケース作成完了
 
 AWSサポートケースが正常に作成されました。
 
 ### ケース情報
-- **Case ID**: \`${caseId}\`
-- **Display ID**: \`${displayId || caseId}\`
-- **作成日時**: ${new Date().toISOString()}
-
-### 次のステップ
+- **Case ID**: \`${link.caseId}\`
+- **Display ID**: \`${link.displayId}\`
+- **Account**: \`${accountAlias}\`${accountId}
+- **作成日時**: ${link.createdAt}
+- **問い合わせ種別**: ${caseRequest.issueType || 'technical'}
+- **言語**: ${caseRequest.language || 'ja'}${ccLine}
+
+${formatAttachmentSummary(report.attachments)}${formatRedactionSummary(report.redactions)}### 次のステップ
 1. AWS Support Center で進捗を確認
 2. AWSからの回答は自動的にこのIssueに同期されます
 3. 返信する場合: このIssueにコメントで \`/reply [メッセージ]\` を記入
@@ -190,16 +395,192 @@ AWSサポートケースが正常に作成されました。
 
 *このコメントは自動生成されました*
 *ケース監視は15分ごとに実行されます*
+
+${formatLinkMarker(link)}
+${formatSentMarker(link.caseId, report.communicationBody)}
+`;
+
+  // 作成中のコメントがあれば作成結果に書き換える
+  return report.commentId
+    ? github.updateComment(report.commentId, commentBody)
+    : github.createComment(issueNumber, commentBody);
+}
+
+/**
+ * ケースの本文に付ける Issue の参照
+ */
+function formatIssueReference(github, issueNumber) {
+  return `${ISSUE_REFERENCE_PREFIX} ${github.repository}#${issueNumber}`;
+}
+
+/**
+ * Issue の作成中のコメント（ボットが投稿した最新のもの）を検索
+ * @returns {Promise<Object|null>} { id, startedAt }
+ */
+async function findPendingCreation(github, issueNumber) {
+  const pattern = new RegExp(`<!-- ${PENDING_MARKER} (\\{.*?\\}) -->`);
+  const comments = await github.listComments(issueNumber);
+  for (const comment of comments.reverse()) {
+    const marker = isBotAuthored(comment, github) ? String(comment.body || '').match(pattern) : null;
+    if (!marker) {
+      continue;
+    }
+    try {
+      const { startedAt } = JSON.parse(marker[1]);
+      if (startedAt) {
+        return { id: comment.id, startedAt };
+      }
+    } catch (error) {
+      // 壊れたマーカーは無視する
+    }
+  }
+  return null;
+}
+
+/**
+ * ケースの作成を始めたことを Issue のコメントに記録（前回の作成中のコメントがあれば書き換える）
+ * @param {Object|null} pending - findPendingCreation の戻り値
+ * @returns {Promise<Object>} { id, startedAt }
+ */
+async function markPendingCreation(github, issueNumber, pending) {
+  const startedAt = new Date().toISOString();
+  const body = `## ⏳ AWSサポートケースを作成しています
+
+作成が終わると、このコメントは作成結果に書き換わります。
+
+---
+
+*このコメントは自動生成されました*
+
+<!-- ${PENDING_MARKER} ${JSON.stringify({ startedAt })} -->
 `;
 
-  return postToGitHub(owner, repo, issueNumber, commentBody, githubToken);
+  const comment = pending
+    ? await github.updateComment(pending.id, body)
+    : await github.createComment(issueNumber, body);
+  return { id: pending ? pending.id : comment.id, startedAt };
+}
+
+/**
+ * CreateCase のエラーが、AWS でケースが作成された可能性を残すか
+ * AWS が 4xx で拒否した場合・サーキットブレーカーで送信しなかった場合は作成されていない
+ */
+function mayHaveCreatedCase(error) {
+  if (error.code === 'CIRCUIT_OPEN') {
+    return false;
+  }
+  return !(error.statusCode >= 400 && error.statusCode < 500);
+}
+
+/**
+ * 本文に Issue の参照があるケースを AWS から検索（作成中の記録の日時以降に作成されたもの）
+ * @param {Object} client - AwsSupportClient
+ * @param {string} reference - formatIssueReference の戻り値
+ * @param {string} since - 作成中の記録の日時
+ * @returns {Promise<Object|null>} ケース情報と、参照を含むメッセージの本文（communicationBody）
+ */
+async function findCaseForIssue(client, reference, since) {
+  const afterTime = new Date(Date.parse(since) - PENDING_LOOKBACK_MS).toISOString();
+  const hasReference = communication =>
+    String(communication.body || '').split(/\r?\n/).some(line => line.trim() === reference);
+
+  for await (const caseData of client.iterateCases({ afterTime, includeResolvedCases: true })) {
+    const recent = caseData.recentCommunications || {};
+    // 最初のメッセージが直近のやり取りに含まれない場合は、すべてのメッセージを取得する
+    const communications = recent.nextToken
+      ? await client.describeAllCommunications(caseData.caseId)
+      : recent.communications || [];
+    const initial = communications.find(hasReference);
+    if (initial) {
+      return { ...caseData, communicationBody: initial.body };
+    }
+  }
+  return null;
+}
+
+/**
+ * Issue に作成済みのケースを検索
+ * レジストリに記録がなければ Issue の本文（監視が作成した追跡用の Issue）・ケース作成コメントの隠しマーカーを確認する
+ * （ボットが作成した Issue・投稿したコメントのマーカーだけを使う）
+ * @returns {Promise<Object|null>} { issueNumber, caseId, displayId, account, createdAt }
+ */
+async function findExistingCase(github, issueNumber, linkRegistry, issueBody) {
+  const link = await linkRegistry.findByIssueNumber(issueNumber);
+  if (link || !github) {
+    return link;
+  }
+  if (String(issueBody || '').includes(`<!-- ${LINK_MARKER} `)) {
+    const issue = await github.getIssue(issueNumber);
+    const tracked = isBotAuthored(issue, github) ? parseLinkComment(issue.body) : null;
+    if (tracked) {
+      return linkRegistry.link({ ...tracked, issueNumber });
+    }
+  }
+
+  for (const comment of await github.listComments(issueNumber)) {
+    const parsed = isBotAuthored(comment, github) ? parseLinkComment(comment.body) : null;
+    if (parsed) {
+      // 次回からはコメントを読まずに判定できるようにレジストリにも記録する
+      return linkRegistry.link({ ...parsed, issueNumber });
+    }
+  }
+  return null;
+}
+
+/**
+ * Issue の検証結果コメントを取得（ボットが投稿した最新のもの）
+ * @returns {Promise<Object|null>} { id, status }
+ */
+async function findValidationComment(github, issueNumber) {
+  const comments = await github.listComments(issueNumber);
+  for (const comment of comments.reverse()) {
+    const status = isBotAuthored(comment, github) ? parseValidationComment(comment.body) : null;
+    if (status) {
+      return { id: comment.id, status };
+    }
+  }
+  return null;
+}
+
+/**
+ * 検証結果を Issue に投稿
+ * 問題の一覧は1件のコメントにまとめ、再検証時は同じコメントを更新する
+ * 問題がない場合は、以前の問題が解消されたことだけを同じコメントに反映する
+ */
+async function postValidationResult(github, issueNumber, validation, existingComment) {
+  const body = formatValidationComment(validation);
+
+  if (existingComment) {
+    if (validation.valid && existingComment.status !== 'failed') {
+      return null;
+    }
+    return github.updateComment(existingComment.id, body);
+  }
+  return validation.valid ? null : github.createComment(issueNumber, body);
+}
+
+/**
+ * 重複の可能性があるケース・Issue を検索
+ * 検索に失敗した場合はケースの作成を止めない（重複の確認より起票を優先する）
+ */
+async function checkDuplicates(caseRequest, options) {
+  console.log('🔍 Checking for duplicate cases...');
+  try {
+    return await findDuplicateCases(caseRequest, {
+      ...options,
+      parseIssue: issueBody => parseIssueBody(issueBody)
+    });
+  } catch (error) {
+    console.warn(`⚠️  Duplicate check failed, continuing: ${error.message}`);
+    return [];
+  }
 }
 
 /**
  * GitHub Issueにエラーを投稿
+ * @param {Object} [options] - { commentId: 書き換える作成中のコメントの ID }
  */
-async function postErrorToIssue(repository, issueNumber, errorMessage, githubToken) {
-  const [owner, repo] = repository.split('/');
+async function postErrorToIssue(github, issueNumber, error, options = {}) {
 
   const commentBody = `## ❌ AWSサポートケース作成失敗
 
@@ -207,62 +588,25 @@ AWSサポートケースの作成に失敗しました。
 
 ### エラー内容
 \`\`\`
-${errorMessage}
+${error.message}
 \`\`\`
 
-### 対処方法
-1. **AWS認証情報を確認**: \`~/.aws/credentials\` が正しく設定されているか
-2. **AWS Support プランを確認**: Business/Enterprise プランが必要です
-3. **IAM権限を確認**: \`support:CreateCase\` 権限があるか
+${formatErrorGuidance(error, { repository: github.repository })}
 
-### トラブルシューティング
-- [AWS認証情報設定ガイド](../docs/AWS_SUPPORT_API_INTEGRATION.md)
-- エラーが続く場合: Issueにコメントしてください
+### 再試行
+原因を解消してから \`/retry\` とコメントすると、ケースの作成を再実行します。
 
 ---
 
 *このエラーは自動検出されました*
 *発生日時: ${new Date().toISOString()}*
-`;
-
-  return postToGitHub(owner, repo, issueNumber, commentBody, githubToken);
-}
 
-/**
- * GitHub APIにコメントを投稿
- */
-function postToGitHub(owner, repo, issueNumber, body, githubToken) {
-  const data = JSON.stringify({ body });
-
-  const options = {
-    hostname: 'api.github.com',
-    path: `/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `token ${githubToken}`,
-      'User-Agent': 'AWS-Support-Bot',
-      'Content-Length': data.length
-    }
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let responseBody = '';
-      res.on('data', (chunk) => responseBody += chunk);
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(JSON.parse(responseBody));
-        } else {
-          reject(new Error(`GitHub API error: ${res.statusCode} ${responseBody}`));
-        }
-      });
-    });
+${formatFailureMarker({ step: 'create-case' })}
+`;
 
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
+  return options.commentId
+    ? github.updateComment(options.commentId, commentBody)
+    : github.createComment(issueNumber, commentBody);
 }
 
 /**
@@ -271,9 +615,8 @@ function postToGitHub(owner, repo, issueNumber, body, githubToken) {
 async function main() {
   const issueBody = process.env.ISSUE_BODY;
   const issueNumber = process.env.ISSUE_NUMBER;
-  const repository = process.env.GITHUB_REPOSITORY;
-  const githubToken = process.env.GITHUB_TOKEN;
   const awsProfile = process.env.AWS_PROFILE || 'default';
+  const accountsConfig = process.env.AWS_ACCOUNTS_CONFIG;
   const mockMode = process.env.MOCK_MODE === 'true';
 
   if (!issueBody || !issueNumber) {
@@ -282,14 +625,24 @@ async function main() {
   }
 
   try {
-    await createSupportCaseFromIssue(issueBody, issueNumber, {
-      githubToken,
-      repository,
+    const result = await createSupportCaseFromIssue(issueBody, issueNumber, {
+      // GITHUB_TOKEN、または GitHub App（GITHUB_APP_ID など）の認証情報を使う
+      githubClient: GitHubClient.fromEnv(),
       awsProfile,
-      mockMode
+      accountsConfig,
+      caseDefaultsConfig: process.env.AWS_CASE_DEFAULTS,
+      mockMode,
+      // Issue 編集時（ISSUE_ACTION=edited）は検証エラーで保留中の場合だけ再実行する
+      revalidateOnly: process.env.ISSUE_ACTION === 'edited',
+      // ドライラン: ケースを作成せずに送信内容をプレビューする（/submit で作成）
+      dryRun: process.env.DRY_RUN === 'true'
     });
 
-    console.log('✅ Successfully created AWS Support case');
+    if (result && result.dryRun) {
+      console.log('✅ Posted a preview of the AWS Support case');
+    } else if (result) {
+      console.log('✅ Successfully created AWS Support case');
+    }
   } catch (error) {
     console.error('❌ Failed to create AWS Support case:', error.message);
     process.exit(1);
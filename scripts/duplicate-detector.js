@@ -0,0 +1,254 @@
+/**
+ * Duplicate Detector
+ *
+ * 同じ事象について複数の Issue からケースが作成されないよう、起票前に重複の可能性を判定する
+ * 比較対象:
+ * - 未解決のケース（Issue ↔ ケースのレジストリに記録され、AWS 上でまだ解決していないもの）
+ * - 最近作成された aws-support ラベルの Open な Issue
+ *
+ * 同じサービスで、比較期間内に作成されたもののうち、件名の類似度とエラー文字列の一致から
+ * スコアを計算し、しきい値以上のものを重複の候補とする
+ */
+
+const { normalize } = require('./service-catalog');
+const { CaseLinkRegistry } = require('./case-link-registry');
+
+const DUPLICATE_MARKER = 'aws-support-duplicate';
+
+const DEFAULT_OPTIONS = {
+  // 最近の Issue として比較する期間
+  windowHours: 48,
+  // 重複の候補とするスコア（件名の類似度 × 0.6 + エラー文字列の一致 × 0.4）
+  threshold: 0.5
+};
+
+// エラー文字列（InsufficientInstanceCapacity・AccessDenied・ThrottlingException・ORA-00001 など）
+const ERROR_PATTERNS = [
+  /\b(?:[A-Z][a-z0-9]+)+(?:Exception|Error|Fault|Denied|Failed|Failure|Exceeded|NotFound|Unavailable)\b/g,
+  /\b(?:[A-Z][a-z0-9]+){3,}\b/g,
+  /\b[A-Z]{2,5}-\d{3,5}\b/g
+];
+
+/**
+ * テキストからエラー文字列を抽出
+ * @returns {Set<string>}
+ */
+function extractErrorSignatures(text) {
+  const signatures = new Set();
+  for (const pattern of ERROR_PATTERNS) {
+    for (const match of String(text || '').matchAll(pattern)) {
+      signatures.add(match[0].toLowerCase());
+    }
+  }
+  return signatures;
+}
+
+/**
+ * 件名の類似度（文字 bigram の Dice 係数、0〜1）
+ * 日本語は単語で区切れないため、文字単位で比較する
+ */
+function subjectSimilarity(a, b) {
+  const bigrams = text => {
+    const compact = normalize(text).replace(/\s+/g, '');
+    const result = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+      const bigram = compact.slice(i, i + 2);
+      result.set(bigram, (result.get(bigram) || 0) + 1);
+    }
+    return result;
+  };
+
+  const left = bigrams(a);
+  const right = bigrams(b);
+  const total = [...left.values(), ...right.values()].reduce((sum, count) => sum + count, 0);
+  if (total === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const [bigram, count] of left) {
+    shared += Math.min(count, right.get(bigram) || 0);
+  }
+  return (2 * shared) / total;
+}
+
+/**
+ * ケース作成の依頼と候補を比較
+ * @param {Object} request - { subject, body, serviceCode }
+ * @param {Object} candidate - { subject, text, serviceCode }
+ * @returns {{score: number, similarity: number, sharedErrors: string[]}|null} サービスが異なる場合は null
+ */
+function compareRequests(request, candidate) {
+  if (!candidate.serviceCode || candidate.serviceCode !== request.serviceCode) {
+    return null;
+  }
+
+  const similarity = subjectSimilarity(request.subject, candidate.subject);
+  const requestErrors = extractErrorSignatures(`${request.subject}\n${request.body}`);
+  const candidateErrors = extractErrorSignatures(`${candidate.subject}\n${candidate.text}`);
+  const sharedErrors = [...requestErrors].filter(signature => candidateErrors.has(signature));
+
+  return {
+    score: similarity * 0.6 + (sharedErrors.length > 0 ? 0.4 : 0),
+    similarity,
+    sharedErrors
+  };
+}
+
+/**
+ * 重複の可能性があるケース・Issue を検索
+ * @param {Object} request - ケース作成の依頼（parseIssueBody の戻り値に既定値を適用したもの）
+ * @param {Object} options
+ * @param {number} options.issueNumber - 起票しようとしている Issue の番号（比較対象から除く）
+ * @param {GitHubClient} [options.github] - 最近の Issue の検索に使う
+ * @param {AWSSupportClient} [options.client] - 未解決のケースの取得に使う
+ * @param {Object} [options.account] - 起票するアカウント（同じアカウントのケースだけを比較する）
+ * @param {CaseLinkRegistry} [options.linkRegistry] - Issue ↔ ケースのレジストリ
+ * @param {Function} options.parseIssue - Issue 本文を解析する関数（create-support-case.js の parseIssueBody）
+ * @param {number} [options.windowHours=48] - 最近の Issue として比較する期間
+ * @param {number} [options.threshold=0.5] - 重複の候補とするスコア
+ * @param {Date} [options.now] - 現在時刻（テスト用）
+ * @returns {Promise<Object[]>} [{ issueNumber, caseId, displayId, status, serviceCode, createdAt, score, similarity, sharedErrors }]
+ *   スコアの高い順
+ */
+async function findDuplicateCases(request, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const issueNumber = Number(settings.issueNumber);
+  const candidates = new Map();
+
+  for (const candidate of await collectOpenCases(settings)) {
+    candidates.set(candidate.issueNumber, candidate);
+  }
+  for (const candidate of await collectRecentIssues(settings)) {
+    if (!candidates.has(candidate.issueNumber)) {
+      candidates.set(candidate.issueNumber, candidate);
+    }
+  }
+  candidates.delete(issueNumber);
+
+  const duplicates = [];
+  for (const candidate of candidates.values()) {
+    const comparison = compareRequests(request, candidate);
+    if (comparison && comparison.score >= settings.threshold) {
+      const { subject, text, ...details } = candidate;
+      duplicates.push({ ...details, ...comparison });
+    }
+  }
+  return duplicates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * レジストリに記録された未解決のケース
+ */
+async function collectOpenCases(settings) {
+  const { client, github, account } = settings;
+  if (!client) {
+    return [];
+  }
+
+  const registry = settings.linkRegistry || new CaseLinkRegistry({ github });
+  if ((await registry.all()).length === 0 && github) {
+    await registry.rebuildFromRepository(github);
+  }
+  const links = (await registry.all())
+    .filter(link => !account || !link.account || link.account === account.alias)
+    .slice(-100);
+  if (links.length === 0) {
+    return [];
+  }
+
+  const { cases = [] } = await client.describeCases({
+    caseIdList: links.map(link => link.caseId),
+    includeResolvedCases: false
+  });
+
+  return cases.map(caseData => {
+    const link = links.find(l => l.caseId === caseData.caseId);
+    const communications = (caseData.recentCommunications && caseData.recentCommunications.communications) || [];
+    return {
+      issueNumber: link.issueNumber,
+      caseId: caseData.caseId,
+      displayId: caseData.displayId,
+      status: caseData.status,
+      serviceCode: caseData.serviceCode,
+      createdAt: caseData.timeCreated,
+      subject: caseData.subject,
+      text: communications.map(communication => communication.body).join('\n')
+    };
+  });
+}
+
+/**
+ * 比較期間内に作成された aws-support ラベルの Open な Issue
+ */
+async function collectRecentIssues(settings) {
+  const { github, parseIssue } = settings;
+  if (!github) {
+    return [];
+  }
+
+  const now = settings.now || new Date();
+  const since = new Date(now.getTime() - settings.windowHours * 60 * 60 * 1000);
+  const issues = await github.searchIssues(
+    `is:issue is:open label:aws-support created:>=${since.toISOString().replace(/\.\d{3}Z$/, 'Z')}`
+  );
+
+  return issues.map(issue => {
+    const parsed = parseIssue(issue.body || '');
+    return {
+      issueNumber: issue.number,
+      caseId: null,
+      displayId: null,
+      status: issue.state,
+      serviceCode: parsed.serviceCode,
+      createdAt: issue.created_at,
+      subject: parsed.subject || issue.title,
+      text: parsed.body
+    };
+  });
+}
+
+/**
+ * 重複の可能性を知らせるコメント本文を作成
+ * @param {Object[]} duplicates - findDuplicateCases の戻り値
+ */
+function formatDuplicateComment(duplicates) {
+  const rows = duplicates.map(duplicate => {
+    const caseLabel = duplicate.displayId ? `\`${duplicate.displayId}\`（${duplicate.status}）` : '未作成';
+    const reasons = [`件名の類似度 ${Math.round(duplicate.similarity * 100)}%`];
+    if (duplicate.sharedErrors.length > 0) {
+      reasons.push(`エラー ${duplicate.sharedErrors.map(error => `\`${error}\``).join(', ')}`);
+    }
+    return `| #${duplicate.issueNumber} | ${caseLabel} | ${duplicate.serviceCode} | ${duplicate.createdAt || '-'} | ${reasons.join('、')} |`;
+  });
+  const [first] = duplicates;
+  const marker = `<!-- ${DUPLICATE_MARKER} ${JSON.stringify({ issues: duplicates.map(d => d.issueNumber) })} -->`;
+
+  return `## ⚠️ 重複の可能性があるAWSサポートケース
+
+以下の Issue と同じ事象の可能性があるため、AWSサポートケースはまだ作成していません。
+
+| Issue | ケース | サービス | 作成日時 | 一致した内容 |
+|-------|--------|---------|---------|-------------|
+${rows.join('\n')}
+
+### 次のステップ
+- **同じ事象の場合**: #${first.issueNumber} で状況を確認してください。追加の情報は #${first.issueNumber} に \`/reply\` で送れます。この Issue はクローズしてください
+- **別の事象の場合**: この Issue に \`/force-create\` とコメントすると、重複の確認をせずにケースを作成します
+
+---
+
+*このコメントは自動生成されました*
+
+${marker}
+`;
+}
+
+module.exports = {
+  findDuplicateCases,
+  compareRequests,
+  extractErrorSignatures,
+  subjectSimilarity,
+  formatDuplicateComment,
+  DUPLICATE_MARKER
+};
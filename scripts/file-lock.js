@@ -0,0 +1,77 @@
+/**
+ * File Lock
+ *
+ * ロックファイル（排他的に作成するファイル）による、同じランナー・同じディスク上の実行どうしのロック
+ * 異常終了した実行のロックは、staleMs を過ぎたら無効とみなして削除する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LockError } = require('./support-errors');
+
+/**
+ * ロックファイルが staleMs より古いか（確認中に削除された場合も true）
+ */
+function isStaleLock(lockFile, staleMs) {
+  try {
+    return Date.now() - fs.statSync(lockFile).mtimeMs > staleMs;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * ロックを取得（取得できるまで待つ）
+ * @param {string} lockFile - ロックファイルのパス
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=120000] - ロックを待つ最大時間
+ * @param {number} [options.staleMs=600000] - ロックを無効とみなす時間
+ * @param {number} [options.retryMs=200] - ロックを確認する間隔
+ * @param {string} [options.message] - 取得できなかった場合の LockError のメッセージ
+ * @returns {Promise<Function>} ロックを解放する関数
+ */
+async function acquireFileLock(lockFile, options = {}) {
+  const { timeoutMs = 2 * 60 * 1000, staleMs = 10 * 60 * 1000, retryMs = 200 } = options;
+  const deadline = Date.now() + timeoutMs;
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, lockedAt: new Date().toISOString() }), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (isStaleLock(lockFile, staleMs)) {
+      console.warn(`⚠️  Removing stale lock: ${lockFile}`);
+      fs.rmSync(lockFile, { force: true });
+    } else if (Date.now() >= deadline) {
+      throw new LockError(`${options.message || 'Locked by another run'} (${lockFile})`, { lockFile });
+    } else {
+      await new Promise(resolve => setTimeout(resolve, retryMs));
+    }
+  }
+
+  let released = false;
+  return () => {
+    if (!released) {
+      released = true;
+      fs.rmSync(lockFile, { force: true });
+    }
+  };
+}
+
+/**
+ * ファイルを一時ファイル経由で書き換える（書き込み途中で中断しても元のファイルは壊れない）
+ */
+function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, data, 'utf8');
+  fs.renameSync(tmpFile, file);
+}
+
+module.exports = { acquireFileLock, writeFileAtomic };
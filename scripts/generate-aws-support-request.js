@@ -7,16 +7,37 @@
  * OpenAI APIまたはClaude APIを使用してAI駆動の文章生成を行います。
  */
 
-const https = require('https');
+const { requestWithRetry } = require('./resilient-request');
+const { ValidationError, formatFailureMarker } = require('./support-errors');
+const { GitHubClient } = require('./github-client');
+const { loadRedactionPolicy, redactText, formatRedactionSummary } = require('./redaction');
 
 /**
  * Issue本文からAWSサポート問い合わせ文を生成
  * @param {string} issueBody - GitHub Issue本文
  * @param {string} apiKey - OpenAI APIキーまたはClaude APIキー
  * @param {string} provider - AIプロバイダー ('openai' or 'claude')
+ * @param {Object} [options] - { redactionPolicy }
  * @returns {Promise<string>} 生成された問い合わせ文
  */
-async function generateSupportRequest(issueBody, apiKey, provider = 'openai') {
+async function generateSupportRequest(issueBody, apiKey, provider = 'openai', options = {}) {
+  const { prompt } = buildSupportRequestPrompt(issueBody, options);
+  return requestCompletion(prompt, apiKey, provider);
+}
+
+/**
+ * AI に送るプロンプトを作成
+ * Issue 本文の秘密情報・個人情報は AI API 向けのポリシーでマスキングする（redaction.js）
+ * @param {string} issueBody - GitHub Issue本文
+ * @param {Object} [options] - { redactionPolicy }（既定: loadRedactionPolicy()）
+ * @returns {{prompt: string, redactions: Object[]}}
+ */
+function buildSupportRequestPrompt(issueBody, options = {}) {
+  const { text, redactions } = redactText(issueBody, {
+    policy: options.redactionPolicy || loadRedactionPolicy(),
+    destination: 'ai'
+  });
+
   const prompt = `
 あなたはAWSサポートへの問い合わせを作成する専門家です。
 以下のGitHub Issueの内容から、AWSサポートチームに送信するための
@@ -33,235 +54,140 @@ async function generateSupportRequest(issueBody, apiKey, provider = 'openai') {
 フォーマット: Markdown形式で出力してください。
 
 GitHub Issue本文:
-${issueBody}
+${text}
 `;
 
+  return { prompt, redactions };
+}
+
+/**
+ * プロンプトを AI API に送信
+ * @param {string} prompt - buildSupportRequestPrompt で作成したプロンプト
+ * @param {string} apiKey - OpenAI APIキーまたはClaude APIキー
+ * @param {string} provider - AIプロバイダー ('openai' or 'claude')
+ */
+async function requestCompletion(prompt, apiKey, provider = 'openai') {
+  if (!apiKey) {
+    throw new ValidationError('AI API key is required', { field: 'apiKey' });
+  }
+
   if (provider === 'openai') {
     return await callOpenAI(prompt, apiKey);
   } else if (provider === 'claude') {
     return await callClaude(prompt, apiKey);
   } else {
-    throw new Error(`Unsupported provider: ${provider}`);
+    throw new ValidationError(`Unsupported provider: ${provider}`, { field: 'provider' });
   }
 }
 
 /**
- * OpenAI API呼び出し（リトライ機能付き）
+ * AI API のレスポンスを解釈（エラー時は statusCode / type 付きの Error を投げる）
  */
-async function callOpenAI(prompt, apiKey, retryCount = 0, maxRetries = 3) {
-  const data = JSON.stringify({
-    model: 'gpt-4',
-    messages: [
-      { role: 'system', content: 'あなたはAWSサポート問い合わせの専門家です。' },
-      { role: 'user', content: prompt }
-    ],
-    temperature: 0.7,
-    max_tokens: 2000
-  });
+function parseAIResponse(response, providerName) {
+  let data;
+  try {
+    data = JSON.parse(response.body);
+  } catch (error) {
+    error.statusCode = response.statusCode;
+    throw error;
+  }
 
-  const options = {
-    hostname: 'api.openai.com',
-    path: '/v1/chat/completions',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Length': data.length
-    }
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let body = '';
-      res.on('data', (chunk) => body += chunk);
-      res.on('end', async () => {
-        try {
-          const response = JSON.parse(body);
-
-          // レート制限エラー（429）の検出
-          if (res.statusCode === 429 && retryCount < maxRetries) {
-            const retryAfter = parseInt(res.headers['retry-after']) || Math.pow(2, retryCount) * 1000;
-            console.log(`⏳ Rate limit hit. Retrying after ${retryAfter}ms (attempt ${retryCount + 1}/${maxRetries})`);
-
-            await new Promise(resolve => setTimeout(resolve, retryAfter));
-
-            // リトライ
-            try {
-              const result = await callOpenAI(prompt, apiKey, retryCount + 1, maxRetries);
-              resolve(result);
-            } catch (error) {
-              reject(error);
-            }
-            return;
-          }
-
-          if (response.error) {
-            const error = new Error(response.error.message || 'OpenAI API error');
-            error.type = response.error.type;
-            error.statusCode = res.statusCode;
-            reject(error);
-          } else {
-            resolve(response.choices[0].message.content);
-          }
-        } catch (error) {
-          error.statusCode = res.statusCode;
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
+  if (data.error || response.statusCode < 200 || response.statusCode >= 300) {
+    const detail = data.error || {};
+    const error = new Error(detail.message || `${providerName} API error`);
+    error.type = detail.type;
+    error.statusCode = response.statusCode;
+    throw error;
+  }
+
+  return data;
 }
 
 /**
- * Claude API呼び出し（リトライ機能付き）
+ * OpenAI API呼び出し（429・5xx は共通リクエスト層でリトライ）
  */
-async function callClaude(prompt, apiKey, retryCount = 0, maxRetries = 3) {
-  const data = JSON.stringify({
-    model: 'claude-3-5-sonnet-20241022',
-    max_tokens: 2000,
-    messages: [
-      { role: 'user', content: prompt }
-    ]
-  });
+async function callOpenAI(prompt, apiKey) {
+  const response = await requestWithRetry(
+    'https://api.openai.com/v1/chat/completions',
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model: 'gpt-4',
+        messages: [
+          { role: 'system', content: 'あなたはAWSサポート問い合わせの専門家です。' },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0.7,
+        max_tokens: 2000
+      })
+    },
+    { service: 'openai', operation: 'chat.completions', timeoutMs: 120 * 1000 }
+  );
+
+  return parseAIResponse(response, 'OpenAI').choices[0].message.content;
+}
 
-  const options = {
-    hostname: 'api.anthropic.com',
-    path: '/v1/messages',
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'Content-Length': data.length
-    }
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let body = '';
-      res.on('data', (chunk) => body += chunk);
-      res.on('end', async () => {
-        try {
-          const response = JSON.parse(body);
-
-          // レート制限エラー（429）の検出
-          if (res.statusCode === 429 && retryCount < maxRetries) {
-            const retryAfter = parseInt(res.headers['retry-after']) || Math.pow(2, retryCount) * 1000;
-            console.log(`⏳ Rate limit hit. Retrying after ${retryAfter}ms (attempt ${retryCount + 1}/${maxRetries})`);
-
-            await new Promise(resolve => setTimeout(resolve, retryAfter));
-
-            // リトライ
-            try {
-              const result = await callClaude(prompt, apiKey, retryCount + 1, maxRetries);
-              resolve(result);
-            } catch (error) {
-              reject(error);
-            }
-            return;
-          }
-
-          if (response.error) {
-            const error = new Error(response.error.message || 'Claude API error');
-            error.type = response.error.type;
-            error.statusCode = res.statusCode;
-            reject(error);
-          } else {
-            resolve(response.content[0].text);
-          }
-        } catch (error) {
-          error.statusCode = res.statusCode;
-          reject(error);
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
+/**
+ * Claude API呼び出し（429・5xx は共通リクエスト層でリトライ）
+ */
+async function callClaude(prompt, apiKey) {
+  const response = await requestWithRetry(
+    'https://api.anthropic.com/v1/messages',
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: 'claude-3-5-sonnet-20241022',
+        max_tokens: 2000,
+        messages: [
+          { role: 'user', content: prompt }
+        ]
+      })
+    },
+    { service: 'anthropic', operation: 'messages', timeoutMs: 120 * 1000 }
+  );
+
+  return parseAIResponse(response, 'Claude').content[0].text;
 }
 
 /**
- * GitHub Issueにコメントを投稿
+ * GitHub Issueにコメントを投稿（github-client.js のクライアントを使用）
  */
 async function postIssueComment(owner, repo, issueNumber, comment, githubToken) {
-  const data = JSON.stringify({ body: comment });
-
-  const options = {
-    hostname: 'api.github.com',
-    path: `/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `token ${githubToken}`,
-      'User-Agent': 'AWS-Support-Bot',
-      'Content-Length': data.length
-    }
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let body = '';
-      res.on('data', (chunk) => body += chunk);
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(JSON.parse(body));
-        } else {
-          reject(new Error(`GitHub API error: ${res.statusCode} ${body}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
+  const github = new GitHubClient({ token: githubToken, repository: `${owner}/${repo}` });
+  return github.createComment(issueNumber, comment);
 }
 
 /**
- * メイン処理
+ * 問い合わせ文を生成して GitHub Issue にコメント
+ * AI API のレート制限に到達した場合は、再実行の方法を Issue にコメントしてからエラーを投げる
+ * @param {number} issueNumber - Issue番号
+ * @param {string} issueBody - Issue本文
+ * @param {Object} options - { github: GitHubClient, apiKey, provider = 'openai', redactionPolicy,
+ *   reportErrors: レート制限以外のエラーも Issue にコメントする（コメントのコマンドから実行する場合） }
+ * @returns {Promise<string>} 生成された問い合わせ文
  */
-async function main() {
-  try {
-    // 環境変数から設定を取得
-    const issueBody = process.env.ISSUE_BODY;
-    const issueNumber = process.env.ISSUE_NUMBER;
-    const repository = process.env.GITHUB_REPOSITORY;
-    const githubToken = process.env.GITHUB_TOKEN;
-    const aiApiKey = process.env.AI_API_KEY || process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY;
-    const aiProvider = process.env.AI_PROVIDER || 'openai';
-
-    if (!issueBody) {
-      throw new Error('ISSUE_BODY environment variable is required');
-    }
-    if (!issueNumber) {
-      throw new Error('ISSUE_NUMBER environment variable is required');
-    }
-    if (!repository) {
-      throw new Error('GITHUB_REPOSITORY environment variable is required');
-    }
-    if (!githubToken) {
-      throw new Error('GITHUB_TOKEN environment variable is required');
-    }
-    if (!aiApiKey) {
-      throw new Error('AI_API_KEY (or OPENAI_API_KEY/ANTHROPIC_API_KEY) environment variable is required');
-    }
-
-    console.log('🤖 AWS Support Request Generator (MVP)');
-    console.log(`📝 Issue #${issueNumber}`);
-    console.log(`🔧 AI Provider: ${aiProvider}`);
+async function generateAndPostSupportRequest(issueNumber, issueBody, options = {}) {
+  const { github, apiKey, provider = 'openai' } = options;
 
+  try {
     // AI問い合わせ生成
     console.log('🧠 Generating support request with AI...');
-    const supportRequest = await generateSupportRequest(issueBody, aiApiKey, aiProvider);
+    const { prompt, redactions } = buildSupportRequestPrompt(issueBody, options);
+    if (redactions.length > 0) {
+      console.log(`🔒 Redacted ${redactions.reduce((sum, entry) => sum + entry.count, 0)} value(s) before sending to AI`);
+    }
+    const supportRequest = await requestCompletion(prompt, apiKey, provider);
 
     // GitHub Issueにコメント投稿
-    const [owner, repo] = repository.split('/');
     console.log('💬 Posting comment to GitHub Issue...');
 
     const commentBody = `## 🤖 AI生成 - AWSサポート問い合わせ文
@@ -274,27 +200,34 @@ ${supportRequest}
 
 ---
 
-*このコメントはAI（${aiProvider}）により自動生成されました。*
+${formatRedactionSummary(redactions)}*このコメントはAI（${provider}）により自動生成されました。*
 *生成日時: ${new Date().toISOString()}*
 `;
 
-    await postIssueComment(owner, repo, issueNumber, commentBody, githubToken);
-
-    console.log('✅ Successfully generated and posted support request!');
-    console.log(`📊 View comment: https://github.com/${repository}/issues/${issueNumber}`);
+    await github.createComment(issueNumber, commentBody);
+    return supportRequest;
 
   } catch (error) {
-    console.error('❌ Error:', error.message);
-
     // レート制限エラーの場合、Issueにコメントを投稿
     if (error.statusCode === 429) {
       try {
-        const [owner, repo] = (process.env.GITHUB_REPOSITORY || '').split('/');
-        const issueNumber = process.env.ISSUE_NUMBER;
-        const githubToken = process.env.GITHUB_TOKEN;
+        await github.createComment(issueNumber, formatRateLimitComment(error));
+        console.log('📝 Posted rate limit notice to Issue');
+      } catch (commentError) {
+        console.error('Failed to post rate limit comment:', commentError.message);
+      }
+    } else if (options.reportErrors) {
+      await github.createComment(issueNumber, formatGenerateErrorComment(error));
+    }
+    throw error;
+  }
+}
 
-        if (owner && repo && issueNumber && githubToken) {
-          const rateLimitComment = `## ⏳ APIレート制限に到達しました
+/**
+ * AI API のレート制限に到達した場合のコメント（/retry で再実行できるようにマーカーを埋め込む）
+ */
+function formatRateLimitComment(error) {
+  return `## ⏳ APIレート制限に到達しました
 
 AI APIのレート制限に到達したため、問い合わせ文の生成を一時停止しました。
 
@@ -304,7 +237,7 @@ AI APIのレート制限に到達したため、問い合わせ文の生成を
 
 1. **Issueを編集する** - 任意のフィールドを編集して保存すると、自動的に再実行されます
 2. **手動再実行** - Actions タブから「Re-run jobs」をクリック
-3. **コメントを追加** - \`/retry\` とコメントすると再実行（将来実装予定）
+3. **コメントを追加** - \`/retry\` とコメントすると再実行
 
 ### エラー詳細
 
@@ -318,16 +251,77 @@ AI APIのレート制限に到達したため、問い合わせ文の生成を
 ---
 
 *このエラーは自動的に検出され、コメントされました。*
+
+${formatFailureMarker({ step: 'generate' })}
 `;
+}
 
-          await postIssueComment(owner, repo, issueNumber, rateLimitComment, githubToken);
-          console.log('📝 Posted rate limit notice to Issue');
-        }
-      } catch (commentError) {
-        console.error('Failed to post rate limit comment:', commentError.message);
-      }
+/**
+ * 問い合わせ文の生成に失敗した場合のコメント（/retry で再実行できるようにマーカーを埋め込む）
+ */
+function formatGenerateErrorComment(error) {
+  return `## ❌ AWSサポート問い合わせ文の生成失敗
+
+AIによる問い合わせ文の生成に失敗しました。
+
+### エラー内容
+\`\`\`
+${error.message}
+\`\`\`
+
+### 再試行
+原因を解消してから \`/retry\` とコメントすると、問い合わせ文の生成を再実行します。
+
+---
+
+*このエラーは自動検出されました*
+*発生日時: ${new Date().toISOString()}*
+
+${formatFailureMarker({ step: 'generate' })}
+`;
+}
+
+/**
+ * メイン処理
+ */
+async function main() {
+  try {
+    // 環境変数から設定を取得
+    const issueBody = process.env.ISSUE_BODY;
+    const issueNumber = process.env.ISSUE_NUMBER;
+    const repository = process.env.GITHUB_REPOSITORY;
+    // GITHUB_TOKEN、または GitHub App（GITHUB_APP_ID など）の認証情報を使う
+    const github = GitHubClient.fromEnv();
+    const aiApiKey = process.env.AI_API_KEY || process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY;
+    const aiProvider = process.env.AI_PROVIDER || 'openai';
+
+    if (!issueBody) {
+      throw new Error('ISSUE_BODY environment variable is required');
+    }
+    if (!issueNumber) {
+      throw new Error('ISSUE_NUMBER environment variable is required');
+    }
+    if (!repository) {
+      throw new Error('GITHUB_REPOSITORY environment variable is required');
+    }
+    if (!github) {
+      throw new Error('GITHUB_TOKEN (or GitHub App credentials) environment variable is required');
+    }
+    if (!aiApiKey) {
+      throw new Error('AI_API_KEY (or OPENAI_API_KEY/ANTHROPIC_API_KEY) environment variable is required');
     }
 
+    console.log('🤖 AWS Support Request Generator (MVP)');
+    console.log(`📝 Issue #${issueNumber}`);
+    console.log(`🔧 AI Provider: ${aiProvider}`);
+
+    await generateAndPostSupportRequest(issueNumber, issueBody, { github, apiKey: aiApiKey, provider: aiProvider });
+
+    console.log('✅ Successfully generated and posted support request!');
+    console.log(`📊 View comment: https://github.com/${repository}/issues/${issueNumber}`);
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
     process.exit(1);
   }
 }
@@ -337,4 +331,9 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { generateSupportRequest, postIssueComment };
+module.exports = {
+  generateSupportRequest,
+  generateAndPostSupportRequest,
+  buildSupportRequestPrompt,
+  postIssueComment
+};
@@ -0,0 +1,721 @@
+/**
+ * GitHub API Client
+ *
+ * AWSサポート連携スクリプト共通の GitHub REST API クライアント
+ * コメント・ラベル・Issue編集・リアクション・検索・ページネーションを扱う
+ *
+ * 認証は Personal Access Token / GITHUB_TOKEN と GitHub App のインストールトークンに対応
+ * ベースURLは GitHub Enterprise Server やローカルのスタブサーバーに切り替えられる
+ */
+
+const crypto = require('crypto');
+const { requestWithRetry } = require('./resilient-request');
+const { createGitHubError, GitHubError, ERROR_CODES } = require('./support-errors');
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+const DEFAULT_SERVER_URL = 'https://github.com';
+// GitHub にアップロードされたファイルを配信するホスト（GitHub のサーバー以外。https のみ・トークンは送らない）
+const ATTACHMENT_HOSTS = ['private-user-images.githubusercontent.com', 'user-images.githubusercontent.com'];
+// GITHUB_TOKEN で投稿したコメント・Issue の作成者
+const DEFAULT_BOT_LOGIN = 'github-actions[bot]';
+const PER_PAGE = 100;
+// インストールトークンは有効期限の5分前に再取得する
+const TOKEN_REFRESH_WINDOW_MS = 5 * 60 * 1000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * base64url エンコード（JWT 用）
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Link ヘッダーから rel="next" の URL を取得
+ */
+function parseNextLink(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+  const next = String(linkHeader).split(',').find(part => /rel="next"/.test(part));
+  const match = next && next.match(/<([^>]+)>/);
+  return match ? match[1] : null;
+}
+
+/**
+ * API のベースURLから GitHub のサーバーの URL を求める（api.github.com → github.com、GHES は同じオリジン）
+ */
+function serverUrlFromBaseUrl(baseUrl) {
+  return baseUrl === DEFAULT_BASE_URL ? DEFAULT_SERVER_URL : new URL(baseUrl).origin;
+}
+
+/**
+ * GitHub にアップロードされたファイルの URL か
+ * GitHub のサーバー（serverUrl と同じオリジン）の /user-attachments/・/owner/repo/assets/ と、
+ * https の user-images.githubusercontent.com だけを認める（他のホストにトークンを送らない・内部アドレスを取得しない）
+ * @param {string} url - URL
+ * @param {string} [serverUrl] - GitHub のサーバー（既定: GITHUB_SERVER_URL または https://github.com）
+ */
+function isAttachmentUrl(url, serverUrl = process.env.GITHUB_SERVER_URL || DEFAULT_SERVER_URL) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (parsed.username || parsed.password) {
+    return false;
+  }
+
+  if (parsed.origin === new URL(serverUrl).origin) {
+    return /^\/user-attachments\/(assets|files)\//.test(parsed.pathname) ||
+      /^\/[^/]+\/[^/]+\/assets\/\d+\//.test(parsed.pathname);
+  }
+  return parsed.protocol === 'https:' && !parsed.port && ATTACHMENT_HOSTS.includes(parsed.hostname);
+}
+
+/**
+ * このスクリプト（ボット）が投稿したコメント・Issue か
+ * 隠しマーカーは誰でもコメントに書けるため、ボット以外が投稿したマーカーは信頼しない
+ * GitHub App の場合は performed_via_github_app の App ID、GITHUB_TOKEN などの場合はボットのログイン名で判別する
+ * @param {Object} item - GitHub のコメント・Issue（user・performed_via_github_app を持つ）
+ * @param {Object} [github] - GitHubClient（app.appId・botLogin を参照する）
+ */
+function isBotAuthored(item, github = {}) {
+  if (!item) {
+    return false;
+  }
+  const app = item.performed_via_github_app;
+  if (github.app && app && String(app.id) === String(github.app.appId)) {
+    return true;
+  }
+  const user = item.user || {};
+  const botLogin = github.botLogin || process.env.AWS_SUPPORT_BOT_LOGIN || DEFAULT_BOT_LOGIN;
+  return user.type === 'Bot' && user.login === botLogin;
+}
+
+/**
+ * コメントが投稿された Issue の番号（API の issue_url から。issueNumber を持つ場合はそれを使う）
+ * @returns {number|null}
+ */
+function getCommentIssueNumber(comment) {
+  if (!comment) {
+    return null;
+  }
+  return Number(comment.issueNumber || String(comment.issue_url || '').split('/').pop()) || null;
+}
+
+/**
+ * リポジトリ内のパスを URL 用にエンコード（/ は区切りのまま残す）
+ */
+function encodePath(filePath) {
+  return String(filePath).split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Content-Disposition ヘッダーからファイル名を取得
+ */
+function parseContentDispositionFileName(header) {
+  if (!header) {
+    return null;
+  }
+  const encoded = String(header).match(/filename\*=(?:UTF-8'')?([^;]+)/i);
+  if (encoded) {
+    return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''));
+  }
+  const plain = String(header).match(/filename="?([^";]+)"?/i);
+  return plain ? plain[1].trim() : null;
+}
+
+/**
+ * GitHub API Client クラス
+ */
+class GitHubClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.repository - 'owner/repo'
+   * @param {string} [options.token] - Personal Access Token または GITHUB_TOKEN
+   * @param {Object} [options.app] - GitHub App 認証 { appId, privateKey, installationId }
+   * @param {string} [options.baseUrl] - API のベースURL（既定: GITHUB_API_URL または https://api.github.com）
+   * @param {string} [options.serverUrl] - GitHub のサーバー（添付ファイルのホスト。既定: ベースURLから求める）
+   * @param {string} [options.userAgent='AWS-Support-Bot'] - User-Agent
+   * @param {string} [options.botLogin] - このクライアントで投稿した場合の作成者
+   *   （既定: AWS_SUPPORT_BOT_LOGIN または github-actions[bot]。GitHub App の場合は App ID で判別する）
+   * @param {Object} [options.retryPolicy] - resilient-request.js の policy
+   */
+  constructor(options = {}) {
+    if (!options.repository) {
+      throw new GitHubError('GitHub repository is required (owner/repo)', { code: ERROR_CODES.GITHUB_NOT_FOUND });
+    }
+    if (!options.token && !options.app) {
+      throw new GitHubError('GitHub token is required', { code: ERROR_CODES.GITHUB_TOKEN_MISSING });
+    }
+
+    this.repository = options.repository;
+    [this.owner, this.repo] = options.repository.split('/');
+    this.token = options.token || null;
+    this.app = options.app || null;
+    this.baseUrl = (options.baseUrl || process.env.GITHUB_API_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.serverUrl = (options.serverUrl || serverUrlFromBaseUrl(this.baseUrl)).replace(/\/+$/, '');
+    this.userAgent = options.userAgent || 'AWS-Support-Bot';
+    this.botLogin = options.botLogin || process.env.AWS_SUPPORT_BOT_LOGIN || DEFAULT_BOT_LOGIN;
+    this.retryPolicy = options.retryPolicy || {};
+    this.installationToken = null;
+  }
+
+  /**
+   * 環境変数からクライアントを作成
+   * GITHUB_APP_ID / GITHUB_APP_PRIVATE_KEY / GITHUB_APP_INSTALLATION_ID があれば GitHub App、
+   * なければ GITHUB_TOKEN を使う。どちらもなければ null
+   * @param {Object} [env=process.env]
+   */
+  static fromEnv(env = process.env) {
+    if (!env.GITHUB_REPOSITORY) {
+      return null;
+    }
+
+    if (env.GITHUB_APP_ID && env.GITHUB_APP_PRIVATE_KEY && env.GITHUB_APP_INSTALLATION_ID) {
+      return new GitHubClient({
+        repository: env.GITHUB_REPOSITORY,
+        baseUrl: env.GITHUB_API_URL,
+        app: {
+          appId: env.GITHUB_APP_ID,
+          // Secrets に改行を \n で登録した場合にも対応
+          privateKey: env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n'),
+          installationId: env.GITHUB_APP_INSTALLATION_ID
+        }
+      });
+    }
+
+    if (env.GITHUB_TOKEN) {
+      return new GitHubClient({
+        repository: env.GITHUB_REPOSITORY,
+        baseUrl: env.GITHUB_API_URL,
+        token: env.GITHUB_TOKEN
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * リクエストに使うトークンを取得（GitHub App の場合はインストールトークンを発行・キャッシュ）
+   */
+  async getToken() {
+    if (this.token) {
+      return this.token;
+    }
+
+    const cached = this.installationToken;
+    if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_WINDOW_MS) {
+      return cached.token;
+    }
+
+    const response = await this.send(
+      'POST',
+      `${this.baseUrl}/app/installations/${this.app.installationId}/access_tokens`,
+      { authorization: `Bearer ${this.createAppJwt()}`, operation: 'apps.createInstallationAccessToken' }
+    );
+    this.installationToken = {
+      token: response.data.token,
+      expiresAt: new Date(response.data.expires_at).getTime()
+    };
+    return this.installationToken.token;
+  }
+
+  /**
+   * GitHub App の JWT（RS256、有効期限10分未満）を作成
+   */
+  createAppJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    // 時計のずれを考慮して発行時刻を60秒前にする
+    const payload = base64url(JSON.stringify({ iat: now - 60, exp: now + 9 * 60, iss: String(this.app.appId) }));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), this.app.privateKey);
+    return `${header}.${payload}.${base64url(signature)}`;
+  }
+
+  /**
+   * リクエストを送信（リトライ付き）し、JSON を解釈して返す
+   * @returns {Promise<{data: any, headers: Object, statusCode: number}>}
+   */
+  async send(method, url, options = {}) {
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'Authorization': options.authorization || `Bearer ${await this.getToken()}`,
+      'User-Agent': this.userAgent
+    };
+    let body;
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json; charset=utf-8';
+      // Content-Length は http-request.js がバイト数で計算する（日本語対応）
+      body = JSON.stringify(options.body);
+    }
+
+    const response = await requestWithRetry(
+      url,
+      { method, headers, body },
+      { ...this.retryPolicy, service: 'github', operation: options.operation, idempotent: options.idempotent !== false }
+    );
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      throw createGitHubError(response, options.operation);
+    }
+
+    return {
+      data: response.body ? JSON.parse(response.body) : null,
+      headers: response.headers,
+      statusCode: response.statusCode
+    };
+  }
+
+  /**
+   * API パスにリクエスト
+   * @param {string} method - HTTPメソッド
+   * @param {string} apiPath - '/repos/{owner}/{repo}/...' 形式（{owner}/{repo} は自動で置換）
+   * @param {Object} [options] - { body, query, operation, idempotent（false の場合は重複しないようにリトライを控える） }
+   */
+  async request(method, apiPath, options = {}) {
+    const response = await this.send(method, this.buildUrl(apiPath, options.query), options);
+    return response.data;
+  }
+
+  /**
+   * ページネーションをたどってすべての要素を取得
+   * 検索 API のように { items } を返すエンドポイントは items を連結する
+   */
+  async paginate(apiPath, options = {}) {
+    const results = [];
+    let url = this.buildUrl(apiPath, { per_page: PER_PAGE, ...(options.query || {}) });
+
+    while (url) {
+      const { data, headers } = await this.send('GET', url, options);
+      results.push(...(Array.isArray(data) ? data : data.items || []));
+      url = parseNextLink(headers.link);
+    }
+
+    return results;
+  }
+
+  /**
+   * API パスとクエリから URL を組み立て
+   */
+  buildUrl(apiPath, query = {}) {
+    const url = new URL(
+      this.baseUrl + apiPath.replace('{owner}', this.owner).replace('{repo}', this.repo)
+    );
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+    return url.toString();
+  }
+
+  // ---- コメント ----
+
+  /**
+   * Issue にコメントを投稿
+   */
+  async createComment(issueNumber, body) {
+    return this.request('POST', `/repos/{owner}/{repo}/issues/${issueNumber}/comments`, {
+      body: { body },
+      operation: 'issues.createComment',
+      idempotent: false
+    });
+  }
+
+  /**
+   * コメントを編集
+   */
+  async updateComment(commentId, body) {
+    return this.request('PATCH', `/repos/{owner}/{repo}/issues/comments/${commentId}`, {
+      body: { body },
+      operation: 'issues.updateComment'
+    });
+  }
+
+  /**
+   * コメントを取得
+   */
+  async getComment(commentId) {
+    return this.request('GET', `/repos/{owner}/{repo}/issues/comments/${commentId}`, {
+      operation: 'issues.getComment'
+    });
+  }
+
+  /**
+   * Issue のすべてのコメントを取得
+   */
+  async listComments(issueNumber, options = {}) {
+    return this.paginate(`/repos/{owner}/{repo}/issues/${issueNumber}/comments`, {
+      query: { since: options.since },
+      operation: 'issues.listComments'
+    });
+  }
+
+  /**
+   * リポジトリのすべての Issue コメントを取得
+   */
+  async listRepositoryComments(options = {}) {
+    return this.paginate('/repos/{owner}/{repo}/issues/comments', {
+      query: { since: options.since, sort: 'created', direction: 'asc' },
+      operation: 'issues.listCommentsForRepo'
+    });
+  }
+
+  // ---- Issue ----
+
+  /**
+   * Issue を取得
+   */
+  async getIssue(issueNumber) {
+    return this.request('GET', `/repos/{owner}/{repo}/issues/${issueNumber}`, {
+      operation: 'issues.get'
+    });
+  }
+
+  /**
+   * リポジトリの Issue を作成順に取得（Pull Request は除く）
+   * @param {Object} [options] - { state（既定: all）, labels, since }
+   */
+  async listIssues(options = {}) {
+    const issues = await this.paginate('/repos/{owner}/{repo}/issues', {
+      query: {
+        state: options.state || 'all',
+        labels: options.labels,
+        since: options.since,
+        sort: 'created',
+        direction: 'asc'
+      },
+      operation: 'issues.listForRepo'
+    });
+    return issues.filter(issue => !issue.pull_request);
+  }
+
+  /**
+   * Issue を作成
+   * @param {Object} issue - { title, body, labels, assignees }
+   */
+  async createIssue(issue) {
+    return this.request('POST', '/repos/{owner}/{repo}/issues', {
+      body: issue,
+      operation: 'issues.create',
+      idempotent: false
+    });
+  }
+
+  /**
+   * Issue を編集（title / body / state / labels など）
+   */
+  async updateIssue(issueNumber, fields) {
+    return this.request('PATCH', `/repos/{owner}/{repo}/issues/${issueNumber}`, {
+      body: fields,
+      operation: 'issues.update'
+    });
+  }
+
+  // ---- ラベル ----
+
+  /**
+   * ラベルを追加
+   */
+  async addLabels(issueNumber, labels) {
+    return this.request('POST', `/repos/{owner}/{repo}/issues/${issueNumber}/labels`, {
+      body: { labels },
+      operation: 'issues.addLabels'
+    });
+  }
+
+  /**
+   * ラベルを削除（付いていない場合は何もしない）
+   */
+  async removeLabel(issueNumber, label) {
+    try {
+      return await this.request(
+        'DELETE',
+        `/repos/{owner}/{repo}/issues/${issueNumber}/labels/${encodeURIComponent(label)}`,
+        { operation: 'issues.removeLabel' }
+      );
+    } catch (error) {
+      if (error.code === ERROR_CODES.GITHUB_NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // ---- リアクション ----
+
+  /**
+   * Issue コメントにリアクションを追加
+   * @param {number} commentId - コメントID
+   * @param {string} content - '+1', 'eyes', 'rocket', 'confused' など
+   */
+  async addReaction(commentId, content) {
+    return this.request('POST', `/repos/{owner}/{repo}/issues/comments/${commentId}/reactions`, {
+      body: { content },
+      operation: 'reactions.createForIssueComment'
+    });
+  }
+
+  /**
+   * Issue 本体にリアクションを追加
+   */
+  async addIssueReaction(issueNumber, content) {
+    return this.request('POST', `/repos/{owner}/{repo}/issues/${issueNumber}/reactions`, {
+      body: { content },
+      operation: 'reactions.createForIssue'
+    });
+  }
+
+  // ---- 権限 ----
+
+  /**
+   * ユーザーのリポジトリに対する権限を取得
+   * @param {string} username - GitHub のユーザー名
+   * @returns {Promise<Object|null>} { permission: 'admin'|'write'|'read'|'none', role_name: 'maintain' など }
+   *   （ユーザーが存在しない場合は null）
+   */
+  async getCollaboratorPermission(username) {
+    try {
+      return await this.request(
+        'GET',
+        `/repos/{owner}/{repo}/collaborators/${encodeURIComponent(username)}/permission`,
+        { operation: 'repos.getCollaboratorPermissionLevel' }
+      );
+    } catch (error) {
+      if (error.code === ERROR_CODES.GITHUB_NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * ユーザーの Organization のチームへの所属を取得
+   * GITHUB_TOKEN では Organization のチームを読めないため、members: read 権限のある GitHub App・トークンが必要
+   * @param {string} org - Organization 名
+   * @param {string} teamSlug - チームの slug
+   * @param {string} username - GitHub のユーザー名
+   * @returns {Promise<Object|null>} { state: 'active'|'pending', role: 'member'|'maintainer' }（所属していない場合は null）
+   */
+  async getTeamMembership(org, teamSlug, username) {
+    try {
+      return await this.request(
+        'GET',
+        `/orgs/${encodeURIComponent(org)}/teams/${encodeURIComponent(teamSlug)}/memberships/${encodeURIComponent(username)}`,
+        { operation: 'teams.getMembershipForUserInOrg' }
+      );
+    } catch (error) {
+      if (error.code === ERROR_CODES.GITHUB_NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // ---- リポジトリのファイル・Gist ----
+
+  /**
+   * ブランチを取得
+   * @returns {Promise<Object|null>} ブランチ（存在しない場合は null）
+   */
+  async getBranch(branch) {
+    try {
+      return await this.request('GET', `/repos/{owner}/{repo}/branches/${encodeURIComponent(branch)}`, {
+        operation: 'repos.getBranch'
+      });
+    } catch (error) {
+      if (error.code === ERROR_CODES.GITHUB_NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * リポジトリのファイルを取得（1MB まで）
+   * @param {string} filePath - リポジトリ内のパス
+   * @param {string} [ref] - ブランチ・コミット（既定: デフォルトブランチ）
+   * @returns {Promise<{content: string, sha: string}|null>} ファイルの内容（UTF-8）と blob の SHA（存在しない場合は null）
+   */
+  async getRepositoryFile(filePath, ref) {
+    try {
+      const file = await this.request('GET', `/repos/{owner}/{repo}/contents/${encodePath(filePath)}`, {
+        query: { ref },
+        operation: 'repos.getContent'
+      });
+      return { content: Buffer.from(file.content || '', 'base64').toString('utf8'), sha: file.sha };
+    } catch (error) {
+      if (error.code === ERROR_CODES.GITHUB_NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * リポジトリのファイルを作成・更新（1コミット）
+   * sha が取得した時点の SHA と異なる場合（別の実行が更新した場合）は 409 エラーになる
+   * @param {string} filePath - リポジトリ内のパス
+   * @param {Object} file - { content（UTF-8）, message, branch, sha（更新の場合） }
+   */
+  async putRepositoryFile(filePath, file) {
+    return this.request('PUT', `/repos/{owner}/{repo}/contents/${encodePath(filePath)}`, {
+      body: {
+        message: file.message,
+        content: Buffer.from(file.content, 'utf8').toString('base64'),
+        branch: file.branch,
+        sha: file.sha
+      },
+      operation: 'repos.createOrUpdateFileContents'
+    });
+  }
+
+  /**
+   * 履歴を持たない（デフォルトブランチと無関係な）ブランチをファイル1つで作成
+   * 同じ名前のブランチがすでにある場合は 422 エラーになる
+   * @param {string} branch - ブランチ名
+   * @param {string} filePath - リポジトリ内のパス
+   * @param {string} content - ファイルの内容
+   * @param {string} message - コミットメッセージ
+   */
+  async createOrphanBranch(branch, filePath, content, message) {
+    const tree = await this.request('POST', '/repos/{owner}/{repo}/git/trees', {
+      body: { tree: [{ path: filePath, mode: '100644', type: 'blob', content }] },
+      operation: 'git.createTree'
+    });
+    const commit = await this.request('POST', '/repos/{owner}/{repo}/git/commits', {
+      body: { message, tree: tree.sha, parents: [] },
+      operation: 'git.createCommit'
+    });
+    return this.request('POST', '/repos/{owner}/{repo}/git/refs', {
+      body: { ref: `refs/heads/${branch}`, sha: commit.sha },
+      operation: 'git.createRef'
+    });
+  }
+
+  /**
+   * Gist を取得（history[0].version が最新の版）
+   */
+  async getGist(gistId) {
+    return this.request('GET', `/gists/${encodeURIComponent(gistId)}`, {
+      operation: 'gists.get'
+    });
+  }
+
+  /**
+   * Gist のファイルを更新
+   * @param {string} gistId - Gist ID
+   * @param {Object} files - { ファイル名: 内容 }
+   */
+  async updateGist(gistId, files) {
+    return this.request('PATCH', `/gists/${encodeURIComponent(gistId)}`, {
+      body: {
+        files: Object.fromEntries(Object.entries(files).map(([name, content]) => [name, { content }]))
+      },
+      operation: 'gists.update'
+    });
+  }
+
+  // ---- 添付ファイル ----
+
+  /**
+   * Issue・コメントに添付されたファイル（user-attachments など）をダウンロード
+   * GitHub の添付ファイルの URL（isAttachmentUrl）以外はダウンロードしない
+   * 認証ヘッダーは GitHub のサーバーにだけ送り、署名付きURL（別ホスト）へのリダイレクト先には送らない
+   * @param {string} url - 添付ファイルのURL
+   * @param {Object} [options] - { maxBytes }（超えた場合は受信を中断してエラー）
+   * @returns {Promise<{data: Buffer, contentType: string, fileName: string|null}>}
+   */
+  async downloadAsset(url, options = {}) {
+    if (!isAttachmentUrl(url, this.serverUrl)) {
+      throw new GitHubError(`Not a GitHub attachment URL: ${url}`, {
+        code: ERROR_CODES.GITHUB_API_ERROR,
+        operation: 'assets.download'
+      });
+    }
+
+    // トークンは GitHub のサーバーにだけ送る（リダイレクトで他のホストに移ったら以降は送らない）
+    const serverOrigin = new URL(this.serverUrl).origin;
+    let target = url;
+    let authorization = new URL(url).origin === serverOrigin ? `Bearer ${await this.getToken()}` : null;
+
+    for (let redirects = 0; ; redirects++) {
+      const headers = { 'Accept': '*/*', 'User-Agent': this.userAgent };
+      if (authorization) {
+        headers.Authorization = authorization;
+      }
+
+      const response = await requestWithRetry(
+        target,
+        { method: 'GET', headers, responseType: 'buffer', maxResponseBytes: options.maxBytes },
+        { ...this.retryPolicy, service: 'github', operation: 'assets.download' }
+      );
+
+      if (REDIRECT_STATUS_CODES.has(response.statusCode) && response.headers.location) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new GitHubError(`Too many redirects while downloading ${url}`, {
+            code: ERROR_CODES.GITHUB_API_ERROR,
+            operation: 'assets.download'
+          });
+        }
+        const next = new URL(response.headers.location, target);
+        if (next.origin !== serverOrigin) {
+          authorization = null;
+        }
+        target = next.toString();
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        throw createGitHubError({ ...response, body: response.body.toString('utf8') }, 'assets.download');
+      }
+
+      return {
+        data: response.body,
+        contentType: response.headers['content-type'] || 'application/octet-stream',
+        fileName: parseContentDispositionFileName(response.headers['content-disposition'])
+      };
+    }
+  }
+
+  // ---- 検索 ----
+
+  /**
+   * このリポジトリの Issue を検索（repo: 修飾子は自動で付与）
+   * @param {string} query - 検索クエリ（例: 'is:open label:aws-support'）
+   */
+  async searchIssues(query) {
+    const q = /\brepo:/.test(query) ? query : `repo:${this.repository} ${query}`;
+    return this.paginate('/search/issues', { query: { q }, operation: 'search.issuesAndPullRequests' });
+  }
+}
+
+/**
+ * スクリプトのオプションから GitHub クライアントを取得
+ * githubClient があればそれを使い、なければ githubToken と repository から作成
+ * @param {Object} options - { githubClient, githubToken, repository }
+ * @returns {GitHubClient|null}
+ */
+function resolveGitHubClient(options = {}) {
+  if (options.githubClient) {
+    return options.githubClient;
+  }
+  if (options.githubToken && options.repository) {
+    return new GitHubClient({ token: options.githubToken, repository: options.repository });
+  }
+  return null;
+}
+
+module.exports = {
+  GitHubClient,
+  resolveGitHubClient,
+  isAttachmentUrl,
+  isBotAuthored,
+  getCommentIssueNumber,
+  parseNextLink,
+  parseContentDispositionFileName
+};
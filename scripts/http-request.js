@@ -0,0 +1,93 @@
+/**
+ * HTTP Request Helper
+ *
+ * http / https を URL から自動選択して1回のリクエストを送信する
+ * AWS Support API などのスクリプト共通の送信処理
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * HTTPリクエストを送信
+ * @param {string} url - リクエスト先URL
+ * @param {Object} options - オプション
+ * @param {string} [options.method='GET'] - HTTPメソッド
+ * @param {Object} [options.headers] - リクエストヘッダー
+ * @param {string|Buffer} [options.body] - リクエストボディ
+ * @param {number} [options.timeout] - タイムアウト（ミリ秒）
+ * @param {string} [options.responseType='text'] - 'buffer' の場合はボディを Buffer のまま返す（添付ファイルなどのバイナリ）
+ * @param {number} [options.maxResponseBytes] - レスポンスボディの上限（超えた場合は受信を中断してエラー）
+ * @returns {Promise<{statusCode: number, headers: Object, body: string|Buffer}>}
+ */
+function sendRequest(url, options = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  const body = options.body;
+  const headers = { ...(options.headers || {}) };
+
+  if (body !== undefined && headers['Content-Length'] === undefined) {
+    // 日本語などのマルチバイト文字を含むため、文字数ではなくバイト数を使う
+    headers['Content-Length'] = Buffer.byteLength(body);
+  }
+
+  const requestOptions = {
+    protocol: target.protocol,
+    hostname: target.hostname,
+    port: target.port || undefined,
+    path: `${target.pathname}${target.search}`,
+    method: options.method || 'GET',
+    headers
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(requestOptions, (res) => {
+      const chunks = [];
+      let received = 0;
+      let aborted = false;
+      res.on('data', (chunk) => {
+        received += chunk.length;
+        if (aborted) {
+          return;
+        }
+        if (options.maxResponseBytes && received > options.maxResponseBytes) {
+          const error = new Error(`Response exceeds ${options.maxResponseBytes} bytes: ${target.origin}`);
+          error.code = 'ERESPONSETOOLARGE';
+          aborted = true;
+          res.destroy();
+          reject(error);
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('error', reject);
+      res.on('end', () => {
+        if (aborted) {
+          return;
+        }
+        const data = Buffer.concat(chunks);
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: options.responseType === 'buffer' ? data : data.toString('utf8')
+        });
+      });
+    });
+
+    if (options.timeout) {
+      req.setTimeout(options.timeout, () => {
+        const error = new Error(`Request timed out after ${options.timeout}ms: ${target.origin}`);
+        error.code = 'ETIMEDOUT';
+        req.destroy(error);
+      });
+    }
+
+    req.on('error', reject);
+    if (body !== undefined) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+module.exports = { sendRequest };
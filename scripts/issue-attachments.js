@@ -0,0 +1,315 @@
+/**
+ * Issue Attachments
+ *
+ * Issue 本文・/reply コメントに添付されたファイルを AWS サポートケースの添付ファイルセットにアップロードする
+ * - GitHub にアップロードされたファイル（user-attachments の画像・ログ・HAR など）
+ * - 言語に `log` を指定したコードブロック（```log app.log のようにファイル名も指定できる）
+ *
+ * AddAttachmentsToSet の制限（1セット3件まで・1ファイル5MBまで）を超えたファイルや
+ * ダウンロードできなかったファイルはスキップし、理由を Issue に報告する
+ */
+
+const { isAttachmentUrl } = require('./github-client');
+
+// AddAttachmentsToSet の制限
+const ATTACHMENT_LIMITS = {
+  maxAttachmentsPerSet: 3,
+  maxAttachmentBytes: 5 * 1024 * 1024
+};
+
+// ファイルとして添付するコードブロックの言語
+const LOG_BLOCK_LANGUAGES = new Set(['log', 'logs']);
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'text/plain': '.txt',
+  'application/json': '.json',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'application/gzip': '.gz'
+};
+
+/**
+ * Markdown から添付ファイルを抽出
+ * ログのコードブロックは本文から取り除き、添付ファイル名の参照に置き換える（本文の文字数制限を超えないように）
+ * コードブロック内のURLは添付ファイルとして扱わない
+ * GitHub にアップロードされたファイル（GitHub のサーバーの user-attachments・以前の形式の /owner/repo/assets/・
+ * https の user-images.githubusercontent.com）以外のURLは扱わない（github-client.js の isAttachmentUrl）
+ * @param {string} markdown - Issue 本文・コメント本文
+ * @param {Object} [options] - { serverUrl（GitHub のサーバー。既定: GITHUB_SERVER_URL または https://github.com） }
+ * @returns {{body: string, attachments: Object[]}}
+ *   attachments: [{ fileName, url }]（GitHub のファイル）または [{ fileName, data }]（ログのコードブロック）
+ */
+function extractAttachments(markdown, options = {}) {
+  const attachments = [];
+  const bodyLines = [];
+  const textLines = [];
+  let fence = null;
+
+  for (const line of String(markdown || '').split(/\r?\n/)) {
+    if (!fence) {
+      const open = line.match(/^\s*(`{3,}|~{3,})\s*(\S*)\s*(.*)$/);
+      if (open) {
+        const language = open[2].toLowerCase();
+        fence = {
+          marker: open[1],
+          isLog: LOG_BLOCK_LANGUAGES.has(language),
+          fileName: open[3].trim(),
+          lines: [line]
+        };
+        continue;
+      }
+      bodyLines.push(line);
+      textLines.push(line);
+      continue;
+    }
+
+    const close = line.match(/^\s*(`{3,}|~{3,})\s*$/);
+    if (close && close[1][0] === fence.marker[0] && close[1].length >= fence.marker.length) {
+      fence.lines.push(line);
+      if (fence.isLog) {
+        const fileName = sanitizeFileName(fence.fileName) || `log-${attachments.filter(a => a.data).length + 1}.log`;
+        attachments.push({ fileName, data: fence.lines.slice(1, -1).join('\n') });
+        bodyLines.push(`（ログは添付ファイル ${fileName} を参照）`);
+      } else {
+        bodyLines.push(...fence.lines);
+      }
+      fence = null;
+      continue;
+    }
+    fence.lines.push(line);
+  }
+  // 閉じられていないコードブロックはそのまま本文に残す
+  if (fence) {
+    bodyLines.push(...fence.lines);
+  }
+
+  const seen = new Set();
+  for (const link of findLinks(textLines.join('\n'))) {
+    if (seen.has(link.url) || !isAttachmentUrl(link.url, options.serverUrl)) {
+      continue;
+    }
+    seen.add(link.url);
+    attachments.push({ fileName: fileNameFromLink(link), url: link.url });
+  }
+
+  return { body: bodyLines.join('\n'), attachments };
+}
+
+/**
+ * Markdown のリンク・画像、<img> タグ、URL を本文に出現する順に取得
+ */
+function findLinks(text) {
+  const links = [];
+  const pattern = /!?\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)|<img\s[^>]*>|https?:\/\/[^\s<>()"'`]+/g;
+
+  for (const match of text.matchAll(pattern)) {
+    if (match[2]) {
+      links.push({ url: match[2], text: match[1] });
+    } else if (match[0].startsWith('<img')) {
+      const src = match[0].match(/\ssrc="([^"]+)"/);
+      const alt = match[0].match(/\salt="([^"]*)"/);
+      if (src) {
+        links.push({ url: src[1], text: alt ? alt[1] : '' });
+      }
+    } else {
+      links.push({ url: match[0], text: '' });
+    }
+  }
+  return links;
+}
+
+/**
+ * リンクのテキスト・URLから添付ファイル名を決める（拡張子がない場合はダウンロード時に補う）
+ */
+function fileNameFromLink(link) {
+  const fromText = sanitizeFileName(link.text);
+  if (fromText && fromText.toLowerCase() !== 'image') {
+    return fromText;
+  }
+  // user-attachments/files/<id>/<ファイル名>
+  const files = link.url.match(/\/files\/\d+\/([^/?#]+)/);
+  if (files) {
+    try {
+      return sanitizeFileName(decodeURIComponent(files[1]));
+    } catch (error) {
+      return sanitizeFileName(files[1]);
+    }
+  }
+  return null;
+}
+
+/**
+ * 添付ファイル名に使えない文字を置き換え
+ */
+function sanitizeFileName(name) {
+  return String(name || '').trim().replace(/[\\/:*?"<>|\r\n]+/g, '_').slice(0, 200);
+}
+
+/**
+ * 添付ファイルを AWS の添付ファイルセットにアップロード
+ * 制限を超えたファイル・ダウンロードできなかったファイルはスキップして返す（ケースの作成・返信は続ける）
+ * @param {AWSSupportClient} client - AWS Support Client
+ * @param {Object[]} attachments - extractAttachments の attachments
+ * @param {Object} [options]
+ * @param {Function} [options.download] - (url, { maxBytes }) => Promise<{ data, contentType, fileName }>
+ *   （GitHubClient#downloadAsset。省略時はURLのファイルをスキップする）
+ * @returns {Promise<{attachmentSetId: string|null, uploaded: Object[], skipped: Object[], redactions: Object[]}>}
+ *   uploaded: [{ fileName, size }] / skipped: [{ fileName, reason }] / redactions: テキストの添付ファイルでマスキングした情報
+ */
+async function uploadAttachments(client, attachments, options = {}) {
+  const { download } = options;
+  const files = [];
+  const skipped = [];
+  const usedNames = new Set();
+
+  for (const attachment of attachments) {
+    const label = attachment.fileName || attachment.url;
+
+    if (files.length >= ATTACHMENT_LIMITS.maxAttachmentsPerSet) {
+      skipped.push({ fileName: label, reason: `1回に添付できるのは${ATTACHMENT_LIMITS.maxAttachmentsPerSet}件までです` });
+      continue;
+    }
+
+    let file;
+    try {
+      file = await loadAttachment(attachment, download);
+    } catch (error) {
+      skipped.push({ fileName: label, reason: describeLoadFailure(error) });
+      continue;
+    }
+
+    if (file.data.length === 0) {
+      skipped.push({ fileName: file.fileName, reason: 'ファイルが空です' });
+    } else if (file.data.length > ATTACHMENT_LIMITS.maxAttachmentBytes) {
+      skipped.push({ fileName: file.fileName, reason: `${formatSize(ATTACHMENT_LIMITS.maxAttachmentBytes)}を超えています（${formatSize(file.data.length)}）` });
+    } else {
+      files.push({ fileName: uniqueFileName(file.fileName, usedNames), data: file.data });
+    }
+  }
+
+  if (files.length === 0) {
+    return { attachmentSetId: null, uploaded: [], skipped, redactions: [] };
+  }
+
+  console.log(`📎 Uploading ${files.length} attachment(s) to AWS Support...`);
+  try {
+    const { attachmentSetId, redactions } = await client.addAttachmentsToSet(files);
+    return {
+      attachmentSetId,
+      uploaded: files.map(file => ({ fileName: file.fileName, size: file.data.length })),
+      skipped,
+      redactions: redactions || []
+    };
+  } catch (error) {
+    console.warn(`⚠️  Failed to upload attachments: ${error.message}`);
+    return {
+      attachmentSetId: null,
+      uploaded: [],
+      redactions: [],
+      skipped: skipped.concat(files.map(file => ({
+        fileName: file.fileName,
+        reason: `AWS へのアップロードに失敗しました（${error.message}）`
+      })))
+    };
+  }
+}
+
+/**
+ * 添付ファイルの内容を取得
+ * @returns {Promise<{fileName: string, data: Buffer}>}
+ */
+async function loadAttachment(attachment, download) {
+  if (attachment.data !== undefined) {
+    return { fileName: attachment.fileName, data: Buffer.from(attachment.data, 'utf8') };
+  }
+  if (!download) {
+    throw new Error('GitHub の認証情報がないためダウンロードできません');
+  }
+
+  const response = await download(attachment.url, { maxBytes: ATTACHMENT_LIMITS.maxAttachmentBytes });
+  let fileName = attachment.fileName || sanitizeFileName(response.fileName) || defaultFileName(attachment.url);
+  const extension = CONTENT_TYPE_EXTENSIONS[String(response.contentType || '').split(';')[0].trim()];
+  if (extension && !/\.[A-Za-z0-9]{1,5}$/.test(fileName)) {
+    fileName += extension;
+  }
+  return { fileName, data: response.data };
+}
+
+/**
+ * URL の最後のパスを既定のファイル名にする
+ */
+function defaultFileName(url) {
+  const last = new URL(url).pathname.split('/').filter(Boolean).pop();
+  return sanitizeFileName(last) || 'attachment';
+}
+
+/**
+ * ダウンロードに失敗した理由
+ */
+function describeLoadFailure(error) {
+  if (error.code === 'ERESPONSETOOLARGE') {
+    return `${formatSize(ATTACHMENT_LIMITS.maxAttachmentBytes)}を超えています`;
+  }
+  if (error.statusCode === 404 || error.statusCode === 401 || error.statusCode === 403) {
+    return `ダウンロードできませんでした（HTTP ${error.statusCode}）`;
+  }
+  return error.message;
+}
+
+/**
+ * 同じファイル名が続く場合は「name (2).ext」にする
+ */
+function uniqueFileName(fileName, usedNames) {
+  let candidate = fileName;
+  const dot = fileName.lastIndexOf('.');
+  const [base, extension] = dot > 0 ? [fileName.slice(0, dot), fileName.slice(dot)] : [fileName, ''];
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${extension}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${Math.round(bytes / 1024 / 1024 * 10) / 10}MB`;
+  }
+  if (bytes >= 1024) {
+    return `${Math.round(bytes / 1024 * 10) / 10}KB`;
+  }
+  return `${bytes}B`;
+}
+
+/**
+ * 添付ファイルの結果をコメント用の Markdown セクションにする（添付ファイルがない場合は空文字）
+ * @param {Object} [result] - uploadAttachments の戻り値
+ */
+function formatAttachmentSummary(result) {
+  if (!result || (result.uploaded.length === 0 && result.skipped.length === 0)) {
+    return '';
+  }
+
+  const lines = ['### 添付ファイル'];
+  for (const file of result.uploaded) {
+    lines.push(`- 📎 ${file.fileName}（${formatSize(file.size)}）`);
+  }
+  if (result.skipped.length > 0) {
+    lines.push('', '**⚠️ 添付できなかったファイル**（AWS Support Center から直接添付してください）');
+    for (const file of result.skipped) {
+      lines.push(`- ${file.fileName}: ${file.reason}`);
+    }
+  }
+  return `${lines.join('\n')}\n\n`;
+}
+
+module.exports = {
+  extractAttachments,
+  uploadAttachments,
+  formatAttachmentSummary,
+  formatSize,
+  ATTACHMENT_LIMITS
+};
@@ -0,0 +1,647 @@
+#!/usr/bin/env node
+
+/**
+ * Issue Command Dispatcher
+ *
+ * aws-support Issue のコメントに書かれたコマンドを実行する（ChatOps）
+ * 文法・コマンドの定義は comment-commands.js、コマンドごとの処理は HANDLERS
+ *
+ * - コメントした人の権限・チームをコマンドの認可ポリシー（command-authorization.js）で確認し、
+ *   許可されていなければ実行せずに監査記録をコメントする
+ * - コマンドのコメントにリアクションで進捗を知らせる: 👀（受け付けた）→ 👍（完了）/ 👎（失敗・実行しなかった）
+ *   GitHub のリアクションには ✅/❌ がないため、結果のコメントの見出しに ✅/❌ を付ける
+ */
+
+const { loadAccountConfig, resolveAccount, createClientForAccount } = require('./account-config');
+const { GitHubClient, resolveGitHubClient, isBotAuthored, getCommentIssueNumber } = require('./github-client');
+const {
+  formatErrorGuidance,
+  formatFailureMarker,
+  parseFailureMarker,
+  FAILURE_MARKER,
+  GitHubError,
+  ValidationError,
+  AuthorizationError,
+  ERROR_CODES
+} = require('./support-errors');
+const { CaseLinkRegistry, formatLinkMarker } = require('./case-link-registry');
+const { parseCommand, formatCommandError, SEVERITY_CODES } = require('./comment-commands');
+const { formatRedactionSummary } = require('./redaction');
+const { formatStatus } = require('./monitor-cases');
+const { createSupportCaseFromIssue } = require('./create-support-case');
+const { replyToCase, findLinkedCase } = require('./reply-to-case');
+const { submitPreview } = require('./submit-preview');
+const { generateAndPostSupportRequest } = require('./generate-aws-support-request');
+const { loadCommandPolicy, enforceCommandPolicy } = require('./command-authorization');
+const { formatSentMarker } = require('./case-conversation');
+
+// コマンドのコメントに付けるリアクション
+const REACTIONS = {
+  received: 'eyes',
+  succeeded: '+1',
+  failed: '-1'
+};
+
+/**
+ * Issue コメントのコマンドを実行
+ * @param {string} commentBody - コメント本文
+ * @param {Object} options - { issueNumber, commentId, author（コメントした人）, aiApiKey, aiProvider,
+ *   commandPolicy（既定: loadCommandPolicy()）, その他 createSupportCaseFromIssue / replyToCase と同じオプション }
+ * @returns {Promise<Object|null>} { command, executed, result }（コマンドがない場合は null）
+ *   executed: ポリシーで拒否した・コマンドの誤りで実行しなかった場合は false
+ */
+async function handleIssueComment(commentBody, options = {}) {
+  const { issueNumber, commentId, author } = options;
+  const github = resolveGitHubClient(options);
+  if (!github) {
+    throw new GitHubError('GitHub client is required to run issue commands', { code: ERROR_CODES.GITHUB_TOKEN_MISSING });
+  }
+
+  const command = parseCommand(commentBody);
+  if (!command) {
+    console.log('ℹ️  No command found in comment');
+    return null;
+  }
+  console.log(`📝 /${command.name} on Issue #${issueNumber} by @${author || '(unknown)'}`);
+  await react(github, commentId, REACTIONS.received);
+
+  const handler = HANDLERS[command.name];
+  const context = {
+    ...options,
+    githubClient: github,
+    github,
+    commentBody,
+    linkRegistry: options.linkRegistry || new CaseLinkRegistry({ github })
+  };
+  let running = false;
+
+  try {
+    context.commandPolicy = options.commandPolicy || loadCommandPolicy();
+    const authorization = await enforceCommandPolicy(github, command.name, context);
+    if (!authorization.allowed) {
+      await react(github, commentId, REACTIONS.failed);
+      return { command: command.name, executed: false, result: null };
+    }
+    // replyToCase は同じ判定を繰り返さない
+    context.authorization = authorization;
+
+    if (command.errors.length > 0) {
+      for (const commandError of command.errors) {
+        console.warn(`⚠️  ${commandError}`);
+      }
+      await github.createComment(issueNumber, formatCommandError(command));
+      await react(github, commentId, REACTIONS.failed);
+      return { command: command.name, executed: false, result: null };
+    }
+
+    running = true;
+    const result = await handler.run(command, context);
+    await react(github, commentId, REACTIONS.succeeded);
+    return { command: command.name, executed: true, result };
+
+  } catch (error) {
+    console.error(`❌ /${command.name} failed:`, error.message);
+    await react(github, commentId, REACTIONS.failed);
+
+    // ケースの作成・返信などは、それぞれのスクリプトがエラーをコメント済み
+    if (!running || !handler.reportsErrors) {
+      await github.createComment(issueNumber, formatCommandFailure(command, error, github.repository));
+    }
+    throw error;
+  }
+}
+
+// ---- リアクション ----
+
+/**
+ * コメントにリアクションを付ける（失敗してもコマンドは止めない）
+ */
+async function react(github, commentId, content) {
+  if (!commentId) {
+    return;
+  }
+  try {
+    await github.addReaction(commentId, content);
+  } catch (error) {
+    console.warn(`⚠️  Failed to add reaction ${content}: ${error.message}`);
+  }
+}
+
+// ---- コマンドの処理 ----
+
+// reportsErrors: 失敗をコメントする処理（ディスパッチャーはエラーをコメントしない）
+const HANDLERS = {
+  reply: {
+    reportsErrors: true,
+    run: (command, context) => replyToCase(context.commentBody, null, context)
+  },
+  submit: {
+    reportsErrors: true,
+    run: (command, context) => submitPreview(context.issueNumber, context)
+  },
+  'force-create': {
+    reportsErrors: true,
+    run: (command, context) => createCaseFromIssue(context, { force: true })
+  },
+  retry: {
+    reportsErrors: true,
+    run: retryLastFailure
+  },
+  regenerate: {
+    reportsErrors: true,
+    run: regenerateSupportRequest
+  },
+  status: { run: showCaseStatus },
+  resolve: { run: resolveLinkedCase },
+  reopen: { run: reopenLinkedCase },
+  escalate: { run: escalateLinkedCase },
+  cc: { run: updateCaseCc },
+  link: { run: linkExistingCase }
+};
+
+/**
+ * Issue 本文からケースを作成（作成済みの Issue では何もしない）
+ */
+async function createCaseFromIssue(context, overrides = {}) {
+  const issue = await context.github.getIssue(context.issueNumber);
+  return createSupportCaseFromIssue(issue.body || '', context.issueNumber, { ...context, ...overrides });
+}
+
+/**
+ * /retry: Issue で最後に失敗した処理を再実行
+ */
+async function retryLastFailure(command, context) {
+  const { github, issueNumber } = context;
+  const failure = await findLatestFailure(github, issueNumber);
+  if (!failure) {
+    console.log('ℹ️  No failed step to retry on this issue');
+    await github.createComment(issueNumber, formatNothingToRetry());
+    return null;
+  }
+
+  // 再送信する /reply コメントは、この Issue のもので、コメントした人が /reply を実行できる場合だけ送る
+  const comment = failure.step === 'reply' ? await github.getComment(failure.commentId) : null;
+  if (failure.step === 'reply') {
+    if (getCommentIssueNumber(comment) !== Number(issueNumber)) {
+      throw new ValidationError(`Comment ${failure.commentId} is not on Issue #${issueNumber}`, { field: 'commentId' });
+    }
+    const author = (comment.user || {}).login;
+    const decision = await enforceCommandPolicy(github, 'reply', { ...context, commentId: failure.commentId, author });
+    if (!decision.allowed) {
+      throw new AuthorizationError(`@${author || '(unknown)'} is not allowed to reply to AWS support cases (${decision.rule})`, {
+        rule: decision.rule
+      });
+    }
+  }
+
+  console.log(`🔁 Retrying ${failure.step}`);
+  // 再実行が失敗した場合は、新しい失敗のコメントが次の /retry の対象になる
+  await markFailureRetried(github, failure);
+
+  if (failure.step === 'reply') {
+    return replyToCase(comment.body || '', null, { ...context, commentId: failure.commentId });
+  }
+  if (failure.step === 'generate') {
+    return regenerateSupportRequest(command, context);
+  }
+  return createCaseFromIssue(context);
+}
+
+/**
+ * /regenerate: AI で問い合わせ文を生成し直す
+ */
+async function regenerateSupportRequest(command, context) {
+  const issue = await context.github.getIssue(context.issueNumber);
+  return generateAndPostSupportRequest(context.issueNumber, issue.body || '', {
+    github: context.github,
+    apiKey: context.aiApiKey,
+    provider: context.aiProvider,
+    reportErrors: true
+  });
+}
+
+/**
+ * /status: ケースの最新の状態をコメント
+ */
+async function showCaseStatus(command, context) {
+  const { link, account, client } = await resolveIssueCase(context);
+  const caseData = await describeCase(client, link.caseId);
+
+  await context.github.createComment(context.issueNumber, formatStatusComment(caseData, account));
+  return caseData;
+}
+
+/**
+ * /resolve: ケースを解決済みにする
+ */
+async function resolveLinkedCase(command, context) {
+  const { link, client } = await resolveIssueCase(context);
+  console.log(`🚀 Resolving case ${link.displayId || link.caseId}...`);
+  const result = await client.resolveCase(link.caseId);
+
+  await context.github.createComment(context.issueNumber, formatCommandResult({
+    title: 'AWSサポートケースを解決済みにしました',
+    link,
+    details: [`- **ステータス**: ${formatStatus(result.initialCaseStatus)} → ${formatStatus(result.finalCaseStatus)}`],
+    nextSteps: ['問題が再発した場合は `/reopen [メッセージ]` で再オープンできます']
+  }));
+  return result;
+}
+
+/**
+ * /reopen: 解決済みのケースにメッセージを送って再オープンする
+ */
+async function reopenLinkedCase(command, context) {
+  const { link, client } = await resolveIssueCase(context);
+  const caseData = await describeCase(client, link.caseId);
+  if (caseData.status !== 'resolved') {
+    throw new ValidationError(
+      `Case ${link.displayId || link.caseId} is not resolved (status: ${caseData.status}); use /reply to add a message`,
+      { field: 'status' }
+    );
+  }
+
+  const message = command.body || localize(caseData.language, {
+    ja: `GitHub Issue #${context.issueNumber} から、このケースの再オープンをお願いします。問題が解決していないため、引き続き調査をお願いします。`,
+    en: `Reopening this case from GitHub Issue #${context.issueNumber}: the problem has not been resolved. Please continue the investigation.`
+  });
+  console.log(`🚀 Reopening case ${link.displayId || link.caseId}...`);
+  const result = await client.addCommunicationToCase(link.caseId, message);
+
+  await context.github.createComment(context.issueNumber, formatCommandResult({
+    title: 'AWSサポートケースを再オープンしました',
+    link,
+    details: [`- **送信内容**: ${command.body ? 'コメントのメッセージ' : '再オープンを依頼する定型文'}`],
+    redactions: result.redactions,
+    nextSteps: ['AWSサポートからの回答を待ってください（回答は自動的にこのIssueに同期されます）'],
+    marker: formatSentMarker(link.caseId, result.communicationBody)
+  }));
+  return result;
+}
+
+/**
+ * /escalate: 重要度の引き上げを依頼する
+ * AWS Support API では作成後のケースの重要度を変更できないため、依頼をケースに送信する
+ */
+async function escalateLinkedCase(command, context) {
+  const severity = command.args.severity;
+  const { link, client } = await resolveIssueCase(context);
+  const caseData = await describeCase(client, link.caseId);
+
+  if (caseData.status === 'resolved') {
+    throw new ValidationError(`Case ${link.displayId || link.caseId} is resolved; use /reopen first`, { field: 'status' });
+  }
+  const { severityLevels } = await client.describeSeverityLevels();
+  const available = (severityLevels || []).map(level => level.code);
+  if (!available.includes(severity)) {
+    throw new ValidationError(
+      `Severity "${severity}" is not available on this support plan (available: ${available.join(', ')})`,
+      { field: 'severity' }
+    );
+  }
+  if (SEVERITY_CODES.indexOf(severity) <= SEVERITY_CODES.indexOf(caseData.severityCode)) {
+    throw new ValidationError(
+      `Case severity is already "${caseData.severityCode}"; /escalate can only raise the severity`,
+      { field: 'severity' }
+    );
+  }
+
+  const message = localize(caseData.language, {
+    ja: `【重要度の引き上げのお願い】\n重要度を ${caseData.severityCode} から ${severity} に引き上げてください。\n\n${command.body || '影響が拡大したため、対応の優先度を上げていただけますようお願いします。'}`,
+    en: `[Severity escalation request]\nPlease raise the severity of this case from ${caseData.severityCode} to ${severity}.\n\n${command.body || 'The impact has increased. Please prioritize this case.'}`
+  });
+  console.log(`🚀 Requesting severity ${caseData.severityCode} → ${severity}...`);
+  const result = await client.addCommunicationToCase(link.caseId, message);
+
+  await context.github.createComment(context.issueNumber, formatCommandResult({
+    title: '重要度の引き上げを依頼しました',
+    link,
+    details: [
+      `- **重要度**: \`${caseData.severityCode}\` → \`${severity}\`（依頼）`,
+      '',
+      'AWS Support API では作成後のケースの重要度を変更できないため、引き上げの依頼をケースに送信しました。'
+    ],
+    redactions: result.redactions,
+    nextSteps: ['緊急の場合は AWS Support Center のチャット・電話での連絡もご検討ください'],
+    marker: formatSentMarker(link.caseId, result.communicationBody)
+  }));
+  return result;
+}
+
+/**
+ * /cc add|remove: CC への追加・削除を依頼する
+ * add は指定したアドレスをこの連絡の CC に入れて送信する。CC の削除は API でできないため依頼のみ
+ */
+async function updateCaseCc(command, context) {
+  const { action, emails } = command.args;
+  const { link, client } = await resolveIssueCase(context);
+  const caseData = await describeCase(client, link.caseId);
+
+  const list = emails.map(email => `- ${email}`).join('\n');
+  const note = command.body ? `\n\n${command.body}` : '';
+  const message = action === 'add'
+    ? localize(caseData.language, {
+      ja: `以下のメールアドレスをこのケースの CC に追加してください。\n${list}${note}`,
+      en: `Please add the following email addresses to the CC list of this case.\n${list}${note}`
+    })
+    : localize(caseData.language, {
+      ja: `以下のメールアドレスをこのケースの CC から削除してください。\n${list}${note}`,
+      en: `Please remove the following email addresses from the CC list of this case.\n${list}${note}`
+    });
+  console.log(`🚀 Requesting CC ${action}: ${emails.join(', ')}`);
+  const result = await client.addCommunicationToCase(link.caseId, message, {
+    ccEmailAddresses: action === 'add' ? emails : []
+  });
+
+  await context.github.createComment(context.issueNumber, formatCommandResult({
+    title: action === 'add' ? 'CC への追加を依頼しました' : 'CC からの削除を依頼しました',
+    link,
+    details: [
+      `- **メールアドレス**: ${emails.join(', ')}`,
+      '',
+      action === 'add'
+        ? '指定したアドレスをこの連絡の CC に入れて、以降の連絡の CC への追加を依頼しました。'
+        : 'CC からの削除は API でできないため、削除の依頼をケースに送信しました。'
+    ],
+    redactions: result.redactions,
+    marker: formatSentMarker(link.caseId, result.communicationBody)
+  }));
+  return result;
+}
+
+/**
+ * /link: 既存のケースを Issue に連携する
+ * ケース作成コメントと同じ隠しマーカーをコメントし、監視・返信・ケース作成の判定から参照できるようにする
+ */
+async function linkExistingCase(command, context) {
+  const { github, issueNumber, linkRegistry } = context;
+  const reference = command.args.caseId;
+
+  const existing = await findLinkedCase(issueNumber, github, linkRegistry);
+  if (existing) {
+    throw new ValidationError(
+      `Issue #${issueNumber} is already linked to case ${existing.displayId || existing.caseId}`,
+      { field: 'caseId' }
+    );
+  }
+
+  const { account, client } = createClient(context, command.options.account);
+  const { cases } = await client.describeCases({
+    // Case ID は case- で始まる（それ以外は Display ID として検索する）
+    ...(/^case-/.test(reference) ? { caseIdList: [reference] } : { displayId: reference }),
+    includeResolvedCases: true,
+    includeCommunications: false
+  });
+  const caseData = (cases || [])[0];
+  if (!caseData) {
+    throw new ValidationError(`Case ${reference} was not found in account ${account.alias}`, { field: 'caseId' });
+  }
+
+  const owner = await linkRegistry.findByCaseId(caseData.caseId);
+  if (owner && owner.issueNumber !== Number(issueNumber)) {
+    throw new ValidationError(
+      `Case ${caseData.displayId || caseData.caseId} is already linked to Issue #${owner.issueNumber}`,
+      { field: 'caseId' }
+    );
+  }
+
+  const link = await linkRegistry.link({
+    issueNumber,
+    caseId: caseData.caseId,
+    displayId: caseData.displayId,
+    account: account.alias
+  });
+  console.log(`🔗 Linked case ${link.displayId} to Issue #${issueNumber}`);
+
+  await github.createComment(issueNumber, formatCommandResult({
+    title: 'AWSサポートケースを連携しました',
+    link,
+    details: [
+      `- **Account**: \`${account.alias}\`${account.accountId ? ` (${account.accountId})` : ''}`,
+      `- **件名**: ${caseData.subject}`,
+      `- **ステータス**: ${formatStatus(caseData.status)}`
+    ],
+    nextSteps: [
+      'AWSからの回答は自動的にこのIssueに同期されます',
+      '`/reply` で返信、`/status` で最新の状態を確認できます'
+    ],
+    marker: formatLinkMarker(link)
+  }));
+  return link;
+}
+
+// ---- ケース・失敗の検索 ----
+
+/**
+ * Issue に連携したケースと、ケースのアカウントのクライアントを取得
+ */
+async function resolveIssueCase(context) {
+  const link = await findLinkedCase(context.issueNumber, context.github, context.linkRegistry);
+  if (!link) {
+    throw new ValidationError(`No AWS support case is linked to Issue #${context.issueNumber}`, { field: 'caseId' });
+  }
+  return { link, ...createClient(context, link.account) };
+}
+
+/**
+ * アカウントを選択してクライアントを作成
+ */
+function createClient(context, accountSelector) {
+  const account = resolveAccount(
+    loadAccountConfig(context.accountsConfig, { awsProfile: context.awsProfile || 'default' }),
+    accountSelector
+  );
+  return {
+    account,
+    client: createClientForAccount(account, { mockMode: context.mockMode, mockBackend: context.mockBackend })
+  };
+}
+
+/**
+ * ケースの詳細を取得（解決済みのケースを含む）
+ */
+async function describeCase(client, caseId) {
+  const { cases } = await client.describeCases({ caseIdList: [caseId], includeResolvedCases: true });
+  if (!cases || cases.length === 0) {
+    throw new ValidationError(`Case ${caseId} was not found`, { field: 'caseId' });
+  }
+  return cases[0];
+}
+
+/**
+ * Issue で最後に失敗した処理を取得
+ * 最新の失敗のコメントだけが対象（再実行済みの場合は null）
+ * @returns {Promise<Object|null>} { id, body, step, status, commentId }
+ */
+async function findLatestFailure(github, issueNumber) {
+  const comments = await github.listComments(issueNumber);
+  for (const comment of comments.reverse()) {
+    // 失敗のマーカーはボットのコメントのものだけを使う（ユーザーが書いたマーカーで任意のコメントを再送信させない）
+    const failure = isBotAuthored(comment, github) ? parseFailureMarker(comment.body) : null;
+    if (failure) {
+      return failure.status === 'failed' ? { id: comment.id, body: comment.body, ...failure } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * 失敗のコメントを再実行済みにする（同じ失敗を2回再実行しないように）
+ * @param {Object} failure - findLatestFailure の戻り値
+ */
+async function markFailureRetried(github, failure) {
+  const { id, body, ...data } = failure;
+  const updated = body
+    .replace(/^(## .*)$/m, `$1\n\n> 🔁 \`/retry\` で再実行しました（${new Date().toISOString()}）`)
+    .replace(new RegExp(`<!-- ${FAILURE_MARKER} \\{.*?\\} -->`), formatFailureMarker({ ...data, status: 'retried' }));
+
+  return github.updateComment(id, updated);
+}
+
+/**
+ * ケースの言語に合わせて AWS に送る定型文を選ぶ
+ */
+function localize(language, messages) {
+  return language === 'en' ? messages.en : messages.ja;
+}
+
+// ---- コメント ----
+
+/**
+ * コマンドを実行した結果のコメント
+ * @param {Object} result - { title, link, details: 行, redactions, nextSteps: 行, marker }
+ */
+function formatCommandResult(result) {
+  const { title, link, details = [], redactions, nextSteps = [], marker } = result;
+  const steps = nextSteps.length > 0 ? `### 次のステップ\n${nextSteps.map(step => `- ${step}`).join('\n')}\n\n` : '';
+
+  return `## ✅ ${title}
+
+- **Case ID**: \`${link.caseId}\`
+- **Display ID**: \`${link.displayId || link.caseId}\`
+${details.join('\n')}
+
+${formatRedactionSummary(redactions)}${steps}---
+
+*このコメントは自動生成されました*${marker ? `\n\n${marker}` : ''}
+`;
+}
+
+/**
+ * /status のコメント
+ */
+function formatStatusComment(caseData, account) {
+  const communications = (caseData.recentCommunications || {}).communications || [];
+  const history = communications.length > 0
+    ? ['| 日時 | 送信者 | 添付 |', '|------|--------|------|',
+      ...communications.map(c => `| ${c.timeCreated} | ${c.submittedBy} | ${(c.attachmentSet || []).length}件 |`)
+    ].join('\n')
+    : 'やり取りはまだありません';
+  const ccLine = caseData.ccEmailAddresses && caseData.ccEmailAddresses.length > 0
+    ? `\n- **CC**: ${caseData.ccEmailAddresses.join(', ')}`
+    : '';
+
+  return `## 📋 AWSサポートケースの状態
+
+- **Case ID**: \`${caseData.caseId}\`
+- **Display ID**: \`${caseData.displayId || caseData.caseId}\`
+- **Account**: \`${account.alias}\`${account.accountId ? ` (${account.accountId})` : ''}
+- **件名**: ${caseData.subject}
+- **ステータス**: ${formatStatus(caseData.status)}
+- **重要度**: \`${caseData.severityCode}\`
+- **サービス / カテゴリ**: \`${caseData.serviceCode}\` / \`${caseData.categoryCode}\`
+- **作成日時**: ${caseData.timeCreated}${ccLine}
+
+### 最近のやり取り（新しい順）
+${history}
+
+---
+
+*このコメントは自動生成されました*
+*取得日時: ${new Date().toISOString()}*
+`;
+}
+
+/**
+ * コマンドの実行に失敗した場合のコメント
+ */
+function formatCommandFailure(command, error, repository) {
+  return `## ❌ \`/${command.name}\` を実行できませんでした
+
+### エラー内容
+\`\`\`
+${error.message}
+\`\`\`
+
+${formatErrorGuidance(error, { repository })}
+
+---
+
+*このエラーは自動検出されました*
+*発生日時: ${new Date().toISOString()}*
+`;
+}
+
+/**
+ * 再実行する失敗がない場合のコメント
+ */
+function formatNothingToRetry() {
+  return `## ℹ️ 再実行する処理がありません
+
+\`/retry\` はこのIssueで最後に失敗した処理（ケースの作成・返信・問い合わせ文の生成）を再実行するコマンドです。
+このIssueには再実行が必要な失敗がないため、何も実行していません（再実行済みの場合を含みます）。
+
+---
+
+*このコメントは自動生成されました*
+`;
+}
+
+/**
+ * メイン処理
+ */
+async function main() {
+  const commentBody = process.env.COMMENT_BODY;
+  const issueNumber = process.env.ISSUE_NUMBER;
+
+  if (!commentBody || !issueNumber) {
+    console.error('❌ Error: COMMENT_BODY and ISSUE_NUMBER are required');
+    process.exit(1);
+  }
+
+  try {
+    const outcome = await handleIssueComment(commentBody, {
+      // GITHUB_TOKEN、または GitHub App（GITHUB_APP_ID など）の認証情報を使う
+      githubClient: GitHubClient.fromEnv(),
+      issueNumber,
+      commentId: process.env.COMMENT_ID ? Number(process.env.COMMENT_ID) : undefined,
+      author: process.env.COMMENT_AUTHOR,
+      awsProfile: process.env.AWS_PROFILE || 'default',
+      accountsConfig: process.env.AWS_ACCOUNTS_CONFIG,
+      caseDefaultsConfig: process.env.AWS_CASE_DEFAULTS,
+      mockMode: process.env.MOCK_MODE === 'true',
+      // ドライラン: ケースの作成・返信を送信せずにプレビューする（/submit で送信）
+      dryRun: process.env.DRY_RUN === 'true',
+      aiApiKey: process.env.AI_API_KEY || process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY,
+      aiProvider: process.env.AI_PROVIDER || 'openai'
+    });
+
+    if (outcome && outcome.executed) {
+      console.log(`✅ /${outcome.command} completed`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to run the command:', error.message);
+    process.exit(1);
+  }
+}
+
+// スクリプト実行
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  handleIssueComment,
+  findLatestFailure,
+  REACTIONS
+};
@@ -0,0 +1,375 @@
+/**
+ * Issue Form Parser
+ *
+ * .github/ISSUE_TEMPLATE/ の Issue フォーム定義（YAML）を読み込み、
+ * フォームから作成された Issue 本文を項目 id ごとの値に分解する
+ *
+ * GitHub は Issue フォームの各項目を「### ラベル」見出しと値として本文に出力するため、
+ * テンプレートのラベルを手がかりに値を取り出す（未入力は `_No response_`）
+ * 項目の追加やラベルの翻訳（英語テンプレートなど）にコード変更なしで対応できる
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', '.github', 'ISSUE_TEMPLATE');
+const DEFAULT_TEMPLATE = path.join(TEMPLATE_DIR, 'aws-support-request.yml');
+const NO_RESPONSE = '_No response_';
+
+// 以前のテンプレートで使っていたラベル（作成済み Issue の解析用）
+const LEGACY_LABELS = {
+  aws_account_id: ['AWSアカウントID（任意）']
+};
+
+/**
+ * Issue フォーム定義に必要な範囲の YAML をパース
+ * （マッピング・シーケンス・ブロックスカラー `|` `>`・引用符付き文字列・フロー形式の配列）
+ * @param {string} text - YAML テキスト
+ * @returns {any}
+ */
+function parseYaml(text) {
+  const lines = text.split(/\r?\n/).map(raw => ({
+    raw,
+    indent: raw.match(/^ */)[0].length,
+    content: raw.trim()
+  }));
+  let pos = 0;
+
+  const isBlank = line => line.content === '' || line.content.startsWith('#');
+  const isSequenceItem = line => line.content === '-' || line.content.startsWith('- ');
+
+  function skipBlank() {
+    while (pos < lines.length && isBlank(lines[pos])) {
+      pos++;
+    }
+  }
+
+  function parseNode(indent) {
+    skipBlank();
+    if (pos >= lines.length || lines[pos].indent < indent) {
+      return null;
+    }
+    return isSequenceItem(lines[pos]) ? parseSequence(lines[pos].indent) : parseMapping(lines[pos].indent);
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+    for (skipBlank(); pos < lines.length; skipBlank()) {
+      const line = lines[pos];
+      if (line.indent !== indent || !isSequenceItem(line)) {
+        break;
+      }
+
+      const rest = line.content.slice(1).trim();
+      if (!rest) {
+        pos++;
+        items.push(parseNode(indent + 1));
+      } else if (isMappingEntry(rest)) {
+        // "- key: value" は「- 」の後ろの位置から始まるマッピングとして読む
+        lines[pos] = { raw: line.raw, indent: line.raw.indexOf(rest), content: rest };
+        items.push(parseMapping(lines[pos].indent));
+      } else {
+        pos++;
+        items.push(parseScalar(rest));
+      }
+    }
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+    for (skipBlank(); pos < lines.length; skipBlank()) {
+      const line = lines[pos];
+      if (line.indent !== indent || isSequenceItem(line)) {
+        break;
+      }
+
+      const match = line.content.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+      if (!match) {
+        throw new Error(`Unsupported YAML at line ${pos + 1}: ${line.content}`);
+      }
+      const key = unquote(match[1]);
+      const rest = (match[2] || '').trim();
+      pos++;
+
+      if (rest === '' || rest.startsWith('#')) {
+        skipBlank();
+        const next = lines[pos];
+        const nested = next && (next.indent > indent || (next.indent === indent && isSequenceItem(next)));
+        map[key] = nested ? parseNode(next.indent) : null;
+      } else if (/^[|>][+-]?$/.test(rest)) {
+        map[key] = parseBlockScalar(indent, rest);
+      } else {
+        map[key] = parseScalar(rest);
+      }
+    }
+    return map;
+  }
+
+  function parseBlockScalar(parentIndent, indicator) {
+    const collected = [];
+    let blockIndent = null;
+
+    while (pos < lines.length) {
+      const line = lines[pos];
+      if (line.content !== '') {
+        if (line.indent <= parentIndent || (blockIndent !== null && line.indent < blockIndent)) {
+          break;
+        }
+        if (blockIndent === null) {
+          blockIndent = line.indent;
+        }
+      }
+      collected.push(line.content === '' ? '' : line.raw.slice(blockIndent));
+      pos++;
+    }
+
+    const text = indicator.startsWith('>')
+      ? collected.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+      : collected.join('\n');
+
+    if (indicator.endsWith('+')) {
+      return `${text}\n`;
+    }
+    const stripped = text.replace(/\n+$/, '');
+    return indicator.endsWith('-') ? stripped : `${stripped}\n`;
+  }
+
+  return parseNode(0);
+}
+
+function isMappingEntry(text) {
+  return /^("[^"]*"|'[^']*'|[^\s"'\[{][^:]*?)\s*:(\s|$)/.test(text);
+}
+
+function unquote(text) {
+  const value = text.trim();
+  if (value.startsWith('"')) {
+    return JSON.parse(value);
+  }
+  if (value.startsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  return value;
+}
+
+/**
+ * スカラー値をパース
+ */
+function parseScalar(text) {
+  const value = text.trim();
+
+  if (value.startsWith('"') || value.startsWith("'")) {
+    const quote = value[0];
+    const end = quote === '"' ? value.search(/(?<!\\)"(?=\s*(#.*)?$)/) : value.lastIndexOf("'");
+    return unquote(value.slice(0, (end > 0 ? end : value.length - 1) + 1));
+  }
+  if (value.startsWith('[')) {
+    const inner = value.slice(1, value.lastIndexOf(']')).trim();
+    return inner ? splitFlowItems(inner).map(parseScalar) : [];
+  }
+
+  const plain = value.replace(/\s+#.*$/, '');
+  if (plain === 'true' || plain === 'false') {
+    return plain === 'true';
+  }
+  if (plain === 'null' || plain === '~') {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(plain)) {
+    return Number(plain);
+  }
+  return plain;
+}
+
+/**
+ * フロー形式の配列 `a, "b, c", 'd'` を要素に分割
+ */
+function splitFlowItems(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current);
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Issue フォーム定義を読み込み
+ * @param {string} [templatePath] - テンプレートファイル（既定: aws-support-request.yml）
+ * @returns {{name: string, labels: string[], file: string, fields: Object[]}}
+ *   fields: [{ id, type, label, description, options, multiple, required }]
+ */
+function loadIssueTemplate(templatePath = DEFAULT_TEMPLATE) {
+  const template = parseYaml(fs.readFileSync(templatePath, 'utf8')) || {};
+
+  const fields = (template.body || [])
+    .filter(item => item && item.type !== 'markdown')
+    .map(item => {
+      const attributes = item.attributes || {};
+      return {
+        id: item.id || attributes.label,
+        type: item.type,
+        label: String(attributes.label || item.id).trim(),
+        description: attributes.description,
+        options: (attributes.options || []).map(option =>
+          (typeof option === 'object' && option !== null ? option.label : String(option))
+        ),
+        multiple: Boolean(attributes.multiple),
+        required: Boolean(item.validations && item.validations.required)
+      };
+    });
+
+  return {
+    name: template.name,
+    labels: template.labels || [],
+    file: templatePath,
+    fields
+  };
+}
+
+/**
+ * ラベルに aws-support を含むすべての Issue フォーム定義を読み込み
+ * @param {string} [templateDir] - テンプレートディレクトリ
+ */
+function loadIssueTemplates(templateDir = TEMPLATE_DIR) {
+  return fs.readdirSync(templateDir)
+    .filter(file => /\.ya?ml$/.test(file) && file !== 'config.yml')
+    .map(file => loadIssueTemplate(path.join(templateDir, file)))
+    .filter(template => template.labels.includes('aws-support') && template.fields.length > 0);
+}
+
+/**
+ * Issue 本文の見出しと最も多く一致するテンプレートを選択
+ * （日本語・英語など複数のテンプレートがある場合）
+ */
+function selectTemplate(issueBody, templates) {
+  const headings = new Set(extractHeadings(issueBody));
+  let best = templates[0];
+  let bestScore = -1;
+
+  for (const template of templates) {
+    const score = template.fields.filter(field => labelsFor(field).some(label => headings.has(label))).length;
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function extractHeadings(issueBody) {
+  return (issueBody || '').split(/\r?\n/)
+    .filter(line => /^###\s+/.test(line))
+    .map(line => normalizeLabel(line.replace(/^###\s+/, '')));
+}
+
+function normalizeLabel(label) {
+  return String(label).trim().replace(/\s+/g, ' ');
+}
+
+function labelsFor(field) {
+  return [field.label, ...(LEGACY_LABELS[field.id] || [])].map(normalizeLabel);
+}
+
+/**
+ * Issue 本文をフォームの項目ごとに分解・検証
+ *
+ * テンプレートのラベルと一致する「### 見出し」だけを区切りとして扱うため、
+ * テキストエリア内に書かれた ### 見出しは値の一部として残る
+ *
+ * @param {string} issueBody - Issue 本文
+ * @param {Object} template - loadIssueTemplate の戻り値
+ * @returns {{values: Object, errors: Object[]}}
+ *   values: { [id]: string | string[] | null }（未入力・`_No response_` は null）
+ *   errors: [{ field, label, message }]
+ */
+function parseIssueForm(issueBody, template) {
+  const fieldsByLabel = new Map();
+  for (const field of template.fields) {
+    for (const label of labelsFor(field)) {
+      fieldsByLabel.set(label, field);
+    }
+  }
+
+  const raw = {};
+  let current = null;
+  for (const line of (issueBody || '').split(/\r?\n/)) {
+    const heading = line.match(/^###\s+(.+)$/);
+    const field = heading && fieldsByLabel.get(normalizeLabel(heading[1]));
+    if (field) {
+      current = field.id;
+      raw[current] = [];
+      continue;
+    }
+    if (current) {
+      raw[current].push(line);
+    }
+  }
+
+  const values = {};
+  const errors = [];
+
+  for (const field of template.fields) {
+    const text = raw[field.id] ? raw[field.id].join('\n').trim() : '';
+    const value = text && text !== NO_RESPONSE ? toFieldValue(field, text) : null;
+    values[field.id] = value;
+
+    const isEmpty = value === null || (Array.isArray(value) && value.length === 0);
+    if (field.required && isEmpty) {
+      errors.push({ field: field.id, label: field.label, message: '入力必須の項目です' });
+      continue;
+    }
+
+    if (field.type === 'dropdown' && !isEmpty) {
+      const invalid = [].concat(value).filter(option => !field.options.includes(option));
+      if (invalid.length > 0) {
+        errors.push({
+          field: field.id,
+          label: field.label,
+          message: `\`${invalid.join(', ')}\` は選択肢にありません（${field.options.join(' / ')}）`
+        });
+      }
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * 項目の種類に応じて値を変換
+ */
+function toFieldValue(field, text) {
+  if (field.type === 'checkboxes') {
+    return text.split(/\r?\n/)
+      .map(line => line.match(/^\s*-\s*\[[xX]\]\s*(.+)$/))
+      .filter(Boolean)
+      .map(match => match[1].trim());
+  }
+  if (field.type === 'dropdown') {
+    return field.multiple ? text.split(',').map(option => option.trim()).filter(Boolean) : text;
+  }
+  return text;
+}
+
+module.exports = {
+  parseYaml,
+  loadIssueTemplate,
+  loadIssueTemplates,
+  selectTemplate,
+  parseIssueForm,
+  DEFAULT_TEMPLATE,
+  TEMPLATE_DIR
+};
@@ -0,0 +1,35 @@
+/**
+ * Structured Logger
+ *
+ * GitHub Actions のログから機械的に集計できるよう、1行1イベントの JSON で出力する
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * 構造化ログを1行出力
+ * @param {string} level - 'debug' | 'info' | 'warn' | 'error'
+ * @param {string} event - イベント名（例: 'request.retry'）
+ * @param {Object} [fields] - 付加情報
+ */
+function logEvent(level, event, fields = {}) {
+  const minimum = LEVELS.indexOf(process.env.LOG_LEVEL || 'info');
+  if (LEVELS.indexOf(level) < minimum) {
+    return;
+  }
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    event,
+    ...fields
+  });
+
+  if (level === 'error' || level === 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+module.exports = { logEvent };
@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+
+/**
+ * Mock AWS Support Backend
+ *
+ * モックモード用のインメモリ Support サービス
+ * - 作成したケース・コミュニケーション・添付ファイルを保持
+ * - stateFile を指定するとファイルに永続化（別プロセスのスクリプト間で共有可能）
+ * - 「N回ポーリングした後にAWSが回答する」などのシナリオをスクリプトできる
+ *
+ * レスポンスは実際の Support API と同じ形式（{ statusCode, data }）で返す
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadServiceCatalog } = require('./service-catalog');
+const { AWS_SUBMITTER } = require('./aws-support-client');
+
+const RECENT_COMMUNICATIONS_LIMIT = 5;
+const DEFAULT_PAGE_SIZE = 100;
+
+const SEVERITY_LEVELS = [
+  { code: 'low', name: 'General guidance' },
+  { code: 'normal', name: 'System impaired' },
+  { code: 'high', name: 'Production system impaired' },
+  { code: 'urgent', name: 'Production system down' },
+  { code: 'critical', name: 'Business-critical system down' }
+];
+
+// サポートプランごとに指定できる重要度
+const PLAN_SEVERITY_CODES = {
+  developer: ['low', 'normal'],
+  business: ['low', 'normal', 'high', 'urgent'],
+  'enterprise-on-ramp': ['low', 'normal', 'high', 'urgent', 'critical'],
+  enterprise: ['low', 'normal', 'high', 'urgent', 'critical']
+};
+
+const TRUSTED_ADVISOR_CHECKS = [
+  {
+    id: 'Qch7DwouX1',
+    name: 'Low Utilization Amazon EC2 Instances',
+    description: 'Checks the Amazon EC2 instances that were running at any time during the last 14 days.',
+    category: 'cost_optimizing',
+    metadata: ['Region/AZ', 'Instance ID', 'Instance Name', 'Instance Type']
+  },
+  {
+    id: 'HCP4007jGY',
+    name: 'Security Groups - Specific Ports Unrestricted',
+    description: 'Checks security groups for rules that allow unrestricted access to specific ports.',
+    category: 'security',
+    metadata: ['Region', 'Security Group Name', 'Security Group ID', 'Protocol', 'Port']
+  }
+];
+
+const RESOURCES_SUMMARY = {
+  resourcesProcessed: 1,
+  resourcesFlagged: 0,
+  resourcesIgnored: 0,
+  resourcesSuppressed: 0
+};
+
+/**
+ * afterTime / beforeTime で timeCreated を絞り込む
+ */
+function filterByTime(items, params) {
+  return items.filter(item => {
+    const time = new Date(item.timeCreated).getTime();
+    if (params.afterTime && time < new Date(params.afterTime).getTime()) {
+      return false;
+    }
+    if (params.beforeTime && time > new Date(params.beforeTime).getTime()) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * maxResults / nextToken でページ分割（nextToken は開始位置をエンコードしたもの）
+ */
+function paginate(items, params) {
+  const start = params.nextToken
+    ? Number(Buffer.from(params.nextToken, 'base64').toString('utf8'))
+    : 0;
+  const size = params.maxResults || DEFAULT_PAGE_SIZE;
+  const end = start + size;
+
+  return {
+    items: items.slice(start, end),
+    nextToken: end < items.length ? Buffer.from(String(end)).toString('base64') : undefined
+  };
+}
+
+/**
+ * 初期状態（サンプルケースを1件含む）
+ */
+function createInitialState(seed) {
+  const state = {
+    sequence: 0,
+    polls: 0,
+    cases: {},
+    attachmentSets: {},
+    scheduledEvents: []
+  };
+
+  if (seed) {
+    const timeCreated = new Date().toISOString();
+    state.cases['case-mock-12345'] = {
+      caseId: 'case-mock-12345',
+      displayId: 'CASE-12345',
+      subject: 'Test EC2 Issue',
+      status: 'opened',
+      serviceCode: 'amazon-elastic-compute-cloud-linux',
+      categoryCode: 'other',
+      severityCode: 'low',
+      submittedBy: 'mock-user@example.com',
+      timeCreated,
+      ccEmailAddresses: [],
+      language: 'ja',
+      communications: [
+        {
+          caseId: 'case-mock-12345',
+          body: 'This is a test case response from AWS Support.',
+          submittedBy: AWS_SUBMITTER,
+          timeCreated,
+          attachmentSet: []
+        }
+      ]
+    };
+  }
+
+  return state;
+}
+
+/**
+ * モック Support サービス
+ */
+class MockSupportBackend {
+  /**
+   * @param {Object} options - オプション
+   * @param {string} [options.stateFile] - 状態を永続化するファイル
+   * @param {boolean} [options.seed=true] - サンプルケースを作成するか
+   * @param {string} [options.submittedBy] - 顧客側の送信者名
+   * @param {string} [options.supportPlan='enterprise'] - DescribeSeverityLevels が返す重要度を決めるサポートプラン
+   */
+  constructor(options = {}) {
+    this.stateFile = options.stateFile || null;
+    this.seed = options.seed !== false;
+    this.submittedBy = options.submittedBy || 'mock-user@example.com';
+    this.supportPlan = options.supportPlan || 'enterprise';
+    this.state = this.load();
+  }
+
+  // ===== シナリオ設定 =====
+
+  /**
+   * N回ポーリング（DescribeCases）された後にAWSから回答させる
+   * @param {string} caseId - Case ID
+   * @param {Object} options - { afterPolls = 1, body, submittedBy, status = 'pending-customer-action' }
+   */
+  scheduleReply(caseId, options = {}) {
+    return this.schedule({
+      type: 'reply',
+      caseId,
+      afterPolls: options.afterPolls ?? 1,
+      body: options.body || 'Thank you for contacting AWS Support. We are looking into this.',
+      submittedBy: options.submittedBy || AWS_SUBMITTER,
+      status: options.status || 'pending-customer-action'
+    });
+  }
+
+  /**
+   * N回ポーリングされた後にケースの状態を変更する
+   * @param {string} caseId - Case ID
+   * @param {Object} options - { afterPolls = 1, status }
+   */
+  scheduleStatusChange(caseId, options = {}) {
+    if (!options.status) {
+      throw new Error('status is required');
+    }
+    return this.schedule({
+      type: 'status',
+      caseId,
+      afterPolls: options.afterPolls ?? 1,
+      status: options.status
+    });
+  }
+
+  schedule(event) {
+    this.reload();
+    this.state.scheduledEvents.push({ ...event, duePoll: this.state.polls + event.afterPolls });
+    this.save();
+    return event;
+  }
+
+  /**
+   * ケースの内部状態を取得（テスト用）
+   */
+  getCase(caseId) {
+    this.reload();
+    return this.state.cases[caseId] || null;
+  }
+
+  /**
+   * すべてのケースを削除
+   */
+  reset() {
+    this.state = createInitialState(this.seed);
+    this.save();
+  }
+
+  // ===== API =====
+
+  /**
+   * Support API 操作を処理
+   * @param {string} operation - API 操作名（例: 'CreateCase'）
+   * @param {Object} params - リクエストパラメータ
+   * @returns {{statusCode: number, data: Object}} 実際の API と同じ形式のレスポンス
+   */
+  handle(operation, params = {}) {
+    this.reload();
+
+    const handler = this[`handle${operation}`];
+    if (!handler) {
+      return this.error('InvalidAction', `Unsupported operation: ${operation}`);
+    }
+
+    const response = handler.call(this, params);
+    this.save();
+    return response;
+  }
+
+  handleCreateCase(params) {
+    if (!params.communicationBody) {
+      return this.error('ValidationException', 'communicationBody is required');
+    }
+
+    const sequence = this.nextSequence();
+    const caseId = `case-mock-${Date.now()}-${sequence}`;
+    const timeCreated = new Date().toISOString();
+
+    this.state.cases[caseId] = {
+      caseId,
+      displayId: `CASE-${String(sequence).padStart(8, '0')}`,
+      subject: params.subject,
+      status: 'opened',
+      serviceCode: params.serviceCode || 'general-info',
+      categoryCode: params.categoryCode || 'other',
+      severityCode: params.severityCode || 'low',
+      submittedBy: this.submittedBy,
+      timeCreated,
+      ccEmailAddresses: params.ccEmailAddresses || [],
+      language: params.language || 'en',
+      issueType: params.issueType || 'technical',
+      communications: [
+        this.buildCommunication(caseId, params.communicationBody, this.submittedBy, params.attachmentSetId)
+      ]
+    };
+
+    const record = this.state.cases[caseId];
+    return this.ok({ caseId, displayId: record.displayId });
+  }
+
+  handleDescribeCases(params) {
+    // 最初のページの取得を1回のポーリングとして扱い、予定されたイベントを発火させる
+    if (!params.nextToken) {
+      this.state.polls += 1;
+      this.applyScheduledEvents();
+    }
+
+    let cases = Object.values(this.state.cases);
+    if (params.caseIdList && params.caseIdList.length > 0) {
+      cases = cases.filter(c => params.caseIdList.includes(c.caseId));
+    }
+    if (params.displayId) {
+      cases = cases.filter(c => c.displayId === params.displayId);
+    }
+    if (!params.includeResolvedCases) {
+      cases = cases.filter(c => c.status !== 'resolved');
+    }
+    cases = filterByTime(cases, params);
+
+    const page = paginate(cases, params);
+    return this.ok({
+      cases: page.items.map(c => this.toCaseDetails(c, params.includeCommunications !== false)),
+      nextToken: page.nextToken
+    });
+  }
+
+  handleAddCommunicationToCase(params) {
+    const record = this.state.cases[params.caseId];
+    if (!record) {
+      return this.caseNotFound(params.caseId);
+    }
+
+    record.communications.push(
+      this.buildCommunication(record.caseId, params.communicationBody, this.submittedBy, params.attachmentSetId)
+    );
+    // 解決済みのケースに返信すると再オープンされる
+    if (record.status === 'resolved') {
+      record.status = 'reopened';
+    } else if (record.status === 'pending-customer-action') {
+      record.status = 'opened';
+    }
+
+    return this.ok({ result: true });
+  }
+
+  handleResolveCase(params) {
+    const record = this.state.cases[params.caseId];
+    if (!record) {
+      return this.caseNotFound(params.caseId);
+    }
+
+    const initialCaseStatus = record.status;
+    record.status = 'resolved';
+    return this.ok({ initialCaseStatus, finalCaseStatus: 'resolved' });
+  }
+
+  handleDescribeCommunications(params) {
+    const record = this.state.cases[params.caseId];
+    if (!record) {
+      return this.caseNotFound(params.caseId);
+    }
+
+    // 実際の API と同様に新しい順で返す
+    const communications = filterByTime([...record.communications].reverse(), params);
+    const page = paginate(communications, params);
+    return this.ok({ communications: page.items, nextToken: page.nextToken });
+  }
+
+  handleAddAttachmentsToSet(params) {
+    const attachmentSetId = params.attachmentSetId || `attachment-set-mock-${this.nextSequence()}`;
+    const existing = this.state.attachmentSets[attachmentSetId] || [];
+
+    this.state.attachmentSets[attachmentSetId] = existing.concat(
+      (params.attachments || []).map((attachment, index) => ({
+        attachmentId: `${attachmentSetId}-${existing.length + index}`,
+        fileName: attachment.fileName,
+        data: attachment.data
+      }))
+    );
+
+    return this.ok({
+      attachmentSetId,
+      expiryTime: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    });
+  }
+
+  handleDescribeAttachment(params) {
+    for (const attachments of Object.values(this.state.attachmentSets)) {
+      const attachment = attachments.find(a => a.attachmentId === params.attachmentId);
+      if (attachment) {
+        return this.ok({ attachment: { fileName: attachment.fileName, data: attachment.data } });
+      }
+    }
+    return this.error('AttachmentIdNotFound', `Attachment ID not found: ${params.attachmentId}`);
+  }
+
+  handleDescribeServices(params) {
+    // サービス・カテゴリはカタログ（.github/aws-support/service-catalog.json）と同じものを返す
+    return this.ok({ services: loadServiceCatalog().toDescribeServices(params.serviceCodeList) });
+  }
+
+  handleDescribeSeverityLevels() {
+    const codes = PLAN_SEVERITY_CODES[this.supportPlan] || PLAN_SEVERITY_CODES.enterprise;
+    return this.ok({ severityLevels: SEVERITY_LEVELS.filter(level => codes.includes(level.code)) });
+  }
+
+  handleDescribeCreateCaseOptions() {
+    return this.ok({
+      languageAvailability: 'available',
+      communicationTypes: [
+        { type: 'chat', supportedHours: [], datesWithoutSupport: [] },
+        { type: 'web', supportedHours: [], datesWithoutSupport: [] }
+      ]
+    });
+  }
+
+  handleDescribeTrustedAdvisorChecks() {
+    return this.ok({ checks: TRUSTED_ADVISOR_CHECKS });
+  }
+
+  handleDescribeTrustedAdvisorCheckResult(params) {
+    return this.ok({
+      result: {
+        checkId: params.checkId,
+        timestamp: new Date().toISOString(),
+        status: 'ok',
+        resourcesSummary: RESOURCES_SUMMARY,
+        categorySpecificSummary: {},
+        flaggedResources: []
+      }
+    });
+  }
+
+  handleDescribeTrustedAdvisorCheckSummaries(params) {
+    return this.ok({
+      summaries: (params.checkIds || []).map(checkId => ({
+        checkId,
+        timestamp: new Date().toISOString(),
+        status: 'ok',
+        hasFlaggedResources: false,
+        resourcesSummary: RESOURCES_SUMMARY,
+        categorySpecificSummary: {}
+      }))
+    });
+  }
+
+  handleDescribeTrustedAdvisorCheckRefreshStatuses(params) {
+    return this.ok({
+      statuses: (params.checkIds || []).map(checkId => ({
+        checkId,
+        status: 'success',
+        millisUntilNextRefreshable: 0
+      }))
+    });
+  }
+
+  handleRefreshTrustedAdvisorCheck(params) {
+    return this.ok({
+      status: {
+        checkId: params.checkId,
+        status: 'enqueued',
+        millisUntilNextRefreshable: 300000
+      }
+    });
+  }
+
+  // ===== 内部処理 =====
+
+  applyScheduledEvents() {
+    const due = this.state.scheduledEvents.filter(e => e.duePoll <= this.state.polls);
+    this.state.scheduledEvents = this.state.scheduledEvents.filter(e => e.duePoll > this.state.polls);
+
+    for (const event of due) {
+      const record = this.state.cases[event.caseId];
+      if (!record) {
+        continue;
+      }
+
+      if (event.type === 'reply') {
+        record.communications.push(this.buildCommunication(record.caseId, event.body, event.submittedBy));
+      }
+      record.status = event.status;
+    }
+  }
+
+  buildCommunication(caseId, body, submittedBy, attachmentSetId) {
+    const attachments = attachmentSetId ? this.state.attachmentSets[attachmentSetId] || [] : [];
+    return {
+      caseId,
+      body,
+      submittedBy,
+      timeCreated: new Date().toISOString(),
+      attachmentSet: attachments.map(a => ({ attachmentId: a.attachmentId, fileName: a.fileName }))
+    };
+  }
+
+  toCaseDetails(record, includeCommunications) {
+    const { communications, ...details } = record;
+    if (!includeCommunications) {
+      return details;
+    }
+    return {
+      ...details,
+      recentCommunications: {
+        communications: [...communications].reverse().slice(0, RECENT_COMMUNICATIONS_LIMIT)
+      }
+    };
+  }
+
+  nextSequence() {
+    this.state.sequence += 1;
+    return this.state.sequence;
+  }
+
+  ok(data) {
+    return { statusCode: 200, data };
+  }
+
+  error(code, message) {
+    return { statusCode: 400, data: { __type: `com.amazonaws.support#${code}`, message } };
+  }
+
+  caseNotFound(caseId) {
+    return this.error('CaseIdNotFound', `Case ID not found: ${caseId}`);
+  }
+
+  // ===== 永続化 =====
+
+  load() {
+    if (this.stateFile && fs.existsSync(this.stateFile)) {
+      return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+    }
+    return createInitialState(this.seed);
+  }
+
+  reload() {
+    if (this.stateFile) {
+      this.state = this.load();
+    }
+  }
+
+  save() {
+    if (!this.stateFile) {
+      return;
+    }
+    // 書き込み途中の状態を他プロセスが読まないよう、一時ファイル経由で置き換える
+    fs.mkdirSync(path.dirname(path.resolve(this.stateFile)), { recursive: true });
+    const tempFile = `${this.stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(this.state, null, 2), 'utf8');
+    fs.renameSync(tempFile, this.stateFile);
+  }
+}
+
+module.exports = { MockSupportBackend };
+
+// CLI: ファイルに保存されたモック状態にシナリオを追加
+//   MOCK_STATE_FILE=.mock-support.json node scripts/mock-support-backend.js reply <caseId> [afterPolls] [body]
+//   MOCK_STATE_FILE=.mock-support.json node scripts/mock-support-backend.js status <caseId> <status> [afterPolls]
+if (require.main === module) {
+  const stateFile = process.env.MOCK_STATE_FILE;
+  const [command, caseId, ...args] = process.argv.slice(2);
+
+  if (!stateFile || !command || !caseId) {
+    console.error('Usage: MOCK_STATE_FILE=<file> node scripts/mock-support-backend.js <reply|status> <caseId> ...');
+    process.exit(1);
+  }
+
+  const backend = new MockSupportBackend({ stateFile });
+
+  if (command === 'reply') {
+    backend.scheduleReply(caseId, { afterPolls: Number(args[0] || 1), body: args[1] });
+    console.log(`✅ Scheduled AWS reply for ${caseId}`);
+  } else if (command === 'status') {
+    backend.scheduleStatusChange(caseId, { status: args[0], afterPolls: Number(args[1] || 1) });
+    console.log(`✅ Scheduled status change for ${caseId}: ${args[0]}`);
+  } else {
+    console.error(`❌ Unknown command: ${command}`);
+    process.exit(1);
+  }
+}
@@ -5,162 +5,505 @@
  *
  * AWSサポートケースの状態を定期的に監視し、
  * 変更があった場合にGitHub Issueに通知
+ * ケースのやり取りは全履歴をたどり、ケースごとのカーソルより後のメッセージを1回ずつ投稿する（case-conversation.js）
+ * 前回の状態は実行をまたいで残るストアに保存する（case-state-store.js。AWS_CASE_STATE_STORE で選択）
+ * ケースの記録は前回の状態と項目ごとに比較し、変更をケースごとに1件のコメントにまとめて通知する
+ * Issue に連携していないケース（AWS Support Center・他のツールで作成されたケース）は、追跡用の Issue を作成して連携する
  */
 
-const { AWSSupportClient } = require('./aws-support-client');
-const https = require('https');
-const fs = require('fs');
-const path = require('path');
+const { loadAccountConfig, createClientForAccount } = require('./account-config');
+const { AWS_SUBMITTER } = require('./aws-support-client');
+const { GitHubClient, resolveGitHubClient } = require('./github-client');
+const { CaseLinkRegistry, formatLinkMarker } = require('./case-link-registry');
+const {
+  fetchNewCommunications,
+  getSyncCursor,
+  advanceCursor,
+  createMessageClassifier,
+  loadCommunicationAttachments,
+  formatCommunicationAttachments,
+  formatCommunicationMarker
+} = require('./case-conversation');
+const { createStateStore } = require('./case-state-store');
+const { logEvent } = require('./logger');
+
+// 追跡用の Issue のラベル（Issue テンプレートと同じ）と、ケースの重要度に対応する優先度ラベル（.github/labels.yml）
+const TRACKING_ISSUE_LABEL = 'aws-support';
+const PRIORITY_LABELS = {
+  critical: '🔥 priority:P0-Critical',
+  urgent: '🔥 priority:P0-Critical',
+  high: '⚠️ priority:P1-High',
+  normal: '📊 priority:P2-Medium',
+  low: '📝 priority:P3-Low'
+};
+
+// 変更を通知する項目の表示名・表示形式（この順に表示する。ここにない項目も項目名のまま通知する）
+const CASE_FIELDS = [
+  { key: 'status', label: 'ステータス', format: formatStatus },
+  { key: 'severityCode', label: '重要度', format: formatCode },
+  { key: 'subject', label: '件名' },
+  { key: 'serviceCode', label: 'サービス', format: formatCode },
+  { key: 'categoryCode', label: 'カテゴリ', format: formatCode },
+  { key: 'ccEmailAddresses', label: 'CC' },
+  { key: 'language', label: '言語', format: formatCode },
+  { key: 'issueType', label: '問い合わせ種別', format: formatCode },
+  { key: 'displayId', label: 'Display ID', format: formatCode },
+  { key: 'submittedBy', label: '作成者' },
+  { key: 'timeCreated', label: '作成日時' }
+];
+
+// 比較しない項目（監視の内部情報・やり取りは syncCommunications で扱う）
+const IGNORED_FIELDS = new Set(['caseId', 'account', 'syncCursor', 'recentCommunications', 'issueNumber']);
 
 /**
- * すべてのオープンケースを監視
+ * 設定されたすべてのアカウントのオープンケースを監視
  */
 async function monitorAllCases(options = {}) {
   const {
-    githubToken,
-    repository,
     awsProfile = 'default',
+    accountsConfig,
     mockMode = false,
-    stateFile = '.aws-case-state.json'
+    mockBackend,
+    linkRegistry,
+    stateFile,
+    stateStore,
+    // Issue に連携していないケースの追跡用 Issue を作成するか（既定で有効。AWS_MONITOR_CREATE_ISSUES=false で無効）
+    // モックモードでは架空のケース（case-mock-12345 など）の Issue を作らないよう、環境変数にかかわらず作成しない
+    createIssues = !mockMode && process.env.AWS_MONITOR_CREATE_ISSUES !== 'false'
   } = options;
 
+  let releaseState = null;
   try {
     console.log('🔍 Monitoring AWS Support cases...');
 
-    // AWS Support Client初期化
-    const client = new AWSSupportClient({
-      profile: awsProfile,
-      mockMode
-    });
-
-    // ケース一覧を取得
-    const response = await client.describeCases({
-      includeResolvedCases: false, // オープンケースのみ
-      maxResults: 100
-    });
-
-    console.log(`📊 Found ${response.cases ? response.cases.length : 0} open cases`);
+    const { accounts } = loadAccountConfig(accountsConfig, { awsProfile });
+
+    // 通知先 Issue の検索に使うレジストリ（再構築は1回の監視につき1回まで）・アカウントごとのクライアント
+    const github = resolveGitHubClient(options);
+    const context = {
+      client: null,
+      github,
+      linkRegistry: linkRegistry || new CaseLinkRegistry({ github }),
+      registryRebuilt: false,
+      createIssues
+    };
+
+    // 前回の状態を読み込み（保存するまで他の監視の実行と排他する）
+    const store = stateStore || createStateStore({ stateFile, github });
+    releaseState = await store.lock();
+    const previousState = (await store.load()).cases;
+    console.log(`💾 Case state: ${store.backend} (${store.location}, ${Object.keys(previousState).length} cases)`);
+
+    const changes = [];
+    const nextState = [];
+    let lastAccountError = null;
+    let failedAccounts = 0;
+
+    for (const account of accounts) {
+      let cases;
+      try {
+        // アカウントごとの認証情報でケース一覧を取得（nextToken をたどって全ページ）
+        context.client = createClientForAccount(account, { mockMode, mockBackend });
+        cases = await context.client.describeAllCases({
+          includeResolvedCases: false, // オープンケースのみ
+          includeCommunications: false, // やり取りは DescribeCommunications で全件取得する
+          maxResults: 100
+        });
+        console.log(`📊 [${account.alias}] Found ${cases.length} open cases`);
+
+        // 前回の監視の後に解決されたケースは一覧に含まれないため、Case ID で取得して最後の変更を通知する
+        const closed = await describeClosedCases(context.client, cases, previousState, account.alias);
+        if (closed.length > 0) {
+          console.log(`📊 [${account.alias}] ${closed.length} case(s) closed since the last poll`);
+          cases.push(...closed);
+        }
+      } catch (error) {
+        // 取得できなかったアカウントのケースは前回の状態を引き継ぐ
+        lastAccountError = error;
+        failedAccounts++;
+        logEvent('error', 'monitor.account_failed', {
+          account: account.alias,
+          code: error.code,
+          message: error.message
+        });
+        nextState.push(...Object.values(previousState).filter(c => c.account === account.alias));
+        continue;
+      }
 
-    // 前回の状態を読み込み
-    const previousState = loadState(stateFile);
+      // 各ケースの変更をチェック
+      for (const caseData of cases) {
+        caseData.account = account.alias;
+        try {
+          changes.push(await checkCaseChanges(caseData, previousState, context));
+          nextState.push(caseData);
+        } catch (error) {
+          // 通知に失敗したケースは前回の状態のまま保存し、次回の監視で再通知する
+          // （投稿済みのメッセージは再投稿しないよう、カーソルは進めた位置を保存する）
+          logEvent('error', 'monitor.case_failed', {
+            account: account.alias,
+            caseId: caseData.caseId,
+            code: error.code,
+            message: error.message
+          });
+          const previousCase = previousState[caseData.caseId];
+          if (previousCase || caseData.syncCursor) {
+            nextState.push({ ...(previousCase || caseData), syncCursor: caseData.syncCursor });
+          }
+          changes.push({ caseId: caseData.caseId, account: account.alias, error: error.message });
+        }
+      }
+    }
 
-    // 各ケースの変更をチェック
-    for (const caseData of response.cases || []) {
-      await checkCaseChanges(caseData, previousState, {
-        githubToken,
-        repository
-      });
+    // すべてのアカウントで取得に失敗した場合は監視自体を失敗させる
+    if (failedAccounts === accounts.length) {
+      throw lastAccountError;
     }
 
     // 現在の状態を保存
-    saveState(stateFile, response.cases || []);
+    await store.save(nextState);
 
     console.log('✅ Monitoring completed');
+    return changes;
 
   } catch (error) {
     console.error('❌ Error monitoring cases:', error.message);
     throw error;
+  } finally {
+    if (releaseState) {
+      releaseState();
+    }
   }
 }
 
+/**
+ * 前回の状態ではオープンだったが、オープンケースの一覧にないケースを取得（解決済みのケースを含む）
+ * 解決済みとして通知したケースは次の監視では取得しないため、状態からも外れる
+ * @param {Object} client - アカウントの AwsSupportClient
+ * @param {Object[]} openCases - describeAllCases で取得したオープンケース
+ * @param {Object} previousState - 前回の状態（Case ID → ケース）
+ * @param {string} accountAlias - アカウントの別名
+ * @returns {Promise<Object[]>} ケース一覧
+ */
+async function describeClosedCases(client, openCases, previousState, accountAlias) {
+  const open = new Set(openCases.map(c => c.caseId));
+  const missing = Object.values(previousState)
+    .filter(c => c.account === accountAlias && c.status !== 'resolved' && !open.has(c.caseId))
+    .map(c => c.caseId);
+
+  const cases = [];
+  // DescribeCases の caseIdList は100件まで
+  for (let index = 0; index < missing.length; index += 100) {
+    const page = await client.describeCases({
+      caseIdList: missing.slice(index, index + 100),
+      includeResolvedCases: true,
+      includeCommunications: false
+    });
+    cases.push(...(page.cases || []));
+  }
+  return cases;
+}
+
 /**
  * 個別ケースの変更をチェック
+ * caseData.syncCursor を、処理したメッセージまで進める（状態に保存して次回の監視で使う）
+ * @param {Object} options - { github, client（ケースのアカウントのクライアント）, linkRegistry, createIssues }
+ * @returns {Promise<Object>} { caseId, isNew, statusChanged, fieldChanges, trackingIssue, newCommunications }
  */
 async function checkCaseChanges(caseData, previousState, options) {
   const caseId = caseData.caseId;
   const previousCase = previousState[caseId];
+  const changes = {
+    caseId,
+    isNew: !previousCase,
+    statusChanged: false,
+    fieldChanges: [],
+    trackingIssue: null,
+    newCommunications: []
+  };
+  caseData.syncCursor = getSyncCursor(previousCase);
+
+  let issueNumber = options.github ? await findIssueNumber(caseId, options, previousCase) : null;
+  if (options.github && !issueNumber && options.createIssues) {
+    issueNumber = await createTrackingIssue(caseData, options);
+    changes.trackingIssue = issueNumber;
+  }
+  if (options.github) {
+    // 連携先（連携していない場合は null）を状態に残し、次回の監視でコメントをスキャンし直さない
+    caseData.issueNumber = issueNumber;
+  }
 
   if (!previousCase) {
     console.log(`🆕 New case detected: ${caseId}`);
-    return; // 新規ケースは通知不要（作成時に通知済み）
+  } else {
+    // 前回の状態と比較し、変更があればまとめて1件のコメントで通知する
+    changes.fieldChanges = diffCaseRecord(previousCase, caseData);
+    changes.statusChanged = changes.fieldChanges.some(change => change.field === 'status');
+    if (changes.fieldChanges.length > 0) {
+      console.log(`📝 Case ${caseId} updated: ${changes.fieldChanges.map(change => change.field).join(', ')}`);
+      if (issueNumber) {
+        await notifyCaseUpdate(issueNumber, caseData, changes.fieldChanges, options);
+      }
+    }
   }
 
-  // 状態変更をチェック
-  if (caseData.status !== previousCase.status) {
-    console.log(`📝 Status changed for ${caseId}: ${previousCase.status} → ${caseData.status}`);
+  // Issue に連携していないケースは、連携されるまでメッセージを同期しない（連携後に全履歴を投稿する）
+  if (options.github && !issueNumber) {
+    console.log(`⚠️  Issue not found for case ${caseId}`);
+    return changes;
+  }
 
-    if (options.githubToken && options.repository) {
-      await notifyStatusChange(caseData, previousCase, options);
-    }
+  changes.newCommunications = await syncCommunications(caseData, issueNumber, options);
+  if (changes.newCommunications.length > 0) {
+    console.log(`💬 ${changes.newCommunications.length} new communication(s) for ${caseId}`);
   }
 
-  // 新しいコミュニケーションをチェック
-  const newCommunications = getNewCommunications(caseData, previousCase);
-  if (newCommunications.length > 0) {
-    console.log(`💬 ${newCommunications.length} new communication(s) for ${caseId}`);
+  return changes;
+}
+
+/**
+ * ケースの記録を前回の状態と項目ごとに比較
+ * 前回の状態にない項目（以前のバージョンで保存した状態など）は比較しない。CC は追加・削除したアドレスを求める
+ * @returns {Object[]} [{ field, label, before, after, added, removed }]
+ */
+function diffCaseRecord(previousCase, caseData) {
+  const known = CASE_FIELDS.map(field => field.key);
+  const others = [...new Set([...Object.keys(previousCase), ...Object.keys(caseData)])]
+    .filter(key => !known.includes(key) && !IGNORED_FIELDS.has(key))
+    .sort();
+
+  const changes = [];
+  for (const key of [...known, ...others]) {
+    const before = previousCase[key];
+    const after = caseData[key];
+    if (before === undefined || JSON.stringify(normalizeField(before)) === JSON.stringify(normalizeField(after))) {
+      continue;
+    }
 
-    if (options.githubToken && options.repository) {
-      await notifyNewCommunications(caseData, newCommunications, options);
+    const field = CASE_FIELDS.find(candidate => candidate.key === key);
+    const change = { field: key, label: field ? field.label : key, before, after };
+    if (Array.isArray(before) || Array.isArray(after)) {
+      change.added = (after || []).filter(value => !(before || []).includes(value));
+      change.removed = (before || []).filter(value => !(after || []).includes(value));
     }
+    changes.push(change);
   }
+  return changes;
 }
 
 /**
- * 新しいコミュニケーションを抽出
+ * 比較用に値を正規化（配列は順序の違いを無視する）
  */
-function getNewCommunications(currentCase, previousCase) {
-  const currentComms = currentCase.recentCommunications?.communications || [];
-  const previousComms = previousCase.recentCommunications?.communications || [];
+function normalizeField(value) {
+  return Array.isArray(value) ? [...value].map(String).sort() : value;
+}
 
-  const previousTimes = new Set(previousComms.map(c => c.timeCreated));
+/**
+ * カーソルより後のメッセージを古い順に Issue に投稿
+ * このリポジトリから送ったメッセージ・投稿済みのメッセージはスキップする
+ * @returns {Promise<Object[]>} 投稿したメッセージ（GitHub がない場合は新しいメッセージすべて）
+ */
+async function syncCommunications(caseData, issueNumber, options) {
+  const communications = await fetchNewCommunications(options.client, caseData.caseId, caseData.syncCursor);
+  if (communications.length === 0) {
+    return [];
+  }
 
-  return currentComms.filter(c => !previousTimes.has(c.timeCreated));
+  const classify = options.github
+    ? createMessageClassifier(await options.github.listComments(issueNumber), caseData.caseId, options.github)
+    : () => null;
+  const posted = [];
+
+  for (const communication of communications) {
+    const skipped = classify(communication);
+    if (skipped) {
+      console.log(`⏭️  Skipped ${skipped === 'sent' ? 'our own' : 'an already posted'} message (${communication.timeCreated})`);
+    } else {
+      if (options.github) {
+        const attachments = await loadCommunicationAttachments(options.client, communication);
+        await options.github.createComment(issueNumber, formatCommunicationComment(
+          caseData, communication, attachments, options.client.redactionPolicy
+        ));
+      }
+      posted.push(communication);
+    }
+    // 1件ずつカーソルを進める（途中で失敗しても、投稿したメッセージまでは記録する）
+    caseData.syncCursor = advanceCursor(caseData.syncCursor, communication);
+  }
+
+  return posted;
 }
 
 /**
- * 状態変更をGitHub Issueに通知
+ * ケースの変更を Issue に通知（1回の監視につき、ケースごとに1件のコメント）
+ * 重要度が変わった場合は優先度ラベルも付け替える
  */
-async function notifyStatusChange(caseData, previousCase, options) {
-  const issueNumber = findIssueNumber(caseData.caseId, options.repository);
-  if (!issueNumber) {
-    console.log(`⚠️  Issue not found for case ${caseData.caseId}`);
-    return;
-  }
+async function notifyCaseUpdate(issueNumber, caseData, fieldChanges, options) {
+  const statusChange = fieldChanges.find(change => change.field === 'status');
+  const nextSteps = statusChange
+    ? `### 次のステップ
+${getNextStepsForStatus(caseData.status)}
 
-  const commentBody = `## 📊 AWSサポートケース状態変更
+`
+    : '';
 
-**Case ID**: \`${caseData.displayId || caseData.caseId}\`
+  const commentBody = `## 📊 AWSサポートケースの更新
 
-### 状態変更
-- **前回**: ${formatStatus(previousCase.status)}
-- **現在**: ${formatStatus(caseData.status)}
-- **変更日時**: ${new Date().toISOString()}
+**Case ID**: \`${caseData.displayId || caseData.caseId}\`${formatAccountLine(caseData)}
 
-### 次のステップ
-${getNextStepsForStatus(caseData.status)}
+### 変更内容
+${fieldChanges.map(formatFieldChange).join('\n')}
+- **確認日時**: ${new Date().toISOString()}
 
----
+${nextSteps}---
 
 *このコメントは自動生成されました*
 *ケース監視: 15分ごとに実行*
 `;
 
-  await postCommentToIssue(issueNumber, commentBody, options);
+  await options.github.createComment(issueNumber, commentBody);
+
+  const severityChange = fieldChanges.find(change => change.field === 'severityCode');
+  const before = severityChange && PRIORITY_LABELS[severityChange.before];
+  const after = severityChange && PRIORITY_LABELS[severityChange.after];
+  if (after && before !== after) {
+    if (before) {
+      await options.github.removeLabel(issueNumber, before);
+    }
+    await options.github.addLabels(issueNumber, [after]);
+  }
 }
 
 /**
- * 新しいコミュニケーションをGitHub Issueに投稿
+ * 変更内容の1行
  */
-async function notifyNewCommunications(caseData, communications, options) {
-  const issueNumber = findIssueNumber(caseData.caseId, options.repository);
-  if (!issueNumber) {
-    console.log(`⚠️  Issue not found for case ${caseData.caseId}`);
-    return;
+function formatFieldChange(change) {
+  if (change.added) {
+    const parts = [
+      change.added.length > 0 ? `追加 ${change.added.join(', ')}` : null,
+      change.removed.length > 0 ? `削除 ${change.removed.join(', ')}` : null
+    ].filter(Boolean);
+    return `- **${change.label}**: ${parts.join(' / ')}`;
   }
 
-  for (const comm of communications) {
-    const commentBody = `## 💬 AWSサポートからの回答
+  const field = CASE_FIELDS.find(candidate => candidate.key === change.field);
+  const format = value => {
+    if (value === undefined || value === null || value === '') {
+      return '（なし）';
+    }
+    if (typeof value === 'object') {
+      return `\`${JSON.stringify(value)}\``;
+    }
+    return field && field.format ? field.format(value) : value;
+  };
+  return `- **${change.label}**: ${format(change.before)} → ${format(change.after)}`;
+}
+
+/**
+ * Issue に連携していないケースの追跡用 Issue を作成し、ケースと連携する
+ * Issue の本文とコメントに連携の隠しマーカーを埋め込む（本文: ケース作成の対象外にする・再構築に使う / コメント: 連携の通知）
+ * Issue を作成したらコメントより先にレジストリに記録する。コメントの投稿に失敗しても、
+ * 次回の監視はレジストリか Issue の本文のマーカーで連携を見つけ、Issue を作り直さない
+ * @returns {Promise<number>} 作成した Issue 番号
+ */
+async function createTrackingIssue(caseData, options) {
+  const link = {
+    caseId: caseData.caseId,
+    displayId: caseData.displayId || caseData.caseId,
+    account: caseData.account,
+    createdAt: caseData.timeCreated
+  };
+  const labels = [TRACKING_ISSUE_LABEL, PRIORITY_LABELS[caseData.severityCode]].filter(Boolean);
+
+  const issue = await options.github.createIssue({
+    title: `[AWS Support] ${caseData.subject || link.displayId}`,
+    body: formatTrackingIssueBody(caseData, link),
+    labels
+  });
+  const recorded = await options.linkRegistry.link({ ...link, issueNumber: issue.number });
+  console.log(`📥 Created tracking issue #${issue.number} for case ${link.displayId}`);
 
-**Case ID**: \`${caseData.displayId || caseData.caseId}\`
-**回答者**: ${comm.submittedBy || 'AWS Support'}
-**日時**: ${comm.timeCreated}
+  await options.github.createComment(issue.number, `## 🔗 AWSサポートケースを連携しました
 
-### 回答内容
+Issue に連携していないケースを監視で見つけたため、このIssueを作成して連携しました。
 
-${comm.body}
+- **Case ID**: \`${recorded.caseId}\`
+- **Display ID**: \`${recorded.displayId}\`${recorded.account ? `\n- **Account**: \`${recorded.account}\`` : ''}
 
 ---
 
+*このコメントは自動生成されました*
+
+${formatLinkMarker(recorded)}
+`);
+  return issue.number;
+}
+
+/**
+ * 追跡用 Issue の本文
+ */
+function formatTrackingIssueBody(caseData, link) {
+  const cc = caseData.ccEmailAddresses && caseData.ccEmailAddresses.length > 0
+    ? `\n- **CC**: ${caseData.ccEmailAddresses.join(', ')}`
+    : '';
+
+  return `## 📥 AWSサポートケースの追跡
+
+AWS Support Center や他のツールで作成されたケースを追跡するため、ケース監視が自動で作成したIssueです。
+ケースのやり取り・更新はこのIssueに自動で同期されます。
+
+### ケース情報
+- **Case ID**: \`${link.caseId}\`
+- **Display ID**: \`${link.displayId}\`${link.account ? `\n- **Account**: \`${link.account}\`` : ''}
+- **件名**: ${caseData.subject || '（なし）'}
+- **ステータス**: ${formatStatus(caseData.status)}
+- **重要度**: ${formatCode(caseData.severityCode)}
+- **サービス**: ${formatCode(caseData.serviceCode)} / **カテゴリ**: ${formatCode(caseData.categoryCode)}
+- **作成者**: ${caseData.submittedBy || '(不明)'}
+- **作成日時**: ${caseData.timeCreated || '(不明)'}${cc}
+
+### 返信する場合
+このIssueにコメントで \`/reply [メッセージ]\` を記入してください（\`/status\` で最新の状態を確認できます）。
+
+---
+
+*このIssueは自動生成されました*
+
+${formatLinkMarker(link)}
+`;
+}
+
+/**
+ * ケースのメッセージを投稿するコメント
+ * AWS サポートからの回答と、AWS Support Center などこのIssue以外から送られたメッセージで見出しを分ける
+ * @param {Object[]} attachments - loadCommunicationAttachments の戻り値
+ * @param {Object} [redactionPolicy] - 埋め込む添付ファイルのマスキングのポリシー
+ */
+function formatCommunicationComment(caseData, communication, attachments, redactionPolicy) {
+  const fromAws = communication.submittedBy === AWS_SUBMITTER;
+  const header = fromAws
+    ? `## 💬 AWSサポートからの回答
+
+**Case ID**: \`${caseData.displayId || caseData.caseId}\`${formatAccountLine(caseData)}
+**回答者**: ${communication.submittedBy}
+**日時**: ${communication.timeCreated}
+
+### 回答内容`
+    : `## 💬 AWSサポートケースへの連絡
+
+AWS Support Center など、このIssue以外からケースに送信されたメッセージです。
+
+**Case ID**: \`${caseData.displayId || caseData.caseId}\`${formatAccountLine(caseData)}
+**送信者**: ${communication.submittedBy || '(不明)'}
+**日時**: ${communication.timeCreated}
+
+### 内容`;
+
+  return `${header}
+
+${communication.body}
+
+${formatCommunicationAttachments(attachments, { redactionPolicy })}---
+
 ### 返信する場合
 このIssueにコメントで以下のように記入してください:
 \`\`\`
@@ -170,70 +513,50 @@ ${comm.body}
 ---
 
 *このコメントは自動生成されました*
-*AWSサポートからの回答を自動同期しています*
+*AWSサポートケースのやり取りを自動同期しています*
+
+${formatCommunicationMarker(caseData.caseId, communication)}
 `;
+}
 
-    await postCommentToIssue(issueNumber, commentBody, options);
-  }
+/**
+ * 複数アカウント運用時にどのアカウントのケースかを示す行
+ */
+function formatAccountLine(caseData) {
+  return caseData.account ? `\n**Account**: \`${caseData.account}\`` : '';
 }
 
 /**
  * ケースIDから対応するIssue番号を検索
  *
- * 実装方法:
- * 1. GitHub Search API でケースIDを含むIssueを検索
- * 2. または、Issue本文/コメントにケースIDが記載されているものを探す
- *
- * 簡易実装: ケースIDをIssue番号にマッピング（モック）
+ * ケース作成時に記録したレジストリを参照し、見つからない場合は
+ * リポジトリのボットコメントからレジストリを再構築して再検索する
+ * 前回の監視で検索したケースは状態に残した Issue 番号を使い、再構築は新しく見つかったケースだけにする
+ * （連携していないケースがあるたびに、監視のたびにリポジトリの全コメントをスキャンしないように）
+ * @param {Object} [previousCase] - 前回の状態のケース
  */
-function findIssueNumber(caseId, repository) {
-  // TODO: 実際の実装では GitHub Search API を使用
-  // 例: GET /search/issues?q=repo:owner/repo+${caseId}
-
-  // モック実装: ケースIDから推定
-  // 実運用では、ケース作成時にIssue番号をメタデータに保存する
-  console.log(`[TODO] Implement GitHub Search for caseId: ${caseId}`);
-  return null; // 実装が必要
+async function findIssueNumber(caseId, options, previousCase) {
+  const registry = options.linkRegistry || (options.linkRegistry = new CaseLinkRegistry({ github: options.github }));
+  let link = await registry.findByCaseId(caseId);
+
+  if (!link && previousCase && previousCase.issueNumber !== undefined) {
+    return previousCase.issueNumber;
+  }
+
+  if (!link && !options.registryRebuilt && options.github) {
+    options.registryRebuilt = true;
+    await registry.rebuildFromRepository(options.github);
+    link = await registry.findByCaseId(caseId);
+  }
+
+  return link ? link.issueNumber : null;
 }
 
 /**
- * GitHub Issueにコメントを投稿
+ * コード値（重要度・サービスなど）をフォーマット
  */
-async function postCommentToIssue(issueNumber, body, options) {
-  const { githubToken, repository } = options;
-  const [owner, repo] = repository.split('/');
-
-  const data = JSON.stringify({ body });
-
-  const requestOptions = {
-    hostname: 'api.github.com',
-    path: `/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `token ${githubToken}`,
-      'User-Agent': 'AWS-Support-Monitor',
-      'Content-Length': data.length
-    }
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(requestOptions, (res) => {
-      let responseBody = '';
-      res.on('data', (chunk) => responseBody += chunk);
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(JSON.parse(responseBody));
-        } else {
-          reject(new Error(`GitHub API error: ${res.statusCode} ${responseBody}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
+function formatCode(code) {
+  return code ? `\`${code}\`` : '（なし）';
 }
 
 /**
@@ -258,57 +581,24 @@ function getNextStepsForStatus(status) {
     'opened': '- AWSサポートからの初回応答を待ってください',
     'pending-customer-action': '- AWSサポートが追加情報を求めています\n- このIssueにコメントで `/reply` を使って返信してください',
     'reopened': '- ケースが再オープンされました\n- AWSサポートからの追加回答を待ってください',
-    'resolved': '- ケースが解決されました\n- 問題が解決していない場合は `/reply` で再オープンできます',
+    'resolved': '- ケースが解決されました\n- 問題が解決していない場合は `/reopen` で再オープンできます',
     'unassigned': '- ケースが割り当て待ちです\n- しばらくお待ちください'
   };
   return steps[status] || '- AWSサポートからの連絡を待ってください';
 }
 
-/**
- * 前回の状態を読み込み
- */
-function loadState(stateFile) {
-  try {
-    if (fs.existsSync(stateFile)) {
-      const data = fs.readFileSync(stateFile, 'utf8');
-      const cases = JSON.parse(data);
-      const state = {};
-      for (const c of cases) {
-        state[c.caseId] = c;
-      }
-      return state;
-    }
-  } catch (error) {
-    console.warn(`⚠️  Failed to load state: ${error.message}`);
-  }
-  return {};
-}
-
-/**
- * 現在の状態を保存
- */
-function saveState(stateFile, cases) {
-  try {
-    fs.writeFileSync(stateFile, JSON.stringify(cases, null, 2), 'utf8');
-  } catch (error) {
-    console.error(`❌ Failed to save state: ${error.message}`);
-  }
-}
-
 /**
  * メイン処理
  */
 async function main() {
-  const repository = process.env.GITHUB_REPOSITORY;
-  const githubToken = process.env.GITHUB_TOKEN;
   const awsProfile = process.env.AWS_PROFILE || 'default';
   const mockMode = process.env.MOCK_MODE === 'true';
 
   try {
     await monitorAllCases({
-      githubToken,
-      repository,
+      githubClient: GitHubClient.fromEnv(),
       awsProfile,
+      accountsConfig: process.env.AWS_ACCOUNTS_CONFIG,
       mockMode
     });
     console.log('✅ Monitoring completed successfully');
@@ -323,4 +613,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { monitorAllCases, checkCaseChanges };
+module.exports = { monitorAllCases, checkCaseChanges, diffCaseRecord, formatStatus };
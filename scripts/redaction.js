@@ -0,0 +1,315 @@
+/**
+ * Redaction
+ *
+ * Issue 本文・/reply コメントを AWS Support や AI API に送る前や、AWS の添付ファイルを Issue に載せる前に、
+ * 秘密情報・個人情報をマスキングする
+ * - AWS アクセスキー・シークレットキー、各種トークン、パスワード、秘密鍵
+ * - メールアドレス、電話番号、IPアドレス、AWS アカウントID
+ *
+ * 送信先（aws / ai / github）ごとのポリシーで、種類ごとに redact（除去）・mask（一部を伏せ字）・keep（そのまま）を選ぶ
+ * ポリシーファイル（既定: .github/aws-support/redaction.json）の形式:
+ *
+ * {
+ *   "destinations": {
+ *     "aws": { "email": "keep" },
+ *     "ai": { "ip-address": "redact" }
+ *   },
+ *   "allow": ["ops@example.com", "/10\\.0\\.\\d+\\.\\d+/"]
+ * }
+ *
+ * allow（許可リスト）に一致する値はマスキングしない（文字列は完全一致、/.../ は正規表現）
+ * インスタンスID などの AWS リソースID と UUID（リクエストID など）は常に許可する
+ */
+
+const fs = require('fs');
+
+const DEFAULT_REDACTION_POLICY_PATH = '.github/aws-support/redaction.json';
+
+// 検出する種類（上から順に検出し、先に検出した範囲と重なるもの・validate で除外したものは除く）
+const DETECTORS = [
+  {
+    type: 'private-key',
+    label: '秘密鍵',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+  },
+  {
+    type: 'aws-access-key',
+    label: 'AWSアクセスキー',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g
+  },
+  {
+    type: 'aws-secret-key',
+    label: 'AWSシークレットキー',
+    pattern: /(?:aws_secret_access_key|secret_?access_?key)["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+    group: 1
+  },
+  {
+    // 項目名のないシークレットキー（40文字。英大文字・小文字・数字を含まないもの（Git のコミットハッシュなど）は除く）
+    type: 'aws-secret-key',
+    label: 'AWSシークレットキー',
+    pattern: /(?<![A-Za-z0-9/+=])[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+=])/g,
+    validate: value => /[A-Z]/.test(value) && /[a-z]/.test(value) && /\d/.test(value)
+  },
+  {
+    type: 'token',
+    label: 'トークン',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abposr]-[A-Za-z0-9-]{10,}|sk-[A-Za-z0-9_-]{20,}|eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+  },
+  {
+    type: 'token',
+    label: 'トークン',
+    pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{16,}=*)/g,
+    group: 1
+  },
+  {
+    type: 'credential',
+    label: 'パスワード・シークレット',
+    // 「password: xxx」「token=xxx」「password is xxx」「パスワードは xxx」
+    pattern: /(?<![A-Za-z0-9_])(?:password|passwd|pwd|passphrase|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret|token|パスワード)["']?(?:\s*[:=：]\s*|\s+is\s+|\s*は\s*)["']?([A-Za-z0-9._~+/=!@#$%^&*-]{3,})/gi,
+    group: 1
+  },
+  {
+    type: 'email',
+    label: 'メールアドレス',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'aws-account-id',
+    label: 'AWSアカウントID',
+    pattern: /(?<![\w-])(?:\d{12}|\d{4}-\d{4}-\d{4})(?![\w-])/g
+  },
+  {
+    type: 'ip-address',
+    label: 'IPアドレス',
+    pattern: /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\w.])/g
+  },
+  {
+    // 電話番号の書式のものだけ（国番号の +・括弧の市外局番・ハイフン区切り）。
+    // 空白区切りの数字の並び（プロセスID・サイズ・ポート番号など）は電話番号とみなさない
+    type: 'phone',
+    label: '電話番号',
+    pattern: /(?<![\w.+-])(?:\+\d{1,3}[\s-]?(?:\(\d{1,4}\)|\d{1,4})(?:[\s-]\d{2,4}){1,3}|\(\d{2,4}\)\s?\d{2,4}-\d{3,4}|\d{2,4}-\d{2,4}-\d{3,4})(?![\w.-])/g,
+    // 国番号付きは E.164 の桁数（8〜15桁）、国内の番号は10〜11桁
+    validate: value => {
+      const digits = value.replace(/\D/g, '').length;
+      return value.startsWith('+') ? digits >= 8 && digits <= 15 : digits >= 10 && digits <= 11;
+    }
+  }
+];
+
+const SECRET_TYPES = ['private-key', 'aws-access-key', 'aws-secret-key', 'token', 'credential'];
+
+// 常に許可する値（AWS がケースの調査に使うリソースID・リクエストID）
+const BUILTIN_ALLOW_PATTERNS = [
+  /\b(?:i|vol|snap|ami|sg|subnet|vpc|eni|igw|nat|rtb|acl|eipalloc|lt|vpce|tgw|pcx|fs|db)-[0-9a-f]{8,17}\b/g,
+  /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi
+];
+
+const ACTIONS = ['redact', 'mask', 'keep'];
+
+// 秘密情報は送信先に関わらず除去する
+// AWS にはアカウントID・IPアドレスを調査に使うため送り、AI API には個人情報を送らない
+// github（AWS の添付ファイルを Issue に埋め込む場合）は aws と同じ扱い
+const DEFAULT_REDACTION_POLICY = {
+  destinations: {
+    aws: {
+      ...Object.fromEntries(SECRET_TYPES.map(type => [type, 'redact'])),
+      'email': 'mask',
+      'phone': 'mask',
+      'ip-address': 'keep',
+      'aws-account-id': 'keep'
+    },
+    ai: {
+      ...Object.fromEntries(SECRET_TYPES.map(type => [type, 'redact'])),
+      'email': 'redact',
+      'phone': 'redact',
+      'ip-address': 'mask',
+      'aws-account-id': 'mask'
+    },
+    github: {
+      ...Object.fromEntries(SECRET_TYPES.map(type => [type, 'redact'])),
+      'email': 'mask',
+      'phone': 'mask',
+      'ip-address': 'keep',
+      'aws-account-id': 'keep'
+    }
+  },
+  allow: []
+};
+
+/**
+ * マスキングのポリシーを読み込み（設定ファイルの内容を既定のポリシーに重ねる）
+ * @param {string} [policyPath] - 設定ファイルのパス（既定: AWS_REDACTION_POLICY または .github/aws-support/redaction.json）
+ */
+function loadRedactionPolicy(policyPath) {
+  const filePath = policyPath || process.env.AWS_REDACTION_POLICY || DEFAULT_REDACTION_POLICY_PATH;
+  const config = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+
+  const destinations = {};
+  for (const destination of new Set([
+    ...Object.keys(DEFAULT_REDACTION_POLICY.destinations),
+    ...Object.keys(config.destinations || {})
+  ])) {
+    destinations[destination] = {
+      ...(DEFAULT_REDACTION_POLICY.destinations[destination] || {}),
+      ...((config.destinations || {})[destination] || {})
+    };
+    for (const [type, action] of Object.entries(destinations[destination])) {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Invalid redaction action for ${destination}.${type}: ${action} (${ACTIONS.join(' / ')})`);
+      }
+    }
+  }
+
+  return { destinations, allow: [...DEFAULT_REDACTION_POLICY.allow, ...(config.allow || [])] };
+}
+
+/**
+ * テキストの秘密情報・個人情報をマスキング
+ * @param {string} text - 送信するテキスト
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - loadRedactionPolicy の戻り値（既定: 既定のポリシー）
+ * @param {string} [options.destination='aws'] - 送信先（'aws' | 'ai'）
+ * @returns {{text: string, redactions: Object[]}} redactions: [{ type, label, action, count }]
+ */
+function redactText(text, options = {}) {
+  const policy = options.policy || DEFAULT_REDACTION_POLICY;
+  const rules = policy.destinations[options.destination || 'aws'] || {};
+  const source = String(text || '');
+
+  const allowed = findAllowedRanges(source, policy.allow || []);
+  const allowedValues = new Set((policy.allow || []).filter(entry => !isRegexEntry(entry)));
+  const found = [];
+
+  for (const detector of DETECTORS) {
+    const action = rules[detector.type] || 'redact';
+    if (action === 'keep') {
+      continue;
+    }
+
+    for (const match of source.matchAll(new RegExp(detector.pattern.source, `${detector.pattern.flags}d`))) {
+      const [start, end] = match.indices[detector.group || 0];
+      const value = source.slice(start, end);
+      const overlaps = range => start < range.end && range.start < end;
+      if ((detector.validate && !detector.validate(value)) || allowedValues.has(value) || allowed.some(range => start >= range.start && end <= range.end) ||
+        found.some(overlaps)) {
+        continue;
+      }
+      found.push({ start, end, value, detector, action });
+    }
+  }
+
+  found.sort((a, b) => a.start - b.start);
+  let result = '';
+  let position = 0;
+  const counts = new Map();
+
+  for (const item of found) {
+    result += source.slice(position, item.start) + replacement(item);
+    position = item.end;
+
+    const key = `${item.detector.type}:${item.action}`;
+    const entry = counts.get(key) || { type: item.detector.type, label: item.detector.label, action: item.action, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+  result += source.slice(position);
+
+  return { text: result, redactions: [...counts.values()] };
+}
+
+/**
+ * 許可リストに一致する範囲を取得
+ */
+function findAllowedRanges(text, allow) {
+  const patterns = [
+    ...BUILTIN_ALLOW_PATTERNS,
+    ...allow.filter(isRegexEntry).map(entry => {
+      const [, source, flags] = entry.match(/^\/(.*)\/([a-z]*)$/);
+      return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+    })
+  ];
+
+  const ranges = [];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return ranges;
+}
+
+function isRegexEntry(entry) {
+  return /^\/.*\/[a-z]*$/.test(entry);
+}
+
+/**
+ * 検出した値の置き換え後の文字列
+ */
+function replacement(item) {
+  if (item.action === 'redact' || item.detector.type === 'private-key') {
+    return `[REDACTED:${item.detector.type}]`;
+  }
+
+  const value = item.value;
+  switch (item.detector.type) {
+    case 'email': {
+      const [local, domain] = value.split('@');
+      return `${local[0]}***@${domain}`;
+    }
+    case 'ip-address':
+      return value.split('.').map((octet, index) => (index < 2 ? octet : '*')).join('.');
+    case 'phone':
+    case 'aws-account-id': {
+      // 末尾4桁だけを残す
+      const digits = value.replace(/\D/g, '').length;
+      let seen = 0;
+      return value.replace(/\d/g, digit => (++seen > digits - 4 ? digit : '*'));
+    }
+    default:
+      // キー・トークンは先頭4文字（AKIA などの種類が分かる部分）だけを残す
+      return value.length > 8 ? `${value.slice(0, 4)}${'*'.repeat(value.length - 4)}` : '*'.repeat(value.length);
+  }
+}
+
+/**
+ * 複数のマスキング結果を種類・処理ごとに合算
+ * @param {...Object[]} lists - redactText の redactions
+ */
+function mergeRedactions(...lists) {
+  const merged = new Map();
+  for (const entry of lists.flat().filter(Boolean)) {
+    const key = `${entry.type}:${entry.action}`;
+    const existing = merged.get(key);
+    merged.set(key, existing ? { ...existing, count: existing.count + entry.count } : { ...entry });
+  }
+  return [...merged.values()];
+}
+
+/**
+ * マスキング結果をコメント用の Markdown セクションにする（マスキングしていない場合は空文字）
+ * @param {Object[]} [redactions] - redactText / mergeRedactions の結果
+ */
+function formatRedactionSummary(redactions) {
+  if (!redactions || redactions.length === 0) {
+    return '';
+  }
+
+  const actionNames = { redact: '除去', mask: '一部を伏せ字' };
+  const lines = [
+    '### 🔒 マスキングした情報',
+    '秘密情報・個人情報と判定した以下の値は、送信前にマスキングしました。',
+    '',
+    ...redactions.map(entry => `- ${entry.label}: ${entry.count}件（${actionNames[entry.action] || entry.action}）`)
+  ];
+  return `${lines.join('\n')}\n\n`;
+}
+
+module.exports = {
+  loadRedactionPolicy,
+  redactText,
+  mergeRedactions,
+  formatRedactionSummary,
+  DEFAULT_REDACTION_POLICY,
+  DEFAULT_REDACTION_POLICY_PATH
+};
@@ -6,58 +6,146 @@
  * GitHub IssueコメントからAWSサポートケースに返信
  */
 
-const { AWSSupportClient } = require('./aws-support-client');
-const https = require('https');
+const { loadAccountConfig, resolveAccount, createClientForAccount } = require('./account-config');
+const { GitHubClient, resolveGitHubClient } = require('./github-client');
+const {
+  formatErrorGuidance,
+  formatFailureMarker,
+  ValidationError,
+  GitHubError,
+  AuthorizationError,
+  ERROR_CODES
+} = require('./support-errors');
+const { CaseLinkRegistry } = require('./case-link-registry');
+const { extractAttachments, uploadAttachments, formatAttachmentSummary } = require('./issue-attachments');
+const { mergeRedactions, formatRedactionSummary } = require('./redaction');
+const { computePreviewDigest, formatPreviewComment } = require('./case-preview');
+const { parseCommand, formatCommandError } = require('./comment-commands');
+const { enforceCommandPolicy } = require('./command-authorization');
+const { formatSentMarker, fenceFor } = require('./case-conversation');
 
 /**
  * GitHub Issueコメントから AWSケースに返信
  * @param {string} commentBody - コメント本文
- * @param {string} caseId - AWS Case ID
+ * @param {string} [caseId] - AWS Case ID（省略時は issueNumber に紐づくケース）
  * @param {Object} options - オプション
+ *   author（コメントした人）がコマンドの認可ポリシー（commandPolicy）で返信できるかを確認する
+ *   author がない場合は返信しない（コメント以外から実行する場合は trusted: true を指定する）
  */
 async function replyToCase(commentBody, caseId, options = {}) {
   const {
-    githubToken,
-    repository,
     issueNumber,
     awsProfile = 'default',
-    mockMode = false
+    accountsConfig,
+    mockMode = false,
+    mockBackend,
+    dryRun = false,
+    expectedDigest,
+    commentId
   } = options;
+  let accountSelector = options.account;
+  const github = resolveGitHubClient(options);
 
   try {
-    console.log(`💬 Processing reply for case: ${caseId}`);
+    await authorizeReply(github, options);
 
-    // コメントから /reply コマンドを抽出
-    const replyMessage = extractReplyMessage(commentBody);
+    // コメントから /reply コマンドを解析（文法は comment-commands.js）
+    const command = parseCommand(commentBody, ['reply']);
 
-    if (!replyMessage) {
+    if (!command) {
       console.log('⚠️  No /reply command found in comment');
       return null;
     }
+    if (command.errors.length > 0) {
+      for (const commandError of command.errors) {
+        console.warn(`⚠️  ${commandError}`);
+      }
+      if (github && issueNumber) {
+        await github.createComment(issueNumber, formatCommandError(command));
+      }
+      throw new ValidationError(
+        `Invalid /reply command: ${command.errors.join(' / ')}`,
+        { field: 'command', commandErrors: command.errors }
+      );
+    }
+
+    // 本文に添付されたファイル・ログのコードブロックを添付ファイルとして送る
+    const { body: replyMessage, attachments } = extractAttachments(command.body, { serverUrl: github && github.serverUrl });
+    const ccEmailAddresses = command.options.cc || [];
+
+    // Case ID・アカウントが指定されていない場合は Issue に紐づくケースを使う
+    if (!caseId) {
+      const link = await findLinkedCase(issueNumber, github, options.linkRegistry);
+      if (!link) {
+        throw new ValidationError(`No AWS support case is linked to Issue #${issueNumber}`, { field: 'caseId' });
+      }
+      caseId = link.caseId;
+      accountSelector = accountSelector || link.account;
+    }
+    console.log(`💬 Processing reply for case: ${caseId}`);
 
     console.log(`📝 Reply message: ${replyMessage.substring(0, 50)}...`);
 
+    // ケースを作成したアカウントの認証情報で返信する
+    const account = resolveAccount(
+      loadAccountConfig(accountsConfig, { awsProfile }),
+      accountSelector
+    );
+    console.log(`🏢 AWS Account: ${account.alias}`);
+
     // AWS Support Client初期化
-    const client = new AWSSupportClient({
-      profile: awsProfile,
-      mockMode
+    const client = createClientForAccount(account, { mockMode, mockBackend });
+
+    // ドライランでは送信内容をプレビューし、/submit で承認されてから送信する
+    const request = client.buildAddCommunicationRequest(caseId, replyMessage, { ccEmailAddresses });
+    const digest = computePreviewDigest('reply', request.params, attachments);
+    if (dryRun || (expectedDigest && expectedDigest !== digest)) {
+      console.log(dryRun
+        ? '👀 Dry run: posting a preview instead of sending the reply'
+        : '⚠️  Reply changed since the preview, posting a new preview');
+      const redactions = mergeRedactions(
+        request.redactions,
+        ...attachments.filter(a => a.data).map(a => client.redact(a.data).redactions)
+      );
+      if (github && issueNumber) {
+        await github.createComment(issueNumber, formatPreviewComment({
+          kind: 'reply',
+          params: request.params,
+          digest,
+          attachments,
+          redactions,
+          account,
+          commentId,
+          stale: !dryRun
+        }));
+      }
+      return dryRun
+        ? { dryRun: true, operation: 'AddCommunicationToCase', params: request.params, digest, redactions }
+        : null;
+    }
+
+    // 添付ファイルをアップロード（制限を超えたファイルはスキップして Issue に報告する）
+    const attachmentResult = await uploadAttachments(client, attachments, {
+      download: github ? (url, downloadOptions) => github.downloadAsset(url, downloadOptions) : null
     });
 
     // AWSケースに返信を追加
     console.log('🚀 Adding communication to AWS case...');
-    const result = await client.addCommunicationToCase(caseId, replyMessage);
+    const result = await client.addCommunicationToCase(caseId, replyMessage, {
+      attachmentSetId: attachmentResult.attachmentSetId,
+      ccEmailAddresses
+    });
 
     console.log('✅ Reply sent to AWS Support');
 
     // GitHub Issueに確認コメントを投稿
-    if (githubToken && repository && issueNumber) {
-      await postReplyConfirmation(
-        repository,
-        issueNumber,
-        caseId,
-        replyMessage,
-        githubToken
-      );
+    if (github && issueNumber) {
+      await postReplyConfirmation(github, issueNumber, caseId, replyMessage, {
+        communicationBody: result.communicationBody,
+        ccEmailAddresses,
+        attachments: attachmentResult,
+        redactions: mergeRedactions(result.redactions, attachmentResult.redactions)
+      });
     }
 
     return result;
@@ -65,15 +153,9 @@ async function replyToCase(commentBody, caseId, options = {}) {
   } catch (error) {
     console.error('❌ Error sending reply:', error.message);
 
-    // GitHub Issueにエラー通知
-    if (options.githubToken && options.repository && options.issueNumber) {
-      await postReplyError(
-        options.repository,
-        options.issueNumber,
-        caseId,
-        error.message,
-        options.githubToken
-      );
+    // GitHub Issueにエラー通知（コマンドの誤りは使い方のコメントで通知済み）
+    if (github && issueNumber && !error.commandErrors) {
+      await postReplyError(github, issueNumber, caseId, error, commentId);
     }
 
     throw error;
@@ -81,52 +163,75 @@ async function replyToCase(commentBody, caseId, options = {}) {
 }
 
 /**
- * コメント本文から /reply コマンドを抽出
+ * 送信する人が返信できるかを確認（/reply 以外のコマンド /submit・/retry から呼ばれた場合も確認する）
+ * 確認できない場合（author がない）は拒否する。コメント以外からの実行（CLI・ワークフローの手動実行）は trusted: true で確認を省く
+ * @param {Object} options - replyToCase の options（author, authorization, trusted, commandPolicy, issueNumber, commentId）
  */
-function extractReplyMessage(commentBody) {
-  // /reply で始まる行を検出
-  const lines = commentBody.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.startsWith('/reply')) {
-      // /reply に続くテキストを取得
-      const message = trimmed.substring(6).trim();
-      if (message) {
-        return message;
-      }
-    }
+async function authorizeReply(github, options) {
+  const { author, authorization, trusted = false } = options;
+  if (trusted || (author && authorization && authorization.command === 'reply' && authorization.allowed)) {
+    return;
+  }
+  if (!author) {
+    throw new AuthorizationError('Comment author is required to reply to AWS support cases', { rule: 'author' });
+  }
+  if (!github) {
+    throw new GitHubError('GitHub client is required to check the command policy', { code: ERROR_CODES.GITHUB_TOKEN_MISSING });
   }
+  const decision = await enforceCommandPolicy(github, 'reply', options);
+  if (!decision.allowed) {
+    throw new AuthorizationError(`@${author} is not allowed to reply to AWS support cases (${decision.rule})`, {
+      rule: decision.rule
+    });
+  }
+}
+
+/**
+ * Issue に紐づくケースをレジストリから検索（見つからなければボットコメントから再構築）
+ */
+async function findLinkedCase(issueNumber, github, linkRegistry) {
+  const registry = linkRegistry || new CaseLinkRegistry({ github });
+  let link = await registry.findByIssueNumber(issueNumber);
 
-  // マルチライン形式も対応
-  // ```
-  // /reply
-  // メッセージ本文
-  // ```
-  const replyMatch = commentBody.match(/\/reply\s+([\s\S]+?)(?:```|$)/);
-  if (replyMatch && replyMatch[1]) {
-    return replyMatch[1].trim();
+  if (!link && github) {
+    await registry.rebuildFromRepository(github);
+    link = await registry.findByIssueNumber(issueNumber);
   }
 
-  return null;
+  return link;
+}
+
+/**
+ * コメント本文から /reply コマンドの本文を抽出
+ * @returns {string|null} 本文（/reply コマンドがない・解釈できない場合は null）
+ */
+function extractReplyMessage(commentBody) {
+  const command = parseCommand(commentBody, ['reply']);
+  return command && command.errors.length === 0 ? command.body : null;
 }
 
 /**
  * GitHub Issueに返信確認コメントを投稿
+ * @param {Object} [report] - { communicationBody: 送信した本文（監視で投稿しないようにマーカーに記録する）,
+ *   ccEmailAddresses: --cc で追加した CC, attachments: uploadAttachments の戻り値, redactions: 送信前にマスキングした情報 }
  */
-async function postReplyConfirmation(repository, issueNumber, caseId, message, githubToken) {
+async function postReplyConfirmation(github, issueNumber, caseId, message, report = {}) {
+  const ccLine = report.ccEmailAddresses && report.ccEmailAddresses.length > 0
+    ? `\n- **CC**: ${report.ccEmailAddresses.join(', ')}`
+    : '';
+  const fence = fenceFor(message);
   const commentBody = `## ✅ AWSサポートへの返信完了
 
 **Case ID**: \`${caseId}\`
 
 ### 送信内容
-\`\`\`
+${fence}
 ${message}
-\`\`\`
+${fence}
 
-### 送信情報
+${formatAttachmentSummary(report.attachments)}${formatRedactionSummary(report.redactions)}### 送信情報
 - **送信日時**: ${new Date().toISOString()}
-- **送信元**: GitHub Issue #${issueNumber}
+- **送信元**: GitHub Issue #${issueNumber}${ccLine}
 
 ### 次のステップ
 - AWSサポートからの返答を待ってください
@@ -135,77 +240,46 @@ ${message}
 ---
 
 *このコメントは自動生成されました*
+
+${formatSentMarker(caseId, report.communicationBody)}
 `;
 
-  return postToGitHub(repository, issueNumber, commentBody, githubToken);
+  return github.createComment(issueNumber, commentBody);
 }
 
 /**
  * GitHub Issueにエラーを投稿
+ * @param {number} [commentId] - 元の /reply コメント（/retry で同じ返信を再送信できるようにマーカーに記録する）
  */
-async function postReplyError(repository, issueNumber, caseId, errorMessage, githubToken) {
+async function postReplyError(github, issueNumber, caseId, error, commentId) {
+  // 拒否した返信は /retry の対象にしない
+  const retryable = commentId && !(error instanceof AuthorizationError);
+  const retry = retryable
+    ? `原因を解消してから \`/retry\` とコメントすると、同じ返信を再送信します。
+（または、もう一度 \`/reply [メッセージ]\` でコメントしてください）`
+    : 'もう一度 `/reply [メッセージ]` でコメントしてください。';
+  const marker = retryable ? `\n\n${formatFailureMarker({ step: 'reply', commentId })}` : '';
   const commentBody = `## ❌ AWSサポートへの返信失敗
 
-**Case ID**: \`${caseId}\`
+**Case ID**: \`${caseId || '(未連携)'}\`
 
 ### エラー内容
 \`\`\`
-${errorMessage}
+${error.message}
 \`\`\`
 
-### 対処方法
-1. **AWS認証情報を確認**: \`~/.aws/credentials\` が正しく設定されているか
-2. **Case IDを確認**: ケースが存在するか、クローズされていないか
-3. **IAM権限を確認**: \`support:AddCommunicationToCase\` 権限があるか
+${formatErrorGuidance(error, { repository: github.repository })}
 
 ### 再試行
-もう一度 \`/reply [メッセージ]\` でコメントしてください。
+${retry}
 
 ---
 
 *このエラーは自動検出されました*
-*発生日時: ${new Date().toISOString()}*
+*発生日時: ${new Date().toISOString()}*${marker}
 `;
 
-  return postToGitHub(repository, issueNumber, commentBody, githubToken);
-}
-
-/**
- * GitHub APIにコメントを投稿
- */
-function postToGitHub(repository, issueNumber, body, githubToken) {
-  const [owner, repo] = repository.split('/');
-  const data = JSON.stringify({ body });
-
-  const options = {
-    hostname: 'api.github.com',
-    path: `/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `token ${githubToken}`,
-      'User-Agent': 'AWS-Support-Reply-Bot',
-      'Content-Length': data.length
-    }
-  };
-
-  return new Promise((resolve, reject) => {
-    const req = https.request(options, (res) => {
-      let responseBody = '';
-      res.on('data', (chunk) => responseBody += chunk);
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(JSON.parse(responseBody));
-        } else {
-          reject(new Error(`GitHub API error: ${res.statusCode} ${responseBody}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(data);
-    req.end();
-  });
+  return github.createComment(issueNumber, commentBody);
 }
 
 /**
@@ -215,26 +289,35 @@ async function main() {
   const commentBody = process.env.COMMENT_BODY;
   const caseId = process.env.CASE_ID;
   const issueNumber = process.env.ISSUE_NUMBER;
-  const repository = process.env.GITHUB_REPOSITORY;
-  const githubToken = process.env.GITHUB_TOKEN;
   const awsProfile = process.env.AWS_PROFILE || 'default';
+  const account = process.env.AWS_ACCOUNT;
+  const accountsConfig = process.env.AWS_ACCOUNTS_CONFIG;
   const mockMode = process.env.MOCK_MODE === 'true';
+  const dryRun = process.env.DRY_RUN === 'true';
 
-  if (!commentBody || !caseId) {
-    console.error('❌ Error: COMMENT_BODY and CASE_ID are required');
+  if (!commentBody || (!caseId && !issueNumber)) {
+    console.error('❌ Error: COMMENT_BODY and CASE_ID (or ISSUE_NUMBER) are required');
     process.exit(1);
   }
 
   try {
     await replyToCase(commentBody, caseId, {
-      githubToken,
-      repository,
+      githubClient: GitHubClient.fromEnv(),
       issueNumber,
       awsProfile,
-      mockMode
+      account,
+      accountsConfig,
+      mockMode,
+      // ドライラン: 送信せずにプレビューする（/submit で送信するため、元の /reply コメントの ID を記録する）
+      dryRun,
+      commentId: process.env.COMMENT_ID ? Number(process.env.COMMENT_ID) : undefined,
+      // コメントした人が返信できるかをコマンドの認可ポリシーで確認する
+      // COMMENT_AUTHOR がない場合は返信しない（コメント以外から実行する場合は REPLY_TRUSTED=true）
+      author: process.env.COMMENT_AUTHOR,
+      trusted: process.env.REPLY_TRUSTED === 'true'
     });
 
-    console.log('✅ Successfully sent reply to AWS Support');
+    console.log(dryRun ? '✅ Posted a preview of the reply' : '✅ Successfully sent reply to AWS Support');
   } catch (error) {
     console.error('❌ Failed to send reply:', error.message);
     process.exit(1);
@@ -246,4 +329,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { replyToCase, extractReplyMessage };
+module.exports = { replyToCase, extractReplyMessage, findLinkedCase };
@@ -0,0 +1,322 @@
+/**
+ * Resilient Request Layer
+ *
+ * AWS / GitHub / AI API 呼び出しの共通リクエスト層
+ * - スロットリング（429 / AWS Throttling 系エラー）と 5xx・通信エラーを指数バックオフ + ジッターでリトライ
+ * - 冪等でないリクエスト（ケース作成・コメント投稿など）は、処理されていないことが確かな場合だけリトライ
+ * - Retry-After / x-ratelimit-reset ヘッダーを優先
+ * - 呼び出しごとのタイムアウト
+ * - 連続して失敗したサービスはサーキットブレーカーで一定時間遮断（スロットリングは失敗に数えない）
+ * - 判断内容はすべて構造化ログ（logger.js）に出力
+ */
+
+const { sendRequest } = require('./http-request');
+const { logEvent } = require('./logger');
+
+const DEFAULT_POLICY = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 20 * 1000,
+  // Retry-After がこれより長い場合は待たずに諦める
+  maxRetryAfterMs: 60 * 1000,
+  timeoutMs: 30 * 1000
+};
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND'
+]);
+
+// リクエストを送る前（接続・名前解決）に失敗した通信エラー。相手に届いていないため冪等でないリクエストもリトライできる
+const PRE_SEND_NETWORK_CODES = new Set([
+  'ECONNREFUSED',
+  'EAI_AGAIN',
+  'ENOTFOUND'
+]);
+
+// AWS が 400 で返すスロットリング系エラー
+const AWS_THROTTLING_CODES = new Set([
+  'Throttling',
+  'ThrottlingException',
+  'ThrottledException',
+  'TooManyRequestsException',
+  'RequestLimitExceeded',
+  'RequestThrottled',
+  'RequestThrottledException',
+  'SlowDown'
+]);
+
+// サーキットブレーカーの失敗に数えるエラー種別
+// スロットリングはサービスの障害ではないため、バックオフでリトライするだけにする（遮断すると制限が解けても送れなくなる）
+const CIRCUIT_FAILURE_REASONS = new Set(['server-error', 'timeout']);
+
+/**
+ * サーキットブレーカー
+ *
+ * closed → （連続失敗が閾値に達する）→ open → （resetTimeoutMs 経過）→ half-open
+ * half-open で1回成功すれば closed、失敗すれば再び open
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - { name, failureThreshold = 5, resetTimeoutMs = 60000 }
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 60 * 1000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+  }
+
+  /**
+   * リクエストを送ってよいか
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition('half-open');
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      if (this.state !== 'open') {
+        this.transition('open');
+      }
+    }
+  }
+
+  transition(state) {
+    logEvent(state === 'open' ? 'warn' : 'info', 'circuit.state_change', {
+      circuit: this.name,
+      from: this.state,
+      to: state,
+      failures: this.failures
+    });
+    this.state = state;
+  }
+}
+
+// サービスごとに1つのブレーカーをプロセス内で共有する
+const breakers = new Map();
+
+/**
+ * サービス名に対応するサーキットブレーカーを取得
+ */
+function getCircuitBreaker(name, options = {}) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker({ ...options, name }));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * すべてのサーキットブレーカーを初期化（テスト用）
+ */
+function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+/**
+ * Retry-After（秒 または HTTP-date）/ x-ratelimit-reset（epoch 秒）から待機時間を求める
+ * @returns {number|null} ミリ秒
+ */
+function parseRetryAfter(headers = {}) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  // GitHub の一次レート制限
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * レスポンスからエラー種別を判定
+ * @returns {string|null} 'throttled' | 'server-error' | null（リトライ不要）
+ */
+function classifyResponse(response) {
+  const { statusCode } = response;
+
+  if (statusCode === 429) {
+    return 'throttled';
+  }
+  if (statusCode >= 500) {
+    return 'server-error';
+  }
+
+  if (statusCode === 400) {
+    try {
+      const data = JSON.parse(response.body);
+      const code = String(data.__type || data.code || '').split('#').pop();
+      if (AWS_THROTTLING_CODES.has(code)) {
+        return 'throttled';
+      }
+    } catch (error) {
+      // JSON でないレスポンスはスロットリングではない
+    }
+  }
+
+  // GitHub のセカンダリレート制限は 403 + Retry-After / x-ratelimit-remaining: 0
+  if (statusCode === 403 && parseRetryAfter(response.headers) !== null) {
+    return 'throttled';
+  }
+
+  return null;
+}
+
+/**
+ * 冪等でないリクエストをリトライしてよいか
+ * スロットリングは処理されずに拒否されたもの、接続・名前解決の失敗は送信前のもの。
+ * 5xx・タイムアウト・接続のリセットは処理された可能性があるため、リトライすると二重に作成される
+ */
+function isSafeToRetry(reason, failure) {
+  return reason === 'throttled' || Boolean(failure && PRE_SEND_NETWORK_CODES.has(failure.code));
+}
+
+/**
+ * 指数バックオフ（Full Jitter）で待機時間を計算
+ */
+function backoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * リトライ・タイムアウト・サーキットブレーカー付きで HTTP リクエストを送信
+ *
+ * 最終的に 2xx 以外のレスポンスになった場合もレスポンスを返し、解釈は呼び出し側に任せる
+ * （通信エラーが解消しなかった場合とブレーカーが開いている場合は例外）
+ *
+ * @param {string} url - リクエスト先URL
+ * @param {Object|Function} options - sendRequest のオプション、または試行ごとにオプションを返す関数
+ *   （SigV4 のように試行ごとに署名し直す必要がある場合は関数を渡す）
+ * @param {Object} [policy] - リトライポリシー
+ * @param {string} [policy.service='default'] - サービス名（ログとサーキットブレーカーの単位）
+ * @param {string} [policy.operation] - 操作名（ログ用）
+ * @param {number} [policy.maxRetries=3] - 最大リトライ回数
+ * @param {number} [policy.baseDelayMs=500] - バックオフの基準時間
+ * @param {number} [policy.maxDelayMs=20000] - バックオフの上限
+ * @param {number} [policy.timeoutMs=30000] - 1回あたりのタイムアウト
+ * @param {boolean} [policy.idempotent=true] - false の場合はスロットリングと送信前の通信エラーだけリトライする
+ *   （ケース作成・コメント投稿など、2回処理されると重複するリクエスト）
+ * @param {Function} [policy.sleep] - 待機関数（テスト用）
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+async function requestWithRetry(url, options = {}, policy = {}) {
+  const settings = { ...DEFAULT_POLICY, service: 'default', ...policy };
+  const wait = settings.sleep || sleep;
+  const breaker = getCircuitBreaker(settings.service, settings.circuitBreaker);
+  const context = { service: settings.service, operation: settings.operation };
+
+  for (let attempt = 0; ; attempt++) {
+    if (!breaker.canRequest()) {
+      logEvent('warn', 'request.circuit_open', context);
+      const error = new Error(
+        `Circuit breaker for ${settings.service} is open; skipping request (${settings.operation || url})`
+      );
+      error.code = 'CIRCUIT_OPEN';
+      error.service = settings.service;
+      throw error;
+    }
+
+    const requestOptions = typeof options === 'function' ? options(attempt) : options;
+    const startedAt = Date.now();
+    let response;
+    let reason;
+    let failure;
+
+    try {
+      response = await sendRequest(url, { timeout: settings.timeoutMs, ...requestOptions });
+      reason = classifyResponse(response);
+    } catch (error) {
+      if (!RETRYABLE_NETWORK_CODES.has(error.code) && !/socket hang up/i.test(error.message)) {
+        throw error;
+      }
+      failure = error;
+      reason = error.code === 'ETIMEDOUT' ? 'timeout' : 'network-error';
+    }
+
+    const fields = {
+      ...context,
+      attempt: attempt + 1,
+      statusCode: response ? response.statusCode : undefined,
+      durationMs: Date.now() - startedAt
+    };
+
+    if (!reason) {
+      breaker.recordSuccess();
+      logEvent('debug', 'request.completed', fields);
+      return response;
+    }
+
+    if (CIRCUIT_FAILURE_REASONS.has(reason)) {
+      breaker.recordFailure();
+    }
+
+    const retryAfterMs = response ? parseRetryAfter(response.headers) : null;
+    const exhausted = attempt >= settings.maxRetries;
+    const retryAfterTooLong = retryAfterMs !== null && retryAfterMs > settings.maxRetryAfterMs;
+    const notIdempotent = settings.idempotent === false && !isSafeToRetry(reason, failure);
+
+    if (exhausted || retryAfterTooLong || notIdempotent || !breaker.canRequest()) {
+      logEvent('error', 'request.giving_up', {
+        ...fields,
+        reason,
+        idempotent: settings.idempotent !== false,
+        retryAfterMs: retryAfterMs === null ? undefined : retryAfterMs,
+        circuit: breaker.state
+      });
+      if (failure) {
+        throw failure;
+      }
+      return response;
+    }
+
+    const delayMs = retryAfterMs !== null ? retryAfterMs : backoffDelay(attempt, settings);
+    logEvent('warn', 'request.retry', {
+      ...fields,
+      reason,
+      delayMs,
+      delaySource: retryAfterMs !== null ? 'retry-after' : 'backoff'
+    });
+    await wait(delayMs);
+  }
+}
+
+module.exports = {
+  requestWithRetry,
+  CircuitBreaker,
+  getCircuitBreaker,
+  resetCircuitBreakers,
+  parseRetryAfter
+};
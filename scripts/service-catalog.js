@@ -0,0 +1,433 @@
+#!/usr/bin/env node
+
+/**
+ * AWS Service Catalog
+ *
+ * AWSサポートのサービスコード・カテゴリコードのカタログ（.github/aws-support/service-catalog.json）
+ * サービスごとに表示名・日本語名・別名を持ち、Issue の入力値（「Amazon EC2」「ec2」「EKS」「データベース」など）を
+ * あいまい一致でサービスコードに変換する
+ *
+ * カタログは DescribeServices の結果から更新でき、Issue テンプレートの「対象AWSサービス」の選択肢もカタログから生成する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./support-errors');
+
+const DEFAULT_CATALOG_FILE = path.join(__dirname, '..', '.github', 'aws-support', 'service-catalog.json');
+const SCHEMA_VERSION = 1;
+const FALLBACK_SERVICE_CODE = 'general-info';
+const FALLBACK_CATEGORY_CODE = 'other';
+const SERVICE_FIELD_ID = 'aws_service';
+
+// あいまい一致の基準
+const MIN_MATCH_SCORE = 0.6;
+const MIN_SIMILARITY = 0.75;
+
+/**
+ * 比較用に正規化（全角→半角・小文字化・記号と Amazon / AWS の接頭辞を除去）
+ */
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u3040-\u30ff\u3400-\u9fff]+/g, ' ')
+    // 英数字と日本語の境目で区切る（「EC2インスタンス」→「ec2 インスタンス」）
+    .replace(/([a-z0-9])(?=[^\sa-z0-9])|([^\sa-z0-9])(?=[a-z0-9])/g, '$1$2 ')
+    .replace(/\b(amazon|aws)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * レーベンシュタイン距離による類似度（0〜1）
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * 入力値と候補名の一致度（0〜1）
+ * 完全一致 > 入力に候補名が含まれる（長い候補ほど高い）> 綴りの近さ
+ */
+function matchScore(input, key) {
+  if (!input || !key) {
+    return 0;
+  }
+  if (input === key) {
+    return 1;
+  }
+
+  // 日本語は単語の区切りがないため部分一致、英数字は単語単位で一致を見る
+  const contains = /[^\sa-z0-9]/.test(key)
+    ? input.includes(key)
+    : ` ${input} `.includes(` ${key} `);
+  if (contains) {
+    return 0.6 + 0.3 * Math.min(1, key.length / input.length);
+  }
+
+  const ratio = similarity(input, key);
+  return ratio >= MIN_SIMILARITY ? ratio * 0.85 : 0;
+}
+
+/**
+ * YAML のリスト要素として書き出す（必要な場合だけ引用符で囲む）
+ */
+function yamlScalar(value) {
+  return /[:#"'[\]{},]|^[-?!&*|>%@`\s]|\s$/.test(value) ? JSON.stringify(value) : value;
+}
+
+/**
+ * サービス・カテゴリのカタログ
+ */
+class ServiceCatalog {
+  /**
+   * @param {Object} data - カタログファイルの内容 { schemaVersion, version, categories, services }
+   * @param {Object} [options] - { file }
+   */
+  constructor(data, options = {}) {
+    if (!data || !Array.isArray(data.services)) {
+      throw new ValidationError('Service catalog must contain a services array');
+    }
+    if (data.schemaVersion && data.schemaVersion > SCHEMA_VERSION) {
+      throw new ValidationError(`Unsupported service catalog schema version: ${data.schemaVersion}`);
+    }
+
+    this.file = options.file || null;
+    this.version = data.version || null;
+    this.source = data.source;
+    this.categories = data.categories || {};
+    this.services = data.services;
+  }
+
+  /**
+   * カタログファイルを読み込み
+   * @param {string} [file] - 既定: AWS_SERVICE_CATALOG または .github/aws-support/service-catalog.json
+   */
+  static load(file = process.env.AWS_SERVICE_CATALOG || DEFAULT_CATALOG_FILE) {
+    return new ServiceCatalog(JSON.parse(fs.readFileSync(file, 'utf8')), { file });
+  }
+
+  /**
+   * カタログファイルに保存
+   */
+  save(file = this.file) {
+    const data = {
+      schemaVersion: SCHEMA_VERSION,
+      version: this.version,
+      source: this.source,
+      categories: this.categories,
+      services: this.services
+    };
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+    fs.renameSync(tmpFile, file);
+  }
+
+  /**
+   * サービスコードからサービスを取得
+   */
+  getService(code) {
+    return this.services.find(service => service.code === code) || null;
+  }
+
+  /**
+   * 入力値に最も一致するサービスを検索
+   * @param {string} input - サービス名・略称・日本語名・サービスコードなど
+   * @returns {{service: Object, score: number}|null}
+   */
+  findService(input) {
+    const normalized = normalize(input);
+    if (!normalized) {
+      return null;
+    }
+
+    let best = null;
+    for (const service of this.services) {
+      const keys = [service.code, service.label, service.name, service.nameJa, ...(service.aliases || [])];
+      const score = Math.max(...keys.map(key => matchScore(normalized, normalize(key))));
+      if (score >= MIN_MATCH_SCORE && (!best || score > best.score)) {
+        best = { service, score };
+      }
+      if (score === 1) {
+        break;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 入力値をサービスコードに変換（一致しない場合は general-info）
+   */
+  resolveServiceCode(input) {
+    const match = this.findService(input);
+    return match ? match.service.code : FALLBACK_SERVICE_CODE;
+  }
+
+  /**
+   * 問い合わせカテゴリの入力値を、そのサービスで指定できるカテゴリコードに変換
+   * 一致しない場合は other（サービスにない場合は最初のカテゴリ）
+   * @param {string} serviceCode - サービスコード
+   * @param {string} input - 問い合わせカテゴリ（「障害調査」「Performance improvement」など）
+   */
+  resolveCategoryCode(serviceCode, input) {
+    const service = this.getService(serviceCode);
+    const categories = service ? service.categories : [];
+    const normalized = normalize(input);
+
+    let best = null;
+    for (const category of categories) {
+      const info = this.categories[category.code] || {};
+      const keys = [category.code, category.name, info.name, info.nameJa, ...(info.aliases || [])];
+      const score = Math.max(...keys.map(key => matchScore(normalized, normalize(key))));
+      // 同点の場合はサービス固有のカテゴリ（一覧の先頭側）を優先する
+      if (score >= MIN_MATCH_SCORE && (!best || score > best.score)) {
+        best = { code: category.code, score };
+      }
+    }
+
+    if (best) {
+      return best.code;
+    }
+    if (categories.length === 0 || categories.some(category => category.code === FALLBACK_CATEGORY_CODE)) {
+      return FALLBACK_CATEGORY_CODE;
+    }
+    return categories[0].code;
+  }
+
+  /**
+   * DescribeServices と同じ形式のサービス一覧
+   * @param {string[]} [serviceCodeList] - 絞り込むサービスコード
+   */
+  toDescribeServices(serviceCodeList) {
+    const services = serviceCodeList && serviceCodeList.length > 0
+      ? this.services.filter(service => serviceCodeList.includes(service.code))
+      : this.services;
+    return services.map(service => ({
+      code: service.code,
+      name: service.name,
+      categories: service.categories.map(category => ({ code: category.code, name: category.name }))
+    }));
+  }
+
+  /**
+   * DescribeServices の結果でカタログを更新
+   * サービス名とカテゴリは AWS の値に置き換え、表示名・日本語名・別名は既存の値を引き継ぐ
+   * 新しいサービスは末尾に追加し、AWS の一覧にないサービスは削除する
+   * @param {Object[]} services - DescribeServices の services
+   * @param {Object} [options] - { version（既定: 今日の日付）, source }
+   * @returns {{added: string[], removed: string[], updated: string[]}}
+   */
+  refresh(services, options = {}) {
+    const incoming = new Map(services.map(service => [service.code, service]));
+    const summary = { added: [], removed: [], updated: [] };
+    const next = [];
+
+    const toEntry = (service, previous) => ({
+      code: service.code,
+      name: service.name,
+      label: previous ? previous.label : service.name,
+      nameJa: previous ? previous.nameJa : service.name,
+      aliases: previous ? previous.aliases || [] : [],
+      categories: (service.categories || []).map(category => ({ code: category.code, name: category.name }))
+    });
+
+    for (const previous of this.services) {
+      const service = incoming.get(previous.code);
+      if (!service) {
+        summary.removed.push(previous.code);
+        continue;
+      }
+      const entry = toEntry(service, previous);
+      if (JSON.stringify(entry) !== JSON.stringify(previous)) {
+        summary.updated.push(entry.code);
+      }
+      next.push(entry);
+      incoming.delete(previous.code);
+    }
+    for (const service of incoming.values()) {
+      summary.added.push(service.code);
+      next.push(toEntry(service, null));
+    }
+
+    // 新しいカテゴリコードは英語名を日本語名の代わりに登録しておく
+    for (const category of next.flatMap(service => service.categories)) {
+      if (!this.categories[category.code]) {
+        this.categories[category.code] = { name: category.name, nameJa: category.name, aliases: [] };
+      }
+    }
+
+    this.services = next;
+    this.version = options.version || new Date().toISOString().slice(0, 10);
+    this.source = options.source || this.source;
+    return summary;
+  }
+
+  /**
+   * Issue テンプレートの「対象AWSサービス」の選択肢
+   * general-info は「その他」/「Other」として末尾に置く
+   * @param {string} [language='ja'] - 'ja' | 'en'
+   */
+  templateOptions(language = 'ja') {
+    const fallback = this.getService(FALLBACK_SERVICE_CODE);
+    const options = this.services
+      .filter(service => service !== fallback)
+      .map(service => service.label || service.name);
+    if (fallback) {
+      options.push(language === 'ja' ? fallback.nameJa || 'その他' : fallback.label || 'Other');
+    }
+    return options;
+  }
+}
+
+const catalogCache = new Map();
+
+/**
+ * カタログを読み込み（ファイルごとにキャッシュ）
+ * @param {string} [file] - カタログファイル
+ */
+function loadServiceCatalog(file = process.env.AWS_SERVICE_CATALOG || DEFAULT_CATALOG_FILE) {
+  if (!catalogCache.has(file)) {
+    catalogCache.set(file, ServiceCatalog.load(file));
+  }
+  return catalogCache.get(file);
+}
+
+/**
+ * Issue テンプレート（YAML テキスト）の dropdown の選択肢を置き換え
+ * コメントや他の項目の書式は変更しない
+ * @param {string} templateText - テンプレートの内容
+ * @param {string} fieldId - 項目 id
+ * @param {string[]} options - 新しい選択肢
+ * @returns {string} 更新後の内容
+ */
+function updateTemplateOptions(templateText, fieldId, options) {
+  const lines = templateText.split('\n');
+  const idIndex = lines.findIndex(line => line.trim() === `id: ${fieldId}`);
+  if (idIndex < 0) {
+    throw new ValidationError(`Field not found in issue template: ${fieldId}`);
+  }
+
+  // 項目の範囲（次の「- type:」まで）から options: を探す
+  const fieldIndent = lines[idIndex].match(/^ */)[0].length;
+  let optionsIndex = -1;
+  for (let i = idIndex + 1; i < lines.length; i++) {
+    const indent = lines[i].match(/^ */)[0].length;
+    if (lines[i].trim() && indent < fieldIndent) {
+      break;
+    }
+    if (lines[i].trim() === 'options:') {
+      optionsIndex = i;
+      break;
+    }
+  }
+  if (optionsIndex < 0) {
+    throw new ValidationError(`Field ${fieldId} has no dropdown options to update`);
+  }
+
+  const optionsIndent = lines[optionsIndex].match(/^ */)[0].length;
+  let end = optionsIndex + 1;
+  while (end < lines.length && lines[end].trim().startsWith('- ') &&
+    lines[end].match(/^ */)[0].length > optionsIndent) {
+    end++;
+  }
+
+  const itemIndent = ' '.repeat(optionsIndent + 2);
+  lines.splice(optionsIndex + 1, end - optionsIndex - 1, ...options.map(option => `${itemIndent}- ${yamlScalar(option)}`));
+  return lines.join('\n');
+}
+
+/**
+ * aws-support ラベルの Issue テンプレートの選択肢をカタログに合わせて更新
+ * ファイル名が -en.yml のテンプレートは英語の選択肢を使う
+ * @param {ServiceCatalog} catalog - カタログ
+ * @param {string[]} templateFiles - テンプレートファイル
+ * @returns {string[]} 変更したファイル
+ */
+function syncTemplateOptions(catalog, templateFiles) {
+  const changed = [];
+  for (const file of templateFiles) {
+    const language = /-en\.ya?ml$/.test(file) ? 'en' : 'ja';
+    const current = fs.readFileSync(file, 'utf8');
+    const updated = updateTemplateOptions(current, SERVICE_FIELD_ID, catalog.templateOptions(language));
+    if (updated !== current) {
+      fs.writeFileSync(file, updated, 'utf8');
+      changed.push(file);
+    }
+  }
+  return changed;
+}
+
+/**
+ * メイン処理
+ *
+ * 使い方:
+ *   node scripts/service-catalog.js refresh          # DescribeServices でカタログを更新
+ *   node scripts/service-catalog.js sync-templates   # Issue テンプレートの選択肢を更新
+ *   node scripts/service-catalog.js lookup "Amazon EC2"
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    const catalog = ServiceCatalog.load();
+
+    if (command === 'refresh') {
+      const { loadAccountConfig, resolveAccount, createClientForAccount } = require('./account-config');
+      const account = resolveAccount(loadAccountConfig(process.env.AWS_ACCOUNTS_CONFIG, {
+        awsProfile: process.env.AWS_PROFILE || 'default'
+      }));
+      const client = createClientForAccount(account, { mockMode: process.env.MOCK_MODE === 'true' });
+
+      const { services } = await client.describeServices(undefined, 'en');
+      const summary = catalog.refresh(services, { source: 'DescribeServices (en)' });
+      catalog.save();
+      console.log(`✅ Service catalog ${catalog.version}: ${services.length} services ` +
+        `(added ${summary.added.length}, updated ${summary.updated.length}, removed ${summary.removed.length})`);
+    } else if (command === 'sync-templates') {
+      const { loadIssueTemplates } = require('./issue-form-parser');
+      const changed = syncTemplateOptions(catalog, loadIssueTemplates().map(template => template.file));
+      console.log(`✅ Updated ${changed.length} issue template(s)`);
+    } else if (command === 'lookup' && args.length > 0) {
+      const match = catalog.findService(args.join(' '));
+      console.log(JSON.stringify(match ? { ...match.service, score: match.score } : null, null, 2));
+    } else {
+      console.log('Usage: node scripts/service-catalog.js refresh | sync-templates | lookup <service>');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Service catalog failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// スクリプト実行
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  ServiceCatalog,
+  loadServiceCatalog,
+  updateTemplateOptions,
+  syncTemplateOptions,
+  normalize,
+  DEFAULT_CATALOG_FILE
+};
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * AWS Support Preview Submit Script
+ *
+ * ドライランモードで Issue に投稿したプレビュー（case-preview.js）を、`/submit` コメントで AWS に送信
+ * - ケース作成のプレビュー: Issue 本文からケースを作成
+ * - 返信のプレビュー: 元の /reply コメントからケースに返信
+ *
+ * どちらもプレビューと同じ処理で送信内容を組み立て直し、プレビューの内容と一致する場合だけ送信する
+ */
+
+const { GitHubClient, resolveGitHubClient, getCommentIssueNumber } = require('./github-client');
+const { GitHubError, ValidationError, ERROR_CODES } = require('./support-errors');
+const { findPendingPreview, markPreviewSubmitted } = require('./case-preview');
+const { createSupportCaseFromIssue } = require('./create-support-case');
+const { replyToCase } = require('./reply-to-case');
+
+/**
+ * Issue の送信待ちのプレビューを送信
+ * @param {number} issueNumber - Issue番号
+ * @param {Object} options - createSupportCaseFromIssue / replyToCase と同じオプション
+ * @returns {Promise<Object|null>} 送信結果（送信待ちのプレビューがない・内容が変わっていた場合は null）
+ */
+async function submitPreview(issueNumber, options = {}) {
+  const github = resolveGitHubClient(options);
+  if (!github) {
+    throw new GitHubError('GitHub client is required to submit a preview', { code: ERROR_CODES.GITHUB_TOKEN_MISSING });
+  }
+
+  console.log(`📝 Processing /submit on Issue #${issueNumber}`);
+  const preview = await findPendingPreview(github, issueNumber);
+  if (!preview) {
+    console.log('ℹ️  No pending preview on this issue');
+    await github.createComment(issueNumber, formatNoPreviewComment());
+    return null;
+  }
+  console.log(`📤 Submitting ${preview.kind} preview (${preview.digest})`);
+
+  const submitOptions = { ...options, dryRun: false, expectedDigest: preview.digest };
+  let result;
+  if (preview.kind === 'create') {
+    // 重複の確認はプレビューの前に済んでいる
+    const issue = await github.getIssue(issueNumber);
+    result = await createSupportCaseFromIssue(issue.body || '', issueNumber, { ...submitOptions, force: true });
+  } else {
+    const comment = await github.getComment(preview.commentId);
+    // 送信する /reply コメントはこの Issue のものに限る
+    if (getCommentIssueNumber(comment) !== Number(issueNumber)) {
+      throw new ValidationError(`Comment ${preview.commentId} is not on Issue #${issueNumber}`, { field: 'commentId' });
+    }
+    result = await replyToCase(comment.body || '', null, { ...submitOptions, issueNumber, commentId: preview.commentId });
+  }
+
+  if (result) {
+    await markPreviewSubmitted(github, preview);
+  }
+  return result;
+}
+
+/**
+ * 送信待ちのプレビューがない場合のコメント
+ */
+function formatNoPreviewComment() {
+  return `## ℹ️ 送信待ちのプレビューがありません
+
+\`/submit\` はドライランモードで投稿したプレビューを送信するコマンドです。
+このIssueには送信待ちのプレビューがないため、何も送信していません（送信済みの場合を含みます）。
+
+---
+
+*このコメントは自動生成されました*
+`;
+}
+
+/**
+ * メイン処理
+ */
+async function main() {
+  const issueNumber = process.env.ISSUE_NUMBER;
+
+  if (!issueNumber) {
+    console.error('❌ Error: ISSUE_NUMBER is required');
+    process.exit(1);
+  }
+
+  try {
+    const result = await submitPreview(issueNumber, {
+      githubClient: GitHubClient.fromEnv(),
+      awsProfile: process.env.AWS_PROFILE || 'default',
+      accountsConfig: process.env.AWS_ACCOUNTS_CONFIG,
+      caseDefaultsConfig: process.env.AWS_CASE_DEFAULTS,
+      mockMode: process.env.MOCK_MODE === 'true'
+    });
+
+    if (result) {
+      console.log('✅ Successfully submitted the preview to AWS Support');
+    }
+  } catch (error) {
+    console.error('❌ Failed to submit the preview:', error.message);
+    process.exit(1);
+  }
+}
+
+// スクリプト実行
+if (require.main === module) {
+  main();
+}
+
+module.exports = { submitPreview };
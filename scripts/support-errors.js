@@ -0,0 +1,355 @@
+/**
+ * Support Error Classes
+ *
+ * AWSサポート連携スクリプト共通のエラークラスとエラーコード
+ * Issue へのエラーコメントでは、エラーの種類ごとの対処方法と
+ * docs/TROUBLESHOOTING.md の該当セクションへのリンクを表示する
+ */
+
+const TROUBLESHOOTING_PATH = 'docs/TROUBLESHOOTING.md';
+const FAILURE_MARKER = 'aws-support-failure';
+
+// 安定したエラーコード（ログ・テスト・ワークフローから参照される）
+const ERROR_CODES = {
+  CREDENTIALS_NOT_FOUND: 'AWS_CREDENTIALS_NOT_FOUND',
+  CREDENTIALS_INVALID: 'AWS_CREDENTIALS_INVALID',
+  CREDENTIALS_EXPIRED: 'AWS_CREDENTIALS_EXPIRED',
+  SUBSCRIPTION_REQUIRED: 'AWS_SUBSCRIPTION_REQUIRED',
+  PERMISSION_DENIED: 'AWS_PERMISSION_DENIED',
+  THROTTLED: 'AWS_THROTTLED',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  GITHUB_API_ERROR: 'GITHUB_API_ERROR',
+  GITHUB_AUTH_FAILED: 'GITHUB_AUTH_FAILED',
+  GITHUB_NOT_FOUND: 'GITHUB_NOT_FOUND',
+  GITHUB_RATE_LIMITED: 'GITHUB_RATE_LIMITED',
+  GITHUB_TOKEN_MISSING: 'GITHUB_TOKEN_MISSING',
+  LOCK_TIMEOUT: 'LOCK_TIMEOUT',
+  COMMAND_NOT_AUTHORIZED: 'COMMAND_NOT_AUTHORIZED'
+};
+
+/**
+ * すべてのエラーの基底クラス
+ * @param {string} message - エラーメッセージ
+ * @param {Object} [options] - { code, cause, その他の付加情報（statusCode, operation, awsCode など） }
+ */
+class SupportError extends Error {
+  constructor(message, options = {}) {
+    const { code, cause, ...details } = options;
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (cause) {
+      this.cause = cause;
+    }
+    Object.assign(this, details);
+  }
+}
+
+/** AWS認証情報が見つからない・無効・期限切れ */
+class CredentialError extends SupportError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.CREDENTIALS_NOT_FOUND, ...options });
+  }
+}
+
+/** AWS Support プラン（Business/Enterprise）未契約 */
+class SubscriptionRequiredError extends SupportError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.SUBSCRIPTION_REQUIRED, ...options });
+  }
+}
+
+/** IAM権限不足 */
+class PermissionError extends SupportError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.PERMISSION_DENIED, ...options });
+  }
+}
+
+/** APIのレート制限（リトライしても解消しなかった場合） */
+class ThrottlingError extends SupportError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.THROTTLED, ...options });
+  }
+}
+
+/** 入力内容・設定値の検証エラー */
+class ValidationError extends SupportError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.VALIDATION_FAILED, ...options });
+  }
+}
+
+/** GitHub API のエラー */
+class GitHubError extends SupportError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.GITHUB_API_ERROR, ...options });
+  }
+}
+
+/** 同じ Issue の処理を別の実行が行っていて、ロックを取得できなかった */
+class LockError extends SupportError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.LOCK_TIMEOUT, ...options });
+  }
+}
+
+/** コマンドを実行した人が、コマンドの認可ポリシーで許可されていない */
+class AuthorizationError extends SupportError {
+  constructor(message, options = {}) {
+    super(message, { code: ERROR_CODES.COMMAND_NOT_AUTHORIZED, ...options });
+  }
+}
+
+/** 上記に分類されない AWS API のエラー（code は AWS のエラーコード。例: 'CaseIdNotFound'） */
+class AwsApiError extends SupportError {}
+
+// AWS のエラーコード → エラークラス・エラーコード
+const AWS_ERROR_MAPPING = {
+  SubscriptionRequiredException: [SubscriptionRequiredError, ERROR_CODES.SUBSCRIPTION_REQUIRED],
+  AccessDeniedException: [PermissionError, ERROR_CODES.PERMISSION_DENIED],
+  AccessDenied: [PermissionError, ERROR_CODES.PERMISSION_DENIED],
+  ThrottlingException: [ThrottlingError, ERROR_CODES.THROTTLED],
+  Throttling: [ThrottlingError, ERROR_CODES.THROTTLED],
+  TooManyRequestsException: [ThrottlingError, ERROR_CODES.THROTTLED],
+  ExpiredTokenException: [CredentialError, ERROR_CODES.CREDENTIALS_EXPIRED],
+  ExpiredToken: [CredentialError, ERROR_CODES.CREDENTIALS_EXPIRED],
+  UnrecognizedClientException: [CredentialError, ERROR_CODES.CREDENTIALS_INVALID],
+  InvalidClientTokenId: [CredentialError, ERROR_CODES.CREDENTIALS_INVALID],
+  InvalidSignatureException: [CredentialError, ERROR_CODES.CREDENTIALS_INVALID],
+  SignatureDoesNotMatch: [CredentialError, ERROR_CODES.CREDENTIALS_INVALID],
+  IncompleteSignature: [CredentialError, ERROR_CODES.CREDENTIALS_INVALID],
+  MissingAuthenticationToken: [CredentialError, ERROR_CODES.CREDENTIALS_INVALID],
+  ValidationException: [ValidationError, ERROR_CODES.VALIDATION_FAILED]
+};
+
+/**
+ * AWS API のエラーレスポンスから対応するエラーを作成
+ * @param {string} awsCode - AWS のエラーコード（__type の # 以降）
+ * @param {string} message - エラーメッセージ
+ * @param {Object} [details] - { statusCode, operation }
+ */
+function createAwsError(awsCode, message, details = {}) {
+  const mapped = AWS_ERROR_MAPPING[awsCode] ||
+    (details.statusCode === 429 ? [ThrottlingError, ERROR_CODES.THROTTLED] : null);
+
+  if (!mapped) {
+    return new AwsApiError(message, { code: awsCode, awsCode, ...details });
+  }
+
+  const [ErrorClass, code] = mapped;
+  return new ErrorClass(message, { code, awsCode, ...details });
+}
+
+/**
+ * GitHub API の 2xx 以外のレスポンスからエラーを作成
+ * @param {Object} response - { statusCode, headers, body }
+ * @param {string} [operation] - 操作名（例: 'issues.createComment'）
+ */
+function createGitHubError(response, operation) {
+  const headers = response.headers || {};
+  let code = ERROR_CODES.GITHUB_API_ERROR;
+
+  if (response.statusCode === 429 || (response.statusCode === 403 && headers['x-ratelimit-remaining'] === '0')) {
+    code = ERROR_CODES.GITHUB_RATE_LIMITED;
+  } else if (response.statusCode === 401 || response.statusCode === 403) {
+    code = ERROR_CODES.GITHUB_AUTH_FAILED;
+  } else if (response.statusCode === 404) {
+    code = ERROR_CODES.GITHUB_NOT_FOUND;
+  }
+
+  return new GitHubError(`GitHub API error: ${response.statusCode} ${response.body}`, {
+    code,
+    statusCode: response.statusCode,
+    operation
+  });
+}
+
+// エラーの種類ごとの対処方法と TROUBLESHOOTING.md の見出し（GitHub のアンカー形式）
+const GUIDANCE = {
+  CredentialError: {
+    title: 'AWS認証情報エラー',
+    anchor: 'aws認証情報エラー',
+    steps: {
+      [ERROR_CODES.CREDENTIALS_EXPIRED]: [
+        '**一時認証情報の期限切れ**: `aws sso login` やロールの再引き受けで認証情報を更新してください',
+        '**再実行**: 更新後にワークフローを再実行してください'
+      ],
+      default: [
+        '**AWS認証情報を確認**: `aws sts get-caller-identity` が成功するか確認してください',
+        '**プロファイルを確認**: `AWS_PROFILE` や accounts.json の `profile` が `~/.aws/credentials` に存在するか確認してください',
+        '**アクセスキーを確認**: キーが無効化・ローテーションされていないか確認してください'
+      ]
+    }
+  },
+  SubscriptionRequiredError: {
+    title: 'AWS Support プラン未契約',
+    anchor: 'aws-support-プラン未契約',
+    steps: [
+      '**AWS Support プランを確認**: Support API には Business 以上のプランが必要です',
+      '**モックモードで動作確認**: ワークフローの `MOCK_MODE` を `true` にすると実際のケースを作成せずに試せます'
+    ]
+  },
+  PermissionError: {
+    title: 'IAM権限不足',
+    anchor: 'iam権限不足',
+    steps: [
+      '**IAM権限を確認**: エラー内容に示された操作の `support:*` 権限が付与されているか確認してください',
+      '**アカウントを確認**: 意図したAWSアカウントのプロファイルで実行されているか確認してください'
+    ]
+  },
+  ThrottlingError: {
+    title: 'AWS APIのスロットリング',
+    anchor: 'aws-apiのスロットリング',
+    steps: [
+      '**時間をおいて再実行**: リトライ上限に達しました。数分待ってから再実行してください',
+      '**実行頻度を確認**: 監視ワークフローの実行間隔や同時実行数を見直してください'
+    ]
+  },
+  ValidationError: {
+    title: '入力内容の検証エラー',
+    anchor: '入力内容の検証エラー',
+    steps: [
+      '**入力内容を確認**: エラー内容に示された項目を修正してください',
+      '**再実行**: Issue を編集するか、コメントで再度コマンドを実行してください'
+    ]
+  },
+  GitHubError: {
+    title: 'GitHub APIエラー',
+    anchor: 'github-apiエラー',
+    steps: {
+      [ERROR_CODES.GITHUB_AUTH_FAILED]: [
+        '**トークンの権限を確認**: `GITHUB_TOKEN` に `issues: write` 権限があるか確認してください'
+      ],
+      [ERROR_CODES.GITHUB_TOKEN_MISSING]: [
+        '**トークンを設定**: 環境変数 `GITHUB_TOKEN` を設定してください'
+      ],
+      [ERROR_CODES.GITHUB_RATE_LIMITED]: [
+        '**レート制限の解除を待つ**: しばらく待ってから再実行してください'
+      ],
+      [ERROR_CODES.GITHUB_NOT_FOUND]: [
+        '**リポジトリ・Issue番号を確認**: `GITHUB_REPOSITORY` と Issue 番号が正しいか確認してください'
+      ],
+      default: [
+        '**GitHub のステータスを確認**: https://www.githubstatus.com/ で障害が発生していないか確認してください'
+      ]
+    }
+  },
+  LockError: {
+    title: '同時実行のロック',
+    anchor: '同時実行のロック',
+    steps: [
+      '**別の実行の完了を待つ**: 同じ Issue のケース作成を別のワークフロー実行が処理中です。完了後に Issue のコメントを確認してください',
+      '**ケースが作成されていない場合**: 別の実行が失敗していないか確認し、ワークフローを再実行してください'
+    ]
+  },
+  AuthorizationError: {
+    title: 'コマンドの実行が拒否された',
+    anchor: 'コマンドの実行が拒否された',
+    steps: [
+      '**権限のあるメンバーに依頼**: 監査記録のコメントに示された権限・チームのメンバーにコマンドの実行を依頼してください',
+      '**ポリシーを確認**: 許可するユーザー・チームは `.github/aws-support/command-policy.json` で設定します'
+    ]
+  }
+};
+
+// 分類できないエラーの対処方法
+const DEFAULT_STEPS = [
+  '**AWS認証情報を確認**: `~/.aws/credentials` が正しく設定されているか',
+  '**AWS Support プランを確認**: Business/Enterprise プランが必要です',
+  '**IAM権限を確認**: `support:*` 権限があるか'
+];
+
+/**
+ * エラーに対応する対処方法を取得
+ * @param {Error} error - 発生したエラー
+ * @param {Object} [options] - { repository: 'owner/repo'（指定するとリンクを絶対URLにする） }
+ * @returns {{title: string|null, code: string|undefined, steps: string[], docsUrl: string}}
+ */
+function getErrorGuidance(error, options = {}) {
+  const guidance = GUIDANCE[error && error.name];
+  const base = options.repository
+    ? `https://github.com/${options.repository}/blob/HEAD/${TROUBLESHOOTING_PATH}`
+    : `../${TROUBLESHOOTING_PATH}`;
+
+  if (!(error instanceof SupportError) || !guidance) {
+    return { title: null, code: error && error.code, steps: DEFAULT_STEPS, docsUrl: base };
+  }
+
+  const steps = Array.isArray(guidance.steps)
+    ? guidance.steps
+    : guidance.steps[error.code] || guidance.steps.default;
+
+  return {
+    title: guidance.title,
+    code: error.code,
+    steps,
+    docsUrl: `${base}#${encodeURIComponent(guidance.anchor)}`
+  };
+}
+
+/**
+ * Issue コメント用の「対処方法」「トラブルシューティング」セクションを作成
+ */
+function formatErrorGuidance(error, options = {}) {
+  const { title, code, steps, docsUrl } = getErrorGuidance(error, options);
+
+  const lines = ['### 対処方法'];
+  steps.forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+  lines.push('', '### トラブルシューティング');
+
+  if (title) {
+    lines.push(`- [${title}](${docsUrl})${code ? `（エラーコード: \`${code}\`）` : ''}`);
+  } else {
+    lines.push(`- [トラブルシューティングガイド](${docsUrl})`);
+  }
+  lines.push('- エラーが続く場合: Issueにコメントしてください');
+
+  return lines.join('\n');
+}
+
+/**
+ * 失敗を知らせるコメントに埋め込む隠しマーカーを作成（/retry で再実行する処理を判定する）
+ * @param {Object} failure - { step: 'create-case' | 'reply' | 'generate', commentId（reply の場合の /reply コメント） }
+ */
+function formatFailureMarker(failure) {
+  return `<!-- ${FAILURE_MARKER} ${JSON.stringify({ status: 'failed', ...failure })} -->`;
+}
+
+/**
+ * コメント本文から失敗のマーカーを抽出
+ * @returns {Object|null} { step, status: 'failed' | 'retried', commentId }
+ */
+function parseFailureMarker(body) {
+  const marker = String(body || '').match(new RegExp(`<!-- ${FAILURE_MARKER} (\\{.*?\\}) -->`));
+  if (!marker) {
+    return null;
+  }
+  try {
+    const failure = JSON.parse(marker[1]);
+    return failure.step ? failure : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  SupportError,
+  CredentialError,
+  SubscriptionRequiredError,
+  PermissionError,
+  ThrottlingError,
+  ValidationError,
+  GitHubError,
+  LockError,
+  AuthorizationError,
+  AwsApiError,
+  createAwsError,
+  createGitHubError,
+  getErrorGuidance,
+  formatErrorGuidance,
+  formatFailureMarker,
+  parseFailureMarker,
+  FAILURE_MARKER
+};
@@ -0,0 +1,236 @@
+/**
+ * Tests for AWS Credential Provider Chain
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { CredentialProviderChain, parseIni } = require('../scripts/aws-credentials');
+
+function stsResponse(action, accessKeyId, expiration) {
+  return `<${action}Response xmlns="https://sts.amazonaws.com/doc/2011-06-15/">
+  <${action}Result>
+    <Credentials>
+      <AccessKeyId>${accessKeyId}</AccessKeyId>
+      <SecretAccessKey>secret-${accessKeyId}</SecretAccessKey>
+      <SessionToken>token-${accessKeyId}</SessionToken>
+      <Expiration>${expiration}</Expiration>
+    </Credentials>
+  </${action}Result>
+</${action}Response>`;
+}
+
+describe('AWS Credential Provider Chain', () => {
+  let dir;
+  let credentialsFile;
+  let configFile;
+  const baseEnv = { AWS_EC2_METADATA_DISABLED: 'true' };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aws-credentials-'));
+    credentialsFile = path.join(dir, 'credentials');
+    configFile = path.join(dir, 'config');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function createChain(options = {}) {
+    return new CredentialProviderChain({
+      credentialsFile,
+      configFile,
+      ...options,
+      env: { ...baseEnv, ...(options.env || {}) }
+    });
+  }
+
+  describe('parseIni', () => {
+    it('should keep values containing "=" and ignore comments', () => {
+      const result = parseIni(`
+# comment line
+[default]
+aws_access_key_id = AKIDEXAMPLE
+aws_secret_access_key = abc/def+ghi==   # trailing comment
+; aws_session_token = should-not-be-read
+# aws_access_key_id = COMMENTED_OUT
+`);
+
+      expect(result.default).toEqual({
+        aws_access_key_id: 'AKIDEXAMPLE',
+        aws_secret_access_key: 'abc/def+ghi=='
+      });
+    });
+
+    it('should parse nested sub-sections', () => {
+      const result = parseIni('[profile dev]\ns3 =\n  max_concurrent_requests = 10\nregion = us-west-2\n');
+
+      expect(result['profile dev']).toEqual({
+        s3: { max_concurrent_requests: '10' },
+        region: 'us-west-2'
+      });
+    });
+  });
+
+  it('should prefer environment variables', async () => {
+    fs.writeFileSync(credentialsFile, '[default]\naws_access_key_id = FILE\naws_secret_access_key = file-secret\n');
+    const chain = createChain({
+      env: { AWS_ACCESS_KEY_ID: 'ENV', AWS_SECRET_ACCESS_KEY: 'env-secret', AWS_SESSION_TOKEN: 'env-token' }
+    });
+
+    const credentials = await chain.resolve();
+
+    expect(credentials).toMatchObject({ accessKeyId: 'ENV', sessionToken: 'env-token', source: 'environment' });
+  });
+
+  it('should skip environment variables when a profile is given explicitly', async () => {
+    fs.writeFileSync(credentialsFile, '[prod]\naws_access_key_id = PROD\naws_secret_access_key = prod-secret\n');
+    const chain = createChain({
+      profile: 'prod',
+      env: { AWS_ACCESS_KEY_ID: 'ENV', AWS_SECRET_ACCESS_KEY: 'env-secret' }
+    });
+
+    const credentials = await chain.resolve();
+
+    expect(credentials).toMatchObject({ accessKeyId: 'PROD', source: 'shared-credentials-file:prod' });
+  });
+
+  it('should run credential_process from ~/.aws/config', async () => {
+    const output = JSON.stringify({ Version: 1, AccessKeyId: 'PROCESS', SecretAccessKey: 'process-secret' });
+    fs.writeFileSync(
+      configFile,
+      `[profile tool]\ncredential_process = ${process.execPath} -e "console.log(process.argv[1])" '${output}'\n`
+    );
+
+    const credentials = await createChain({ profile: 'tool' }).resolve();
+
+    expect(credentials).toMatchObject({ accessKeyId: 'PROCESS', source: 'credential-process:tool' });
+  });
+
+  it('should report available profiles when the explicit profile is missing', async () => {
+    fs.writeFileSync(credentialsFile, '[default]\naws_access_key_id = A\naws_secret_access_key = B\n');
+    fs.writeFileSync(configFile, '[profile staging]\nregion = ap-northeast-1\n');
+
+    await expect(createChain({ profile: 'missing' }).resolve())
+      .rejects.toThrow('Available profiles: default, staging');
+  });
+
+  it('should not fall back to container or instance credentials when the explicit profile is missing', async () => {
+    const chain = createChain({
+      profile: 'missing',
+      env: { AWS_EC2_METADATA_DISABLED: 'false', AWS_CONTAINER_CREDENTIALS_FULL_URI: 'http://127.0.0.1:1/creds' }
+    });
+    const container = jest.spyOn(chain, 'fromContainer');
+    const instance = jest.spyOn(chain, 'fromInstanceMetadata');
+
+    await expect(chain.resolve()).rejects.toMatchObject({
+      name: 'CredentialError',
+      message: expect.stringContaining("Profile 'missing' not found")
+    });
+    expect(container).not.toHaveBeenCalled();
+    expect(instance).not.toHaveBeenCalled();
+  });
+
+  it('should fail with a configuration hint when nothing is found', async () => {
+    await expect(createChain().resolve()).rejects.toThrow('aws configure');
+    await expect(createChain().resolve()).rejects.toMatchObject({
+      name: 'CredentialError',
+      code: 'AWS_CREDENTIALS_NOT_FOUND'
+    });
+  });
+
+  describe('STS based providers', () => {
+    let server;
+    let stsEndpoint;
+    let requests;
+    let expiration;
+
+    beforeEach(async () => {
+      requests = [];
+      expiration = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+          const params = new URLSearchParams(body);
+          requests.push({ headers: req.headers, params });
+          const action = params.get('Action');
+          res.writeHead(200, { 'Content-Type': 'text/xml' });
+          res.end(stsResponse(action, `ASIA${requests.length}`, expiration));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      stsEndpoint = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should assume role_arn with a signed request using source_profile', async () => {
+      fs.writeFileSync(credentialsFile, '[base]\naws_access_key_id = BASE\naws_secret_access_key = base-secret\n');
+      fs.writeFileSync(
+        configFile,
+        '[profile admin]\nrole_arn = arn:aws:iam::123456789012:role/Support\nsource_profile = base\n'
+      );
+
+      const credentials = await createChain({ profile: 'admin', stsEndpoint }).resolve();
+
+      expect(credentials).toMatchObject({
+        accessKeyId: 'ASIA1',
+        sessionToken: 'token-ASIA1',
+        source: 'assume-role:admin'
+      });
+      expect(credentials.expiration.toISOString()).toBe(expiration);
+      expect(requests[0].params.get('RoleArn')).toBe('arn:aws:iam::123456789012:role/Support');
+      expect(requests[0].headers.authorization).toContain('Credential=BASE/');
+      expect(requests[0].headers.authorization).toContain('/sts/aws4_request');
+    });
+
+    it('should detect circular source_profile references', async () => {
+      fs.writeFileSync(
+        configFile,
+        '[profile a]\nrole_arn = arn:aws:iam::1:role/A\nsource_profile = b\n' +
+        '[profile b]\nrole_arn = arn:aws:iam::1:role/B\nsource_profile = a\n'
+      );
+
+      await expect(createChain({ profile: 'a', stsEndpoint }).resolve()).rejects.toThrow('Circular');
+    });
+
+    it('should exchange a web identity token without signing', async () => {
+      const tokenFile = path.join(dir, 'token');
+      fs.writeFileSync(tokenFile, 'oidc-token\n');
+
+      const credentials = await createChain({
+        stsEndpoint,
+        env: { AWS_WEB_IDENTITY_TOKEN_FILE: tokenFile, AWS_ROLE_ARN: 'arn:aws:iam::1:role/GitHub' }
+      }).resolve();
+
+      expect(credentials.source).toBe('web-identity');
+      expect(requests[0].params.get('Action')).toBe('AssumeRoleWithWebIdentity');
+      expect(requests[0].params.get('WebIdentityToken')).toBe('oidc-token');
+      expect(requests[0].headers.authorization).toBeUndefined();
+    });
+
+    it('should cache temporary credentials and refresh them before they expire', async () => {
+      const tokenFile = path.join(dir, 'token');
+      fs.writeFileSync(tokenFile, 'oidc-token');
+      const chain = createChain({
+        stsEndpoint,
+        env: { AWS_WEB_IDENTITY_TOKEN_FILE: tokenFile, AWS_ROLE_ARN: 'arn:aws:iam::1:role/GitHub' }
+      });
+
+      const first = await chain.resolve();
+      const second = await chain.resolve();
+      expect(second).toBe(first);
+      expect(requests).toHaveLength(1);
+
+      // 有効期限が再取得ウィンドウ内に入ったら再取得する
+      first.expiration = new Date(Date.now() + 60 * 1000);
+      const refreshed = await chain.resolve();
+      expect(refreshed.accessKeyId).toBe('ASIA2');
+      expect(requests).toHaveLength(2);
+    });
+  });
+});
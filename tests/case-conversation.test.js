@@ -0,0 +1,127 @@
+/**
+ * Tests for syncing the case conversation to the issue
+ */
+
+const {
+  fetchNewCommunications,
+  getSyncCursor,
+  advanceCursor,
+  createMessageClassifier,
+  formatCommunicationAttachments,
+  fenceFor,
+  formatSentMarker,
+  formatCommunicationMarker
+} = require('../scripts/case-conversation');
+
+const BOT = { login: 'github-actions[bot]', type: 'Bot' };
+
+function communication(body, timeCreated, submittedBy = 'Amazon Web Services') {
+  return { caseId: 'case-1', body, submittedBy, timeCreated, attachmentSet: [] };
+}
+
+/**
+ * describeAllCommunications だけを持つクライアント（新しい順に返す）
+ */
+function createClient(communications) {
+  return {
+    describeAllCommunications: jest.fn(async (caseId, options = {}) => communications
+      .filter(c => !options.afterTime || Date.parse(c.timeCreated) >= Date.parse(options.afterTime))
+      .slice()
+      .reverse())
+  };
+}
+
+describe('Case Conversation', () => {
+  const history = [
+    communication('初回の本文', '2025-10-24T01:00:00.000Z', 'user@example.com'),
+    communication('回答 A', '2025-10-24T02:00:00.000Z'),
+    communication('回答 B', '2025-10-24T02:00:00.000Z'),
+    communication('回答 C', '2025-10-24T03:00:00.000Z')
+  ];
+
+  it('should return messages after the cursor oldest first, telling apart messages with the same time', async () => {
+    const client = createClient(history);
+
+    expect((await fetchNewCommunications(client, 'case-1', null)).map(c => c.body))
+      .toEqual(['初回の本文', '回答 A', '回答 B', '回答 C']);
+
+    // 回答 A まで処理済み（同じ日時の回答 B は未処理）
+    const cursor = advanceCursor(advanceCursor(null, history[0]), history[1]);
+    expect((await fetchNewCommunications(client, 'case-1', cursor)).map(c => c.body)).toEqual(['回答 B', '回答 C']);
+    expect(client.describeAllCommunications).toHaveBeenLastCalledWith('case-1', { afterTime: '2025-10-24T01:59:59.000Z' });
+
+    const done = advanceCursor(cursor, history[2]);
+    expect(done.processed).toHaveLength(2);
+    expect((await fetchNewCommunications(client, 'case-1', done)).map(c => c.body)).toEqual(['回答 C']);
+  });
+
+  it('should start from the newest recent communication of a state saved by an older version', () => {
+    const cursor = getSyncCursor({
+      caseId: 'case-1',
+      recentCommunications: { communications: [history[2], history[1], history[0]] }
+    });
+
+    expect(cursor).toMatchObject({ time: '2025-10-24T02:00:00.000Z' });
+    expect(cursor.processed).toHaveLength(2);
+    expect(getSyncCursor(undefined)).toBeNull();
+  });
+
+  it('should skip our own and already posted messages once per marker', () => {
+    jest.useFakeTimers({ now: new Date('2025-10-24T01:00:30.000Z') });
+    try {
+      const comments = [
+        { body: `## ✅ AWSサポートケース作成完了\n\n${formatSentMarker('case-1', '初回の本文\r\n')}`, user: BOT },
+        { body: `## 💬 AWSサポートからの回答\n\n${formatCommunicationMarker('case-1', history[1])}`, user: BOT },
+        { body: formatSentMarker('case-2', '回答 B'), user: BOT }
+      ];
+      const classify = createMessageClassifier(comments, 'case-1');
+
+      expect(classify(history[0])).toBe('sent');
+      expect(classify(history[0])).toBeNull();
+      expect(classify(history[1])).toBe('posted');
+      expect(classify(history[2])).toBeNull();
+
+      // 送信から時間が離れた同じ本文のメッセージは自分で送ったものとみなさない
+      const later = createMessageClassifier(comments, 'case-1');
+      expect(later(communication('初回の本文', '2025-10-25T01:00:00.000Z', 'user@example.com'))).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should ignore markers written by users', () => {
+    jest.useFakeTimers({ now: new Date('2025-10-24T02:00:30.000Z') });
+    try {
+      const user = { login: 'someone', type: 'User' };
+      const comments = [
+        { body: formatCommunicationMarker('case-1', history[2]), user },
+        { body: formatSentMarker('case-1', '回答 C'), user: { login: 'github-actions', type: 'User' } }
+      ];
+      const classify = createMessageClassifier(comments, 'case-1');
+
+      expect(classify(history[2])).toBeNull();
+      expect(classify(communication('回答 C', '2025-10-24T02:00:00.000Z', 'user@example.com'))).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should redact secrets in attachments embedded in the comment', () => {
+    const section = formatCommunicationAttachments([
+      { fileName: 'debug.log', data: Buffer.from('aws_secret_access_key = wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY\ncontact: ops@example.com\n') },
+      { fileName: 'plain.txt', data: Buffer.from('no secrets here') }
+    ]);
+
+    expect(section).not.toContain('wJalrXUtnFEMI');
+    expect(section).toContain('[REDACTED:aws-secret-key]');
+    expect(section).toContain('o***@example.com');
+    expect(section).toMatch(/<summary>📎 debug\.log（\d+B、2件をマスキング）<\/summary>/);
+    expect(section).toContain('<summary>📎 plain.txt（15B）</summary>');
+  });
+
+  it('should fence text with more backticks than any run inside it', () => {
+    expect(fenceFor('plain text')).toBe('```');
+    expect(fenceFor('```\ncode\n```')).toBe('````');
+    expect(fenceFor('inline `x` and `````')).toBe('``````');
+  });
+});
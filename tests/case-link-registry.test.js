@@ -0,0 +1,192 @@
+/**
+ * Tests for the issue ↔ case link registry
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CaseLinkRegistry,
+  formatLinkMarker,
+  parseLinkComment
+} = require('../scripts/case-link-registry');
+const { LockError } = require('../scripts/support-errors');
+
+const BOT = { login: 'github-actions[bot]', type: 'Bot' };
+
+describe('Case Link Registry', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-links-'));
+    file = path.join(dir, 'links.json');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should look up links in both directions and persist them', async () => {
+    const registry = new CaseLinkRegistry({ file });
+    await registry.link({
+      issueNumber: '42',
+      caseId: 'case-1',
+      displayId: 'CASE-1',
+      account: 'prod',
+      createdAt: '2025-10-24T01:00:00.000Z'
+    });
+
+    const reloaded = new CaseLinkRegistry({ file });
+
+    expect(await reloaded.findByCaseId('case-1')).toMatchObject({ issueNumber: 42, account: 'prod' });
+    expect((await reloaded.findByCaseId('CASE-1')).caseId).toBe('case-1');
+    expect((await reloaded.findByIssueNumber(42)).caseId).toBe('case-1');
+    expect(await reloaded.findByIssueNumber(99)).toBeNull();
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toMatchObject({ version: 1, links: [{ caseId: 'case-1' }] });
+  });
+
+  it('should return the latest case when an issue has several', async () => {
+    const registry = new CaseLinkRegistry({ file });
+    await registry.link({ issueNumber: 1, caseId: 'case-new', createdAt: '2025-10-24T02:00:00Z' });
+    await registry.link({ issueNumber: 1, caseId: 'case-old', createdAt: '2025-10-24T01:00:00Z' });
+
+    expect((await registry.findAllByIssueNumber(1)).map(l => l.caseId)).toEqual(['case-old', 'case-new']);
+    expect((await registry.findByIssueNumber(1)).caseId).toBe('case-new');
+  });
+
+  it('should fail instead of starting over when the registry file is broken', async () => {
+    fs.writeFileSync(file, '{"version": 1, "links": [');
+
+    await expect(new CaseLinkRegistry({ file }).link({ issueNumber: 1, caseId: 'case-1' }))
+      .rejects.toThrow(`Failed to parse case link registry (${file})`);
+    expect(fs.readFileSync(file, 'utf8')).toBe('{"version": 1, "links": [');
+  });
+
+  it('should keep links recorded by another run and retry when the store was updated meanwhile', async () => {
+    const saved = [];
+    let conflicts = 1;
+    const store = {
+      lock: jest.fn(async () => () => {}),
+      load: jest.fn(async () => ({ links: saved.slice() })),
+      save: jest.fn(async links => {
+        if (conflicts-- > 0) {
+          // 読み込んだ後に別の実行が記録した
+          saved.push({ issueNumber: 2, caseId: 'case-other' });
+          throw new LockError('Case link registry was updated by another run');
+        }
+        saved.splice(0, saved.length, ...links);
+      })
+    };
+    const registry = new CaseLinkRegistry({ store });
+
+    await registry.link({ issueNumber: 1, caseId: 'case-1' });
+
+    expect(store.save).toHaveBeenCalledTimes(2);
+    expect(saved.map(l => l.caseId)).toEqual(['case-other', 'case-1']);
+  });
+
+  it('should round-trip the hidden marker in bot comments', () => {
+    const link = { caseId: 'case-1', displayId: 'CASE-1', account: 'main', createdAt: '2025-10-24T01:00:00Z' };
+
+    expect(parseLinkComment(`## ✅ 作成完了\n\n${formatLinkMarker(link)}\n`)).toEqual(link);
+  });
+
+  it('should read legacy case-created comments without a marker', () => {
+    const body = '## ✅ AWSサポートケース作成完了\n\n- **Case ID**: `case-9`\n- **Display ID**: `CASE-9`\n' +
+      '- **作成日時**: 2025-10-01T00:00:00.000Z\n';
+
+    expect(parseLinkComment(body)).toMatchObject({ caseId: 'case-9', displayId: 'CASE-9' });
+    expect(parseLinkComment('## ✅ AWSサポートへの返信完了\n\n**Case ID**: `case-9`')).toBeNull();
+  });
+
+  it('should add links found in issue comments and keep the recorded ones', async () => {
+    const registry = new CaseLinkRegistry({ file });
+    await registry.link({ issueNumber: 5, caseId: 'linked-case' });
+    await registry.link({ issueNumber: 6, caseId: 'case-8' });
+
+    const count = await registry.rebuildFromComments([
+      {
+        issue_url: 'https://api.github.com/repos/owner/repo/issues/7',
+        user: BOT,
+        body: formatLinkMarker({ caseId: 'case-7', displayId: 'CASE-7', account: 'prod' }),
+        created_at: '2025-10-24T01:00:00Z'
+      },
+      { issue_url: 'https://api.github.com/repos/owner/repo/issues/8', user: BOT, body: formatLinkMarker({ caseId: 'case-8' }) },
+      { issue_url: 'https://api.github.com/repos/owner/repo/issues/8', user: BOT, body: '/reply thanks' }
+    ]);
+
+    expect(count).toBe(2);
+    expect(await registry.findByCaseId('linked-case')).toMatchObject({ issueNumber: 5 });
+    expect(await registry.findByCaseId('case-8')).toMatchObject({ issueNumber: 6 });
+    expect(await new CaseLinkRegistry({ file }).findByIssueNumber(7)).toMatchObject({
+      caseId: 'case-7',
+      account: 'prod',
+      createdAt: '2025-10-24T01:00:00Z'
+    });
+  });
+
+  it('should only trust the first marker of a case posted by the bot', async () => {
+    const registry = new CaseLinkRegistry({ file });
+    const marker = (caseId, createdAt) => formatLinkMarker({ caseId, displayId: caseId.toUpperCase(), createdAt });
+
+    await registry.rebuildFromComments([
+      // 利用者が書いたマーカー
+      { issueNumber: 3, user: { login: 'attacker', type: 'User' }, body: marker('case-user'), created_at: '2025-10-24T00:00:00Z' },
+      { issueNumber: 3, user: { login: 'other-app[bot]', type: 'Bot' }, body: marker('case-bot'), created_at: '2025-10-24T00:00:00Z' },
+      { issueNumber: 4, user: BOT, body: marker('case-4', '2000-01-01T00:00:00Z'), created_at: '2025-10-24T01:00:00Z' },
+      // 後から別の Issue に投稿された同じケースのマーカー
+      { issueNumber: 9, user: BOT, body: marker('case-4'), created_at: '2025-10-24T02:00:00Z' },
+      { issueNumber: 6, performed_via_github_app: { id: 12345 }, user: { login: 'support-app[bot]', type: 'Bot' }, body: marker('case-6') }
+    ], { app: { appId: '12345' } });
+
+    expect((await registry.all()).map(l => `${l.issueNumber}:${l.caseId}`)).toEqual(['4:case-4', '6:case-6']);
+    // 記録の日時はマーカーではなくコメントの投稿日時
+    expect((await registry.findByCaseId('case-4')).createdAt).toBe('2025-10-24T01:00:00Z');
+  });
+
+  describe('lockIssue', () => {
+    it('should let one run at a time work on an issue and reload links on entry', async () => {
+      const first = new CaseLinkRegistry({ file });
+      const second = new CaseLinkRegistry({ file });
+      const release = await first.lockIssue(9);
+
+      const waiting = second.lockIssue(9, { retryMs: 5 });
+      await first.link({ issueNumber: 9, caseId: 'case-9' });
+      release();
+      const releaseSecond = await waiting;
+
+      expect(await second.findByIssueNumber(9)).toMatchObject({ caseId: 'case-9' });
+      releaseSecond();
+      expect(fs.readdirSync(dir)).toEqual(['links.json']);
+    });
+
+    it('should time out while another run holds the lock', async () => {
+      const registry = new CaseLinkRegistry({ file });
+      const release = await registry.lockIssue(9);
+
+      await expect(registry.lockIssue(9, { timeoutMs: 20, retryMs: 5 })).rejects.toMatchObject({
+        name: 'LockError',
+        code: 'LOCK_TIMEOUT'
+      });
+      // 別の Issue はロックされていない
+      (await registry.lockIssue(10))();
+      release();
+    });
+
+    it('should take over a lock left behind by a crashed run', async () => {
+      const registry = new CaseLinkRegistry({ file });
+      const lockFile = `${file}.issue-9.lock`;
+      fs.writeFileSync(lockFile, '{}');
+      const past = new Date(Date.now() - 60 * 60 * 1000);
+      fs.utimesSync(lockFile, past, past);
+
+      const release = await registry.lockIssue(9, { timeoutMs: 20 });
+
+      expect(JSON.parse(fs.readFileSync(lockFile, 'utf8')).pid).toBe(process.pid);
+      release();
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for case options (CC, language, issue type) and team defaults
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadCaseDefaults,
+  parseEmailList,
+  parseLanguage,
+  parseIssueType,
+  applyCaseDefaults
+} = require('../scripts/case-options');
+const { validateCaseData } = require('../scripts/case-validator');
+
+describe('Case Options', () => {
+  it('should parse email lists separated by commas, semicolons or new lines', () => {
+    expect(parseEmailList('a@example.com, b@example.com;c@example.com\nd@example.com'))
+      .toEqual(['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com']);
+    expect(parseEmailList(null)).toEqual([]);
+  });
+
+  it('should parse language choices from both issue templates', () => {
+    expect(parseLanguage('日本語（ja）')).toBe('ja');
+    expect(parseLanguage('English (en)')).toBe('en');
+    expect(parseLanguage('한국어')).toBe('ko');
+    expect(parseLanguage('中国語')).toBe('zh');
+    expect(parseLanguage('fr')).toBe('fr');
+    expect(parseLanguage('')).toBeNull();
+  });
+
+  it('should parse issue types', () => {
+    expect(parseIssueType('アカウント・請求（customer-service）')).toBe('customer-service');
+    expect(parseIssueType('Account and billing (customer-service)')).toBe('customer-service');
+    expect(parseIssueType('技術サポート（technical）')).toBe('technical');
+    expect(parseIssueType(undefined)).toBeNull();
+  });
+
+  it('should always add team and account CC recipients and fill defaults', () => {
+    const defaults = {
+      ccEmailAddresses: ['aws-oncall@example.com'],
+      language: 'ja',
+      accounts: { prod: { ccEmailAddresses: ['prod-oncall@example.com'], language: 'en' } }
+    };
+
+    const prod = applyCaseDefaults(
+      { ccEmailAddresses: ['alice@example.com', 'AWS-Oncall@example.com'], language: null, issueType: null },
+      defaults,
+      { alias: 'prod' }
+    );
+    const main = applyCaseDefaults({ ccEmailAddresses: [], language: 'ko', issueType: 'customer-service' }, defaults, { alias: 'main' });
+
+    expect(prod).toMatchObject({
+      ccEmailAddresses: ['alice@example.com', 'AWS-Oncall@example.com', 'prod-oncall@example.com'],
+      language: 'en',
+      issueType: 'technical'
+    });
+    expect(main).toMatchObject({ ccEmailAddresses: ['aws-oncall@example.com'], language: 'ko', issueType: 'customer-service' });
+  });
+
+  it('should load defaults from a config file and ignore a missing one', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-defaults-'));
+    try {
+      const file = path.join(dir, 'case-defaults.json');
+      fs.writeFileSync(file, JSON.stringify({ ccEmailAddresses: ['oncall@example.com'] }));
+
+      expect(loadCaseDefaults(file)).toEqual({ ccEmailAddresses: ['oncall@example.com'] });
+      expect(loadCaseDefaults(path.join(dir, 'missing.json'))).toEqual({});
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should report invalid CC addresses, too many recipients and unsupported values', async () => {
+    const base = { subject: 'Subject', body: 'Body' };
+    const tooMany = Array.from({ length: 11 }, (_, i) => `user${i}@example.com`);
+
+    const invalid = await validateCaseData({
+      ...base,
+      ccEmailAddresses: ['alice@example.com', 'not-an-email'],
+      language: 'fr',
+      issueType: 'billing'
+    });
+    const crowded = await validateCaseData({ ...base, ccEmailAddresses: tooMany });
+
+    expect(invalid.errors).toEqual([
+      { field: 'ccEmailAddresses', label: 'CC', message: 'メールアドレスの形式ではありません: not-an-email' },
+      { field: 'language', label: 'ケースの言語', message: '`fr` には対応していません（指定可能: ja, en, zh, ko）' },
+      { field: 'issueType', label: '問い合わせ種別', message: '`billing` には対応していません（指定可能: technical, customer-service）' }
+    ]);
+    expect(crowded.errors[0].message).toBe('10件以内にしてください（チームの既定の CC を含めて 11件）');
+  });
+});
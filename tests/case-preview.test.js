@@ -0,0 +1,106 @@
+/**
+ * Tests for dry-run previews
+ */
+
+const {
+  computePreviewDigest,
+  formatPreviewComment,
+  parsePreviewComment,
+  findPendingPreview,
+  markPreviewSubmitted
+} = require('../scripts/case-preview');
+
+// createComment で投稿したコメントの作成者（GITHUB_TOKEN のボット）
+const BOT = { login: 'github-actions[bot]', type: 'Bot' };
+const USER = { login: 'someone', type: 'User' };
+
+describe('Case Preview', () => {
+  const params = {
+    subject: 'EC2インスタンスが起動しない',
+    communicationBody: '連絡先: t***@example.com',
+    severityCode: 'normal',
+    categoryCode: 'other',
+    serviceCode: 'amazon-elastic-compute-cloud-linux',
+    language: 'ja'
+  };
+
+  describe('computePreviewDigest', () => {
+    it('should change when the request or attachments change', () => {
+      const attachments = [{ fileName: 'boot.log', data: 'ERROR' }];
+      const digest = computePreviewDigest('create', params, attachments);
+
+      expect(digest).toMatch(/^[0-9a-f]{16}$/);
+      expect(computePreviewDigest('create', { ...params }, [{ fileName: 'boot.log', data: 'ERROR' }])).toBe(digest);
+      expect(computePreviewDigest('create', { ...params, severityCode: 'high' }, attachments)).not.toBe(digest);
+      expect(computePreviewDigest('create', params, [{ fileName: 'boot.log', data: 'ERROR 2' }])).not.toBe(digest);
+      expect(computePreviewDigest('reply', params, attachments)).not.toBe(digest);
+    });
+  });
+
+  describe('formatPreviewComment', () => {
+    it('should show the exact request, attachments and redactions', () => {
+      const body = formatPreviewComment({
+        kind: 'create',
+        params,
+        digest: 'abc123',
+        attachments: [{ fileName: 'boot.log', data: 'ERROR' }, { fileName: null, url: 'https://github.com/user-attachments/assets/1' }],
+        redactions: [{ type: 'email', label: 'メールアドレス', action: 'mask', count: 1 }],
+        account: { alias: 'prod', accountId: '123456789012' }
+      });
+
+      expect(body).toContain('## 👀 AWSサポートケース作成のプレビュー（ドライラン）');
+      expect(body).toContain('- **Account**: `prod` (123456789012)');
+      expect(body).toContain('<summary>CreateCase のリクエスト</summary>');
+      expect(body).toContain(JSON.stringify(params, null, 2));
+      expect(body).toContain('- 📎 boot.log\n- 📎 https://github.com/user-attachments/assets/1');
+      expect(body).toContain('- メールアドレス: 1件（一部を伏せ字）');
+      expect(parsePreviewComment(body)).toEqual({ kind: 'create', digest: 'abc123', status: 'pending' });
+    });
+
+    it('should record the /reply comment and explain stale previews', () => {
+      const body = formatPreviewComment({ kind: 'reply', params, digest: 'def456', commentId: 9, stale: true });
+
+      expect(body).toContain('<summary>AddCommunicationToCase のリクエスト</summary>');
+      expect(body).toContain('プレビューの後に /reply コメントが編集され');
+      expect(parsePreviewComment(body)).toEqual({ kind: 'reply', digest: 'def456', status: 'pending', commentId: 9 });
+    });
+  });
+
+  describe('findPendingPreview', () => {
+    function createGitHub(bodies) {
+      const comments = bodies.map((body, index) => ({ id: index + 1, user: body.includes('<!--') ? BOT : USER, body }));
+      return {
+        comments,
+        listComments: jest.fn(async () => comments.slice()),
+        updateComment: jest.fn(async (id, body) => {
+          comments.find(comment => comment.id === id).body = body;
+        })
+      };
+    }
+
+    it('should only return the latest preview while it is pending', async () => {
+      const older = formatPreviewComment({ kind: 'reply', params, digest: 'old', commentId: 1 });
+      const latest = formatPreviewComment({ kind: 'reply', params, digest: 'new', commentId: 3 });
+      const github = createGitHub([older, '/reply 1', latest, 'LGTM']);
+
+      const preview = await findPendingPreview(github, 1);
+      expect(preview).toMatchObject({ id: 3, kind: 'reply', digest: 'new', commentId: 3 });
+      expect(await findPendingPreview(github, 1, 'create')).toBeNull();
+
+      await markPreviewSubmitted(github, preview);
+
+      expect(github.comments[2].body).toContain('> ✅ `/submit` により送信しました');
+      expect(parsePreviewComment(github.comments[2].body).status).toBe('submitted');
+      // 置き換えられた古いプレビューは送信しない
+      expect(await findPendingPreview(github, 1)).toBeNull();
+    });
+
+    it('should ignore previews written by users', async () => {
+      const forged = formatPreviewComment({ kind: 'reply', params, digest: 'forged', commentId: 1 });
+      const github = createGitHub(['/reply 1', forged]);
+      github.comments[1].user = USER;
+
+      expect(await findPendingPreview(github, 1)).toBeNull();
+    });
+  });
+});
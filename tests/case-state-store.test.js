@@ -0,0 +1,199 @@
+/**
+ * Tests for the case monitor state store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createStateStore,
+  migrateState,
+  FileStateStore,
+  GitBranchStateStore,
+  GistStateStore,
+  STATE_SCHEMA_VERSION
+} = require('../scripts/case-state-store');
+const { CaseLinkRegistry, LINK_REGISTRY_DOCUMENT } = require('../scripts/case-link-registry');
+const { GitHubError, LockError } = require('../scripts/support-errors');
+
+/**
+ * ブランチのファイルをメモリに保存する GitHubClient（Contents API と同じく SHA で競合を検出する）
+ */
+function createRepository() {
+  const branches = {};
+  let revision = 0;
+  const conflict = statusCode => new GitHubError(`GitHub API error: ${statusCode}`, { statusCode });
+
+  return {
+    repository: 'owner/repo',
+    branches,
+    getBranch: jest.fn(async branch => (branches[branch] ? { name: branch } : null)),
+    getRepositoryFile: jest.fn(async (filePath, branch) =>
+      ((branches[branch] || {})[filePath] ? { ...branches[branch][filePath] } : null)),
+    putRepositoryFile: jest.fn(async (filePath, { content, branch, sha }) => {
+      const current = branches[branch][filePath];
+      if (!current && sha) {
+        throw conflict(404);
+      }
+      if (current && current.sha !== sha) {
+        throw conflict(sha ? 409 : 422);
+      }
+      branches[branch][filePath] = { content, sha: `sha-${++revision}` };
+      return { content: { sha: branches[branch][filePath].sha } };
+    }),
+    createOrphanBranch: jest.fn(async (branch, filePath, content) => {
+      if (branches[branch]) {
+        throw conflict(422);
+      }
+      branches[branch] = { [filePath]: { content, sha: `sha-${++revision}` } };
+    })
+  };
+}
+
+describe('Case State Store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-state-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should migrate a state file saved as an array of cases', async () => {
+    const file = path.join(dir, '.aws-case-state.json');
+    fs.writeFileSync(file, JSON.stringify([{
+      caseId: 'case-1',
+      status: 'opened',
+      recentCommunications: {
+        communications: [{ body: '回答', submittedBy: 'Amazon Web Services', timeCreated: '2025-10-24T02:00:00.000Z' }]
+      }
+    }]));
+    const store = new FileStateStore({ file });
+
+    const { version, cases } = await store.load();
+    expect(version).toBe(STATE_SCHEMA_VERSION);
+    expect(cases['case-1']).toMatchObject({ status: 'opened', syncCursor: { time: '2025-10-24T02:00:00.000Z' } });
+    expect(cases['case-1'].recentCommunications).toBeUndefined();
+
+    await store.save(Object.values(cases));
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(saved).toMatchObject({ version: STATE_SCHEMA_VERSION, cases: { 'case-1': { status: 'opened' } } });
+    expect(fs.readdirSync(dir)).toEqual(['.aws-case-state.json']);
+  });
+
+  it('should refuse a state saved by a newer version', () => {
+    expect(() => migrateState({ version: STATE_SCHEMA_VERSION + 1, cases: {} })).toThrow('is newer than supported');
+    expect(() => migrateState({ cases: {} })).toThrow('Unrecognized case state format');
+  });
+
+  it('should fail to load a broken state file and leave it in place', async () => {
+    const file = path.join(dir, 'state.json');
+    fs.writeFileSync(file, '[{"caseId": "case-1"');
+
+    await expect(new FileStateStore({ file }).load()).rejects.toThrow(`Failed to parse case state (${file})`);
+    expect(fs.readdirSync(dir)).toEqual(['state.json']);
+    expect(fs.readFileSync(file, 'utf8')).toBe('[{"caseId": "case-1"');
+  });
+
+  it('should fail to load a broken state from a branch', async () => {
+    const github = createRepository();
+    github.branches['aws-support-state'] = { 'aws-case-state.json': { content: '{"version": 2,', sha: 'sha-1' } };
+
+    await expect(new GitBranchStateStore({ github }).load())
+      .rejects.toThrow('Failed to parse case state (owner/repo@aws-support-state:aws-case-state.json)');
+  });
+
+  it('should let only one run hold the lock on a state file', async () => {
+    const file = path.join(dir, 'state.json');
+    const store = new FileStateStore({ file, lockOptions: { timeoutMs: 50, retryMs: 10 } });
+
+    const release = await store.lock();
+    await expect(store.lock()).rejects.toThrow(LockError);
+
+    release();
+    const again = await store.lock();
+    again();
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+  });
+
+  it('should keep the state on a branch and refuse to overwrite a newer state', async () => {
+    const github = createRepository();
+    const first = new GitBranchStateStore({ github });
+
+    expect((await first.load()).cases).toEqual({});
+    await first.save([{ caseId: 'case-1', status: 'opened' }]);
+    expect(github.createOrphanBranch).toHaveBeenCalledWith(
+      'aws-support-state', 'aws-case-state.json', expect.any(String), 'Update AWS support case state (1 cases)'
+    );
+
+    // 2つの実行が同じ版を読み込んだ場合、後から保存した実行は失敗する
+    const a = new GitBranchStateStore({ github });
+    const b = new GitBranchStateStore({ github });
+    expect((await a.load()).cases['case-1'].status).toBe('opened');
+    await b.load();
+    await a.save([{ caseId: 'case-1', status: 'pending-customer-action' }]);
+    await expect(b.save([{ caseId: 'case-1', status: 'opened' }])).rejects.toThrow(LockError);
+
+    // 同じ実行は続けて保存できる
+    await a.save([{ caseId: 'case-1', status: 'resolved' }]);
+    expect((await new GitBranchStateStore({ github }).load()).cases['case-1'].status).toBe('resolved');
+  });
+
+  it('should refuse to overwrite a gist updated after it was loaded', async () => {
+    let version = 1;
+    let content = JSON.stringify({ version: STATE_SCHEMA_VERSION, cases: { 'case-1': { caseId: 'case-1' } } });
+    const github = {
+      getGist: jest.fn(async () => ({
+        files: { 'aws-case-state.json': { content, truncated: false } },
+        history: [{ version: `v${version}` }]
+      })),
+      updateGist: jest.fn(async (gistId, files) => {
+        content = files['aws-case-state.json'];
+        version++;
+        return { history: [{ version: `v${version}` }] };
+      })
+    };
+    const store = new GistStateStore({ github, gistId: 'abc123' });
+
+    expect(Object.keys((await store.load()).cases)).toEqual(['case-1']);
+    await store.save([{ caseId: 'case-2' }]);
+    expect(JSON.parse(content).cases).toEqual({ 'case-2': { caseId: 'case-2' } });
+
+    version++;
+    await expect(store.save([{ caseId: 'case-3' }])).rejects.toThrow(LockError);
+  });
+
+  it('should keep the case link registry in the same branch as the case state', async () => {
+    const github = createRepository();
+    const env = { AWS_CASE_STATE_STORE: 'git-branch' };
+    const registry = new CaseLinkRegistry({
+      store: createStateStore({ github, path: 'aws-case-links.json', document: LINK_REGISTRY_DOCUMENT }, env)
+    });
+
+    await registry.link({ issueNumber: 7, caseId: 'case-7' });
+    const state = createStateStore({ github }, env);
+    await state.load();
+    await state.save([{ caseId: 'case-7', status: 'opened' }]);
+
+    expect(Object.keys(github.branches['aws-support-state']).sort()).toEqual(['aws-case-links.json', 'aws-case-state.json']);
+    expect(JSON.parse(github.branches['aws-support-state']['aws-case-links.json'].content).links)
+      .toMatchObject([{ issueNumber: 7, caseId: 'case-7' }]);
+    expect(github.putRepositoryFile).toHaveBeenCalledWith('aws-case-state.json', expect.objectContaining({
+      message: 'Update AWS support case state (1 cases)'
+    }));
+  });
+
+  it('should choose the backend from the environment', () => {
+    const github = createRepository();
+
+    expect(createStateStore({}, {})).toMatchObject({ backend: 'file', file: '.aws-case-state.json' });
+    expect(createStateStore({}, { AWS_CASE_STATE_STORE: 'actions-cache', AWS_CASE_STATE_FILE: 'state/cases.json' }))
+      .toMatchObject({ backend: 'actions-cache', file: 'state/cases.json' });
+    expect(createStateStore({ github }, { AWS_CASE_STATE_STORE: 'git-branch', AWS_CASE_STATE_BRANCH: 'monitor-state' }).location)
+      .toBe('owner/repo@monitor-state:aws-case-state.json');
+    expect(() => createStateStore({ github }, { AWS_CASE_STATE_STORE: 'gist' })).toThrow('AWS_CASE_STATE_GIST_ID is required');
+    expect(() => createStateStore({}, { AWS_CASE_STATE_STORE: 's3' })).toThrow('Unknown case state store: s3');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for pre-submission case validation
+ */
+
+const { AWSSupportClient } = require('../scripts/aws-support-client');
+const { MockSupportBackend } = require('../scripts/mock-support-backend');
+const {
+  validateCaseData,
+  formatValidationComment,
+  parseValidationComment,
+  CASE_LIMITS
+} = require('../scripts/case-validator');
+
+describe('Case Validator', () => {
+  const validCase = {
+    subject: 'EC2インスタンスが起動しない',
+    body: '## 詳細説明\nInsufficientInstanceCapacity',
+    severity: 'high',
+    category: 'instance-issue',
+    serviceCode: 'amazon-elastic-compute-cloud-linux',
+    errors: []
+  };
+
+  function createClient(supportPlan) {
+    return new AWSSupportClient({
+      mockMode: true,
+      mockBackend: new MockSupportBackend({ seed: false, supportPlan })
+    });
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should accept case data within the limits of the account', async () => {
+    await expect(validateCaseData(validCase, { client: createClient('business') }))
+      .resolves.toEqual({ valid: true, errors: [] });
+  });
+
+  it('should check subject and body length without calling AWS', async () => {
+    const { valid, errors } = await validateCaseData({
+      ...validCase,
+      subject: 'x'.repeat(CASE_LIMITS.subjectMaxLength + 1),
+      body: 'y'.repeat(CASE_LIMITS.bodyMaxLength + 1)
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { field: 'subject', label: '件名', message: '250文字以内にしてください（現在 251文字）' },
+      expect.objectContaining({ field: 'body', label: 'ケース本文' })
+    ]);
+  });
+
+  it('should report each field once, preferring issue form errors', async () => {
+    const { errors } = await validateCaseData({
+      ...validCase,
+      subject: '',
+      errors: [{ field: 'issue_summary', label: '事象の概要', message: '入力必須の項目です' }],
+      formFields: { subject: { id: 'issue_summary', label: '事象の概要' } }
+    });
+
+    expect(errors).toEqual([{ field: 'issue_summary', label: '事象の概要', message: '入力必須の項目です' }]);
+  });
+
+  it('should reject severities the support plan does not offer', async () => {
+    const { errors } = await validateCaseData(
+      { ...validCase, severity: 'urgent' },
+      { client: createClient('developer') }
+    );
+
+    expect(errors).toEqual([{
+      field: 'severity',
+      label: '重要度',
+      message: '重要度 `urgent` はこのアカウントのサポートプランでは指定できません（指定可能: low, normal）'
+    }]);
+  });
+
+  it('should reject unknown service codes and categories of other services', async () => {
+    const client = createClient();
+
+    const unknownService = await validateCaseData({ ...validCase, serviceCode: 'amazon-unknown' }, { client });
+    const wrongCategory = await validateCaseData({ ...validCase, serviceCode: 'aws-lambda' }, { client });
+
+    expect(unknownService.errors.map(e => e.field)).toEqual(['serviceCode']);
+    expect(wrongCategory.errors).toEqual([expect.objectContaining({ field: 'category' })]);
+    expect(wrongCategory.errors[0].message).toContain('`instance-issue` は Lambda では指定できません');
+  });
+
+  it('should format one comment listing every failing field', () => {
+    const comment = formatValidationComment({
+      valid: false,
+      errors: [
+        { field: 'issue_summary', label: '事象の概要', message: '入力必須の項目です' },
+        { field: 'severity', label: '重要度', message: 'a | b\nc' }
+      ]
+    });
+
+    expect(comment).toContain('| 事象の概要 | 入力必須の項目です |');
+    expect(comment).toContain('| 重要度 | a \\| b c |');
+    expect(parseValidationComment(comment)).toBe('failed');
+    expect(parseValidationComment(formatValidationComment({ valid: true, errors: [] }))).toBe('passed');
+    expect(parseValidationComment('## ✅ AWSサポートケース作成完了')).toBeNull();
+  });
+});
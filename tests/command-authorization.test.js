@@ -0,0 +1,145 @@
+/**
+ * Tests for the command authorization policy
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadCommandPolicy,
+  authorizeCommand,
+  enforceCommandPolicy,
+  getPermissionLevel,
+  AUDIT_MARKER
+} = require('../scripts/command-authorization');
+
+/**
+ * 権限・チームの所属を返すだけの GitHubClient
+ */
+function createGitHub(permissions = {}, teams = {}) {
+  return {
+    repository: 'owner/repo',
+    comments: [],
+    createComment: jest.fn(async function (issueNumber, body) {
+      this.comments.push({ issueNumber, body });
+      return { id: this.comments.length };
+    }),
+    getCollaboratorPermission: jest.fn(async username => permissions[username] || null),
+    getTeamMembership: jest.fn(async (org, teamSlug, username) =>
+      ((teams[`${org}/${teamSlug}`] || []).includes(username) ? { state: 'active', role: 'member' } : null))
+  };
+}
+
+describe('Command Authorization', () => {
+  let dir;
+  let github;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'command-policy-'));
+    github = createGitHub({
+      admin: { permission: 'admin', role_name: 'admin' },
+      lead: { permission: 'write', role_name: 'write' },
+      writer: { permission: 'write', role_name: 'write' },
+      triager: { permission: 'read', role_name: 'triage' },
+      reader: { permission: 'read', role_name: 'read' },
+      outsider: { permission: 'write', role_name: 'write' }
+    }, {
+      'my-org/aws-support': ['lead', 'writer', 'triager'],
+      'my-org/aws-support-leads': ['lead']
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writePolicy(policy) {
+    const file = path.join(dir, 'command-policy.json');
+    fs.writeFileSync(file, JSON.stringify(policy));
+    return loadCommandPolicy(file);
+  }
+
+  it('should use the role name and treat unknown users as having no permission', async () => {
+    expect(await getPermissionLevel(github, 'triager')).toBe('triage');
+    expect(await getPermissionLevel(github, 'reader')).toBe('read');
+    expect(await getPermissionLevel(github, 'stranger')).toBe('none');
+    expect(await getPermissionLevel(github, undefined)).toBe('none');
+  });
+
+  it('should require write access for case-changing commands by default', async () => {
+    const policy = loadCommandPolicy(path.join(dir, 'missing.json'));
+    expect(policy).toMatchObject({ source: null, requiredPermission: 'write', users: [], teams: [] });
+
+    // /retry は triage で定義されているが、ケースを変更するため write が必要
+    const retry = await authorizeCommand(github, 'retry', 'triager', { policy });
+    expect(retry).toMatchObject({ allowed: false, rule: 'permission', permission: 'triage', requiredPermission: 'write' });
+    expect((await authorizeCommand(github, 'regenerate', 'triager', { policy })).allowed).toBe(true);
+    expect((await authorizeCommand(github, 'status', 'reader', { policy })).allowed).toBe(true);
+    expect((await authorizeCommand(github, 'reply', 'stranger', { policy })).allowed).toBe(false);
+    expect((await authorizeCommand(github, 'reply', 'writer', { policy })).allowed).toBe(true);
+  });
+
+  it('should restrict commands to the allowed users and teams', async () => {
+    const policy = writePolicy({
+      users: ['Admin'],
+      teams: ['my-org/aws-support'],
+      commands: {
+        resolve: { teams: ['my-org/aws-support-leads'] },
+        link: { permission: 'admin' }
+      }
+    });
+
+    expect((await authorizeCommand(github, 'reply', 'writer', { policy })).allowed).toBe(true);
+    expect((await authorizeCommand(github, 'reply', 'admin', { policy })).allowed).toBe(true);
+    expect(await authorizeCommand(github, 'resolve', 'writer', { policy })).toMatchObject({
+      allowed: false,
+      rule: 'commands.resolve',
+      policy: path.join(dir, 'command-policy.json')
+    });
+    expect((await authorizeCommand(github, 'resolve', 'lead', { policy })).allowed).toBe(true);
+    expect((await authorizeCommand(github, 'link', 'lead', { policy })).requiredPermission).toBe('admin');
+
+    // 許可リストに含まれない write 権限のユーザー
+    expect(await authorizeCommand(github, 'cc', 'outsider', { policy })).toMatchObject({ allowed: false, rule: 'allowlist' });
+
+    // ケースを変更しないコマンドは許可リストの対象外
+    expect((await authorizeCommand(github, 'status', 'reader', { policy })).allowed).toBe(true);
+  });
+
+  it('should not lower the permission a command requires', async () => {
+    const policy = writePolicy({ requiredPermission: 'read', commands: { link: { permission: 'triage' } } });
+
+    expect((await authorizeCommand(github, 'reply', 'reader', { policy })).requiredPermission).toBe('write');
+    expect((await authorizeCommand(github, 'link', 'admin', { policy })).requiredPermission).toBe('maintain');
+  });
+
+  it('should reject invalid policies', () => {
+    expect(() => writePolicy({ requiredPermission: 'owner' })).toThrow('Invalid permission for requiredPermission: owner');
+    expect(() => writePolicy({ commands: { delete: {} } })).toThrow('Unknown command in command policy: delete');
+    expect(() => writePolicy({ commands: { resolve: { teams: ['aws-support-leads'] } } }))
+      .toThrow("Invalid team for commands.resolve.teams: aws-support-leads (expected 'org/team-slug')");
+  });
+
+  it('should leave an audit comment for every refused command', async () => {
+    const policy = writePolicy({ commands: { escalate: { users: ['lead'] } } });
+
+    const decision = await enforceCommandPolicy(github, 'escalate', {
+      issueNumber: 5, commentId: 42, author: 'writer', commandPolicy: policy
+    });
+
+    expect(decision.allowed).toBe(false);
+    expect(github.comments).toHaveLength(1);
+    const { body } = github.comments[0];
+    expect(body).toContain('## 🚫 `/escalate` の実行を拒否しました');
+    expect(body).toContain('- **実行した人**: @writer');
+    expect(body).toContain('- **コメント**: https://github.com/owner/repo/issues/5#issuecomment-42');
+    expect(body).toContain('- **拒否した規則**: `commands.escalate`');
+
+    const marker = JSON.parse(body.match(new RegExp(`<!-- ${AUDIT_MARKER} (\\{.*?\\}) -->`))[1]);
+    expect(marker).toMatchObject({ decision: 'denied', command: 'escalate', user: 'writer', commentId: 42 });
+
+    // 許可したコマンドはコメントしない
+    await enforceCommandPolicy(github, 'escalate', { issueNumber: 5, author: 'lead', commandPolicy: policy });
+    expect(github.comments).toHaveLength(1);
+  });
+});
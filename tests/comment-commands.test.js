@@ -0,0 +1,125 @@
+/**
+ * Tests for the issue comment command grammar
+ */
+
+const { parseCommand, findCommand, formatCommandError } = require('../scripts/comment-commands');
+
+describe('Comment Commands', () => {
+  describe('parseCommand', () => {
+    it('should take the rest of the comment as a multi-line Markdown body', () => {
+      const command = parseCommand([
+        'ログを確認しました（この行は送信しない）',
+        '/reply 別のAZで試しました。',
+        '',
+        '```bash',
+        'aws ec2 start-instances --instance-ids i-123',
+        '```',
+        '',
+        '- 結果: 正常に起動'
+      ].join('\n'));
+
+      expect(command).toEqual({
+        name: 'reply',
+        options: {},
+        args: {},
+        body: '別のAZで試しました。\n\n```bash\naws ec2 start-instances --instance-ids i-123\n```\n\n- 結果: 正常に起動',
+        errors: []
+      });
+    });
+
+    it('should exclude quoted lines but keep quotes inside code blocks', () => {
+      const command = parseCommand([
+        '> AWSサポートより: インスタンスIDを教えてください',
+        '>',
+        '/reply',
+        '> インスタンスIDを教えてください',
+        'i-0123456789abcdef0 です。',
+        '```',
+        '> not a quote',
+        '```'
+      ].join('\r\n'));
+
+      expect(command.body).toBe('i-0123456789abcdef0 です。\n```\n> not a quote\n```');
+    });
+
+    it('should ignore commands in code blocks, quotes and other words', () => {
+      expect(findCommand('```\n/reply example\n```')).toBeNull();
+      expect(findCommand('~~~~\n/reply example\n~~~\n~~~~')).toBeNull();
+      expect(findCommand('> /reply quoted')).toBeNull();
+      expect(findCommand('/replyall hello')).toBeNull();
+      expect(findCommand('Use /reply to answer')).toBeNull();
+      expect(findCommand('```\n/reply example\n```\n/reply real').argumentText).toBe('real');
+    });
+
+    it('should parse --cc in every supported form', () => {
+      const command = parseCommand(
+        '/reply --cc a@example.com, b@example.com --cc=c@example.com,a@example.com 追加の情報です\n詳細'
+      );
+
+      expect(command.options.cc).toEqual(['a@example.com', 'b@example.com', 'c@example.com']);
+      expect(command.body).toBe('追加の情報です\n詳細');
+      expect(command.errors).toEqual([]);
+    });
+
+    it('should report malformed commands', () => {
+      expect(parseCommand('/reply').errors).toEqual([
+        '本文がありません。コマンドと同じ行か、次の行以降にメッセージを書いてください'
+      ]);
+      expect(parseCommand('/reply > quoted only\n> also quoted').errors).toEqual([]);
+      expect(parseCommand('/reply\n> quoted only').errors).toHaveLength(1);
+      expect(parseCommand('/reply --bcc x@example.com hi').errors).toEqual(['不明なオプションです: `--bcc`']);
+      expect(parseCommand('/reply --cc\nhi').errors).toEqual(['`--cc` に値を指定してください']);
+      expect(parseCommand('/reply --cc oncall hi').errors).toEqual([
+        '`--cc` にメールアドレスの形式ではない値があります: oncall'
+      ]);
+
+      const many = Array.from({ length: 11 }, (_, i) => `user${i}@example.com`).join(',');
+      expect(parseCommand(`/reply --cc ${many} hi`).errors).toEqual(['`--cc` は10件以内にしてください（現在 11件）']);
+    });
+
+    it('should read positional arguments before the body', () => {
+      expect(parseCommand('/escalate URGENT 本番が停止しています\n詳細')).toMatchObject({
+        args: { severity: 'urgent' },
+        body: '本番が停止しています\n詳細',
+        errors: []
+      });
+      expect(parseCommand('/cc add a@example.com, b@example.com').args).toEqual({
+        action: 'add',
+        emails: ['a@example.com', 'b@example.com']
+      });
+      expect(parseCommand('/link 1234567890 --account prod')).toMatchObject({
+        options: { account: 'prod' },
+        args: { caseId: '1234567890' },
+        body: ''
+      });
+      expect(parseCommand('/status')).toMatchObject({ name: 'status', args: {}, errors: [] });
+    });
+
+    it('should report missing and invalid arguments', () => {
+      expect(parseCommand('/escalate').errors).toEqual(['重要度を指定してください']);
+      expect(parseCommand('/cc move a@example.com').errors).toEqual([
+        '操作は `add` / `remove` のいずれかを指定してください（指定: move）'
+      ]);
+      expect(parseCommand('/cc add').errors).toEqual(['メールアドレスを指定してください']);
+      expect(parseCommand('/cc remove oncall').errors).toEqual([
+        'メールアドレスの形式ではない値があります: oncall'
+      ]);
+    });
+
+    it('should return null when the comment has no command', () => {
+      expect(parseCommand('LGTM')).toBeNull();
+      expect(parseCommand('')).toBeNull();
+    });
+  });
+
+  describe('formatCommandError', () => {
+    it('should list the problems and show the usage', () => {
+      const body = formatCommandError(parseCommand('/reply --cc oncall'));
+
+      expect(body).toContain('## ⚠️ `/reply` コマンドを解釈できませんでした');
+      expect(body).toContain('- `--cc` にメールアドレスの形式ではない値があります: oncall');
+      expect(body).toContain('/reply [--cc メールアドレス[,メールアドレス...]] メッセージ');
+      expect(body).toContain('````\n/reply --cc oncall@example.com\n');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for duplicate case detection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  findDuplicateCases,
+  compareRequests,
+  extractErrorSignatures,
+  subjectSimilarity,
+  formatDuplicateComment
+} = require('../scripts/duplicate-detector');
+const { CaseLinkRegistry } = require('../scripts/case-link-registry');
+
+describe('Duplicate Detector', () => {
+  describe('signals', () => {
+    it('should extract error codes and exception names', () => {
+      expect([...extractErrorSignatures(
+        'InsufficientInstanceCapacity が発生。AccessDenied / ThrottlingException / ORA-00001 (GitHub)'
+      )].sort()).toEqual(['accessdenied', 'insufficientinstancecapacity', 'ora-00001', 'throttlingexception']);
+    });
+
+    it('should score similar Japanese and English subjects', () => {
+      expect(subjectSimilarity('EC2インスタンスが起動しない', 'EC2インスタンスが起動できない')).toBeGreaterThan(0.7);
+      expect(subjectSimilarity('Amazon S3 access denied', 'S3 Access Denied')).toBeGreaterThan(0.9);
+      expect(subjectSimilarity('EC2インスタンスが起動しない', '請求書の宛名を変更したい')).toBeLessThan(0.2);
+    });
+
+    it('should only compare requests for the same service', () => {
+      const request = { subject: 'Lambda がタイムアウトする', body: 'Task timed out', serviceCode: 'aws-lambda' };
+
+      expect(compareRequests(request, { ...request, serviceCode: 'amazon-elastic-compute-cloud-linux', text: '' }))
+        .toBeNull();
+      expect(compareRequests(request, { ...request, text: request.body }).score).toBeCloseTo(0.6);
+    });
+  });
+
+  describe('findDuplicateCases', () => {
+    let dir;
+    const now = new Date('2025-10-24T12:00:00Z');
+    const request = {
+      subject: 'EC2インスタンスが起動しない',
+      body: '## 詳細説明\nInsufficientInstanceCapacity が発生',
+      serviceCode: 'amazon-elastic-compute-cloud-linux'
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function createRegistry(links) {
+      const registry = new CaseLinkRegistry({ file: path.join(dir, 'links.json') });
+      for (const link of links) {
+        await registry.link(link);
+      }
+      return registry;
+    }
+
+    it('should compare open linked cases in the same account', async () => {
+      const client = {
+        describeCases: jest.fn(async () => ({
+          cases: [{
+            caseId: 'case-1',
+            displayId: 'CASE-1',
+            status: 'opened',
+            serviceCode: 'amazon-elastic-compute-cloud-linux',
+            subject: 'EC2インスタンスが起動できない',
+            timeCreated: '2025-10-20T00:00:00Z',
+            recentCommunications: { communications: [{ body: 'InsufficientInstanceCapacity' }] }
+          }]
+        }))
+      };
+
+      const duplicates = await findDuplicateCases(request, {
+        issueNumber: 30,
+        client,
+        account: { alias: 'prod' },
+        linkRegistry: await createRegistry([
+          { issueNumber: 10, caseId: 'case-1', account: 'prod' },
+          { issueNumber: 11, caseId: 'case-2', account: 'staging' }
+        ])
+      });
+
+      expect(client.describeCases).toHaveBeenCalledWith({ caseIdList: ['case-1'], includeResolvedCases: false });
+      expect(duplicates).toHaveLength(1);
+      expect(duplicates[0]).toMatchObject({
+        issueNumber: 10,
+        caseId: 'case-1',
+        displayId: 'CASE-1',
+        status: 'opened',
+        sharedErrors: ['insufficientinstancecapacity']
+      });
+    });
+
+    it('should search recent open issues within the time window', async () => {
+      const github = {
+        searchIssues: jest.fn(async () => [
+          { number: 30, state: 'open', body: 'self' },
+          { number: 31, state: 'open', body: 'similar' },
+          { number: 32, state: 'open', body: 'unrelated' }
+        ])
+      };
+      const parsed = {
+        self: request,
+        similar: { ...request, subject: 'EC2 インスタンスが起動しません', body: 'InsufficientInstanceCapacity' },
+        unrelated: { ...request, subject: 'セキュリティグループの上限緩和', body: 'RulesPerSecurityGroupLimitExceeded' }
+      };
+
+      const duplicates = await findDuplicateCases(request, {
+        issueNumber: 30,
+        github,
+        parseIssue: body => parsed[body],
+        windowHours: 24,
+        now
+      });
+
+      expect(github.searchIssues).toHaveBeenCalledWith(
+        'is:issue is:open label:aws-support created:>=2025-10-23T12:00:00Z'
+      );
+      expect(duplicates.map(duplicate => duplicate.issueNumber)).toEqual([31]);
+    });
+  });
+
+  it('should suggest the duplicate issue and /force-create in the comment', () => {
+    const comment = formatDuplicateComment([{
+      issueNumber: 10,
+      displayId: 'CASE-1',
+      status: 'opened',
+      serviceCode: 'amazon-elastic-compute-cloud-linux',
+      createdAt: '2025-10-20T00:00:00Z',
+      similarity: 0.8,
+      sharedErrors: ['insufficientinstancecapacity']
+    }]);
+
+    expect(comment).toContain('| #10 | `CASE-1`（opened） | amazon-elastic-compute-cloud-linux |');
+    expect(comment).toContain('件名の類似度 80%、エラー `insufficientinstancecapacity`');
+    expect(comment).toContain('`/force-create`');
+    expect(comment).toContain('<!-- aws-support-duplicate {"issues":[10]} -->');
+  });
+});
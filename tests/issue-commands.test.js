@@ -0,0 +1,253 @@
+/**
+ * Tests for the issue comment command dispatcher (ChatOps)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { handleIssueComment } = require('../scripts/issue-commands');
+const { replyToCase } = require('../scripts/reply-to-case');
+const { parseFailureMarker, formatFailureMarker } = require('../scripts/support-errors');
+const { loadCommandPolicy } = require('../scripts/command-authorization');
+const { MockSupportBackend } = require('../scripts/mock-support-backend');
+const { CaseLinkRegistry, formatLinkMarker, parseLinkComment } = require('../scripts/case-link-registry');
+
+// createComment で投稿したコメントの作成者（GITHUB_TOKEN のボット）
+const BOT = { login: 'github-actions[bot]', type: 'Bot' };
+const WRITER = { login: 'writer', type: 'User' };
+
+/**
+ * GitHubClient の代わりに使うインメモリのクライアント
+ */
+function createGitHub(permissions = {}) {
+  const github = {
+    repository: 'owner/repo',
+    comments: [],
+    reactions: [],
+    issues: {},
+    createComment: jest.fn(async (issueNumber, body) => {
+      const comment = { id: github.comments.length + 100, issueNumber: Number(issueNumber), user: BOT, body };
+      github.comments.push(comment);
+      return { id: comment.id };
+    }),
+    updateComment: jest.fn(async (id, body) => {
+      github.comments.find(comment => comment.id === id).body = body;
+    }),
+    getComment: jest.fn(async id => github.comments.find(comment => comment.id === id)),
+    listComments: jest.fn(async issueNumber => github.comments.filter(c => c.issueNumber === Number(issueNumber))),
+    listRepositoryComments: jest.fn(async () => github.comments),
+    listIssues: jest.fn(async () => []),
+    getIssue: jest.fn(async issueNumber => github.issues[issueNumber]),
+    addReaction: jest.fn(async (commentId, content) => {
+      github.reactions.push(content);
+    }),
+    getCollaboratorPermission: jest.fn(async username => permissions[username] || null)
+  };
+  return github;
+}
+
+describe('Issue Commands', () => {
+  let dir;
+  let backend;
+  let github;
+  let options;
+  let caseId;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-commands-'));
+    backend = new MockSupportBackend({ seed: false, supportPlan: 'business' });
+    github = createGitHub({
+      maintainer: { permission: 'write', role_name: 'maintain' },
+      writer: { permission: 'write', role_name: 'write' },
+      reader: { permission: 'read', role_name: 'read' }
+    });
+    const registry = new CaseLinkRegistry({ file: path.join(dir, 'links.json') });
+    options = { mockMode: true, mockBackend: backend, githubClient: github, linkRegistry: registry, issueNumber: 5 };
+
+    caseId = backend.handle('CreateCase', {
+      subject: 'EC2インスタンスが起動しない',
+      communicationBody: 'InsufficientInstanceCapacity',
+      severityCode: 'normal',
+      language: 'ja'
+    }).data.caseId;
+    const link = await registry.link({ issueNumber: 5, caseId, displayId: 'CASE-00000001', account: 'default' });
+    // ケース作成コメント（レジストリを再構築する場合に読み取る）
+    github.comments.push({ id: 1, issueNumber: 5, user: BOT, body: `## ✅ AWSサポートケース作成完了\n\n${formatLinkMarker(link)}` });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should refuse commands the commenter is not allowed to run', async () => {
+    const outcome = await handleIssueComment('/resolve', { ...options, commentId: 1, author: 'reader' });
+
+    expect(outcome).toEqual({ command: 'resolve', executed: false, result: null });
+    expect(backend.getCase(caseId).status).toBe('opened');
+    expect(github.reactions).toEqual(['eyes', '-1']);
+    expect(github.comments[1].body).toContain('## 🚫 `/resolve` の実行を拒否しました');
+    expect(github.comments[1].body).toContain('- **リポジトリの権限**: `read`（必要: `write` 以上）');
+
+    // /status は read 権限で実行できる
+    await handleIssueComment('/status', { ...options, commentId: 2, author: 'reader' });
+    expect(github.comments[2].body).toContain('## 📋 AWSサポートケースの状態');
+    expect(github.comments[2].body).toContain('- **ステータス**: 🟢 オープン');
+    expect(github.comments[2].body).toContain('- **重要度**: `normal`');
+  });
+
+  it('should resolve and reopen the linked case', async () => {
+    await handleIssueComment('/resolve', { ...options, commentId: 1, author: 'writer' });
+
+    expect(backend.getCase(caseId).status).toBe('resolved');
+    expect(github.reactions).toEqual(['eyes', '+1']);
+    expect(github.comments[1].body).toContain('## ✅ AWSサポートケースを解決済みにしました');
+    expect(github.comments[1].body).toContain('🟢 オープン → ✅ 解決済み');
+
+    await handleIssueComment('/reopen', { ...options, commentId: 2, author: 'writer' });
+
+    expect(backend.getCase(caseId).status).toBe('reopened');
+    expect(backend.getCase(caseId).communications.slice(-1)[0].body).toContain('このケースの再オープンをお願いします');
+
+    // 解決済みではないケースは再オープンしない
+    await expect(handleIssueComment('/reopen まだ直りません', { ...options, commentId: 3, author: 'writer' }))
+      .rejects.toMatchObject({ code: 'VALIDATION_FAILED' });
+    expect(github.reactions.slice(-2)).toEqual(['eyes', '-1']);
+    expect(github.comments[3].body).toContain('## ❌ `/reopen` を実行できませんでした');
+    expect(github.comments[3].body).toContain('is not resolved');
+  });
+
+  it('should request a higher severity that the support plan allows', async () => {
+    await handleIssueComment('/escalate urgent 全リージョンで発生しています', { ...options, author: 'writer' });
+
+    const request = backend.getCase(caseId).communications.slice(-1)[0].body;
+    expect(request).toContain('重要度を normal から urgent に引き上げてください。');
+    expect(request).toContain('全リージョンで発生しています');
+    expect(github.comments[1].body).toContain('- **重要度**: `normal` → `urgent`（依頼）');
+
+    // Business プランでは critical を指定できない・現在より低い重要度は指定できない
+    await expect(handleIssueComment('/escalate critical', { ...options, author: 'writer' })).rejects.toThrow('not available');
+    await expect(handleIssueComment('/escalate low', { ...options, author: 'writer' })).rejects.toThrow('only raise');
+    expect(backend.getCase(caseId).communications).toHaveLength(2);
+
+    // 引数の誤りは使い方をコメントして実行しない
+    const outcome = await handleIssueComment('/escalate asap', { ...options, author: 'writer' });
+    expect(outcome.executed).toBe(false);
+    expect(github.comments.slice(-1)[0].body).toContain('重要度は `low` / `normal` / `high` / `urgent` / `critical` のいずれかを指定してください（指定: asap）');
+  });
+
+  it('should send CC changes to the case', async () => {
+    const handle = jest.spyOn(backend, 'handle');
+
+    await handleIssueComment('/cc add oncall@example.com, sre@example.com', { ...options, author: 'writer' });
+
+    expect(handle).toHaveBeenCalledWith('AddCommunicationToCase', expect.objectContaining({
+      caseId,
+      ccEmailAddresses: ['oncall@example.com', 'sre@example.com']
+    }));
+    expect(github.comments[1].body).toContain('## ✅ CC への追加を依頼しました');
+
+    await handleIssueComment('/cc remove oncall@example.com', { ...options, author: 'writer' });
+
+    const removal = handle.mock.calls.pop()[1];
+    expect(removal.ccEmailAddresses).toBeUndefined();
+    expect(removal.communicationBody).toContain('CC から削除してください');
+  });
+
+  it('should link an existing case to the issue once', async () => {
+    const other = backend.handle('CreateCase', { subject: '別のケース', communicationBody: '...' }).data;
+
+    await handleIssueComment(`/link ${other.displayId}`, { ...options, issueNumber: 9, author: 'maintainer' });
+
+    expect((await options.linkRegistry.findByIssueNumber(9)).caseId).toBe(other.caseId);
+    expect(github.comments[1].body).toContain('## ✅ AWSサポートケースを連携しました');
+    expect(parseLinkComment(github.comments[1].body)).toMatchObject({ caseId: other.caseId, account: 'default' });
+
+    // 連携済みのケース・Issue は連携し直さない。write 権限では実行できない
+    await expect(handleIssueComment(`/link ${other.caseId}`, { ...options, issueNumber: 10, author: 'maintainer' }))
+      .rejects.toThrow('already linked to Issue #9');
+    await expect(handleIssueComment(`/link ${caseId}`, { ...options, issueNumber: 9, author: 'maintainer' }))
+      .rejects.toThrow('Issue #9 is already linked');
+    expect((await handleIssueComment(`/link ${caseId}`, { ...options, issueNumber: 11, author: 'writer' })).executed)
+      .toBe(false);
+  });
+
+  it('should retry the latest failed step once', async () => {
+    github.issues[5] = { number: 5, body: '### 事象の概要\n\nEC2インスタンスが起動しない' };
+
+    // AI API キーがない場合は生成の失敗をコメントし、/retry の対象にする
+    await expect(handleIssueComment('/regenerate', { ...options, author: 'writer' })).rejects.toThrow('AI API key is required');
+    expect(github.comments[1].body).toContain('## ❌ AWSサポート問い合わせ文の生成失敗');
+    expect(parseFailureMarker(github.comments[1].body)).toEqual({ status: 'failed', step: 'generate' });
+
+    await expect(handleIssueComment('/retry', { ...options, author: 'writer' })).rejects.toThrow('AI API key is required');
+    expect(github.comments[1].body).toContain('> 🔁 `/retry` で再実行しました');
+    expect(parseFailureMarker(github.comments[1].body).status).toBe('retried');
+    expect(parseFailureMarker(github.comments[2].body).status).toBe('failed');
+
+    // 返信の失敗は元の /reply コメントを再送信する
+    github.comments.push({ id: 2, issueNumber: 5, user: WRITER, body: '/reply 再起動しても同じです' });
+    const failedBackend = new MockSupportBackend({ seed: false });
+    await expect(handleIssueComment('/reply 再起動しても同じです', {
+      ...options, mockBackend: failedBackend, commentId: 2, author: 'writer'
+    })).rejects.toThrow('Case ID not found');
+    expect(parseFailureMarker(github.comments.slice(-1)[0].body)).toEqual({ status: 'failed', step: 'reply', commentId: 2 });
+
+    await handleIssueComment('/retry', { ...options, author: 'writer' });
+
+    expect(backend.getCase(caseId).communications.slice(-1)[0].body).toBe('再起動しても同じです');
+    expect(github.comments.slice(-1)[0].body).toContain('AWSサポートへの返信完了');
+
+    await handleIssueComment('/retry', { ...options, author: 'writer' });
+    expect(github.comments.slice(-1)[0].body).toContain('## ℹ️ 再実行する処理がありません');
+  });
+
+  it('should only replay failures the bot recorded for replies their author may send', async () => {
+    const reader = { login: 'reader', type: 'User' };
+    const failure = commentId => `## ❌ 返信失敗\n\n${formatFailureMarker({ step: 'reply', commentId })}`;
+    github.comments.push({ id: 2, issueNumber: 5, user: reader, body: '/reply 権限のない返信' });
+    github.comments.push({ id: 3, issueNumber: 6, user: WRITER, body: '/reply 別の Issue の返信' });
+
+    // ユーザーが書いた失敗のマーカーは再実行の対象にしない
+    github.comments.push({ id: 4, issueNumber: 5, user: reader, body: failure(2) });
+    await handleIssueComment('/retry', { ...options, author: 'writer' });
+    expect(github.comments.slice(-1)[0].body).toContain('## ℹ️ 再実行する処理がありません');
+    expect(github.comments.find(c => c.id === 4).body).toBe(failure(2));
+
+    // ボットの失敗のマーカーでも、/reply を実行できない人のコメント・別の Issue のコメントは送信しない
+    github.comments.push({ id: 5, issueNumber: 5, user: BOT, body: failure(2) });
+    await expect(handleIssueComment('/retry', { ...options, author: 'writer' }))
+      .rejects.toMatchObject({ name: 'AuthorizationError', code: 'COMMAND_NOT_AUTHORIZED' });
+    github.comments.push({ id: 6, issueNumber: 5, user: BOT, body: failure(3) });
+    await expect(handleIssueComment('/retry', { ...options, author: 'writer' })).rejects.toThrow('Comment 3 is not on Issue #5');
+
+    expect(backend.getCase(caseId).communications).toHaveLength(1);
+    expect(parseFailureMarker(github.comments.find(c => c.id === 5).body).status).toBe('failed');
+  });
+
+  it('should check that the person sending a reply through another command may reply', async () => {
+    const commandPolicy = { ...loadCommandPolicy('missing.json'), commands: { reply: { users: ['writer'], teams: [] } } };
+    github.comments.push({ id: 2, issueNumber: 5, user: WRITER, body: '/reply 再起動しても同じです' });
+    github.comments.push({ id: 3, issueNumber: 5, user: BOT, body: `## ❌ 返信失敗\n\n${formatFailureMarker({ step: 'reply', commentId: 2 })}` });
+
+    await expect(handleIssueComment('/retry', { ...options, commandPolicy, author: 'maintainer' }))
+      .rejects.toMatchObject({ name: 'AuthorizationError', code: 'COMMAND_NOT_AUTHORIZED' });
+
+    expect(backend.getCase(caseId).communications).toHaveLength(1);
+    expect(github.comments.slice(-2)[0].body).toContain('## 🚫 `/reply` の実行を拒否しました');
+    expect(github.comments.slice(-2)[0].body).toContain('- **拒否した規則**: `commands.reply`');
+    expect(github.comments.slice(-1)[0].body).toContain('## ❌ AWSサポートへの返信失敗');
+  });
+
+  it('should refuse a reply when the commenter is unknown unless the caller is trusted', async () => {
+    await expect(replyToCase('/reply 再起動しても同じです', null, { ...options, commentId: 2 }))
+      .rejects.toMatchObject({ name: 'AuthorizationError', code: 'COMMAND_NOT_AUTHORIZED', rule: 'author' });
+    // 拒否もエラーとして Issue に通知するが、/retry の対象にはしない
+    expect(github.comments.slice(-1)[0].body).toContain('## ❌ AWSサポートへの返信失敗');
+    expect(parseFailureMarker(github.comments.slice(-1)[0].body)).toBeNull();
+    await expect(handleIssueComment('/reply 再起動しても同じです', options)).resolves.toMatchObject({ executed: false });
+    expect(backend.getCase(caseId).communications).toHaveLength(1);
+
+    await replyToCase('/reply 再起動しても同じです', null, { ...options, trusted: true });
+    expect(backend.getCase(caseId).communications).toHaveLength(2);
+  });
+});
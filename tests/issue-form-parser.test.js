@@ -0,0 +1,233 @@
+/**
+ * Tests for the issue form parser
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseYaml,
+  loadIssueTemplate,
+  loadIssueTemplates,
+  selectTemplate,
+  parseIssueForm,
+  TEMPLATE_DIR
+} = require('../scripts/issue-form-parser');
+const { parseIssueBody } = require('../scripts/create-support-case');
+
+/**
+ * GitHub が Issue フォームから出力する本文を作成
+ */
+function renderIssueBody(template, values) {
+  return template.fields
+    .map(field => `### ${field.label}\n\n${values[field.id] || '_No response_'}`)
+    .join('\n\n');
+}
+
+describe('Issue Form Parser', () => {
+  const japanese = loadIssueTemplate(path.join(TEMPLATE_DIR, 'aws-support-request.yml'));
+  const english = loadIssueTemplate(path.join(TEMPLATE_DIR, 'aws-support-request-en.yml'));
+
+  const completeValues = {
+    category: '障害調査',
+    severity: 'High（高）',
+    aws_service: 'EC2',
+    issue_summary: 'EC2インスタンスが起動しない',
+    detailed_description: '- 発生日時: 2025-10-24\n- エラー: InsufficientInstanceCapacity',
+    region: 'ap-northeast-1'
+  };
+
+  describe('YAML', () => {
+    it('should parse mappings, sequences, block scalars and flow arrays', () => {
+      const yaml = [
+        'name: "Sample: form"',
+        'labels: ["aws-support", \'📊 priority\']',
+        'body:',
+        '  # comment',
+        '  - type: textarea',
+        '    id: notes',
+        '    attributes:',
+        '      label: Notes',
+        '      value: |',
+        '        line 1',
+        '',
+        '        line 2',
+        '      folded: >-',
+        '        a',
+        '        b',
+        '      options:',
+        '        - One',
+        '        - label: Two',
+        '    validations:',
+        '      required: true # inline comment',
+        '  - type: input',
+        '    id: count',
+        '    attributes:',
+        '      max: 10'
+      ].join('\n');
+
+      expect(parseYaml(yaml)).toEqual({
+        name: 'Sample: form',
+        labels: ['aws-support', '📊 priority'],
+        body: [
+          {
+            type: 'textarea',
+            id: 'notes',
+            attributes: {
+              label: 'Notes',
+              value: 'line 1\n\nline 2\n',
+              folded: 'a b',
+              options: ['One', { label: 'Two' }]
+            },
+            validations: { required: true }
+          },
+          { type: 'input', id: 'count', attributes: { max: 10 } }
+        ]
+      });
+    });
+  });
+
+  describe('Templates', () => {
+    it('should load the fields of the repository templates', () => {
+      expect(japanese.fields.map(f => f.id)).toEqual([
+        'category', 'severity', 'aws_service', 'issue_summary', 'detailed_description',
+        'reproduction_steps', 'attempted_solutions', 'aws_account_id', 'region',
+        'issue_type', 'case_language', 'cc_emails', 'additional_info'
+      ]);
+      expect(japanese.fields.find(f => f.id === 'severity')).toMatchObject({
+        type: 'dropdown',
+        label: '重要度',
+        required: true,
+        options: ['Critical（緊急）', 'High（高）', 'Normal（通常）', 'Low（低）']
+      });
+      expect(english.fields.map(f => f.id)).toEqual(japanese.fields.map(f => f.id));
+    });
+
+    it('should only load templates labelled aws-support', () => {
+      const names = loadIssueTemplates().map(t => path.basename(t.file)).sort();
+      expect(names).toEqual(['aws-support-request-en.yml', 'aws-support-request.yml']);
+    });
+
+    it('should select the template matching the issue headings', () => {
+      const templates = [japanese, english];
+      expect(selectTemplate(renderIssueBody(english, {}), templates)).toBe(english);
+      expect(selectTemplate(renderIssueBody(japanese, {}), templates)).toBe(japanese);
+    });
+  });
+
+  describe('Parsing', () => {
+    it('should map headings to field ids and treat _No response_ as empty', () => {
+      const { values, errors } = parseIssueForm(renderIssueBody(japanese, completeValues), japanese);
+
+      expect(errors).toEqual([]);
+      expect(values.severity).toBe('High（高）');
+      expect(values.detailed_description).toBe(completeValues.detailed_description);
+      expect(values.reproduction_steps).toBeNull();
+      expect(values.aws_account_id).toBeNull();
+    });
+
+    it('should keep ### lines inside textarea content', () => {
+      const description = '### ログ\nERROR: timeout\n### 対象外の見出し';
+      const { values } = parseIssueForm(
+        renderIssueBody(japanese, { ...completeValues, detailed_description: description }),
+        japanese
+      );
+
+      expect(values.detailed_description).toBe(description);
+    });
+
+    it('should report missing required fields and unknown dropdown options', () => {
+      const { errors } = parseIssueForm(
+        renderIssueBody(japanese, { ...completeValues, aws_service: '', severity: 'Sev1' }),
+        japanese
+      );
+
+      expect(errors.map(e => e.field)).toEqual(['severity', 'aws_service']);
+      expect(errors[0].message).toContain('Sev1');
+      expect(errors[1]).toMatchObject({ label: '対象AWSサービス', message: '入力必須の項目です' });
+    });
+
+    it('should parse checkboxes and multi-select dropdowns', () => {
+      const template = {
+        fields: [
+          { id: 'checks', type: 'checkboxes', label: 'Checks', options: [], required: false },
+          { id: 'regions', type: 'dropdown', label: 'Regions', options: ['us-east-1', 'ap-northeast-1'], multiple: true }
+        ]
+      };
+      const body = '### Checks\n\n- [X] Logs attached\n- [ ] Reproduced\n\n### Regions\n\nus-east-1, ap-northeast-1';
+
+      expect(parseIssueForm(body, template)).toEqual({
+        values: { checks: ['Logs attached'], regions: ['us-east-1', 'ap-northeast-1'] },
+        errors: []
+      });
+    });
+  });
+
+  describe('Case data', () => {
+    it('should build case data from the English template', () => {
+      const body = renderIssueBody(english, {
+        category: 'Security consultation',
+        severity: 'Critical',
+        aws_service: 'RDS',
+        issue_summary: 'Database connections are refused',
+        detailed_description: 'Started at 01:00 UTC',
+        aws_account_id: 'prod'
+      });
+
+      const result = parseIssueBody(body);
+
+      expect(result.template).toBe('AWS Support Request (English)');
+      expect(result).toMatchObject({
+        subject: 'Database connections are refused',
+        severity: 'urgent',
+        category: 'security',
+        serviceCode: 'amazon-relational-database-service',
+        account: 'prod',
+        errors: []
+      });
+      expect(result.body).toBe('## Details\nStarted at 01:00 UTC');
+    });
+
+    it('should map categories instead of always using other', () => {
+      const categories = {
+        '障害調査': 'instance-issue',
+        '技術質問': 'general-guidance',
+        'ベストプラクティス相談': 'general-guidance',
+        'パフォーマンス改善': 'performance',
+        'セキュリティ相談': 'security'
+      };
+
+      for (const [category, expected] of Object.entries(categories)) {
+        const result = parseIssueBody(renderIssueBody(japanese, { ...completeValues, category }));
+        expect(result.category).toBe(expected);
+      }
+    });
+
+    it('should include fields added to the template without code changes', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-form-'));
+      const source = fs.readFileSync(path.join(TEMPLATE_DIR, 'aws-support-request.yml'), 'utf8');
+      fs.writeFileSync(path.join(dir, 'custom.yml'), `${source}
+  - type: input
+    id: instance_id
+    attributes:
+      label: インスタンスID
+    validations:
+      required: false
+`);
+
+      try {
+        const template = loadIssueTemplate(path.join(dir, 'custom.yml'));
+        const result = parseIssueBody(
+          renderIssueBody(template, { ...completeValues, instance_id: 'i-0123456789abcdef0' }),
+          { template }
+        );
+
+        expect(result.fields.instance_id).toBe('i-0123456789abcdef0');
+        expect(result.body).toContain('## インスタンスID\ni-0123456789abcdef0');
+        expect(result.body.indexOf('## 詳細説明')).toBeLessThan(result.body.indexOf('## リージョン'));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for the resilient request layer
+ */
+
+const http = require('http');
+const {
+  requestWithRetry,
+  CircuitBreaker,
+  getCircuitBreaker,
+  resetCircuitBreakers,
+  parseRetryAfter
+} = require('../scripts/resilient-request');
+
+describe('Resilient Request Layer', () => {
+  let server;
+  let url;
+  let responses;
+  let hits;
+  let sleeps;
+  let policy;
+
+  beforeEach(async () => {
+    hits = 0;
+    sleeps = [];
+    responses = [];
+    policy = { service: 'test', sleep: async (ms) => sleeps.push(ms) };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    server = http.createServer((req, res) => {
+      const next = responses[Math.min(hits, responses.length - 1)];
+      hits += 1;
+      if (next.hang) {
+        return; // タイムアウトさせる
+      }
+      res.writeHead(next.status, next.headers || {});
+      res.end(next.body || '{}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  afterEach(async () => {
+    resetCircuitBreakers();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  it('should retry 5xx responses with backoff', async () => {
+    responses = [{ status: 503 }, { status: 502 }, { status: 200, body: '{"ok":true}' }];
+
+    const response = await requestWithRetry(url, {}, policy);
+
+    expect(response.statusCode).toBe(200);
+    expect(hits).toBe(3);
+    expect(sleeps).toHaveLength(2);
+    expect(sleeps[1]).toBeLessThan(1000); // baseDelayMs * 2^1 の範囲内
+  });
+
+  it('should honor Retry-After on 429', async () => {
+    responses = [{ status: 429, headers: { 'Retry-After': '2' } }, { status: 200 }];
+
+    await requestWithRetry(url, {}, policy);
+
+    expect(sleeps).toEqual([2000]);
+  });
+
+  it('should retry AWS throttling errors returned as 400', async () => {
+    responses = [
+      { status: 400, body: JSON.stringify({ __type: 'com.amazonaws.support#ThrottlingException' }) },
+      { status: 200 }
+    ];
+
+    const response = await requestWithRetry(url, {}, policy);
+
+    expect(response.statusCode).toBe(200);
+    expect(hits).toBe(2);
+  });
+
+  it('should not retry other client errors', async () => {
+    responses = [{ status: 400, body: JSON.stringify({ __type: 'CaseIdNotFound' }) }];
+
+    const response = await requestWithRetry(url, {}, policy);
+
+    expect(response.statusCode).toBe(400);
+    expect(hits).toBe(1);
+  });
+
+  it('should return the last response when retries are exhausted', async () => {
+    responses = [{ status: 500 }];
+
+    const response = await requestWithRetry(url, {}, { ...policy, maxRetries: 2 });
+
+    expect(response.statusCode).toBe(500);
+    expect(hits).toBe(3);
+  });
+
+  it('should time out each attempt and fail after retries', async () => {
+    responses = [{ hang: true }];
+
+    await expect(
+      requestWithRetry(url, {}, { ...policy, timeoutMs: 50, maxRetries: 1 })
+    ).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    expect(hits).toBe(2);
+  });
+
+  it('should re-build the request options for every attempt', async () => {
+    responses = [{ status: 503 }, { status: 200 }];
+    const attempts = [];
+
+    await requestWithRetry(url, (attempt) => {
+      attempts.push(attempt);
+      return { headers: { 'X-Attempt': String(attempt) } };
+    }, policy);
+
+    expect(attempts).toEqual([0, 1]);
+  });
+
+  describe('non-idempotent requests', () => {
+    it('should not retry responses or timeouts the server may have processed', async () => {
+      responses = [{ status: 503 }, { status: 201 }];
+      const response = await requestWithRetry(url, {}, { ...policy, idempotent: false });
+
+      expect(response.statusCode).toBe(503);
+      expect(hits).toBe(1);
+
+      hits = 0;
+      responses = [{ hang: true }];
+      await expect(
+        requestWithRetry(url, {}, { ...policy, idempotent: false, timeoutMs: 50 })
+      ).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+      expect(hits).toBe(1);
+    });
+
+    it('should retry throttled requests and connections that were never made', async () => {
+      responses = [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 201 }];
+      const response = await requestWithRetry(url, {}, { ...policy, idempotent: false });
+
+      expect(response.statusCode).toBe(201);
+      expect(hits).toBe(2);
+
+      // 接続を拒否するポート（リクエストは送られていない）
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const refusedUrl = `http://127.0.0.1:${closed.address().port}/`;
+      await new Promise(resolve => closed.close(resolve));
+
+      sleeps = [];
+      await expect(
+        requestWithRetry(refusedUrl, {}, { ...policy, idempotent: false, maxRetries: 2 })
+      ).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+      expect(sleeps).toHaveLength(2);
+    });
+  });
+
+  it('should open the circuit after repeated failures', async () => {
+    responses = [{ status: 500 }];
+    const breakerPolicy = { ...policy, maxRetries: 0, circuitBreaker: { failureThreshold: 2 } };
+
+    await requestWithRetry(url, {}, breakerPolicy);
+    await requestWithRetry(url, {}, breakerPolicy);
+
+    await expect(requestWithRetry(url, {}, breakerPolicy)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(hits).toBe(2);
+  });
+
+  it('should keep the circuit closed while the service is throttling', async () => {
+    responses = [
+      { status: 429 },
+      { status: 400, body: JSON.stringify({ __type: 'com.amazonaws.support#ThrottlingException' }) },
+      { status: 200 }
+    ];
+    const breakerPolicy = { ...policy, circuitBreaker: { failureThreshold: 1 } };
+
+    const response = await requestWithRetry(url, {}, breakerPolicy);
+
+    expect(response.statusCode).toBe(200);
+    expect(hits).toBe(3);
+    expect(sleeps).toHaveLength(2);
+    expect(getCircuitBreaker('test').state).toBe('closed');
+  });
+
+  describe('CircuitBreaker', () => {
+    it('should half-open after the reset timeout and close on success', () => {
+      const breaker = new CircuitBreaker({ name: 'unit', failureThreshold: 1, resetTimeoutMs: 1000 });
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+      breaker.recordFailure();
+      expect(breaker.canRequest()).toBe(false);
+
+      now.mockReturnValue(1000);
+      expect(breaker.canRequest()).toBe(true);
+      expect(breaker.state).toBe('half-open');
+
+      breaker.recordSuccess();
+      expect(breaker.state).toBe('closed');
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse seconds, HTTP dates and GitHub rate limit resets', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2025-10-24T00:00:00Z'));
+
+      expect(parseRetryAfter({ 'retry-after': '5' })).toBe(5000);
+      expect(parseRetryAfter({ 'retry-after': 'Fri, 24 Oct 2025 00:00:10 GMT' })).toBe(10000);
+      expect(parseRetryAfter({
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': String(Date.parse('2025-10-24T00:01:00Z') / 1000)
+      })).toBe(60000);
+      expect(parseRetryAfter({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for the AWS service/category catalog
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  ServiceCatalog,
+  loadServiceCatalog,
+  updateTemplateOptions,
+  syncTemplateOptions
+} = require('../scripts/service-catalog');
+const { loadIssueTemplate, TEMPLATE_DIR } = require('../scripts/issue-form-parser');
+const { MockSupportBackend } = require('../scripts/mock-support-backend');
+
+describe('Service Catalog', () => {
+  const catalog = loadServiceCatalog();
+
+  it('should resolve service names, aliases and Japanese names', () => {
+    const inputs = {
+      'EC2': 'amazon-elastic-compute-cloud-linux',
+      'Amazon EC2': 'amazon-elastic-compute-cloud-linux',
+      'ec2': 'amazon-elastic-compute-cloud-linux',
+      'ＥＣ２': 'amazon-elastic-compute-cloud-linux',
+      'EC2 (Windows)': 'amazon-elastic-compute-cloud-windows',
+      'EKS': 'amazon-elastic-kubernetes-service',
+      'DynamoDB': 'amazon-dynamodb',
+      'AWS Lambda': 'aws-lambda',
+      'Application Load Balancer': 'elastic-load-balancing',
+      'ロードバランサー': 'elastic-load-balancing',
+      'データベース': 'amazon-relational-database-service',
+      'amazon-simple-storage-service': 'amazon-simple-storage-service',
+      'その他': 'general-info'
+    };
+
+    for (const [input, code] of Object.entries(inputs)) {
+      expect([input, catalog.resolveServiceCode(input)]).toEqual([input, code]);
+    }
+  });
+
+  it('should tolerate typos and fall back to general-info', () => {
+    expect(catalog.resolveServiceCode('dynamdb')).toBe('amazon-dynamodb');
+    expect(catalog.resolveServiceCode('EC2インスタンスが起動しない')).toBe('amazon-elastic-compute-cloud-linux');
+    expect(catalog.resolveServiceCode('Quantum Ledger Something')).toBe('general-info');
+    expect(catalog.findService('')).toBeNull();
+  });
+
+  it('should resolve inquiry categories to categories of the service', () => {
+    expect(catalog.resolveCategoryCode('amazon-elastic-compute-cloud-linux', '障害調査')).toBe('instance-issue');
+    expect(catalog.resolveCategoryCode('aws-lambda', 'Troubleshooting')).toBe('function-issue');
+    expect(catalog.resolveCategoryCode('amazon-dynamodb', '障害調査')).toBe('other');
+    expect(catalog.resolveCategoryCode('amazon-dynamodb', 'Performance improvement')).toBe('performance');
+    expect(catalog.resolveCategoryCode('amazon-route53', 'ベストプラクティス相談')).toBe('general-guidance');
+    expect(catalog.resolveCategoryCode('unknown-service', 'セキュリティ相談')).toBe('other');
+  });
+
+  it('should map every template option back to its own service', () => {
+    for (const language of ['ja', 'en']) {
+      const options = catalog.templateOptions(language);
+      const codes = options.map(option => catalog.resolveServiceCode(option));
+
+      expect(new Set(codes).size).toBe(catalog.services.length);
+      expect(codes[codes.length - 1]).toBe('general-info');
+    }
+    expect(catalog.templateOptions('ja').slice(-1)).toEqual(['その他']);
+    expect(catalog.templateOptions('en').slice(-1)).toEqual(['Other']);
+  });
+
+  it('should keep the issue template dropdowns in sync with the catalog', () => {
+    for (const [file, language] of [['aws-support-request.yml', 'ja'], ['aws-support-request-en.yml', 'en']]) {
+      const template = loadIssueTemplate(path.join(TEMPLATE_DIR, file));
+      const field = template.fields.find(f => f.id === 'aws_service');
+
+      expect(field.type).toBe('dropdown');
+      expect(field.options).toEqual(catalog.templateOptions(language));
+    }
+  });
+
+  it('should serve the catalog from the mock DescribeServices', () => {
+    const { services } = new MockSupportBackend({ seed: false }).handle('DescribeServices', {}).data;
+
+    expect(services.map(s => s.code)).toEqual(catalog.services.map(s => s.code));
+  });
+
+  describe('Refresh', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-catalog-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createCatalog() {
+      const file = path.join(dir, 'catalog.json');
+      fs.writeFileSync(file, JSON.stringify({
+        schemaVersion: 1,
+        version: '2025-01-01',
+        categories: { other: { name: 'Other', nameJa: 'その他', aliases: [] } },
+        services: [
+          { code: 'aws-lambda', name: 'Lambda', label: 'Lambda', nameJa: 'Lambda', aliases: ['サーバーレス'], categories: [{ code: 'other', name: 'Other' }] },
+          { code: 'amazon-retired', name: 'Retired', label: 'Retired', nameJa: 'Retired', aliases: [], categories: [] }
+        ]
+      }));
+      return ServiceCatalog.load(file);
+    }
+
+    it('should merge DescribeServices output while keeping aliases and Japanese names', () => {
+      const local = createCatalog();
+
+      const summary = local.refresh([
+        { code: 'aws-lambda', name: 'AWS Lambda', categories: [{ code: 'function-issue', name: 'Function Issue' }] },
+        { code: 'amazon-dynamodb', name: 'DynamoDB', categories: [{ code: 'other', name: 'Other' }] }
+      ], { version: '2025-10-24' });
+      local.save();
+      const reloaded = ServiceCatalog.load(local.file);
+
+      expect(summary).toEqual({ added: ['amazon-dynamodb'], removed: ['amazon-retired'], updated: ['aws-lambda'] });
+      expect(reloaded.version).toBe('2025-10-24');
+      expect(reloaded.getService('aws-lambda')).toMatchObject({
+        name: 'AWS Lambda',
+        label: 'Lambda',
+        aliases: ['サーバーレス'],
+        categories: [{ code: 'function-issue', name: 'Function Issue' }]
+      });
+      expect(reloaded.getService('amazon-dynamodb')).toMatchObject({ label: 'DynamoDB', aliases: [] });
+      expect(reloaded.categories['function-issue']).toEqual({ name: 'Function Issue', nameJa: 'Function Issue', aliases: [] });
+      expect(reloaded.resolveServiceCode('サーバーレス')).toBe('aws-lambda');
+    });
+
+    it('should reject catalogs from a newer schema', () => {
+      expect(() => new ServiceCatalog({ schemaVersion: 99, services: [] }))
+        .toThrow('Unsupported service catalog schema version: 99');
+    });
+
+    it('should rewrite only the options of the service dropdown', () => {
+      const file = path.join(dir, 'form.yml');
+      fs.writeFileSync(file, [
+        'body:',
+        '  - type: dropdown',
+        '    id: aws_service',
+        '    attributes:',
+        '      label: Service',
+        '      options:',
+        '        - EC2',
+        '    validations:',
+        '      required: true',
+        '  - type: dropdown',
+        '    id: severity',
+        '    attributes:',
+        '      options:',
+        '        - Low',
+        ''
+      ].join('\n'));
+
+      expect(syncTemplateOptions(createCatalog(), [file])).toEqual([file]);
+      expect(fs.readFileSync(file, 'utf8')).toContain('      options:\n        - Lambda\n        - Retired\n    validations:');
+      expect(fs.readFileSync(file, 'utf8')).toContain('        - Low');
+      expect(() => updateTemplateOptions('x: 1\n', 'aws_service', [])).toThrow('Field not found in issue template: aws_service');
+    });
+  });
+});
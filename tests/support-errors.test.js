@@ -0,0 +1,82 @@
+/**
+ * Tests for the support error classes
+ */
+
+const {
+  ERROR_CODES,
+  SupportError,
+  CredentialError,
+  ThrottlingError,
+  ValidationError,
+  AwsApiError,
+  createAwsError,
+  createGitHubError,
+  getErrorGuidance,
+  formatErrorGuidance
+} = require('../scripts/support-errors');
+
+describe('Support Errors', () => {
+  describe('createAwsError', () => {
+    it('should map AWS error codes to typed errors with stable codes', () => {
+      const expired = createAwsError('ExpiredTokenException', 'expired', { statusCode: 400 });
+      const throttled = createAwsError('ThrottlingException', 'Rate exceeded', { operation: 'DescribeCases' });
+
+      expect(expired).toBeInstanceOf(CredentialError);
+      expect(expired).toBeInstanceOf(SupportError);
+      expect(expired).toMatchObject({ code: ERROR_CODES.CREDENTIALS_EXPIRED, awsCode: 'ExpiredTokenException' });
+      expect(throttled).toBeInstanceOf(ThrottlingError);
+      expect(throttled.operation).toBe('DescribeCases');
+    });
+
+    it('should treat HTTP 429 as throttling even without a known code', () => {
+      expect(createAwsError('UnknownError', 'slow down', { statusCode: 429 })).toBeInstanceOf(ThrottlingError);
+    });
+
+    it('should keep the AWS code for errors without a dedicated class', () => {
+      const error = createAwsError('CaseIdNotFound', 'Case not found', { statusCode: 400 });
+
+      expect(error).toBeInstanceOf(AwsApiError);
+      expect(error.code).toBe('CaseIdNotFound');
+    });
+  });
+
+  describe('createGitHubError', () => {
+    it('should classify GitHub responses', () => {
+      const codeFor = (statusCode, headers) => createGitHubError({ statusCode, headers, body: '{}' }).code;
+
+      expect(codeFor(401)).toBe(ERROR_CODES.GITHUB_AUTH_FAILED);
+      expect(codeFor(403, { 'x-ratelimit-remaining': '0' })).toBe(ERROR_CODES.GITHUB_RATE_LIMITED);
+      expect(codeFor(404)).toBe(ERROR_CODES.GITHUB_NOT_FOUND);
+      expect(codeFor(500)).toBe(ERROR_CODES.GITHUB_API_ERROR);
+      expect(createGitHubError({ statusCode: 500, body: 'oops' }).message).toBe('GitHub API error: 500 oops');
+    });
+  });
+
+  describe('formatErrorGuidance', () => {
+    it('should give error-specific advice and link the troubleshooting section', () => {
+      const error = new ValidationError('Unknown AWS account: staging');
+
+      const guidance = formatErrorGuidance(error, { repository: 'owner/repo' });
+
+      expect(guidance).toContain('入力内容を確認');
+      expect(guidance).toContain(
+        'https://github.com/owner/repo/blob/HEAD/docs/TROUBLESHOOTING.md#' + encodeURIComponent('入力内容の検証エラー')
+      );
+      expect(guidance).toContain('`VALIDATION_FAILED`');
+      expect(guidance).not.toContain('AWS Support プランを確認');
+    });
+
+    it('should pick advice for the specific error code', () => {
+      const { steps } = getErrorGuidance(new CredentialError('expired', { code: ERROR_CODES.CREDENTIALS_EXPIRED }));
+
+      expect(steps[0]).toContain('期限切れ');
+    });
+
+    it('should fall back to general advice for unclassified errors', () => {
+      const guidance = formatErrorGuidance(new Error('boom'));
+
+      expect(guidance).toContain('AWS Support プランを確認');
+      expect(guidance).toContain('[トラブルシューティングガイド](../docs/TROUBLESHOOTING.md)');
+    });
+  });
+});